@@ -0,0 +1,84 @@
+// api/_lib/attribution.js
+// First-touch attribution sent with a waitlist signup. Everything arrives from the browser,
+// so each field is trimmed, length-capped and dropped if it doesn't look right.
+
+const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+const MAX_UTM_LENGTH = 100;
+const MAX_URL_LENGTH = 500;
+const LOCALE_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8}){0,3}$/;
+
+function cleanText(value, maxLength) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return trimmed ? trimmed.slice(0, maxLength) : null;
+}
+
+// Keep only origin and path: query strings and fragments can carry other people's data.
+function cleanReferrer(value) {
+  const text = cleanText(value, MAX_URL_LENGTH * 2);
+  if (!text) return null;
+  try {
+    const url = new URL(text);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    return `${url.origin}${url.pathname}`.slice(0, MAX_URL_LENGTH);
+  } catch (_) {
+    return null;
+  }
+}
+
+function cleanPath(value) {
+  const text = cleanText(value, MAX_URL_LENGTH);
+  return text && text.startsWith('/') ? text.split(/[?#]/)[0] : null;
+}
+
+function cleanLocale(value) {
+  const text = cleanText(value, 35);
+  return text && LOCALE_PATTERN.test(text) ? text : null;
+}
+
+// A first visit can't be in the future, or before the signup form existed.
+function cleanTimestamp(value, now) {
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  if (!Number.isFinite(time)) return null;
+  if (time > now + 5 * 60 * 1000 || time < Date.UTC(2025, 0, 1)) return null;
+  return new Date(time).toISOString();
+}
+
+/**
+ * Turns the `attribution` object from a join request into waitlist columns.
+ * Missing or invalid fields come back as null.
+ */
+export function attributionColumns(value, now = Date.now()) {
+  const input = value && typeof value === 'object' ? value : {};
+  const columns = {};
+  for (const field of UTM_FIELDS) {
+    const text = cleanText(input[field], MAX_UTM_LENGTH);
+    columns[field] = text && text.toLowerCase();
+  }
+  columns.referrer = cleanReferrer(input.referrer);
+  columns.landing_path = cleanPath(input.landingPath);
+  columns.locale = cleanLocale(input.locale);
+  columns.first_seen_at = cleanTimestamp(input.firstSeenAt, now);
+  return columns;
+}
+
+/**
+ * Rolls the rows from waitlist_attribution() up by the given fields, busiest first.
+ * e.g. summarizeBy(rows, ['source']) -> [{ source, signups, confirmed }, ...]
+ */
+export function summarizeBy(rows, fields) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = fields.map((f) => row[f]).join('\u0000');
+    let group = groups.get(key);
+    if (!group) {
+      group = Object.fromEntries(fields.map((f) => [f, row[f]]));
+      group.signups = 0;
+      group.confirmed = 0;
+      groups.set(key, group);
+    }
+    group.signups += row.signups;
+    group.confirmed += row.confirmed;
+  }
+  return [...groups.values()].sort((a, b) => b.signups - a.signups);
+}
@@ -0,0 +1,87 @@
+// api/_lib/auth.js
+// Resolves who is behind a request: FamHack participants carry the session cookie set by
+// /api/famhack/otp/verify (see session.js), judges the Bearer token from their
+// /api/judging/login email, admins the static ADMIN_API_TOKEN, and Vercel's cron jobs the
+// CRON_SECRET it sends with each scheduled request.
+
+import { verifyToken, safeEqual } from './signing.js';
+import { sendError } from './http.js';
+import { isRevoked, readSession } from './session.js';
+
+function bearerToken(req) {
+  const header = (req.headers && req.headers.authorization) || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+/**
+ * Returns { email } for a signed-in participant, or null. A session revoked since it was
+ * issued (see revokeSessions) counts as signed out.
+ */
+export async function getIdentity(req, repo) {
+  const session = readSession(req);
+  if (!session || (await isRevoked(repo, session))) return null;
+  return { email: session.email };
+}
+
+/**
+ * Like getIdentity, but answers 401 itself when there is no valid identity.
+ * Returns null when the response has already been sent.
+ */
+export async function requireIdentity(req, res, repo) {
+  let identity;
+  try {
+    identity = await getIdentity(req, repo);
+  } catch (err) {
+    sendError(res, err, '[auth]');
+    return null;
+  }
+  if (!identity) {
+    res.status(401).json({ error: 'Please verify your email first.', code: 'unauthenticated' });
+    return null;
+  }
+  return identity;
+}
+
+/**
+ * Like requireIdentity, for judges: returns { email } from a valid judge token,
+ * or answers 401 itself and returns null. Whether they are still a judge is up to the route.
+ */
+export function requireJudge(req, res) {
+  const payload = verifyToken(bearerToken(req), 'judge');
+  if (!payload) {
+    res.status(401).json({ error: 'Please sign in as a judge.', code: 'unauthenticated' });
+    return null;
+  }
+  return { email: payload.sub };
+}
+
+/**
+ * Checks the admin Bearer token against ADMIN_API_TOKEN, answering 401/503 itself.
+ * Returns true when the caller is an admin.
+ */
+export function requireAdmin(req, res) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    res.status(503).json({ error: 'Admin API not configured.', code: 'not_configured' });
+    return false;
+  }
+
+  const token = bearerToken(req);
+  if (!token || !safeEqual(token, expected)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    res.status(401).json({ error: 'Invalid admin token.', code: 'unauthenticated' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * True when the request is one of the scheduled jobs in vercel.json: Vercel sends
+ * CRON_SECRET as a Bearer token. Always false when CRON_SECRET is not set.
+ */
+export function isCronRequest(req) {
+  const expected = process.env.CRON_SECRET;
+  const token = bearerToken(req);
+  return !!(expected && token && safeEqual(token, expected));
+}
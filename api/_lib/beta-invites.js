@@ -0,0 +1,153 @@
+// api/_lib/beta-invites.js
+// Staged beta access from the waitlist: waiting → invited → activated.
+// Admins invite the next confirmed signups in queue order (optionally narrowed by a filter);
+// each gets a one-time access code by email. Only the code's HMAC is stored, and redeeming
+// it clears the hash, so a code works once.
+
+import { randomInt } from 'node:crypto';
+import { hmacHex } from './signing.js';
+import { sendMail } from './mailer.js';
+import { betaInvite } from './mail-templates.js';
+import { referralBoost } from './referrals.js';
+import { unsubscribeLinks } from './data-rights.js';
+
+// Same alphabet as referral codes: nothing that reads as another character
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_GROUP = 4;
+const CODE_PATTERN = new RegExp(`^[${CODE_ALPHABET}]{${CODE_GROUP * 2}}$`);
+const SCAN_BATCH = 1000;
+const SCAN_COLUMNS = ['email', 'created_at', 'confirmation_status', 'beta_status', 'referral_code', 'referred_by', 'utm_source'];
+// Emails go out one by one inside a single function call, so a run has to stay well
+// within the function time limit; invite more people with more runs.
+export const MAX_INVITES_PER_RUN = 25;
+
+function generateAccessCode() {
+  let code = '';
+  for (let i = 0; i < CODE_GROUP * 2; i++) {
+    code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+  }
+  return `${code.slice(0, CODE_GROUP)}-${code.slice(CODE_GROUP)}`;
+}
+
+/**
+ * Upper-cases a typed access code and drops spaces and dashes; '' when it can't be one of ours.
+ */
+export function normalizeAccessCode(value) {
+  if (typeof value !== 'string') return '';
+  const code = value.toUpperCase().replace(/[\s-]/g, '');
+  return CODE_PATTERN.test(code) ? code : '';
+}
+
+function accessCodeHash(code) {
+  return hmacHex(`access:${normalizeAccessCode(code)}`);
+}
+
+async function scanWaitlist(repo) {
+  const rows = [];
+  for (let offset = 0; ; offset += SCAN_BATCH) {
+    const batch = await repo.waitlist.search({ offset, limit: SCAN_BATCH, columns: SCAN_COLUMNS });
+    rows.push(...batch.rows);
+    if (batch.rows.length < SCAN_BATCH) return rows;
+  }
+}
+
+// Every signup with its place in line, by the same rule as getQueuePosition()
+function rankQueue(rows) {
+  const referrals = new Map();
+  rows
+    .filter((r) => r.referred_by && r.confirmation_status === 'confirmed')
+    .forEach((r) => referrals.set(r.referred_by, (referrals.get(r.referred_by) || 0) + 1));
+
+  const boost = referralBoost();
+  return [...rows]
+    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)))
+    .map((row, index) => ({
+      ...row,
+      position: Math.max(1, index + 1 - (referrals.get(row.referral_code) || 0) * boost),
+    }))
+    .sort((a, b) => a.position - b.position || String(a.created_at).localeCompare(String(b.created_at)));
+}
+
+/**
+ * The next `count` confirmed, still-waiting signups in queue order. `q` narrows to emails
+ * containing it and `source` to one utm_source. Returns [{ email, position }].
+ */
+export async function nextInvitees(repo, { count, q = '', source = '' }) {
+  const needle = q.toLowerCase();
+  return rankQueue(await scanWaitlist(repo))
+    .filter((r) => r.confirmation_status === 'confirmed' && r.beta_status === 'waiting')
+    .filter((r) => !needle || r.email.toLowerCase().includes(needle))
+    .filter((r) => !source || (r.utm_source || '').toLowerCase() === source.toLowerCase())
+    .slice(0, count)
+    .map((r) => ({ email: r.email, position: r.position }));
+}
+
+/**
+ * Invites the next signups (see nextInvitees): emails each a one-time code, and only once the
+ * email is sent stores the code and marks them invited, so a failed or cut-short run leaves
+ * nobody invited without an email. Returns { invited, failed, skipped } as lists of emails;
+ * skipped ones were invited by someone else in the meantime.
+ */
+export async function inviteNext(repo, origin, filters) {
+  const result = { invited: [], failed: [], skipped: [] };
+
+  // One at a time, so a slow mail transport isn't hit with a burst of requests
+  for (const { email } of await nextInvitees(repo, filters)) {
+    const current = await repo.waitlist.findByEmail(email);
+    if (!current || current.beta_status !== 'waiting') {
+      result.skipped.push(email);
+      continue;
+    }
+
+    const code = generateAccessCode();
+    const unsubscribe = unsubscribeLinks(origin, email);
+    try {
+      await sendMail({
+        to: email,
+        ...betaInvite({
+          code,
+          redeemUrl: `${origin}/?access=${encodeURIComponent(code)}`,
+          unsubscribeUrl: unsubscribe && unsubscribe.unsubscribeUrl,
+        }),
+        ...(unsubscribe ? { headers: unsubscribe.headers } : {}),
+      });
+    } catch (err) {
+      console.error('[beta-invites] send failed:', err.message);
+      result.failed.push(email);
+      continue;
+    }
+
+    const invited = await repo.waitlist.update(email, {
+      beta_status: 'invited',
+      access_code_hash: accessCodeHash(code),
+      invited_at: new Date().toISOString(),
+    }, { betaStatus: 'waiting' });
+    if (invited) {
+      result.invited.push(email);
+    } else {
+      // Another run invited them between the check and now; the code just sent won't work
+      console.warn('[beta-invites] invited elsewhere during the send:', email);
+      result.skipped.push(email);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Activates the signup an access code was sent to. Returns the entry, or null when the
+ * code is unknown or already used.
+ */
+export async function redeemAccessCode(repo, code) {
+  const entry = await repo.waitlist.findInvitedByCodeHash(accessCodeHash(code));
+  if (!entry) return null;
+
+  const activatedAt = new Date().toISOString();
+  const activated = await repo.waitlist.update(entry.email, {
+    beta_status: 'activated',
+    access_code_hash: null,
+    activated_at: activatedAt,
+  }, { betaStatus: 'invited' });
+
+  return activated ? { ...entry, beta_status: 'activated', activated_at: activatedAt } : null;
+}
@@ -0,0 +1,121 @@
+// api/_lib/checkin.js
+// FamHack event-day check-in. A verified participant's ticket is a signed 'ticket' token,
+// shown as a QR code the dashboard keeps for offline use, plus a short code derived from
+// their email for organisers to type when the QR code won't scan.
+
+import { famhackConfig } from './famhack-config.js';
+import { hmacHex, signToken, verifyToken } from './signing.js';
+import { getMembership } from './teams.js';
+import { ConflictError } from './repository/index.js';
+import { HttpError } from './http.js';
+
+// No 0/O, 1/I/L or U, so a code read aloud or typed from a phone screen is unambiguous
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+/**
+ * The short ticket code for an email, e.g. "K7QM-3XPA". Always the same for the same email.
+ */
+export function ticketCode(email) {
+  const digest = hmacHex(`ticket:${email}`);
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[Number.parseInt(digest.slice(i * 2, i * 2 + 2), 16) % CODE_ALPHABET.length];
+  }
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+/**
+ * A typed ticket code in canonical form, or null when it can't be one.
+ */
+export function normalizeTicketCode(value) {
+  if (typeof value !== 'string') return null;
+  const raw = value.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (raw.length !== CODE_LENGTH || [...raw].some((c) => !CODE_ALPHABET.includes(c))) return null;
+  return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+}
+
+/**
+ * Issues a ticket for a verified participant and records its code.
+ * Returns { ticket, code, email, expiresAt }.
+ */
+export async function issueTicket(repo, email) {
+  const ttl = famhackConfig().ticketTtlSeconds;
+  const code = ticketCode(email);
+  await repo.checkins.upsertTicket({ email, code });
+  return {
+    ticket: signToken('ticket', { sub: email }, ttl),
+    code,
+    email,
+    expiresAt: new Date(Date.now() + ttl * 1000).toISOString(),
+  };
+}
+
+// The signature proves we issued the ticket; the row proves it hasn't been withdrawn since
+// (deleting a participant's data removes it).
+async function ticketHolder(repo, { ticket, code }) {
+  if (ticket) {
+    const payload = verifyToken(ticket, 'ticket');
+    if (!payload) throw new HttpError(400, 'invalid_ticket', 'This ticket is not valid.');
+    const row = await repo.checkins.findTicket(payload.sub);
+    if (!row) throw new HttpError(404, 'ticket_not_found', 'This ticket has been withdrawn.');
+    return row.email;
+  }
+
+  const normalized = normalizeTicketCode(code);
+  if (!normalized) throw new HttpError(400, 'invalid_ticket', 'Ticket codes look like ABCD-EFGH.');
+  const row = await repo.checkins.findTicketByCode(normalized);
+  if (!row) throw new HttpError(404, 'ticket_not_found', 'No ticket has been issued with that code.');
+  return row.email;
+}
+
+/**
+ * Checks in the holder of a scanned ticket or typed code. A second scan of the same ticket
+ * is reported as a duplicate with the original check-in time. Returns
+ * { status: 'checked_in' | 'duplicate', email, teamId, checkedInAt, scans }.
+ */
+export async function checkIn(repo, input) {
+  const email = await ticketHolder(repo, input);
+  const membership = await getMembership(repo, email);
+  const teamId = membership ? membership.team_id : null;
+
+  try {
+    const row = await repo.checkins.insert({ email });
+    return { status: 'checked_in', email, teamId, checkedInAt: row.checked_in_at, scans: row.scans };
+  } catch (err) {
+    if (!(err instanceof ConflictError)) throw err;
+  }
+
+  const scans = await repo.checkins.recordScan(email);
+  const existing = await repo.checkins.find(email);
+  return { status: 'duplicate', email, teamId, checkedInAt: existing.checked_in_at, scans };
+}
+
+/**
+ * Check-in counts overall and per team (teams with nobody in yet included), plus
+ * participants without a team.
+ */
+export async function checkinSummary(repo) {
+  const [checkins, members, tickets] = await Promise.all([
+    repo.checkins.list(),
+    repo.teams.listMembers(),
+    repo.checkins.countTickets(),
+  ]);
+  const checkedIn = new Set(checkins.map((c) => c.email));
+
+  const teams = new Map();
+  members.forEach((m) => {
+    const team = teams.get(m.team_id) || { teamId: m.team_id, members: 0, checkedIn: 0 };
+    team.members += 1;
+    if (checkedIn.has(m.email)) team.checkedIn += 1;
+    teams.set(m.team_id, team);
+  });
+  const inTeams = new Set(members.map((m) => m.email));
+
+  return {
+    checkedIn: checkins.length,
+    ticketsIssued: tickets,
+    withoutTeam: checkins.filter((c) => !inTeams.has(c.email)).length,
+    teams: [...teams.values()].sort((a, b) => b.checkedIn - a.checkedIn || a.teamId.localeCompare(b.teamId)),
+  };
+}
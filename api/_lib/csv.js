@@ -0,0 +1,21 @@
+// api/_lib/csv.js
+// Minimal CSV writer for admin exports (RFC 4180 quoting).
+
+function csvCell(value) {
+  if (value == null) return '';
+  let text = Array.isArray(value) ? value.join(';') : String(value);
+  // Stop spreadsheets from evaluating cells as formulas (numbers like -0.5 are left alone)
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders rows as CSV using `columns` ([{ key, label }]) for the header and cell order.
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map((c) => csvCell(c.label)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((c) => csvCell(row[c.key])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
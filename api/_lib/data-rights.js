@@ -0,0 +1,194 @@
+// api/_lib/data-rights.js
+// Self-service unsubscribe, export and deletion of everything stored about an email.
+// Requests are authorised by signed links we email to that address:
+//   'data-rights' tokens (24h) – export, delete and unsubscribe; sent on request
+//   'unsubscribe' tokens (1y)  – unsubscribe only; included in every waitlist email
+
+import { getSigningSecret, signToken, verifyToken } from './signing.js';
+import { getMembership, getTeam, removeFromTeamForDeletion } from './teams.js';
+import { exportFinderProfile, exportFinderRequests } from './team-finder.js';
+import { revokeSessions } from './session.js';
+
+export const DATA_RIGHTS_TTL_SECONDS = 24 * 60 * 60;
+const UNSUBSCRIBE_TTL_SECONDS = 365 * 24 * 60 * 60;
+
+export function dataRightsToken(email) {
+  return signToken('data-rights', { sub: email }, DATA_RIGHTS_TTL_SECONDS);
+}
+
+export function unsubscribeToken(email) {
+  return signToken('unsubscribe', { sub: email }, UNSUBSCRIBE_TTL_SECONDS);
+}
+
+/**
+ * Unsubscribe link and RFC 8058 one-click headers for an outgoing waitlist email,
+ * or null when SIGNING_SECRET is not set. The visible link opens a confirmation page,
+ * so mail scanners that prefetch links cannot unsubscribe anyone.
+ */
+export function unsubscribeLinks(origin, email) {
+  if (!getSigningSecret()) return null;
+  const token = encodeURIComponent(unsubscribeToken(email));
+  return {
+    unsubscribeUrl: `${origin}/privacy.html?action=unsubscribe&token=${token}`,
+    headers: {
+      'List-Unsubscribe': `<${origin}/api/waitlist/unsubscribe?token=${token}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+    },
+  };
+}
+
+/**
+ * Returns the email a token speaks for, or null. `allowUnsubscribe` also accepts
+ * the long-lived unsubscribe-only tokens.
+ */
+export function emailFromToken(token, { allowUnsubscribe = false } = {}) {
+  const payload = verifyToken(token, 'data-rights')
+    || (allowUnsubscribe ? verifyToken(token, 'unsubscribe') : null);
+  return payload ? payload.sub : null;
+}
+
+const WAITLIST_EXPORT_FIELDS = [
+  'email', 'created_at', 'confirmation_status', 'confirm_sent_at', 'confirmed_at', 'referral_code', 'referred_by',
+  'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'referrer', 'landing_path', 'locale',
+  'first_seen_at', 'beta_status', 'invited_at', 'activated_at',
+];
+const OTP_EXPORT_FIELDS = ['email', 'expires_at', 'attempts', 'last_sent_at', 'created_at'];
+const REVISION_EXPORT_FIELDS = ['team_id', 'version', 'edited_at', 'changed_fields', 'snapshot'];
+const JUDGE_EXPORT_FIELDS = ['name', 'active', 'created_at'];
+const SCORE_EXPORT_FIELDS = ['team_id', 'scores', 'total', 'comment', 'updated_at'];
+const TICKET_EXPORT_FIELDS = ['code', 'issued_at'];
+const CHECKIN_EXPORT_FIELDS = ['checked_in_at', 'scans', 'last_scan_at'];
+const INVITE_EXPORT_FIELDS = ['team_id', 'max_uses', 'uses', 'expires_at', 'revoked_at', 'created_at'];
+const DELIVERY_EXPORT_FIELDS = ['event', 'payload', 'status', 'created_at', 'delivered_at'];
+
+function pick(row, fields) {
+  if (!row) return null;
+  return Object.fromEntries(fields.map((f) => [f, row[f] ?? null]));
+}
+
+async function exportJudging(repo, email) {
+  const judge = await repo.judging.findJudge(email);
+  if (!judge) return null;
+
+  const filter = { judgeEmail: email };
+  const [conflicts, assignments, scores] = await Promise.all([
+    repo.judging.listConflicts(filter),
+    repo.judging.listAssignments(filter),
+    repo.judging.listScores(filter),
+  ]);
+  return {
+    ...pick(judge, JUDGE_EXPORT_FIELDS),
+    conflicts: conflicts.map((c) => c.team_id),
+    assignments: assignments.map((a) => pick(a, ['team_id', 'assigned_at'])),
+    scores: scores.map((row) => pick(row, SCORE_EXPORT_FIELDS)),
+  };
+}
+
+/**
+ * True when we hold anything at all for this email.
+ */
+export async function hasPersonalData(repo, email) {
+  const found = await Promise.all([
+    repo.waitlist.findByEmail(email),
+    getMembership(repo, email),
+    repo.otps.find(email),
+    repo.submissions.listRevisionsBy(email).then((rows) => rows.length > 0),
+    repo.judging.findJudge(email),
+    repo.checkins.findTicket(email),
+    repo.checkins.find(email),
+    repo.finder.findProfile(email),
+    repo.finder.listRequestsBy(email).then((rows) => rows.length > 0),
+    repo.invites.listInvitesBy(email).then((rows) => rows.length > 0),
+    repo.webhooks.listDeliveriesFor(email).then((rows) => rows.length > 0),
+  ]);
+  return found.some(Boolean);
+}
+
+/**
+ * Removes the email from the waitlist. Returns true when a row was deleted.
+ */
+export async function unsubscribeFromWaitlist(repo, email) {
+  return repo.waitlist.remove(email);
+}
+
+/**
+ * Everything stored about an email, minus secrets (token and code hashes).
+ */
+export async function exportPersonalData(repo, email) {
+  const [
+    waitlist, otp, membership, revisions, judging, ticket, checkin, finderProfile, finderRequests, invites,
+    deliveries,
+  ] = await Promise.all([
+    repo.waitlist.findByEmail(email),
+    repo.otps.find(email),
+    getMembership(repo, email),
+    repo.submissions.listRevisionsBy(email),
+    exportJudging(repo, email),
+    repo.checkins.findTicket(email),
+    repo.checkins.find(email),
+    exportFinderProfile(repo, email),
+    exportFinderRequests(repo, email),
+    repo.invites.listInvitesBy(email),
+    repo.webhooks.listDeliveriesFor(email),
+  ]);
+
+  let famhackTeam = null;
+  if (membership) {
+    const team = await getTeam(repo, membership.team_id);
+    famhackTeam = {
+      teamId: membership.team_id,
+      isLeader: membership.is_leader,
+      joinedAt: membership.joined_at,
+      teamCreatedAt: team ? team.createdAt : null,
+      // Teammates' addresses are their data, not yours
+      memberCount: team ? team.members.length : null,
+    };
+  }
+
+  return {
+    email,
+    exportedAt: new Date().toISOString(),
+    waitlist: pick(waitlist, WAITLIST_EXPORT_FIELDS),
+    famhack: {
+      pendingVerification: pick(otp, OTP_EXPORT_FIELDS),
+      team: famhackTeam,
+      // Every submission save you made, including for teams you have since left
+      submissionRevisions: revisions.map((r) => pick(r, REVISION_EXPORT_FIELDS)),
+      judging,
+      ticket: pick(ticket, TICKET_EXPORT_FIELDS),
+      checkin: pick(checkin, CHECKIN_EXPORT_FIELDS),
+      finderProfile,
+      finderRequests,
+      teamInvites: invites.map((i) => pick(i, INVITE_EXPORT_FIELDS)),
+    },
+    // Events about you that were sent on to our other tools, without where to (endpoint URLs
+    // can hold their own secrets)
+    webhookDeliveries: deliveries.map((d) => pick(d, DELIVERY_EXPORT_FIELDS)),
+  };
+}
+
+/**
+ * Deletes everything stored about an email, including event tickets, check-ins,
+ * team-finder profiles and requests, the team invite links they made, and logged
+ * webhook deliveries about them, and signs them out of FamHack everywhere.
+ * Team leadership is handed on or the team dissolved.
+ * The team's submission stays, but no longer says who edited it.
+ * Judges are left for organisers to remove, since their scores feed the results.
+ */
+export async function deletePersonalData(repo, email) {
+  const team = await removeFromTeamForDeletion(repo, email);
+
+  const [, waitlistRemoved] = await Promise.all([
+    repo.otps.remove(email),
+    unsubscribeFromWaitlist(repo, email),
+    repo.submissions.clearEditor(email),
+    repo.checkins.remove(email),
+    repo.finder.removeProfile(email),
+    repo.finder.removeRequests(email),
+    repo.invites.removeInvitesBy(email),
+    repo.webhooks.removeDeliveriesFor(email),
+    revokeSessions(repo, email),
+  ]);
+
+  return { waitlist: waitlistRemoved, team };
+}
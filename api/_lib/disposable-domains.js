@@ -0,0 +1,55 @@
+// api/_lib/disposable-domains.js
+// Blocklist of throwaway email providers. DISPOSABLE_EMAIL_DOMAINS (comma-separated)
+// adds to the built-in list; subdomains of a listed domain are blocked too.
+
+import { emailDomain } from './email.js';
+
+const BUILT_IN = [
+  '10minutemail.com',
+  '20minutemail.com',
+  'dispostable.com',
+  'emailondeck.com',
+  'fakeinbox.com',
+  'getairmail.com',
+  'getnada.com',
+  'guerrillamail.com',
+  'guerrillamail.net',
+  'guerrillamailblock.com',
+  'maildrop.cc',
+  'mailinator.com',
+  'mailnesia.com',
+  'mintemail.com',
+  'mohmal.com',
+  'moakt.com',
+  'mytemp.email',
+  'sharklasers.com',
+  'spamgourmet.com',
+  'temp-mail.org',
+  'tempail.com',
+  'tempmail.com',
+  'tempmailo.com',
+  'tempr.email',
+  'throwawaymail.com',
+  'trashmail.com',
+  'yopmail.com',
+];
+
+function blockedDomains() {
+  const extra = (process.env.DISPOSABLE_EMAIL_DOMAINS || '')
+    .split(',')
+    .map((d) => d.trim().toLowerCase().replace(/^@/, ''))
+    .filter(Boolean);
+  return new Set([...BUILT_IN, ...extra]);
+}
+
+/**
+ * True when a normalised email belongs to a disposable provider.
+ */
+export function isDisposableEmail(email) {
+  const blocked = blockedDomains();
+  const labels = emailDomain(email).split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    if (blocked.has(labels.slice(i).join('.'))) return true;
+  }
+  return false;
+}
@@ -0,0 +1,95 @@
+// api/_lib/eligibility.js
+// Who may register for FamHack. Rules come from env vars:
+//   FAMHACK_INSTITUTIONS   – JSON [{ "name": "...", "domains": ["ed.ac.uk", "*.ed.ac.uk"] }]
+//                            "*.x" matches any subdomain of x (but not x itself)
+//   FAMHACK_ALLOWED_EMAILS – comma-separated addresses accepted regardless of domain
+//   FAMHACK_BLOCKED_EMAILS – comma-separated addresses always refused
+// The browser gets the same rules from /api/public-config, with the two email lists
+// as SHA-256 hashes so individual addresses are never published.
+
+import { createHash } from 'node:crypto';
+import { emailDomain } from './email.js';
+
+const DEFAULT_INSTITUTIONS = [
+  { name: 'University of Edinburgh', domains: ['ed.ac.uk', '*.ed.ac.uk'] },
+];
+
+function emailList(value) {
+  return (value || '')
+    .split(',')
+    .map((e) => e.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function parseInstitutions(value) {
+  if (!value) return DEFAULT_INSTITUTIONS;
+  try {
+    const parsed = JSON.parse(value);
+    const institutions = parsed
+      .filter((i) => i && typeof i.name === 'string' && Array.isArray(i.domains))
+      .map((i) => ({
+        name: i.name.trim(),
+        domains: i.domains.map((d) => String(d).trim().toLowerCase().replace(/^@/, '')).filter(Boolean),
+      }))
+      .filter((i) => i.domains.length > 0);
+    return institutions.length ? institutions : DEFAULT_INSTITUTIONS;
+  } catch (err) {
+    console.error('[eligibility] FAMHACK_INSTITUTIONS is not valid JSON:', err.message);
+    return DEFAULT_INSTITUTIONS;
+  }
+}
+
+export function eligibilityRules() {
+  return {
+    institutions: parseInstitutions(process.env.FAMHACK_INSTITUTIONS),
+    allowedEmails: emailList(process.env.FAMHACK_ALLOWED_EMAILS),
+    blockedEmails: emailList(process.env.FAMHACK_BLOCKED_EMAILS),
+  };
+}
+
+/**
+ * True when `domain` matches a rule: exact ("ed.ac.uk") or any subdomain ("*.ed.ac.uk").
+ */
+export function domainMatches(domain, pattern) {
+  if (pattern.startsWith('*.')) {
+    return domain.endsWith(pattern.slice(1)) && domain.length > pattern.length - 1;
+  }
+  return domain === pattern;
+}
+
+/**
+ * Checks a normalised email. Returns { eligible: true } or { eligible: false, reason }
+ * where reason is 'blocked' or 'institution'. Blocks win over the allowlist.
+ */
+export function checkEligibility(email, rules = eligibilityRules()) {
+  if (rules.blockedEmails.includes(email)) return { eligible: false, reason: 'blocked' };
+  if (rules.allowedEmails.includes(email)) return { eligible: true };
+
+  const domain = emailDomain(email);
+  const matched = rules.institutions.some((i) => i.domains.some((d) => domainMatches(domain, d)));
+  return matched ? { eligible: true } : { eligible: false, reason: 'institution' };
+}
+
+/**
+ * "University of Edinburgh (@ed.ac.uk, @*.ed.ac.uk)" for each institution.
+ */
+export function describeInstitutions(rules = eligibilityRules()) {
+  return rules.institutions
+    .map((i) => `${i.name} (${i.domains.map((d) => `@${d}`).join(', ')})`)
+    .join('; ');
+}
+
+function sha256(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * The rules as published to the browser: email lists are hashed.
+ */
+export function publicEligibility(rules = eligibilityRules()) {
+  return {
+    institutions: rules.institutions,
+    allowedEmailHashes: rules.allowedEmails.map(sha256),
+    blockedEmailHashes: rules.blockedEmails.map(sha256),
+  };
+}
@@ -0,0 +1,30 @@
+// api/_lib/email.js
+// Email normalisation and validation shared by the API routes.
+
+const MAX_EMAIL_LENGTH = 254;
+const EMAIL_PATTERN = /^[^\s@]+@[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)+$/;
+
+/**
+ * Trims and lower-cases an email so the same address always maps to the same row.
+ */
+export function normalizeEmail(value) {
+  if (typeof value !== 'string') return '';
+  return value.trim().toLowerCase();
+}
+
+/**
+ * Checks an already-normalised email for a plausible shape.
+ */
+export function isValidEmail(email) {
+  if (!email || email.length > MAX_EMAIL_LENGTH) return false;
+  const local = email.slice(0, email.lastIndexOf('@'));
+  if (local.length > 64) return false;
+  return EMAIL_PATTERN.test(email);
+}
+
+/**
+ * Returns the domain part of a normalised email.
+ */
+export function emailDomain(email) {
+  return email.slice(email.lastIndexOf('@') + 1);
+}
@@ -0,0 +1,43 @@
+// api/_lib/famhack-config.js
+// FamHack registration settings, overridable through env vars.
+// Who may register lives in eligibility.js.
+
+function intFromEnv(name, fallback) {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// An ISO 8601 timestamp as epoch milliseconds, or null when unset or unparseable
+function timeFromEnv(name) {
+  const value = Date.parse(process.env[name] || '');
+  return Number.isFinite(value) ? value : null;
+}
+
+function listFromEnv(name) {
+  return (process.env[name] || '').split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+export function famhackConfig() {
+  return {
+    otpLength: 6,
+    otpTtlSeconds: intFromEnv('FAMHACK_OTP_TTL', 10 * 60),
+    otpMaxAttempts: intFromEnv('FAMHACK_OTP_MAX_ATTEMPTS', 5),
+    otpResendDelay: intFromEnv('FAMHACK_OTP_RESEND_DELAY', 30),
+    // How long a sign-in session lasts without being used
+    identityTtlSeconds: intFromEnv('FAMHACK_IDENTITY_TTL', 7 * 24 * 60 * 60),
+    maxTeamSize: intFromEnv('FAMHACK_MAX_TEAM_SIZE', 4),
+    // How long a team invite link works unless the leader picks a shorter time
+    inviteTtlSeconds: intFromEnv('FAMHACK_INVITE_TTL', 7 * 24 * 60 * 60),
+    // Submissions stay editable until this time; null keeps them open
+    submissionDeadline: timeFromEnv('FAMHACK_SUBMISSION_DEADLINE'),
+    // Tracks a submission can enter; empty means any track name is accepted
+    tracks: listFromEnv('FAMHACK_TRACKS'),
+    // How many judges should score each submission
+    judgesPerSubmission: intFromEnv('FAMHACK_JUDGES_PER_SUBMISSION', 3),
+    judgeSessionTtlSeconds: intFromEnv('FAMHACK_JUDGE_SESSION_TTL', 12 * 60 * 60),
+    // Event-day tickets must stay valid from registration until the event is over
+    ticketTtlSeconds: intFromEnv('FAMHACK_TICKET_TTL', 30 * 24 * 60 * 60),
+    // IANA timezone the schedule is entered and shown in
+    timezone: process.env.FAMHACK_TIMEZONE || 'Europe/London',
+  };
+}
@@ -0,0 +1,107 @@
+// api/_lib/http.js
+// Small request/response helpers shared by the API routes.
+
+/**
+ * Returns the JSON body as an object. Vercel parses JSON bodies already,
+ * but a body sent without a JSON content type arrives as a string.
+ */
+export function parseBody(req) {
+  const { body } = req;
+  if (!body) return {};
+  if (typeof body === 'object') return body;
+  try {
+    const parsed = JSON.parse(body);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+/**
+ * Answers CORS preflight and rejects unsupported methods.
+ * Returns true when the response has already been sent.
+ */
+export function handleMethod(req, res, allowed) {
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return true;
+  }
+  if (!allowed.includes(req.method)) {
+    res.setHeader('Allow', [...allowed, 'OPTIONS'].join(', '));
+    res.status(405).json({ error: 'Method not allowed.', code: 'method_not_allowed' });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Returns the public origin used in links we email out.
+ * PUBLIC_SITE_URL wins; otherwise it is derived from the request.
+ */
+export function siteUrl(req) {
+  if (process.env.PUBLIC_SITE_URL) return process.env.PUBLIC_SITE_URL.replace(/\/+$/, '');
+  const headers = req.headers || {};
+  const proto = headers['x-forwarded-proto'] || 'https';
+  const host = headers['x-forwarded-host'] || headers.host || 'localhost:3000';
+  return `${proto}://${host}`;
+}
+
+/**
+ * Returns the caller's IP as seen by the Vercel edge (first X-Forwarded-For hop).
+ */
+export function clientIp(req) {
+  const headers = req.headers || {};
+  const forwarded = headers['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  if (headers['x-real-ip']) return String(headers['x-real-ip']).trim();
+  return (req.socket && req.socket.remoteAddress) || '';
+}
+
+/**
+ * Returns the request's cookies as { name: value }.
+ */
+export function parseCookies(req) {
+  const header = (req.headers && req.headers.cookie) || '';
+  const cookies = {};
+  header.split(';').forEach((pair) => {
+    const index = pair.indexOf('=');
+    if (index === -1) return;
+    const name = pair.slice(0, index).trim();
+    if (!name || name in cookies) return;
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (_) {
+      cookies[name] = pair.slice(index + 1).trim();
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Error carrying an HTTP status and a machine-readable code for the route to return,
+ * and optionally the request `field` it is about.
+ */
+export class HttpError extends Error {
+  constructor(status, code, message, field = null) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.field = field;
+  }
+}
+
+/**
+ * Sends an HttpError as its JSON response (with `field` when it names one),
+ * or logs anything else under `tag` and answers a generic 500.
+ */
+export function sendError(res, err, tag) {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({
+      error: err.message,
+      code: err.code,
+      ...(err.field ? { field: err.field } : {}),
+    });
+  }
+  console.error(tag, err.message);
+  return res.status(500).json({ error: 'Something went wrong. Please try again.', code: 'server_error' });
+}
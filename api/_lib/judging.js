@@ -0,0 +1,328 @@
+// api/_lib/judging.js
+// FamHack judging: the rubric, judge assignments, scoring and the leaderboard.
+// The rubric comes from FAMHACK_RUBRIC, JSON of the form
+//   { "scale": { "min": 1, "max": 10 },
+//     "criteria": [{ "id": "impact", "label": "Impact", "weight": 3 }, …] }
+// A score's total is the weighted mean of its criteria, so it stays on the scale.
+// Judges differ in how harshly they mark, so rankings use each judge's totals as
+// z-scores (distance from that judge's own mean, in their standard deviations).
+// Freezing stores the leaderboard as it stands, and that copy is what is served until
+// scoring reopens, so later changes to judges or submissions can't move the rankings.
+
+import { famhackConfig } from './famhack-config.js';
+import { signToken } from './signing.js';
+import { getMembership } from './teams.js';
+import { submissionFields } from './submissions.js';
+import { HttpError } from './http.js';
+
+const DEFAULT_RUBRIC = {
+  scale: { min: 1, max: 10 },
+  criteria: [
+    { id: 'impact', label: 'Impact', weight: 3 },
+    { id: 'technical', label: 'Technical execution', weight: 3 },
+    { id: 'design', label: 'Design & usability', weight: 2 },
+    { id: 'presentation', label: 'Presentation', weight: 2 },
+  ],
+};
+const COMMENT_MAX = 2000;
+const NO_TRACK = '(no track)';
+
+function parseRubric(value) {
+  if (!value) return DEFAULT_RUBRIC;
+  try {
+    const parsed = JSON.parse(value);
+    const min = Number(parsed.scale && parsed.scale.min);
+    const max = Number(parsed.scale && parsed.scale.max);
+    const criteria = (parsed.criteria || [])
+      .filter((c) => c && /^[a-z0-9_-]{1,32}$/.test(c.id) && Number(c.weight) > 0)
+      .map((c) => ({ id: c.id, label: String(c.label || c.id), weight: Number(c.weight) }));
+
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min >= max || !criteria.length) {
+      console.error('[judging] FAMHACK_RUBRIC needs an integer scale and at least one criterion; using the default.');
+      return DEFAULT_RUBRIC;
+    }
+    return { scale: { min, max }, criteria };
+  } catch (err) {
+    console.error('[judging] FAMHACK_RUBRIC is not valid JSON:', err.message);
+    return DEFAULT_RUBRIC;
+  }
+}
+
+export function judgingRubric() {
+  return parseRubric(process.env.FAMHACK_RUBRIC);
+}
+
+/**
+ * Signed token a judge sends as their Bearer token; emailed to them by /api/judging/login.
+ */
+export function judgeToken(email) {
+  return signToken('judge', { sub: email }, famhackConfig().judgeSessionTtlSeconds);
+}
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+/**
+ * Weighted mean of a judge's criterion scores.
+ */
+export function weightedTotal(scores, rubric = judgingRubric()) {
+  const weight = rubric.criteria.reduce((sum, c) => sum + c.weight, 0);
+  return round(rubric.criteria.reduce((sum, c) => sum + c.weight * scores[c.id], 0) / weight);
+}
+
+/**
+ * Checks that every criterion has a whole-number score on the scale; returns { id: value }.
+ */
+export function validateScores(input, rubric = judgingRubric()) {
+  const { min, max } = rubric.scale;
+  const scores = {};
+  rubric.criteria.forEach((c) => {
+    const value = input && input[c.id];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new HttpError(400, 'invalid_scores', `Score "${c.label}" from ${min} to ${max}.`);
+    }
+    scores[c.id] = value;
+  });
+  return scores;
+}
+
+/**
+ * Returns the judge row, requiring an active judge.
+ */
+export async function requireActiveJudge(repo, email) {
+  const judge = await repo.judging.findJudge(email);
+  if (!judge || !judge.active) {
+    throw new HttpError(403, 'not_a_judge', 'You are not a FamHack judge.');
+  }
+  return judge;
+}
+
+/**
+ * Team IDs a judge must not score: declared conflicts, plus their own team if they have one.
+ */
+export async function excludedTeams(repo, email) {
+  const [conflicts, membership] = await Promise.all([
+    repo.judging.listConflicts({ judgeEmail: email }),
+    getMembership(repo, email),
+  ]);
+  const excluded = new Set(conflicts.map((c) => c.team_id));
+  if (membership) excluded.add(membership.team_id);
+  return excluded;
+}
+
+export async function isFrozen(repo) {
+  const state = await repo.judging.getState();
+  return !!state.frozen_at;
+}
+
+/**
+ * Freezes scoring with a snapshot of the results, or reopens it and drops the snapshot.
+ * Returns the new frozen_at (null when reopened).
+ */
+export async function setFrozen(repo, frozen) {
+  if (!frozen) {
+    await repo.judging.setState({ frozen_at: null, results: null });
+    return null;
+  }
+
+  const frozenAt = new Date().toISOString();
+  const results = await rankResults(repo);
+  await repo.judging.setState({ frozen_at: frozenAt, results });
+  return frozenAt;
+}
+
+/**
+ * Tops up assignments so every submission has `perSubmission` active judges where possible,
+ * giving each one to the least-loaded judges without a conflict. Existing assignments stay.
+ * Returns { assigned, understaffed } – the number added and teams still short of judges.
+ */
+export async function assignJudges(repo, perSubmission = famhackConfig().judgesPerSubmission) {
+  const [judges, submissions, assignments] = await Promise.all([
+    repo.judging.listJudges(),
+    repo.submissions.list(),
+    repo.judging.listAssignments(),
+  ]);
+  const active = judges.filter((j) => j.active);
+  const activeEmails = new Set(active.map((j) => j.email));
+  const exclusions = new Map(await Promise.all(
+    active.map(async (j) => [j.email, await excludedTeams(repo, j.email)]),
+  ));
+
+  const load = new Map(active.map((j) => [j.email, 0]));
+  const judgesOf = new Map(submissions.map((s) => [s.team_id, new Set()]));
+  assignments
+    .filter((a) => activeEmails.has(a.judge_email) && judgesOf.has(a.team_id))
+    .forEach((a) => {
+      load.set(a.judge_email, load.get(a.judge_email) + 1);
+      judgesOf.get(a.team_id).add(a.judge_email);
+    });
+
+  const rows = [];
+  const understaffed = [];
+  const neediestFirst = [...submissions].sort((a, b) => judgesOf.get(a.team_id).size - judgesOf.get(b.team_id).size);
+
+  neediestFirst.forEach(({ team_id: teamId }) => {
+    const assigned = judgesOf.get(teamId);
+    const candidates = active
+      .filter((j) => !assigned.has(j.email) && !exclusions.get(j.email).has(teamId))
+      .sort((a, b) => load.get(a.email) - load.get(b.email) || a.email.localeCompare(b.email));
+
+    candidates.slice(0, Math.max(0, perSubmission - assigned.size)).forEach((j) => {
+      rows.push({ judge_email: j.email, team_id: teamId });
+      assigned.add(j.email);
+      load.set(j.email, load.get(j.email) + 1);
+    });
+    if (assigned.size < perSubmission) understaffed.push(teamId);
+  });
+
+  await repo.judging.insertAssignments(rows);
+  return { assigned: rows.length, understaffed };
+}
+
+function formatScore(row) {
+  return row ? { scores: row.scores, total: Number(row.total), comment: row.comment, updatedAt: row.updated_at } : null;
+}
+
+/**
+ * A judge's assigned submissions with their own score for each, unscored ones first.
+ * Team members' emails are left out.
+ */
+export async function judgeQueue(repo, email) {
+  const [assignments, submissions, scores, excluded] = await Promise.all([
+    repo.judging.listAssignments({ judgeEmail: email }),
+    repo.submissions.list(),
+    repo.judging.listScores({ judgeEmail: email }),
+    excludedTeams(repo, email),
+  ]);
+  const submissionOf = new Map(submissions.map((s) => [s.team_id, s]));
+  const scoreOf = new Map(scores.map((s) => [s.team_id, s]));
+
+  return assignments
+    .filter((a) => submissionOf.has(a.team_id) && !excluded.has(a.team_id))
+    .map((a) => ({
+      teamId: a.team_id,
+      ...submissionFields(submissionOf.get(a.team_id)),
+      score: formatScore(scoreOf.get(a.team_id)),
+    }))
+    .sort((a, b) => Number(!!a.score) - Number(!!b.score));
+}
+
+/**
+ * Records (or replaces) a judge's score for an assigned submission.
+ */
+export async function saveScore(repo, email, teamId, body) {
+  if (await isFrozen(repo)) {
+    throw new HttpError(409, 'scores_frozen', 'Scores are frozen and can no longer change.');
+  }
+
+  const [assignments, excluded] = await Promise.all([
+    repo.judging.listAssignments({ judgeEmail: email }),
+    excludedTeams(repo, email),
+  ]);
+  if (excluded.has(teamId)) {
+    throw new HttpError(403, 'conflict_of_interest', 'You have a conflict of interest with this team.');
+  }
+  if (!assignments.some((a) => a.team_id === teamId)) {
+    throw new HttpError(404, 'not_assigned', 'That submission is not in your queue.');
+  }
+
+  const rubric = judgingRubric();
+  const scores = validateScores(body.scores, rubric);
+  const comment = typeof body.comment === 'string' ? body.comment.trim().slice(0, COMMENT_MAX) : '';
+  const row = {
+    judge_email: email,
+    team_id: teamId,
+    scores,
+    total: weightedTotal(scores, rubric),
+    comment,
+    updated_at: new Date().toISOString(),
+  };
+
+  await repo.judging.upsertScore(row);
+  return formatScore(row);
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+/**
+ * The z-score of each (judge, team) total against that judge's own totals; 0 for every
+ * score of a judge who gave everyone the same total.
+ */
+export function normalizeByJudge(scores) {
+  const totalsByJudge = new Map();
+  scores.forEach((s) => {
+    if (!totalsByJudge.has(s.judge_email)) totalsByJudge.set(s.judge_email, []);
+    totalsByJudge.get(s.judge_email).push(Number(s.total));
+  });
+
+  const stats = new Map([...totalsByJudge].map(([judge, totals]) => {
+    const avg = mean(totals);
+    const sd = Math.sqrt(mean(totals.map((t) => (t - avg) ** 2)));
+    return [judge, { avg, sd }];
+  }));
+
+  return scores.map((s) => {
+    const { avg, sd } = stats.get(s.judge_email);
+    return { ...s, z: sd > 0 ? (Number(s.total) - avg) / sd : 0 };
+  });
+}
+
+// The leaderboard from the scores as they are now
+async function rankResults(repo) {
+  const rubric = judgingRubric();
+  const [submissions, scores, judges] = await Promise.all([
+    repo.submissions.list(),
+    repo.judging.listScores(),
+    repo.judging.listJudges(),
+  ]);
+  const active = new Set(judges.filter((j) => j.active).map((j) => j.email));
+  const normalized = normalizeByJudge(scores.filter((s) => active.has(s.judge_email)));
+
+  const entries = submissions.map((submission) => {
+    const mine = normalized.filter((s) => s.team_id === submission.team_id);
+    const criteria = Object.fromEntries(rubric.criteria.map((c) => {
+      const avg = mean(mine.map((s) => s.scores[c.id]).filter((v) => v !== undefined));
+      return [c.id, avg === null ? null : round(avg)];
+    }));
+    const raw = mean(mine.map((s) => Number(s.total)));
+    const z = mean(mine.map((s) => s.z));
+
+    return {
+      teamId: submission.team_id,
+      title: submission.title,
+      track: submission.track || NO_TRACK,
+      judges: mine.length,
+      normalizedScore: z === null ? null : round(z),
+      rawScore: raw === null ? null : round(raw),
+      criteria,
+    };
+  });
+
+  const tracks = [...new Set(entries.map((e) => e.track))].sort((a, b) => a.localeCompare(b));
+  return {
+    rubric,
+    tracks: tracks.map((track) => {
+      const ranked = entries
+        .filter((e) => e.track === track)
+        .sort((a, b) => (
+          (b.judges > 0) - (a.judges > 0)
+          || (b.normalizedScore ?? 0) - (a.normalizedScore ?? 0)
+          || (b.rawScore ?? 0) - (a.rawScore ?? 0)
+          || a.title.localeCompare(b.title)
+        ));
+      return { track, entries: ranked.map((e, i) => ({ rank: e.judges > 0 ? i + 1 : null, ...e })) };
+    }),
+  };
+}
+
+/**
+ * Leaderboard per track. Entries rank by normalised score, then raw score; submissions
+ * nobody has scored yet come last without a rank. Only active judges' scores count.
+ * While scoring is frozen this is the snapshot taken at the freeze.
+ */
+export async function computeResults(repo) {
+  const state = await repo.judging.getState();
+  const results = state.frozen_at && state.results ? state.results : await rankResults(repo);
+  return { frozen: !!state.frozen_at, frozenAt: state.frozen_at, ...results };
+}
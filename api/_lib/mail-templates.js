@@ -0,0 +1,109 @@
+// api/_lib/mail-templates.js
+// Subject and body for every email the API sends. Each template returns { subject, text, html }.
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export function waitlistConfirmation({ confirmUrl, unsubscribeUrl }) {
+  const text = [
+    'Thanks for joining the Accio waitlist!',
+    '',
+    'Confirm your email address to keep your spot:',
+    confirmUrl,
+    '',
+    "If you didn't sign up, you can ignore this email.",
+  ];
+  let html = `<p>Thanks for joining the Accio waitlist!</p>
+<p><a href="${escapeHtml(confirmUrl)}">Confirm your email address</a> to keep your spot.</p>
+<p>If you didn't sign up, you can ignore this email.</p>`;
+
+  if (unsubscribeUrl) {
+    text.push('', `Leave the waitlist: ${unsubscribeUrl}`);
+    html += `\n<p style="font-size:0.85em"><a href="${escapeHtml(unsubscribeUrl)}">Leave the waitlist</a></p>`;
+  }
+
+  return {
+    subject: 'Confirm your spot on the Accio waitlist',
+    text: text.join('\n'),
+    html,
+  };
+}
+
+export function famhackOtp({ code, ttlMinutes }) {
+  return {
+    subject: `Your FamHack verification code: ${code}`,
+    text: [
+      `Your FamHack verification code is ${code}.`,
+      '',
+      `It expires in ${ttlMinutes} minutes. If you didn't request it, you can ignore this email.`,
+    ].join('\n'),
+    html: `<p>Your FamHack verification code is <strong style="font-size:1.4em;letter-spacing:0.2em">${escapeHtml(code)}</strong>.</p>
+<p>It expires in ${ttlMinutes} minutes. If you didn't request it, you can ignore this email.</p>`,
+  };
+}
+
+export function dataRightsLinks({ manageUrl, exportUrl, ttlHours }) {
+  return {
+    subject: 'Manage your Accio data',
+    text: [
+      'You asked to manage the data Accio holds about this email address.',
+      '',
+      'Leave the waitlist or delete everything:',
+      manageUrl,
+      '',
+      'Download a copy of your data:',
+      exportUrl,
+      '',
+      `These links expire in ${ttlHours} hours. If you didn't ask for them, you can ignore this email.`,
+    ].join('\n'),
+    html: `<p>You asked to manage the data Accio holds about this email address.</p>
+<p><a href="${escapeHtml(manageUrl)}">Leave the waitlist or delete everything</a></p>
+<p><a href="${escapeHtml(exportUrl)}">Download a copy of your data</a></p>
+<p>These links expire in ${ttlHours} hours. If you didn't ask for them, you can ignore this email.</p>`,
+  };
+}
+
+export function judgeSignIn({ signInUrl, ttlHours }) {
+  return {
+    subject: 'Your FamHack judging link',
+    text: [
+      'Use this link to open your FamHack judging queue:',
+      signInUrl,
+      '',
+      `It works for ${ttlHours} hours. If you didn't ask for it, you can ignore this email.`,
+    ].join('\n'),
+    html: `<p><a href="${escapeHtml(signInUrl)}">Open your FamHack judging queue</a></p>
+<p>It works for ${ttlHours} hours. If you didn't ask for it, you can ignore this email.</p>`,
+  };
+}
+
+export function betaInvite({ code, redeemUrl, unsubscribeUrl }) {
+  const text = [
+    "You're in! Your spot on the Accio waitlist has come up.",
+    '',
+    `Your one-time access code is ${code}. Activate it here:`,
+    redeemUrl,
+    '',
+    'The code works once, so keep it to yourself.',
+  ];
+  let html = `<p>You're in! Your spot on the Accio waitlist has come up.</p>
+<p>Your one-time access code is <strong style="font-size:1.2em;letter-spacing:0.1em">${escapeHtml(code)}</strong>.</p>
+<p><a href="${escapeHtml(redeemUrl)}">Activate your access</a></p>
+<p>The code works once, so keep it to yourself.</p>`;
+
+  if (unsubscribeUrl) {
+    text.push('', `Leave the waitlist: ${unsubscribeUrl}`);
+    html += `\n<p style="font-size:0.85em"><a href="${escapeHtml(unsubscribeUrl)}">Leave the waitlist</a></p>`;
+  }
+
+  return {
+    subject: 'Your Accio access code',
+    text: text.join('\n'),
+    html,
+  };
+}
@@ -0,0 +1,61 @@
+// api/_lib/mailer.js
+// Pluggable outgoing email. MAIL_TRANSPORT picks the transport:
+//   console – logs the message (default outside production, for local dev)
+//   file    – writes each message as JSON into MAIL_OUTBOX_DIR (default .mail-outbox)
+//   resend  – sends through the Resend HTTP API using RESEND_API_KEY
+// In production (VERCEL_ENV or NODE_ENV set to 'production') there is no default: mail
+// carries one-time codes and sign-in links, so it must never end up in the logs by accident.
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const DEFAULT_FROM = 'Accio <no-reply@accio.app>';
+
+const transports = {
+  async console(message) {
+    console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+    return { id: null };
+  },
+
+  async file(message) {
+    const dir = process.env.MAIL_OUTBOX_DIR || '.mail-outbox';
+    await mkdir(dir, { recursive: true });
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await writeFile(path.join(dir, `${id}.json`), JSON.stringify(message, null, 2));
+    return { id };
+  },
+
+  async resend(message) {
+    const apiKey = process.env.RESEND_API_KEY;
+    if (!apiKey) throw new Error('RESEND_API_KEY is not set.');
+
+    const response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(message),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.message || `Resend responded ${response.status}`);
+    return { id: data.id || null };
+  },
+};
+
+function isProduction() {
+  return process.env.VERCEL_ENV === 'production' || process.env.NODE_ENV === 'production';
+}
+
+/**
+ * Sends one email through the configured transport.
+ * @param {{ to: string, subject: string, text: string, html?: string, headers?: Object<string, string> }} message
+ */
+export async function sendMail(message) {
+  const name = process.env.MAIL_TRANSPORT || (isProduction() ? null : 'console');
+  if (!name) throw new Error('MAIL_TRANSPORT is not set.');
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown MAIL_TRANSPORT "${name}".`);
+
+  return transport({ from: process.env.MAIL_FROM || DEFAULT_FROM, ...message });
+}
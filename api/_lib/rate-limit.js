@@ -0,0 +1,96 @@
+// api/_lib/rate-limit.js
+// Fixed-window rate limiting with a pluggable counter store. RATE_LIMIT_STORE picks it:
+//   memory   – per-instance Map (default; fine locally, leaky across serverless instances)
+//   supabase – shared counters through the rate_limit_hit() SQL function
+// A store is anything with `hit(key, windowSeconds) -> { count, resetAt }`.
+
+import { getServiceClient } from './supabase.js';
+import { clientIp } from './http.js';
+
+export function createMemoryStore() {
+  const windows = new Map();
+
+  return {
+    async hit(key, windowSeconds) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowSeconds * 1000 };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+
+      // Drop expired windows now and then so the map doesn't grow forever
+      if (windows.size > 10000) {
+        for (const [k, v] of windows) if (v.resetAt <= now) windows.delete(k);
+      }
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+  };
+}
+
+export function createSupabaseStore(supabase) {
+  return {
+    async hit(key, windowSeconds) {
+      const { data, error } = await supabase
+        .rpc('rate_limit_hit', { p_key: key, p_window_seconds: windowSeconds });
+
+      if (error) throw error;
+      const row = Array.isArray(data) ? data[0] : data;
+      return { count: row.count, resetAt: Date.parse(row.reset_at) };
+    },
+  };
+}
+
+let store = null;
+
+export function getRateLimitStore() {
+  if (store) return store;
+  const supabase = process.env.RATE_LIMIT_STORE === 'supabase' ? getServiceClient() : null;
+  store = supabase ? createSupabaseStore(supabase) : createMemoryStore();
+  return store;
+}
+
+/**
+ * Counts one hit against every rule ({ key, limit, windowSeconds }) and returns
+ * { retryAfter } for the first rule that is over its limit, or null.
+ * A failing store lets the request through rather than locking everyone out.
+ */
+export async function checkRateLimits(rules, rateStore = getRateLimitStore()) {
+  let blocked = null;
+  for (const rule of rules) {
+    if (!rule.key) continue;
+    try {
+      const { count, resetAt } = await rateStore.hit(rule.key, rule.windowSeconds);
+      if (count > rule.limit) {
+        const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+        if (!blocked || retryAfter > blocked.retryAfter) blocked = { retryAfter };
+      }
+    } catch (err) {
+      console.error('[rate-limit]', err.message);
+    }
+  }
+  return blocked;
+}
+
+/**
+ * Applies per-IP and per-email limits for a route and answers 429 itself when one is hit.
+ * Returns true when the response has already been sent.
+ */
+export async function enforceRateLimits(req, res, scope, { email, perIp, perEmail }) {
+  const ip = clientIp(req);
+  const rules = [];
+  if (perIp && ip) rules.push({ key: `${scope}:ip:${ip}`, ...perIp });
+  if (perEmail && email) rules.push({ key: `${scope}:email:${email}`, ...perEmail });
+
+  const blocked = await checkRateLimits(rules);
+  if (!blocked) return false;
+
+  res.setHeader('Retry-After', String(blocked.retryAfter));
+  res.status(429).json({
+    error: `Too many attempts. Try again in ${blocked.retryAfter} seconds.`,
+    code: 'rate_limited',
+    retryAfter: blocked.retryAfter,
+  });
+  return true;
+}
@@ -0,0 +1,55 @@
+// api/_lib/referrals.js
+// Referral codes and queue position for the waitlist.
+
+import { randomInt } from 'node:crypto';
+
+// No 0/O or 1/I, so codes survive being read out loud or retyped.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const CODE_PATTERN = new RegExp(`^[${CODE_ALPHABET}]{${CODE_LENGTH}}$`);
+
+/**
+ * Returns a new random referral code.
+ */
+export function generateReferralCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Upper-cases a code from a URL or request body; returns '' when it can't be one of ours.
+ */
+export function normalizeReferralCode(value) {
+  if (typeof value !== 'string') return '';
+  const code = value.trim().toUpperCase();
+  return CODE_PATTERN.test(code) ? code : '';
+}
+
+/**
+ * Number of places each confirmed referral moves the referrer up the queue.
+ */
+export function referralBoost() {
+  const boost = Number.parseInt(process.env.WAITLIST_REFERRAL_BOOST, 10);
+  return Number.isFinite(boost) && boost >= 0 ? boost : 5;
+}
+
+/**
+ * Works out a signup's place in line from when they joined and how many people they referred.
+ * Only confirmed referrals count, so typing fake addresses doesn't buy places.
+ */
+export async function getQueuePosition(repo, entry) {
+  const { ahead, referrals, total } = await repo.waitlist.queueStats(entry);
+
+  const basePosition = ahead + 1;
+  const position = Math.max(1, basePosition - referrals * referralBoost());
+
+  return {
+    position,
+    total,
+    referrals,
+    movedUp: basePosition - position,
+  };
+}
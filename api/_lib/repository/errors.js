@@ -0,0 +1,13 @@
+// api/_lib/repository/errors.js
+// Errors every repository backend throws in the same shape, so callers never see
+// backend-specific error codes.
+
+/**
+ * A row clashed with an existing one on a unique column (`field`, e.g. 'email').
+ */
+export class ConflictError extends Error {
+  constructor(field, message = `A row with this ${field} already exists.`) {
+    super(message);
+    this.field = field;
+  }
+}
@@ -0,0 +1,42 @@
+// api/_lib/repository/index.js
+// Data access for the API routes. DATA_BACKEND picks the backend:
+//   supabase – the Supabase tables, via the service-role client (default)
+//   memory   – in-process tables, for local development and exercising handlers without a database
+// Routes export `createHandler({ repo })` so a repository can be passed in directly;
+// without one they use getRepository().
+
+import { getServiceClient } from '../supabase.js';
+import { createSupabaseRepository } from './supabase.js';
+import { createMemoryRepository } from './memory.js';
+
+export { ConflictError } from './errors.js';
+export { createSupabaseRepository, createMemoryRepository };
+
+let repository = null;
+
+/**
+ * Returns the repository for DATA_BACKEND, or null when its backend is not configured.
+ * The instance is reused across invocations of a warm function.
+ */
+export function getRepository() {
+  if (repository) return repository;
+
+  const backend = process.env.DATA_BACKEND || 'supabase';
+  if (backend === 'memory') {
+    repository = createMemoryRepository();
+  } else if (backend === 'supabase') {
+    const client = getServiceClient();
+    if (!client) return null;
+    repository = createSupabaseRepository(client);
+  } else {
+    throw new Error(`Unknown DATA_BACKEND "${backend}".`);
+  }
+  return repository;
+}
+
+/**
+ * Answers 503 for a route whose backend is not configured.
+ */
+export function sendNotConfigured(res) {
+  return res.status(503).json({ error: 'Database not configured.', code: 'not_configured' });
+}
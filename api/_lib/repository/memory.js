@@ -0,0 +1,684 @@
+// api/_lib/repository/memory.js
+// In-process repository with the same behaviour as the Supabase tables: unique columns,
+// default timestamps, one leader per team, and members and submissions removed with their team.
+// Data lives as long as the process, so it suits local development and tests,
+// not production (each serverless instance would see its own copy).
+
+import { ConflictError } from './errors.js';
+
+const TABLES = [
+  'waitlist',
+  'famhack_otps',
+  'famhack_teams',
+  'famhack_team_members',
+  'famhack_submissions',
+  'famhack_submission_revisions',
+  'famhack_judges',
+  'famhack_judge_conflicts',
+  'famhack_judge_assignments',
+  'famhack_scores',
+  'famhack_judging_state',
+  'famhack_tickets',
+  'famhack_checkins',
+  'famhack_finder_profiles',
+  'famhack_team_listings',
+  'famhack_join_requests',
+  'famhack_sessions',
+  'famhack_announcements',
+  'famhack_team_invites',
+  'famhack_session_revocations',
+  'webhook_deliveries',
+];
+
+const copy = (row) => (row ? { ...row } : null);
+const nowIso = () => new Date().toISOString();
+
+function byCreatedAt(a, b) {
+  return String(a.created_at).localeCompare(String(b.created_at));
+}
+
+function pick(row, columns) {
+  return Object.fromEntries(columns.map((c) => [c, row[c] ?? null]));
+}
+
+// Mirrors the source/campaign rules of the waitlist_attribution() SQL function
+function attributionSource(row) {
+  if (row.utm_source) return row.utm_source.toLowerCase();
+  const host = /^https?:\/\/(?:www\.)?([^/:]+)/i.exec(row.referrer || '');
+  return host ? host[1].toLowerCase() : '(direct)';
+}
+
+function createWaitlist(rows) {
+  const find = (predicate) => copy(rows.find(predicate));
+
+  return {
+    async insert(row) {
+      if (rows.some((r) => r.email === row.email)) throw new ConflictError('email');
+      if (row.referral_code && rows.some((r) => r.referral_code === row.referral_code)) {
+        throw new ConflictError('referral_code');
+      }
+      const stored = { created_at: nowIso(), confirmation_status: 'pending', beta_status: 'waiting', ...row };
+      rows.push(stored);
+      return copy(stored);
+    },
+
+    async findByEmail(email) {
+      return find((r) => r.email === email);
+    },
+
+    async findByReferralCode(code) {
+      return find((r) => r.referral_code === code);
+    },
+
+    async findPendingByTokenHash(tokenHash) {
+      return find((r) => r.confirm_token_hash === tokenHash && r.confirmation_status === 'pending');
+    },
+
+    async findInvitedByCodeHash(codeHash) {
+      return find((r) => r.access_code_hash === codeHash && r.beta_status === 'invited');
+    },
+
+    async update(email, patch, { status, betaStatus } = {}) {
+      const row = rows.find((r) => r.email === email
+        && (!status || r.confirmation_status === status)
+        && (!betaStatus || r.beta_status === betaStatus));
+      if (row) Object.assign(row, patch);
+      return !!row;
+    },
+
+    async remove(email) {
+      const index = rows.findIndex((r) => r.email === email);
+      if (index !== -1) rows.splice(index, 1);
+      return index !== -1;
+    },
+
+    async counts() {
+      const confirmed = rows.filter((r) => r.confirmation_status === 'confirmed').length;
+      const pending = rows.filter((r) => r.confirmation_status === 'pending').length;
+      return { count: rows.length, confirmed, pending };
+    },
+
+    async queueStats(entry) {
+      return {
+        ahead: rows.filter((r) => r.created_at < entry.created_at).length,
+        referrals: rows.filter((r) => r.referred_by === entry.referral_code
+          && r.confirmation_status === 'confirmed').length,
+        total: rows.length,
+      };
+    },
+
+    async search({ q, status, betaStatus, offset, limit, columns }) {
+      const needle = (q || '').toLowerCase();
+      const matches = rows
+        .filter((r) => !needle || r.email.toLowerCase().includes(needle))
+        .filter((r) => !status || r.confirmation_status === status)
+        .filter((r) => !betaStatus || r.beta_status === betaStatus)
+        .sort((a, b) => byCreatedAt(b, a));
+      return {
+        rows: matches.slice(offset, offset + limit).map((r) => pick(r, columns)),
+        total: matches.length,
+      };
+    },
+
+    async attribution(from, to) {
+      const groups = new Map();
+      rows
+        .filter((r) => Date.parse(r.created_at) >= from.getTime() && Date.parse(r.created_at) < to.getTime())
+        .forEach((r) => {
+          const day = r.created_at.slice(0, 10);
+          const source = attributionSource(r);
+          const campaign = r.utm_campaign ? r.utm_campaign.toLowerCase() : '(none)';
+          const key = `${day}\u0000${source}\u0000${campaign}`;
+          const group = groups.get(key) || { day, source, campaign, signups: 0, confirmed: 0 };
+          group.signups += 1;
+          if (r.confirmation_status === 'confirmed') group.confirmed += 1;
+          groups.set(key, group);
+        });
+      return [...groups.values()].sort((a, b) => (
+        a.day.localeCompare(b.day) || a.source.localeCompare(b.source) || a.campaign.localeCompare(b.campaign)
+      ));
+    },
+  };
+}
+
+function createOtps(rows) {
+  const indexOf = (email) => rows.findIndex((r) => r.email === email);
+
+  return {
+    async find(email) {
+      return copy(rows[indexOf(email)]);
+    },
+
+    async upsert(row) {
+      const index = indexOf(row.email);
+      if (index === -1) rows.push({ created_at: nowIso(), ...row });
+      else Object.assign(rows[index], row);
+    },
+
+    // Counts a guess; returns the new count, or null when there is no code or no guesses left
+    async recordAttempt(email, maxAttempts) {
+      const row = rows[indexOf(email)];
+      if (!row || row.attempts >= maxAttempts) return null;
+      row.attempts += 1;
+      return row.attempts;
+    },
+
+    async remove(email) {
+      const index = indexOf(email);
+      if (index !== -1) rows.splice(index, 1);
+    },
+  };
+}
+
+function createSubmissions(submissions, revisions) {
+  return {
+    async find(teamId) {
+      return copy(submissions.find((s) => s.team_id === teamId));
+    },
+
+    async list() {
+      return [...submissions].sort(byCreatedAt).map(copy);
+    },
+
+    async insert(row) {
+      if (submissions.some((s) => s.team_id === row.team_id)) throw new ConflictError('team_id');
+      const now = nowIso();
+      const stored = { created_at: now, updated_at: now, version: 1, tech_tags: [], ...row };
+      submissions.push(stored);
+      return copy(stored);
+    },
+
+    async update(teamId, patch, { version }) {
+      const row = submissions.find((s) => s.team_id === teamId && s.version === version);
+      if (row) Object.assign(row, patch);
+      return !!row;
+    },
+
+    async listRevisions(teamId) {
+      return revisions
+        .filter((r) => r.team_id === teamId)
+        .sort((a, b) => b.version - a.version)
+        .map(copy);
+    },
+
+    async listRevisionsBy(email) {
+      return revisions
+        .filter((r) => r.edited_by === email)
+        .sort((a, b) => String(a.edited_at).localeCompare(String(b.edited_at)))
+        .map(copy);
+    },
+
+    async insertRevision(row) {
+      if (revisions.some((r) => r.team_id === row.team_id && r.version === row.version)) {
+        throw new ConflictError('version');
+      }
+      revisions.push({ edited_at: nowIso(), ...row });
+    },
+
+    async clearEditor(email) {
+      submissions.forEach((s) => { if (s.updated_by === email) s.updated_by = null; });
+      revisions.forEach((r) => { if (r.edited_by === email) r.edited_by = null; });
+    },
+  };
+}
+
+function createJudging(tables) {
+  const { famhack_judges: judges, famhack_judge_conflicts: conflicts } = tables;
+  const { famhack_judge_assignments: assignments, famhack_scores: scores } = tables;
+  const forJudge = (rows, judgeEmail) => rows.filter((r) => !judgeEmail || r.judge_email === judgeEmail).map(copy);
+  const pairIndex = (rows, row) => rows.findIndex((r) => r.judge_email === row.judge_email && r.team_id === row.team_id);
+
+  return {
+    async listJudges() {
+      return [...judges].sort((a, b) => a.email.localeCompare(b.email)).map(copy);
+    },
+
+    async findJudge(email) {
+      return copy(judges.find((j) => j.email === email));
+    },
+
+    async upsertJudge(row) {
+      const existing = judges.find((j) => j.email === row.email);
+      if (existing) Object.assign(existing, row);
+      else judges.push({ name: '', active: true, created_at: nowIso(), ...row });
+    },
+
+    async listConflicts({ judgeEmail } = {}) {
+      return forJudge(conflicts, judgeEmail);
+    },
+
+    async setConflicts(judgeEmail, teamIds) {
+      for (let i = conflicts.length - 1; i >= 0; i--) {
+        if (conflicts[i].judge_email === judgeEmail) conflicts.splice(i, 1);
+      }
+      teamIds.forEach((teamId) => conflicts.push({ judge_email: judgeEmail, team_id: teamId }));
+    },
+
+    async listAssignments({ judgeEmail } = {}) {
+      return forJudge(assignments, judgeEmail);
+    },
+
+    async insertAssignments(rows) {
+      rows.forEach((row) => {
+        if (pairIndex(assignments, row) === -1) assignments.push({ assigned_at: nowIso(), ...row });
+      });
+    },
+
+    async listScores({ judgeEmail } = {}) {
+      return forJudge(scores, judgeEmail);
+    },
+
+    async upsertScore(row) {
+      const index = pairIndex(scores, row);
+      if (index === -1) scores.push({ comment: '', updated_at: nowIso(), ...row });
+      else Object.assign(scores[index], row);
+    },
+
+    async getState() {
+      return copy(tables.famhack_judging_state[0]) || { frozen_at: null, results: null };
+    },
+
+    async setState(patch) {
+      const [row] = tables.famhack_judging_state;
+      if (row) Object.assign(row, patch);
+      else tables.famhack_judging_state.push({ frozen_at: null, results: null, ...patch });
+    },
+  };
+}
+
+function createCheckins(tickets, checkins) {
+  return {
+    async upsertTicket(row) {
+      const clash = tickets.find((t) => t.code === row.code && t.email !== row.email);
+      if (clash) throw new ConflictError('code');
+      const existing = tickets.find((t) => t.email === row.email);
+      if (existing) Object.assign(existing, row);
+      else tickets.push({ issued_at: nowIso(), ...row });
+    },
+
+    async findTicket(email) {
+      return copy(tickets.find((t) => t.email === email));
+    },
+
+    async findTicketByCode(code) {
+      return copy(tickets.find((t) => t.code === code));
+    },
+
+    async countTickets() {
+      return tickets.length;
+    },
+
+    async find(email) {
+      return copy(checkins.find((c) => c.email === email));
+    },
+
+    async insert(row) {
+      if (checkins.some((c) => c.email === row.email)) throw new ConflictError('email');
+      const now = nowIso();
+      const stored = { checked_in_at: now, scans: 1, last_scan_at: now, ...row };
+      checkins.push(stored);
+      return copy(stored);
+    },
+
+    async recordScan(email) {
+      const row = checkins.find((c) => c.email === email);
+      if (!row) return null;
+      row.scans += 1;
+      row.last_scan_at = nowIso();
+      return row.scans;
+    },
+
+    async list() {
+      return [...checkins].sort((a, b) => String(a.checked_in_at).localeCompare(String(b.checked_in_at))).map(copy);
+    },
+
+    async remove(email) {
+      [tickets, checkins].forEach((rows) => {
+        const index = rows.findIndex((r) => r.email === email);
+        if (index !== -1) rows.splice(index, 1);
+      });
+    },
+  };
+}
+
+function createFinder(profiles, listings, requests) {
+  const byUpdatedAt = (a, b) => String(b.updated_at).localeCompare(String(a.updated_at));
+
+  return {
+    async findProfile(email) {
+      return copy(profiles.find((p) => p.email === email));
+    },
+
+    async findProfileById(id) {
+      return copy(profiles.find((p) => p.id === id));
+    },
+
+    async listProfiles() {
+      return profiles.filter((p) => p.listed).sort(byUpdatedAt).map(copy);
+    },
+
+    async upsertProfile(row) {
+      const existing = profiles.find((p) => p.email === row.email);
+      if (existing) Object.assign(existing, row);
+      else profiles.push({ skills: [], interests: [], bio: '', listed: true, updated_at: nowIso(), ...row });
+    },
+
+    async removeProfile(email) {
+      const index = profiles.findIndex((p) => p.email === email);
+      if (index !== -1) profiles.splice(index, 1);
+    },
+
+    async findListing(teamId) {
+      return copy(listings.find((l) => l.team_id === teamId));
+    },
+
+    async listListings() {
+      return listings.filter((l) => l.listed).sort(byUpdatedAt).map(copy);
+    },
+
+    async upsertListing(row) {
+      const existing = listings.find((l) => l.team_id === row.team_id);
+      if (existing) Object.assign(existing, row);
+      else listings.push({ needs: [], note: '', listed: true, updated_at: nowIso(), ...row });
+    },
+
+    async findRequest(id) {
+      return copy(requests.find((r) => r.id === id));
+    },
+
+    async listRequests({ email, teamId, status } = {}) {
+      return requests
+        .filter((r) => (!email || r.email === email) && (!teamId || r.team_id === teamId))
+        .filter((r) => !status || r.status === status)
+        .sort(byCreatedAt)
+        .map(copy);
+    },
+
+    async listRequestsBy(email) {
+      return requests
+        .filter((r) => r.email === email || r.created_by === email)
+        .sort(byCreatedAt)
+        .map(copy);
+    },
+
+    async insertRequest(row) {
+      if (requests.some((r) => r.team_id === row.team_id && r.email === row.email && r.status === 'pending')) {
+        throw new ConflictError('team_id');
+      }
+      const stored = { status: 'pending', message: '', created_at: nowIso(), responded_at: null, ...row };
+      requests.push(stored);
+      return copy(stored);
+    },
+
+    async updateRequest(id, patch, { status }) {
+      const row = requests.find((r) => r.id === id && r.status === status);
+      if (row) Object.assign(row, patch);
+      return !!row;
+    },
+
+    async removeRequests(email) {
+      for (let i = requests.length - 1; i >= 0; i--) {
+        if (requests[i].email === email || requests[i].created_by === email) requests.splice(i, 1);
+      }
+    },
+  };
+}
+
+function createInvites(invites) {
+  return {
+    async findInvite(id) {
+      return copy(invites.find((i) => i.id === id));
+    },
+
+    async listInvites(teamId) {
+      return invites
+        .filter((i) => i.team_id === teamId)
+        .sort((a, b) => byCreatedAt(b, a))
+        .map(copy);
+    },
+
+    async listInvitesBy(email) {
+      return invites
+        .filter((i) => i.created_by === email)
+        .sort((a, b) => byCreatedAt(b, a))
+        .map(copy);
+    },
+
+    async insertInvite(row) {
+      const stored = { max_uses: null, uses: 0, revoked_at: null, created_at: nowIso(), ...row };
+      invites.push(stored);
+      return copy(stored);
+    },
+
+    // Compare-and-set on `uses`, so two people can't both take an invite's last use
+    async updateUses(id, uses, expected) {
+      const row = invites.find((i) => i.id === id && i.uses === expected);
+      if (row) row.uses = uses;
+      return !!row;
+    },
+
+    async revokeInvites(teamId, revokedAt) {
+      invites
+        .filter((i) => i.team_id === teamId && !i.revoked_at)
+        .forEach((i) => { i.revoked_at = revokedAt; });
+    },
+
+    async removeInvitesBy(email) {
+      for (let i = invites.length - 1; i >= 0; i--) {
+        if (invites[i].created_by === email) invites.splice(i, 1);
+      }
+    },
+  };
+}
+
+function createRevocations(revocations) {
+  return {
+    async find(emailHash) {
+      return copy(revocations.find((r) => r.email_hash === emailHash));
+    },
+
+    async upsert(row) {
+      const existing = revocations.find((r) => r.email_hash === row.email_hash);
+      if (existing) Object.assign(existing, row);
+      else revocations.push({ revoked_at: nowIso(), ...row });
+    },
+  };
+}
+
+function createWebhooks(deliveries) {
+  return {
+    async insertDeliveries(rows) {
+      const stored = rows.map((row) => ({
+        status: 'pending',
+        attempts: 0,
+        last_status: null,
+        last_error: null,
+        next_attempt_at: null,
+        delivered_at: null,
+        created_at: nowIso(),
+        ...row,
+      }));
+      deliveries.push(...stored);
+      return stored.map(copy);
+    },
+
+    async findDelivery(id) {
+      return copy(deliveries.find((d) => d.id === id));
+    },
+
+    async listDeliveries({ status, event, limit }) {
+      return deliveries
+        .filter((d) => (!status || d.status === status) && (!event || d.event === event))
+        .sort((a, b) => byCreatedAt(b, a))
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async listDue(now, limit) {
+      return deliveries
+        .filter((d) => d.status === 'pending' && d.next_attempt_at && d.next_attempt_at <= now)
+        .sort((a, b) => String(a.next_attempt_at).localeCompare(String(b.next_attempt_at)))
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    // With `expectedAttempts`, only updates a row nobody else has tried since it was read
+    async updateDelivery(id, patch, expectedAttempts) {
+      const row = deliveries.find((d) => d.id === id
+        && (expectedAttempts === undefined || d.attempts === expectedAttempts));
+      if (row) Object.assign(row, patch);
+      return !!row;
+    },
+
+    async listDeliveriesFor(email) {
+      return deliveries.filter((d) => d.subject_email === email).sort(byCreatedAt).map(copy);
+    },
+
+    async removeDeliveriesFor(email) {
+      for (let i = deliveries.length - 1; i >= 0; i--) {
+        if (deliveries[i].subject_email === email) deliveries.splice(i, 1);
+      }
+    },
+  };
+}
+
+function createSchedule(sessions, announcements) {
+  const removeById = (rows, id) => {
+    const index = rows.findIndex((r) => r.id === id);
+    if (index !== -1) rows.splice(index, 1);
+    return index !== -1;
+  };
+
+  return {
+    async listSessions() {
+      return [...sessions]
+        .sort((a, b) => Date.parse(a.starts_at) - Date.parse(b.starts_at) || a.title.localeCompare(b.title))
+        .map(copy);
+    },
+
+    async upsertSession(row) {
+      const existing = sessions.find((s) => s.id === row.id);
+      if (existing) Object.assign(existing, row);
+      else sessions.push({ description: '', location: '', track: null, updated_at: nowIso(), ...row });
+    },
+
+    async removeSession(id) {
+      return removeById(sessions, id);
+    },
+
+    async listAnnouncements({ since, limit }) {
+      return announcements
+        .filter((a) => !since || a.created_at > since)
+        .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async insertAnnouncement(row) {
+      const stored = { level: 'info', created_at: nowIso(), ...row };
+      announcements.push(stored);
+      return copy(stored);
+    },
+
+    async removeAnnouncement(id) {
+      return removeById(announcements, id);
+    },
+  };
+}
+
+function createTeams(teams, members, dependents) {
+  const memberIndex = (teamId, email) => members.findIndex((m) => m.team_id === teamId && m.email === email);
+
+  return {
+    async findMembership(email) {
+      return copy(members.find((m) => m.email === email));
+    },
+
+    async findTeam(id) {
+      const team = teams.find((t) => t.id === id);
+      return team ? { id: team.id, created_at: team.created_at } : null;
+    },
+
+    async listMembers(teamId) {
+      return members
+        .filter((m) => !teamId || m.team_id === teamId)
+        .sort((a, b) => String(a.joined_at).localeCompare(String(b.joined_at)))
+        .map(copy);
+    },
+
+    async insertTeam(row) {
+      if (teams.some((t) => t.id === row.id)) throw new ConflictError('id');
+      teams.push({ created_at: nowIso(), ...row });
+    },
+
+    async deleteTeam(id) {
+      const index = teams.findIndex((t) => t.id === id);
+      if (index !== -1) teams.splice(index, 1);
+      // on delete cascade
+      [members, ...dependents].forEach((rows) => {
+        for (let i = rows.length - 1; i >= 0; i--) {
+          if (rows[i].team_id === id) rows.splice(i, 1);
+        }
+      });
+    },
+
+    // With `maxSize`, only adds someone to a team below that size; false when it is full
+    async insertMember(row, maxSize) {
+      if (members.some((m) => m.email === row.email)) throw new ConflictError('email');
+      if (!teams.some((t) => t.id === row.team_id)) throw new Error('Team does not exist.');
+      if (row.is_leader && members.some((m) => m.team_id === row.team_id && m.is_leader)) {
+        throw new ConflictError('is_leader', 'This team already has a leader.');
+      }
+      if (maxSize && members.filter((m) => m.team_id === row.team_id).length >= maxSize) return false;
+      members.push({ joined_at: nowIso(), is_leader: false, ...row });
+      return true;
+    },
+
+    async updateMember(teamId, email, patch) {
+      const index = memberIndex(teamId, email);
+      if (index === -1) return;
+      if (patch.is_leader && members.some((m) => m.team_id === teamId && m.is_leader && m.email !== email)) {
+        throw new ConflictError('is_leader', 'This team already has a leader.');
+      }
+      Object.assign(members[index], patch);
+    },
+
+    async removeMember(teamId, email) {
+      const index = memberIndex(teamId, email);
+      if (index !== -1) members.splice(index, 1);
+    },
+  };
+}
+
+/**
+ * Empty in-memory repository. `seed` can pre-fill any of the TABLES by name,
+ * e.g. { waitlist: [...], famhack_teams: [...] }.
+ */
+export function createMemoryRepository(seed = {}) {
+  const tables = Object.fromEntries(TABLES.map((name) => [name, (seed[name] || []).map(copy)]));
+
+  return {
+    backend: 'memory',
+    tables,
+    waitlist: createWaitlist(tables.waitlist),
+    otps: createOtps(tables.famhack_otps),
+    teams: createTeams(tables.famhack_teams, tables.famhack_team_members, [
+      tables.famhack_submissions,
+      tables.famhack_submission_revisions,
+      tables.famhack_judge_conflicts,
+      tables.famhack_judge_assignments,
+      tables.famhack_scores,
+      tables.famhack_team_listings,
+      tables.famhack_join_requests,
+      tables.famhack_team_invites,
+    ]),
+    submissions: createSubmissions(tables.famhack_submissions, tables.famhack_submission_revisions),
+    judging: createJudging(tables),
+    checkins: createCheckins(tables.famhack_tickets, tables.famhack_checkins),
+    finder: createFinder(tables.famhack_finder_profiles, tables.famhack_team_listings, tables.famhack_join_requests),
+    schedule: createSchedule(tables.famhack_sessions, tables.famhack_announcements),
+    invites: createInvites(tables.famhack_team_invites),
+    revocations: createRevocations(tables.famhack_session_revocations),
+    webhooks: createWebhooks(tables.webhook_deliveries),
+  };
+}
@@ -0,0 +1,599 @@
+// api/_lib/repository/supabase.js
+// Repository backed by the Supabase (Postgres) tables in supabase/migrations.
+
+import { UNIQUE_VIOLATION } from '../supabase.js';
+import { ConflictError } from './errors.js';
+
+// Which column a unique violation was about. `constraints` maps the table's other unique
+// constraints to their column; any constraint not listed there is taken to be `field`.
+function conflictFrom(error, field, constraints = {}) {
+  if (!error || error.code !== UNIQUE_VIOLATION) return null;
+  const match = /unique constraint "([^"]+)"/.exec(error.message || '');
+  return new ConflictError((match && constraints[match[1]]) || field);
+}
+
+function unwrap({ data, error }) {
+  if (error) throw error;
+  return data;
+}
+
+function unwrapCount({ count, error }) {
+  if (error) throw error;
+  return count ?? 0;
+}
+
+function createWaitlist(client) {
+  const table = () => client.from('waitlist');
+  const countWhere = (apply = (q) => q) => apply(table().select('*', { count: 'exact', head: true }));
+
+  return {
+    async insert(row) {
+      const { data, error } = await table().insert(row).select().single();
+      const conflict = conflictFrom(error, 'email', {
+        waitlist_referral_code_key: 'referral_code',
+        waitlist_confirm_token_hash_key: 'confirm_token_hash',
+      });
+      if (conflict) throw conflict;
+      if (error) throw error;
+      return data;
+    },
+
+    async findByEmail(email) {
+      return unwrap(await table().select('*').eq('email', email).maybeSingle());
+    },
+
+    async findByReferralCode(code) {
+      return unwrap(await table().select('*').eq('referral_code', code).maybeSingle());
+    },
+
+    async findPendingByTokenHash(tokenHash) {
+      return unwrap(await table()
+        .select('*')
+        .eq('confirm_token_hash', tokenHash)
+        .eq('confirmation_status', 'pending')
+        .maybeSingle());
+    },
+
+    async findInvitedByCodeHash(codeHash) {
+      return unwrap(await table()
+        .select('*')
+        .eq('access_code_hash', codeHash)
+        .eq('beta_status', 'invited')
+        .maybeSingle());
+    },
+
+    async update(email, patch, { status, betaStatus } = {}) {
+      let query = table().update(patch).eq('email', email);
+      if (status) query = query.eq('confirmation_status', status);
+      if (betaStatus) query = query.eq('beta_status', betaStatus);
+      return unwrap(await query.select('email')).length > 0;
+    },
+
+    async remove(email) {
+      return unwrap(await table().delete().eq('email', email).select('email')).length > 0;
+    },
+
+    async counts() {
+      const [count, confirmed, pending] = await Promise.all([
+        countWhere(),
+        countWhere((q) => q.eq('confirmation_status', 'confirmed')),
+        countWhere((q) => q.eq('confirmation_status', 'pending')),
+      ]);
+      return {
+        count: unwrapCount(count),
+        confirmed: unwrapCount(confirmed),
+        pending: unwrapCount(pending),
+      };
+    },
+
+    async queueStats(entry) {
+      const [ahead, referrals, total] = await Promise.all([
+        countWhere((q) => q.lt('created_at', entry.created_at)),
+        countWhere((q) => q.eq('referred_by', entry.referral_code).eq('confirmation_status', 'confirmed')),
+        countWhere(),
+      ]);
+      return { ahead: unwrapCount(ahead), referrals: unwrapCount(referrals), total: unwrapCount(total) };
+    },
+
+    async search({ q, status, betaStatus, offset, limit, columns }) {
+      let query = table()
+        .select(columns.join(', '), { count: 'exact' })
+        .order('created_at', { ascending: false });
+
+      if (q) {
+        // Treat the search text literally inside the ILIKE pattern
+        const escaped = q.replace(/[\\%_]/g, (ch) => `\\${ch}`);
+        query = query.ilike('email', `%${escaped}%`);
+      }
+      if (status) query = query.eq('confirmation_status', status);
+      if (betaStatus) query = query.eq('beta_status', betaStatus);
+
+      const { data, count, error } = await query.range(offset, offset + limit - 1);
+      if (error) throw error;
+      return { rows: data, total: count ?? 0 };
+    },
+
+    async attribution(from, to) {
+      return unwrap(await client.rpc('waitlist_attribution', {
+        p_from: from.toISOString(),
+        p_to: to.toISOString(),
+      })) || [];
+    },
+  };
+}
+
+function createOtps(client) {
+  const table = () => client.from('famhack_otps');
+
+  return {
+    async find(email) {
+      return unwrap(await table().select('*').eq('email', email).maybeSingle());
+    },
+
+    async upsert(row) {
+      unwrap(await table().upsert(row, { onConflict: 'email' }));
+    },
+
+    // In one statement (famhack_otp_attempt), so concurrent guesses can't share a count
+    async recordAttempt(email, maxAttempts) {
+      return unwrap(await client.rpc('famhack_otp_attempt', { p_email: email, p_max_attempts: maxAttempts }));
+    },
+
+    async remove(email) {
+      unwrap(await table().delete().eq('email', email));
+    },
+  };
+}
+
+function createTeams(client) {
+  const teams = () => client.from('famhack_teams');
+  const members = () => client.from('famhack_team_members');
+
+  return {
+    async findMembership(email) {
+      return unwrap(await members()
+        .select('team_id, email, is_leader, joined_at')
+        .eq('email', email)
+        .maybeSingle());
+    },
+
+    async findTeam(id) {
+      return unwrap(await teams().select('id, created_at').eq('id', id).maybeSingle());
+    },
+
+    async listMembers(teamId) {
+      let query = members().select('team_id, email, is_leader, joined_at');
+      if (teamId) query = query.eq('team_id', teamId);
+      return unwrap(await query.order('joined_at', { ascending: true }));
+    },
+
+    async insertTeam(row) {
+      const { error } = await teams().insert(row);
+      const conflict = conflictFrom(error, 'id');
+      if (conflict) throw conflict;
+      if (error) throw error;
+    },
+
+    async deleteTeam(id) {
+      unwrap(await teams().delete().eq('id', id));
+    },
+
+    // With `maxSize`, goes through famhack_join_team(), which checks the size under a row lock
+    async insertMember(row, maxSize) {
+      const { data, error } = maxSize
+        ? await client.rpc('famhack_join_team', { p_team_id: row.team_id, p_email: row.email, p_max_size: maxSize })
+        : await members().insert(row);
+      const conflict = conflictFrom(error, 'email');
+      if (conflict) throw conflict;
+      if (error) throw error;
+      return maxSize ? data : true;
+    },
+
+    async updateMember(teamId, email, patch) {
+      unwrap(await members().update(patch).eq('team_id', teamId).eq('email', email));
+    },
+
+    async removeMember(teamId, email) {
+      unwrap(await members().delete().eq('team_id', teamId).eq('email', email));
+    },
+  };
+}
+
+function createSubmissions(client) {
+  const submissions = () => client.from('famhack_submissions');
+  const revisions = () => client.from('famhack_submission_revisions');
+
+  return {
+    async find(teamId) {
+      return unwrap(await submissions().select('*').eq('team_id', teamId).maybeSingle());
+    },
+
+    async list() {
+      return unwrap(await submissions().select('*').order('created_at', { ascending: true }));
+    },
+
+    async insert(row) {
+      const { data, error } = await submissions().insert(row).select().single();
+      const conflict = conflictFrom(error, 'team_id');
+      if (conflict) throw conflict;
+      if (error) throw error;
+      return data;
+    },
+
+    async update(teamId, patch, { version }) {
+      const rows = unwrap(await submissions()
+        .update(patch)
+        .eq('team_id', teamId)
+        .eq('version', version)
+        .select('team_id'));
+      return rows.length > 0;
+    },
+
+    async listRevisions(teamId) {
+      return unwrap(await revisions()
+        .select('*')
+        .eq('team_id', teamId)
+        .order('version', { ascending: false }));
+    },
+
+    async listRevisionsBy(email) {
+      return unwrap(await revisions()
+        .select('*')
+        .eq('edited_by', email)
+        .order('edited_at', { ascending: true }));
+    },
+
+    async insertRevision(row) {
+      unwrap(await revisions().insert(row));
+    },
+
+    async clearEditor(email) {
+      await Promise.all([
+        submissions().update({ updated_by: null }).eq('updated_by', email).then(unwrap),
+        revisions().update({ edited_by: null }).eq('edited_by', email).then(unwrap),
+      ]);
+    },
+  };
+}
+
+function createJudging(client) {
+  const judges = () => client.from('famhack_judges');
+  const conflicts = () => client.from('famhack_judge_conflicts');
+  const assignments = () => client.from('famhack_judge_assignments');
+  const scores = () => client.from('famhack_scores');
+  const state = () => client.from('famhack_judging_state');
+  const forJudge = (query, judgeEmail) => (judgeEmail ? query.eq('judge_email', judgeEmail) : query);
+
+  return {
+    async listJudges() {
+      return unwrap(await judges().select('*').order('email', { ascending: true }));
+    },
+
+    async findJudge(email) {
+      return unwrap(await judges().select('*').eq('email', email).maybeSingle());
+    },
+
+    async upsertJudge(row) {
+      unwrap(await judges().upsert(row, { onConflict: 'email' }));
+    },
+
+    async listConflicts({ judgeEmail } = {}) {
+      return unwrap(await forJudge(conflicts().select('*'), judgeEmail));
+    },
+
+    async setConflicts(judgeEmail, teamIds) {
+      unwrap(await conflicts().delete().eq('judge_email', judgeEmail));
+      if (teamIds.length) {
+        unwrap(await conflicts().insert(teamIds.map((teamId) => ({ judge_email: judgeEmail, team_id: teamId }))));
+      }
+    },
+
+    async listAssignments({ judgeEmail } = {}) {
+      return unwrap(await forJudge(assignments().select('*'), judgeEmail).order('assigned_at', { ascending: true }));
+    },
+
+    async insertAssignments(rows) {
+      if (!rows.length) return;
+      unwrap(await assignments().upsert(rows, { onConflict: 'judge_email,team_id', ignoreDuplicates: true }));
+    },
+
+    async listScores({ judgeEmail } = {}) {
+      return unwrap(await forJudge(scores().select('*'), judgeEmail));
+    },
+
+    async upsertScore(row) {
+      unwrap(await scores().upsert(row, { onConflict: 'judge_email,team_id' }));
+    },
+
+    async getState() {
+      const row = unwrap(await state().select('frozen_at, results').eq('id', 1).maybeSingle());
+      return row || { frozen_at: null, results: null };
+    },
+
+    async setState(patch) {
+      unwrap(await state().upsert({ id: 1, ...patch }, { onConflict: 'id' }));
+    },
+  };
+}
+
+function createCheckins(client) {
+  const tickets = () => client.from('famhack_tickets');
+  const checkins = () => client.from('famhack_checkins');
+
+  return {
+    async upsertTicket(row) {
+      const { error } = await tickets().upsert(row, { onConflict: 'email' });
+      const conflict = conflictFrom(error, 'code');
+      if (conflict) throw conflict;
+      if (error) throw error;
+    },
+
+    async findTicket(email) {
+      return unwrap(await tickets().select('*').eq('email', email).maybeSingle());
+    },
+
+    async findTicketByCode(code) {
+      return unwrap(await tickets().select('*').eq('code', code).maybeSingle());
+    },
+
+    async countTickets() {
+      return unwrapCount(await tickets().select('*', { count: 'exact', head: true }));
+    },
+
+    async find(email) {
+      return unwrap(await checkins().select('*').eq('email', email).maybeSingle());
+    },
+
+    async insert(row) {
+      const { data, error } = await checkins().insert(row).select().single();
+      const conflict = conflictFrom(error, 'email');
+      if (conflict) throw conflict;
+      if (error) throw error;
+      return data;
+    },
+
+    // In one statement (famhack_checkin_scan), so simultaneous scans are all counted
+    async recordScan(email) {
+      return unwrap(await client.rpc('famhack_checkin_scan', { p_email: email }));
+    },
+
+    async list() {
+      return unwrap(await checkins().select('*').order('checked_in_at', { ascending: true }));
+    },
+
+    async remove(email) {
+      await Promise.all([
+        tickets().delete().eq('email', email).then(unwrap),
+        checkins().delete().eq('email', email).then(unwrap),
+      ]);
+    },
+  };
+}
+
+function createFinder(client) {
+  const profiles = () => client.from('famhack_finder_profiles');
+  const listings = () => client.from('famhack_team_listings');
+  const requests = () => client.from('famhack_join_requests');
+
+  return {
+    async findProfile(email) {
+      return unwrap(await profiles().select('*').eq('email', email).maybeSingle());
+    },
+
+    async findProfileById(id) {
+      return unwrap(await profiles().select('*').eq('id', id).maybeSingle());
+    },
+
+    async listProfiles() {
+      return unwrap(await profiles().select('*').eq('listed', true).order('updated_at', { ascending: false }));
+    },
+
+    async upsertProfile(row) {
+      unwrap(await profiles().upsert(row, { onConflict: 'email' }));
+    },
+
+    async removeProfile(email) {
+      unwrap(await profiles().delete().eq('email', email));
+    },
+
+    async findListing(teamId) {
+      return unwrap(await listings().select('*').eq('team_id', teamId).maybeSingle());
+    },
+
+    async listListings() {
+      return unwrap(await listings().select('*').eq('listed', true).order('updated_at', { ascending: false }));
+    },
+
+    async upsertListing(row) {
+      unwrap(await listings().upsert(row, { onConflict: 'team_id' }));
+    },
+
+    async findRequest(id) {
+      return unwrap(await requests().select('*').eq('id', id).maybeSingle());
+    },
+
+    async listRequests({ email, teamId, status } = {}) {
+      let query = requests().select('*');
+      if (email) query = query.eq('email', email);
+      if (teamId) query = query.eq('team_id', teamId);
+      if (status) query = query.eq('status', status);
+      return unwrap(await query.order('created_at', { ascending: true }));
+    },
+
+    async listRequestsBy(email) {
+      const [about, sent] = await Promise.all([
+        requests().select('*').eq('email', email).then(unwrap),
+        requests().select('*').eq('created_by', email).then(unwrap),
+      ]);
+      const byId = new Map([...about, ...sent].map((r) => [r.id, r]));
+      return [...byId.values()].sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+    },
+
+    async insertRequest(row) {
+      const { data, error } = await requests().insert(row).select().single();
+      const conflict = conflictFrom(error, 'team_id');
+      if (conflict) throw conflict;
+      if (error) throw error;
+      return data;
+    },
+
+    async updateRequest(id, patch, { status }) {
+      return unwrap(await requests().update(patch).eq('id', id).eq('status', status).select('id')).length > 0;
+    },
+
+    async removeRequests(email) {
+      unwrap(await requests().delete().eq('email', email));
+      unwrap(await requests().delete().eq('created_by', email));
+    },
+  };
+}
+
+function createInvites(client) {
+  const invites = () => client.from('famhack_team_invites');
+
+  return {
+    async findInvite(id) {
+      return unwrap(await invites().select('*').eq('id', id).maybeSingle());
+    },
+
+    async listInvites(teamId) {
+      return unwrap(await invites().select('*').eq('team_id', teamId).order('created_at', { ascending: false }));
+    },
+
+    async listInvitesBy(email) {
+      return unwrap(await invites().select('*').eq('created_by', email).order('created_at', { ascending: false }));
+    },
+
+    async insertInvite(row) {
+      return unwrap(await invites().insert(row).select().single());
+    },
+
+    // Compare-and-set on `uses`, so two people can't both take an invite's last use
+    async updateUses(id, uses, expected) {
+      return unwrap(await invites().update({ uses }).eq('id', id).eq('uses', expected).select('id')).length > 0;
+    },
+
+    async revokeInvites(teamId, revokedAt) {
+      unwrap(await invites().update({ revoked_at: revokedAt }).eq('team_id', teamId).is('revoked_at', null));
+    },
+
+    async removeInvitesBy(email) {
+      unwrap(await invites().delete().eq('created_by', email));
+    },
+  };
+}
+
+function createRevocations(client) {
+  const table = () => client.from('famhack_session_revocations');
+
+  return {
+    async find(emailHash) {
+      return unwrap(await table().select('*').eq('email_hash', emailHash).maybeSingle());
+    },
+
+    async upsert(row) {
+      unwrap(await table().upsert(row, { onConflict: 'email_hash' }));
+    },
+  };
+}
+
+function createWebhooks(client) {
+  const deliveries = () => client.from('webhook_deliveries');
+
+  return {
+    async insertDeliveries(rows) {
+      return unwrap(await deliveries().insert(rows).select());
+    },
+
+    async findDelivery(id) {
+      return unwrap(await deliveries().select('*').eq('id', id).maybeSingle());
+    },
+
+    async listDeliveries({ status, event, limit }) {
+      let query = deliveries().select('*');
+      if (status) query = query.eq('status', status);
+      if (event) query = query.eq('event', event);
+      return unwrap(await query.order('created_at', { ascending: false }).limit(limit));
+    },
+
+    async listDue(now, limit) {
+      return unwrap(await deliveries()
+        .select('*')
+        .eq('status', 'pending')
+        .lte('next_attempt_at', now)
+        .order('next_attempt_at', { ascending: true })
+        .limit(limit));
+    },
+
+    // With `expectedAttempts`, only updates a row nobody else has tried since it was read
+    async updateDelivery(id, patch, expectedAttempts) {
+      let query = deliveries().update(patch).eq('id', id);
+      if (expectedAttempts !== undefined) query = query.eq('attempts', expectedAttempts);
+      return unwrap(await query.select('id')).length > 0;
+    },
+
+    async listDeliveriesFor(email) {
+      return unwrap(await deliveries().select('*').eq('subject_email', email).order('created_at', { ascending: true }));
+    },
+
+    async removeDeliveriesFor(email) {
+      unwrap(await deliveries().delete().eq('subject_email', email));
+    },
+  };
+}
+
+function createSchedule(client) {
+  const sessions = () => client.from('famhack_sessions');
+  const announcements = () => client.from('famhack_announcements');
+
+  return {
+    async listSessions() {
+      return unwrap(await sessions()
+        .select('*')
+        .order('starts_at', { ascending: true })
+        .order('title', { ascending: true }));
+    },
+
+    async upsertSession(row) {
+      unwrap(await sessions().upsert(row, { onConflict: 'id' }));
+    },
+
+    async removeSession(id) {
+      return unwrap(await sessions().delete().eq('id', id).select('id')).length > 0;
+    },
+
+    async listAnnouncements({ since, limit }) {
+      let query = announcements().select('*');
+      if (since) query = query.gt('created_at', since);
+      return unwrap(await query.order('created_at', { ascending: false }).limit(limit));
+    },
+
+    async insertAnnouncement(row) {
+      return unwrap(await announcements().insert(row).select().single());
+    },
+
+    async removeAnnouncement(id) {
+      return unwrap(await announcements().delete().eq('id', id).select('id')).length > 0;
+    },
+  };
+}
+
+/**
+ * Repository over a Supabase client (normally the service-role client).
+ */
+export function createSupabaseRepository(client) {
+  return {
+    backend: 'supabase',
+    waitlist: createWaitlist(client),
+    otps: createOtps(client),
+    teams: createTeams(client),
+    submissions: createSubmissions(client),
+    judging: createJudging(client),
+    checkins: createCheckins(client),
+    finder: createFinder(client),
+    schedule: createSchedule(client),
+    invites: createInvites(client),
+    revocations: createRevocations(client),
+    webhooks: createWebhooks(client),
+  };
+}
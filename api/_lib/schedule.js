@@ -0,0 +1,159 @@
+// api/_lib/schedule.js
+// FamHack event schedule and announcements. Session times are stored as instants;
+// organisers may enter them as local wall-clock time ("2026-10-25T09:30"), which is read
+// in the event timezone. Around a clock change a wall-clock time can occur twice (the
+// earlier one is used) or not at all (it is moved past the gap, as a clock would be).
+
+import { randomUUID } from 'node:crypto';
+import { famhackConfig } from './famhack-config.js';
+import { HttpError } from './http.js';
+import { validators } from './validate.js';
+
+const TITLE_MAX = 120;
+const DESCRIPTION_MAX = 1000;
+const LOCATION_MAX = 120;
+const TRACK_MAX = 60;
+const MESSAGE_MAX = 500;
+const ANNOUNCEMENTS_LIMIT = 20;
+const UP_NEXT_LIMIT = 3;
+const LEVELS = ['info', 'urgent'];
+
+const LOCAL_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const { invalid, text } = validators('invalid_session');
+
+// The wall-clock time at an instant in a timezone, as if it were UTC (epoch ms)
+function wallClock(instant, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(new Date(instant)).map((p) => [p.type, Number(p.value)]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+/**
+ * The instant (epoch ms) at which the clocks in `timeZone` show a local time like
+ * "2026-10-25T01:30". Returns null when the string isn't one.
+ */
+export function zonedTimeToInstant(local, timeZone) {
+  const match = LOCAL_TIME.exec(local);
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s] = match.map(Number);
+  const target = Date.UTC(y, mo - 1, d, h, mi, s || 0);
+
+  // The offsets either side of the date cover both sides of any clock change that day
+  const offsets = [target - DAY_MS, target + DAY_MS].map((t) => wallClock(t, timeZone) - t);
+  const matches = offsets
+    .map((offset) => target - offset)
+    .filter((instant) => wallClock(instant, timeZone) === target);
+
+  return matches.length ? Math.min(...matches) : target - offsets[0];
+}
+
+// An ISO timestamp with an offset, or a local time in the event timezone
+function instant(value, field, timeZone) {
+  if (typeof value !== 'string' || !value.trim()) throw invalid(field, `${field} is required.`);
+  const raw = value.trim();
+  const ms = LOCAL_TIME.test(raw) ? zonedTimeToInstant(raw, timeZone) : Date.parse(raw);
+  if (!Number.isFinite(ms)) throw invalid(field, `${field} must be a date and time.`);
+  return new Date(ms).toISOString();
+}
+
+/**
+ * Validates a session from the request body and returns it as columns.
+ */
+export function normalizeSession(body, timeZone = famhackConfig().timezone) {
+  const title = text(body.title, 'title', TITLE_MAX);
+  if (!title) throw invalid('title', 'The session needs a title.');
+
+  const startsAt = instant(body.startsAt, 'startsAt', timeZone);
+  const endsAt = instant(body.endsAt, 'endsAt', timeZone);
+  if (endsAt <= startsAt) throw invalid('endsAt', 'A session must end after it starts.');
+
+  return {
+    title,
+    description: text(body.description, 'description', DESCRIPTION_MAX),
+    starts_at: startsAt,
+    ends_at: endsAt,
+    location: text(body.location, 'location', LOCATION_MAX),
+    track: text(body.track, 'track', TRACK_MAX) || null,
+  };
+}
+
+function formatSession(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    startsAt: new Date(row.starts_at).toISOString(),
+    endsAt: new Date(row.ends_at).toISOString(),
+    location: row.location,
+    track: row.track,
+  };
+}
+
+function formatAnnouncement(row) {
+  return { id: row.id, message: row.message, level: row.level, createdAt: new Date(row.created_at).toISOString() };
+}
+
+/**
+ * Sessions running at `now`, and the next few to start.
+ */
+export function happeningNow(sessions, now = Date.now()) {
+  return {
+    now: sessions.filter((s) => Date.parse(s.startsAt) <= now && now < Date.parse(s.endsAt)),
+    next: sessions.filter((s) => Date.parse(s.startsAt) > now).slice(0, UP_NEXT_LIMIT),
+  };
+}
+
+/**
+ * The whole schedule in start order, with what's on now and next.
+ */
+export async function getSchedule(repo, now = Date.now()) {
+  const sessions = (await repo.schedule.listSessions()).map(formatSession);
+  return {
+    timezone: famhackConfig().timezone,
+    serverTime: new Date(now).toISOString(),
+    sessions,
+    ...happeningNow(sessions, now),
+  };
+}
+
+/**
+ * Creates a session, or replaces the one with `id`. Returns the saved session.
+ */
+export async function saveSession(repo, id, body) {
+  const row = { id: id || randomUUID(), ...normalizeSession(body), updated_at: new Date().toISOString() };
+  await repo.schedule.upsertSession(row);
+  return formatSession(row);
+}
+
+/**
+ * Announcements newest first; with `since` (ISO timestamp), only ones posted after it.
+ */
+export async function listAnnouncements(repo, since) {
+  const after = since && Number.isFinite(Date.parse(since)) ? new Date(since).toISOString() : null;
+  const rows = await repo.schedule.listAnnouncements({ since: after, limit: ANNOUNCEMENTS_LIMIT });
+  return rows.map(formatAnnouncement);
+}
+
+/**
+ * Posts an announcement: { message, level: 'info' | 'urgent' }.
+ */
+export async function postAnnouncement(repo, body) {
+  const message = typeof body.message === 'string' ? body.message.trim() : '';
+  if (!message || message.length > MESSAGE_MAX) {
+    throw new HttpError(400, 'invalid_announcement', `Announcements are 1 to ${MESSAGE_MAX} characters.`);
+  }
+  const level = LEVELS.includes(body.level) ? body.level : 'info';
+
+  const row = await repo.schedule.insertAnnouncement({ id: randomUUID(), message, level });
+  return formatAnnouncement(row);
+}
@@ -0,0 +1,78 @@
+// api/_lib/session.js
+// FamHack sign-in sessions. After OTP verification the participant gets a signed 'session'
+// token in an HttpOnly cookie, so page scripts never see it and can't forge who they are.
+// Sessions are stateless: they end when the cookie expires or the browser signs out, and
+// are renewed while in use so an active participant isn't signed out mid-event. Deleting
+// someone's data revokes every session they hold, which routes check through auth.js.
+
+import { hmacHex, signToken, verifyToken } from './signing.js';
+import { parseCookies } from './http.js';
+import { famhackConfig } from './famhack-config.js';
+
+export const SESSION_COOKIE = 'famhack_session';
+
+function setCookie(res, value, maxAge) {
+  res.setHeader('Set-Cookie', [
+    `${SESSION_COOKIE}=${value}`,
+    'Path=/',
+    `Max-Age=${maxAge}`,
+    'HttpOnly',
+    'Secure',
+    'SameSite=Lax',
+  ].join('; '));
+}
+
+/**
+ * Signs `email` in. Returns the session's expiry as an ISO timestamp.
+ */
+export function startSession(res, email) {
+  const ttl = famhackConfig().identityTtlSeconds;
+  setCookie(res, signToken('session', { sub: email, issuedAt: Date.now() }, ttl), ttl);
+  return new Date(Date.now() + ttl * 1000).toISOString();
+}
+
+/**
+ * Signs the browser out by expiring the cookie.
+ */
+export function endSession(res) {
+  setCookie(res, '', 0);
+}
+
+/**
+ * Returns { email, issuedAt, expiresAt } for a valid session cookie, or null.
+ * issuedAt is in epoch ms.
+ */
+export function readSession(req) {
+  const payload = verifyToken(parseCookies(req)[SESSION_COOKIE], 'session');
+  if (!payload) return null;
+  return {
+    email: payload.sub,
+    issuedAt: Number(payload.issuedAt) || 0,
+    expiresAt: new Date(payload.exp * 1000).toISOString(),
+  };
+}
+
+/**
+ * Signs `email` out everywhere: sessions issued up to now are refused from here on.
+ * Only an HMAC of the address is kept, so this survives deleting their data.
+ */
+export async function revokeSessions(repo, email) {
+  await repo.revocations.upsert({ email_hash: hmacHex(email), revoked_at: new Date().toISOString() });
+}
+
+/**
+ * True when `session` (from readSession) was issued before its holder's sessions were revoked.
+ */
+export async function isRevoked(repo, session) {
+  const row = await repo.revocations.find(hmacHex(session.email));
+  return !!row && session.issuedAt <= Date.parse(row.revoked_at);
+}
+
+/**
+ * Re-issues a session that is past half its lifetime. Returns the (possibly new) expiry.
+ */
+export function renewSession(res, session) {
+  const ttl = famhackConfig().identityTtlSeconds;
+  const remaining = (Date.parse(session.expiresAt) - Date.now()) / 1000;
+  return remaining < ttl / 2 ? startSession(res, session.email) : session.expiresAt;
+}
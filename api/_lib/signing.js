@@ -0,0 +1,82 @@
+// api/_lib/signing.js
+// Compact HMAC-signed tokens: base64url(JSON payload) + '.' + base64url(signature).
+// Every token carries a `typ` so one kind can never be replayed as another,
+// and an `exp` (seconds since epoch) after which it is rejected.
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+/**
+ * Returns the server secret used for signing, or null when it is not configured.
+ */
+export function getSigningSecret() {
+  return process.env.SIGNING_SECRET || null;
+}
+
+function signature(secret, body) {
+  return createHmac('sha256', secret).update(body).digest('base64url');
+}
+
+/**
+ * Signs a payload of the given type that expires after ttlSeconds.
+ */
+export function signToken(typ, payload, ttlSeconds) {
+  const secret = getSigningSecret();
+  if (!secret) throw new Error('SIGNING_SECRET is not set.');
+
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const body = Buffer.from(JSON.stringify({ ...payload, typ, exp })).toString('base64url');
+  return `${body}.${signature(secret, body)}`;
+}
+
+/**
+ * Checks a token's signature and type without rejecting it for being expired.
+ * Returns { payload, expired }, or null when the token is not a genuine one of this type.
+ * For callers that must tell the user a link has expired rather than that it is invalid.
+ */
+export function inspectToken(token, typ) {
+  const secret = getSigningSecret();
+  if (!secret || typeof token !== 'string') return null;
+
+  const [body, sig] = token.split('.');
+  if (!body || !sig) return null;
+
+  const expected = Buffer.from(signature(secret, body));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (_) {
+    return null;
+  }
+
+  if (!payload || payload.typ !== typ || typeof payload.exp !== 'number') return null;
+  return { payload, expired: payload.exp * 1000 < Date.now() };
+}
+
+/**
+ * Returns the payload of a valid, unexpired token of the given type, or null.
+ */
+export function verifyToken(token, typ) {
+  const result = inspectToken(token, typ);
+  return result && !result.expired ? result.payload : null;
+}
+
+/**
+ * Keyed hash for short secrets (OTP codes) that would be trivial to brute-force from a plain hash.
+ */
+export function hmacHex(value) {
+  const secret = getSigningSecret();
+  if (!secret) throw new Error('SIGNING_SECRET is not set.');
+  return createHmac('sha256', secret).update(String(value)).digest('hex');
+}
+
+/**
+ * Constant-time comparison of two strings.
+ */
+export function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
@@ -0,0 +1,196 @@
+// api/_lib/submissions.js
+// FamHack project submissions: one per team, editable by any member until the deadline.
+// Saves carry the version the editor started from, so one teammate can't silently
+// overwrite another's changes; every accepted save is kept in the revision history.
+
+import { famhackConfig } from './famhack-config.js';
+import { ConflictError } from './repository/index.js';
+import { getMembership } from './teams.js';
+import { HttpError } from './http.js';
+import { validators } from './validate.js';
+
+// API field → column
+const FIELDS = {
+  title: 'title',
+  description: 'description',
+  repoUrl: 'repo_url',
+  demoUrl: 'demo_url',
+  techTags: 'tech_tags',
+  track: 'track',
+};
+
+const TITLE_MAX = 120;
+const DESCRIPTION_MAX = 5000;
+const URL_MAX = 500;
+const TRACK_MAX = 60;
+
+const { invalid, text, tags } = validators('invalid_submission');
+
+function url(value, field) {
+  const raw = text(value, field, URL_MAX);
+  if (!raw) return null;
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch (_) {
+    throw invalid(field, `${field} must be a full http(s) URL.`);
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw invalid(field, `${field} must be a full http(s) URL.`);
+  }
+  return parsed.href;
+}
+
+/**
+ * Validates a submission from the request body and returns it as columns.
+ * Throws an HttpError (400 invalid_submission, with `field`) for anything unacceptable.
+ */
+export function normalizeSubmission(body, tracks = famhackConfig().tracks) {
+  const title = text(body.title, 'title', TITLE_MAX);
+  if (!title) throw invalid('title', 'Your project needs a title.');
+
+  const track = text(body.track, 'track', TRACK_MAX) || null;
+  if (track && tracks.length && !tracks.includes(track)) {
+    throw invalid('track', `Pick one of the tracks: ${tracks.join(', ')}.`);
+  }
+
+  return {
+    title,
+    description: text(body.description, 'description', DESCRIPTION_MAX),
+    repo_url: url(body.repoUrl, 'repoUrl'),
+    demo_url: url(body.demoUrl, 'demoUrl'),
+    tech_tags: tags(body.techTags, 'techTags', 'tech tags'),
+    track,
+  };
+}
+
+/**
+ * The deadline as an ISO string (null when there is none), whether it has passed,
+ * and the tracks on offer.
+ */
+export function submissionWindow(now = Date.now()) {
+  const { submissionDeadline, tracks } = famhackConfig();
+  return {
+    deadline: submissionDeadline === null ? null : new Date(submissionDeadline).toISOString(),
+    locked: submissionDeadline !== null && now >= submissionDeadline,
+    tracks,
+  };
+}
+
+/**
+ * The project fields of a submission row, without who edited it.
+ */
+export function submissionFields(row) {
+  return Object.fromEntries(Object.entries(FIELDS).map(([field, column]) => [field, row[column] ?? null]));
+}
+
+function formatSubmission(row) {
+  return {
+    ...submissionFields(row),
+    version: row.version,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    updatedBy: row.updated_by,
+  };
+}
+
+function formatRevision(row) {
+  const columnToField = Object.fromEntries(Object.entries(FIELDS).map(([field, column]) => [column, field]));
+  return {
+    version: row.version,
+    editedBy: row.edited_by,
+    editedAt: row.edited_at,
+    changed: (row.changed_fields || []).map((column) => columnToField[column] || column),
+    submission: submissionFields(row.snapshot || {}),
+  };
+}
+
+function isEmpty(value) {
+  return value == null || value === '' || (Array.isArray(value) && !value.length);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+async function requireTeam(repo, email) {
+  const membership = await getMembership(repo, email);
+  if (!membership) throw new HttpError(404, 'team_not_found', 'You are not in a team.');
+  return membership.team_id;
+}
+
+/**
+ * The caller's team submission (null before the first save) and its history, newest first.
+ */
+export async function getSubmission(repo, email) {
+  const teamId = await requireTeam(repo, email);
+  const [row, revisions] = await Promise.all([
+    repo.submissions.find(teamId),
+    repo.submissions.listRevisions(teamId),
+  ]);
+  return {
+    teamId,
+    submission: row ? formatSubmission(row) : null,
+    history: revisions.map(formatRevision),
+  };
+}
+
+function staleEdit() {
+  return new HttpError(409, 'submission_conflict',
+    'A teammate changed the submission while you were editing. Reload to see the latest version.');
+}
+
+/**
+ * Creates or updates the caller's team submission. `version` is the version the edit
+ * started from (omit it for the first save). Returns { submission, created }.
+ */
+export async function saveSubmission(repo, email, body, version, now = Date.now()) {
+  const teamId = await requireTeam(repo, email);
+  if (submissionWindow(now).locked) {
+    throw new HttpError(403, 'submission_locked', 'The submission deadline has passed.');
+  }
+
+  const values = normalizeSubmission(body);
+  const existing = await repo.submissions.find(teamId);
+  const stamp = new Date(now).toISOString();
+
+  if (!existing) {
+    let row;
+    try {
+      row = await repo.submissions.insert({
+        team_id: teamId, ...values, version: 1, updated_at: stamp, updated_by: email,
+      });
+    } catch (err) {
+      if (err instanceof ConflictError) throw staleEdit();
+      throw err;
+    }
+    await repo.submissions.insertRevision({
+      team_id: teamId,
+      version: 1,
+      edited_by: email,
+      edited_at: stamp,
+      changed_fields: Object.keys(values).filter((column) => !isEmpty(values[column])),
+      snapshot: values,
+    });
+    return { submission: formatSubmission(row), created: true };
+  }
+
+  if (version !== existing.version) throw staleEdit();
+
+  const changed = Object.keys(values).filter((column) => !sameValue(values[column], existing[column]));
+  if (!changed.length) return { submission: formatSubmission(existing), created: false };
+
+  const next = { ...values, version: existing.version + 1, updated_at: stamp, updated_by: email };
+  const updated = await repo.submissions.update(teamId, next, { version: existing.version });
+  if (!updated) throw staleEdit();
+
+  await repo.submissions.insertRevision({
+    team_id: teamId,
+    version: next.version,
+    edited_by: email,
+    edited_at: stamp,
+    changed_fields: changed,
+    snapshot: values,
+  });
+  return { submission: formatSubmission({ ...existing, ...next }), created: false };
+}
@@ -0,0 +1,27 @@
+// api/_lib/supabase.js
+// Shared server-side Supabase client using the service key.
+// Files under api/_lib are not deployed as routes; never import this from the frontend.
+
+import { createClient } from '@supabase/supabase-js';
+
+let client = null;
+
+/**
+ * Returns the service-role client, or null when Supabase is not configured.
+ * The client is reused across invocations of a warm function.
+ */
+export function getServiceClient() {
+  if (client) return client;
+
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+  if (!supabaseUrl || !supabaseServiceKey) return null;
+
+  client = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+  return client;
+}
+
+/** Postgres unique_violation, returned when a row with the same key already exists. */
+export const UNIQUE_VIOLATION = '23505';
@@ -0,0 +1,292 @@
+// api/_lib/team-finder.js
+// FamHack team finder. Participants opt in to a board with a profile (name, skills,
+// interests, bio); teams with open slots list what they need. A participant can ask to
+// join a listed team, and a team leader can invite someone from the board. Accepting
+// either moves the person into the team through switchTeam().
+// The board shows names and profile IDs only; emails are shared once a request is made.
+
+import { randomUUID } from 'node:crypto';
+import { ConflictError } from './repository/index.js';
+import { famhackConfig } from './famhack-config.js';
+import { getMembership, requireLeader, switchTeam } from './teams.js';
+import { HttpError } from './http.js';
+import { validators } from './validate.js';
+
+const NAME_MAX = 60;
+const BIO_MAX = 500;
+const NOTE_MAX = 500;
+const MESSAGE_MAX = 500;
+
+const { invalid, text, tags } = validators('invalid_profile');
+
+function formatProfile(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    skills: row.skills || [],
+    interests: row.interests || [],
+    bio: row.bio,
+    updatedAt: row.updated_at,
+  };
+}
+
+function formatListing(row, size, maxSize) {
+  return {
+    teamId: row.team_id,
+    needs: row.needs || [],
+    note: row.note,
+    members: size,
+    openSlots: Math.max(0, maxSize - size),
+    updatedAt: row.updated_at,
+  };
+}
+
+// team ID → member count, and email → team ID, for everyone in a team
+async function teamSizes(repo) {
+  const members = await repo.teams.listMembers();
+  const sizes = new Map();
+  const teamOf = new Map();
+  members.forEach((m) => {
+    sizes.set(m.team_id, (sizes.get(m.team_id) || 0) + 1);
+    teamOf.set(m.email, m.team_id);
+  });
+  return { sizes, teamOf };
+}
+
+// Free to join another team: not in a team, or alone in their own
+function isAvailable(email, { sizes, teamOf }) {
+  return !teamOf.has(email) || sizes.get(teamOf.get(email)) === 1;
+}
+
+/**
+ * The board as seen by `email`, with their own profile, their team's listing and the
+ * requests and invites waiting on them or sent by them.
+ */
+export async function getFinder(repo, email) {
+  const { maxTeamSize } = famhackConfig();
+  const [membership, profile, profiles, listings, teams] = await Promise.all([
+    getMembership(repo, email),
+    repo.finder.findProfile(email),
+    repo.finder.listProfiles(),
+    repo.finder.listListings(),
+    teamSizes(repo),
+  ]);
+  const teamId = membership ? membership.team_id : null;
+  const size = teamId ? teams.sizes.get(teamId) : 0;
+
+  const [listing, asPerson, asTeam] = await Promise.all([
+    teamId ? repo.finder.findListing(teamId) : null,
+    repo.finder.listRequests({ email, status: 'pending' }),
+    teamId ? repo.finder.listRequests({ teamId, status: 'pending' }) : [],
+  ]);
+
+  // Requests carry the other side's board name where they have a profile
+  const nameOf = new Map(profiles.map((p) => [p.email, p.name]));
+  const formatRequest = (r) => ({
+    id: r.id,
+    kind: r.kind,
+    teamId: r.team_id,
+    email: r.email,
+    name: nameOf.get(r.email) || null,
+    message: r.message,
+    createdAt: r.created_at,
+  });
+
+  return {
+    profile: profile ? { ...formatProfile(profile), listed: profile.listed } : null,
+    team: teamId ? {
+      id: teamId,
+      isLeader: membership.is_leader,
+      members: size,
+      openSlots: Math.max(0, maxTeamSize - size),
+    } : null,
+    listing: listing ? { ...formatListing(listing, size, maxTeamSize), listed: listing.listed } : null,
+    board: {
+      people: profiles
+        .filter((p) => p.email !== email && isAvailable(p.email, teams))
+        .map(formatProfile),
+      teams: listings
+        .filter((l) => l.team_id !== teamId && (teams.sizes.get(l.team_id) || 0) < maxTeamSize)
+        .map((l) => formatListing(l, teams.sizes.get(l.team_id) || 0, maxTeamSize)),
+    },
+    requests: {
+      incoming: [
+        ...asPerson.filter((r) => r.kind === 'invite'),
+        ...(membership && membership.is_leader ? asTeam.filter((r) => r.kind === 'request') : []),
+      ].map(formatRequest),
+      outgoing: [
+        ...asPerson.filter((r) => r.kind === 'request'),
+        ...asTeam.filter((r) => r.kind === 'invite'),
+      ].map(formatRequest),
+    },
+  };
+}
+
+/**
+ * Creates or updates the caller's board profile. `listed: false` hides it from the board.
+ */
+export async function saveProfile(repo, email, body) {
+  const name = text(body.name, 'name', NAME_MAX);
+  if (!name) throw invalid('name', 'Add a name for the board.');
+
+  const existing = await repo.finder.findProfile(email);
+  await repo.finder.upsertProfile({
+    email,
+    id: existing ? existing.id : randomUUID(),
+    name,
+    skills: tags(body.skills, 'skills'),
+    interests: tags(body.interests, 'interests'),
+    bio: text(body.bio, 'bio', BIO_MAX),
+    listed: body.listed !== false,
+    updated_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Leader lists what their team is looking for. `listed: false` takes the team off the board.
+ */
+export async function saveListing(repo, email, body) {
+  const leader = await requireLeader(repo, email);
+  await repo.finder.upsertListing({
+    team_id: leader.team_id,
+    needs: tags(body.needs, 'needs'),
+    note: text(body.note, 'note', NOTE_MAX),
+    listed: body.listed !== false,
+    updated_at: new Date().toISOString(),
+  });
+}
+
+async function openRequest(repo, row) {
+  try {
+    return await repo.finder.insertRequest({ id: randomUUID(), ...row });
+  } catch (err) {
+    if (err instanceof ConflictError) {
+      throw new HttpError(409, 'request_exists', 'There is already an open request between you and this team.');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Participant asks to join a team on the board.
+ */
+export async function requestToJoin(repo, email, teamId, message) {
+  const [listing, teams] = await Promise.all([repo.finder.findListing(teamId), teamSizes(repo)]);
+  if (!listing || !listing.listed) {
+    throw new HttpError(404, 'team_not_found', 'That team is not looking for members.');
+  }
+  if (teams.teamOf.get(email) === teamId) {
+    throw new HttpError(409, 'already_in_team', 'You are already in this team.');
+  }
+  if (!isAvailable(email, teams)) {
+    throw new HttpError(409, 'already_in_team', 'Leave your current team before joining another.');
+  }
+  if ((teams.sizes.get(teamId) || 0) >= famhackConfig().maxTeamSize) {
+    throw new HttpError(409, 'team_full', 'This team is full.');
+  }
+
+  return openRequest(repo, {
+    team_id: teamId,
+    email,
+    kind: 'request',
+    message: text(message, 'message', MESSAGE_MAX),
+    created_by: email,
+  });
+}
+
+/**
+ * Team leader invites someone from the board, by profile ID.
+ */
+export async function inviteToTeam(repo, leaderEmail, profileId, message) {
+  const leader = await requireLeader(repo, leaderEmail);
+  const [profile, teams] = await Promise.all([repo.finder.findProfileById(profileId), teamSizes(repo)]);
+  if (!profile || !profile.listed || profile.email === leaderEmail) {
+    throw new HttpError(404, 'profile_not_found', 'That person is not on the board.');
+  }
+  if (!isAvailable(profile.email, teams)) {
+    throw new HttpError(409, 'already_in_team', 'That person has already found a team.');
+  }
+  if (teams.sizes.get(leader.team_id) >= famhackConfig().maxTeamSize) {
+    throw new HttpError(409, 'team_full', 'Your team is full.');
+  }
+
+  return openRequest(repo, {
+    team_id: leader.team_id,
+    email: profile.email,
+    kind: 'invite',
+    message: text(message, 'message', MESSAGE_MAX),
+    created_by: leaderEmail,
+  });
+}
+
+async function leads(repo, email, teamId) {
+  const membership = await getMembership(repo, email);
+  return !!(membership && membership.is_leader && membership.team_id === teamId);
+}
+
+/**
+ * Answers a pending request or invite: 'accept' or 'decline' by whoever it was sent to,
+ * 'cancel' by whoever sent it. Accepting moves the person into the team and withdraws
+ * their other open requests. Returns { status, team } (team only when accepted).
+ */
+export async function respondToRequest(repo, email, requestId, action) {
+  const request = await repo.finder.findRequest(requestId);
+  if (!request) throw new HttpError(404, 'request_not_found', 'That request does not exist.');
+
+  // The person answers invites; the team leader answers requests to join
+  const answeredByPerson = request.kind === 'invite';
+  const isPerson = request.email === email;
+  const isLeader = await leads(repo, email, request.team_id);
+  const allowed = action === 'cancel'
+    ? (answeredByPerson ? isLeader : isPerson)
+    : (answeredByPerson ? isPerson : isLeader);
+  if (!allowed) throw new HttpError(403, 'not_allowed', 'You cannot answer this request.');
+
+  if (request.status !== 'pending') {
+    throw new HttpError(409, 'request_closed', `This request was already ${request.status}.`);
+  }
+
+  let team = null;
+  if (action === 'accept') team = await switchTeam(repo, request.email, request.team_id);
+
+  const status = { accept: 'accepted', decline: 'declined', cancel: 'cancelled' }[action];
+  const now = new Date().toISOString();
+  const updated = await repo.finder.updateRequest(requestId, { status, responded_at: now }, { status: 'pending' });
+  if (!updated && !team) {
+    throw new HttpError(409, 'request_closed', 'This request was already answered.');
+  }
+
+  if (team) {
+    const others = await repo.finder.listRequests({ email: request.email, status: 'pending' });
+    await Promise.all(others.map((r) => repo.finder.updateRequest(
+      r.id, { status: 'cancelled', responded_at: now }, { status: 'pending' },
+    )));
+  }
+
+  return { status, team };
+}
+
+/**
+ * The caller's profile for a data export, or null.
+ */
+export async function exportFinderProfile(repo, email) {
+  const profile = await repo.finder.findProfile(email);
+  return profile ? { ...formatProfile(profile), listed: profile.listed } : null;
+}
+
+/**
+ * The requests and invites the caller sent or was sent, for a data export.
+ * The other side's address is theirs, so it is left out.
+ */
+export async function exportFinderRequests(repo, email) {
+  const requests = await repo.finder.listRequestsBy(email);
+  return requests.map((r) => ({
+    kind: r.kind,
+    teamId: r.team_id,
+    sentByYou: r.created_by === email,
+    status: r.status,
+    message: r.message,
+    createdAt: r.created_at,
+    respondedAt: r.responded_at,
+  }));
+}
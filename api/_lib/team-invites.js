@@ -0,0 +1,156 @@
+// api/_lib/team-invites.js
+// FamHack team invite links. A link carries a signed 'invite' token naming a row in
+// famhack_team_invites; the row says whether the link has been revoked and how often it
+// has been used, so a team ID on its own no longer gets anyone in.
+// Each team has one live link at a time: making a new one revokes the old.
+
+import { randomUUID } from 'node:crypto';
+import { signToken, inspectToken } from './signing.js';
+import { famhackConfig } from './famhack-config.js';
+import { getMembership, getTeam, requireLeader, switchTeam } from './teams.js';
+import { HttpError } from './http.js';
+import { validators } from './validate.js';
+
+const MAX_USES_LIMIT = 50;
+const CLAIM_ATTEMPTS = 3;
+
+const { invalid } = validators('invalid_invite_options');
+
+// Re-signed on every read so the link can be shown again; the row's expiry is what counts
+function inviteToken(row) {
+  const ttl = Math.max(1, Math.ceil((Date.parse(row.expires_at) - Date.now()) / 1000));
+  return signToken('invite', { sub: row.id, team: row.team_id }, ttl);
+}
+
+function isLive(row, now = Date.now()) {
+  return !row.revoked_at
+    && Date.parse(row.expires_at) > now
+    && (row.max_uses == null || row.uses < row.max_uses);
+}
+
+function formatInvite(row) {
+  return {
+    token: inviteToken(row),
+    teamId: row.team_id,
+    expiresAt: new Date(row.expires_at).toISOString(),
+    maxUses: row.max_uses,
+    uses: row.uses,
+  };
+}
+
+/**
+ * The team's live invite link for any of its members, or null when there is none.
+ */
+export async function getInvite(repo, email) {
+  const membership = await getMembership(repo, email);
+  if (!membership) throw new HttpError(404, 'team_not_found', 'You are not in a team.');
+
+  const live = (await repo.invites.listInvites(membership.team_id)).find((row) => isLive(row));
+  return live ? formatInvite(live) : null;
+}
+
+/**
+ * Leader makes a new invite link, revoking the previous one.
+ * Options: maxUses (how many people may join with it) and ttlHours (how long it works).
+ */
+export async function createInvite(repo, email, { maxUses, ttlHours } = {}) {
+  const leader = await requireLeader(repo, email);
+  const { inviteTtlSeconds } = famhackConfig();
+
+  if (maxUses != null && !(Number.isInteger(maxUses) && maxUses > 0 && maxUses <= MAX_USES_LIMIT)) {
+    throw invalid('maxUses', `maxUses must be a whole number from 1 to ${MAX_USES_LIMIT}.`);
+  }
+  const maxHours = Math.floor(inviteTtlSeconds / 3600);
+  if (ttlHours != null && !(Number.isInteger(ttlHours) && ttlHours > 0 && ttlHours <= maxHours)) {
+    throw invalid('ttlHours', `ttlHours must be a whole number from 1 to ${maxHours}.`);
+  }
+
+  const now = new Date();
+  const ttlSeconds = ttlHours ? ttlHours * 3600 : inviteTtlSeconds;
+  await repo.invites.revokeInvites(leader.team_id, now.toISOString());
+  const row = await repo.invites.insertInvite({
+    id: randomUUID(),
+    team_id: leader.team_id,
+    created_by: email,
+    max_uses: maxUses ?? null,
+    expires_at: new Date(now.getTime() + ttlSeconds * 1000).toISOString(),
+  });
+  return formatInvite(row);
+}
+
+/**
+ * Leader revokes the team's invite links; nobody can join with them afterwards.
+ */
+export async function revokeInvites(repo, email) {
+  const leader = await requireLeader(repo, email);
+  await repo.invites.revokeInvites(leader.team_id, new Date().toISOString());
+}
+
+// The invite row behind a token, or an HttpError saying why it can't be used
+async function resolveInvite(repo, token) {
+  const result = inspectToken(token, 'invite');
+  if (!result) throw new HttpError(400, 'invalid_invite', 'This invite link is not valid. Ask your team for a new one.');
+
+  const row = await repo.invites.findInvite(result.payload.sub);
+  if (!row || row.revoked_at) {
+    throw new HttpError(410, 'invite_revoked', 'This invite link has been turned off. Ask your team for a new one.');
+  }
+  if (result.expired || Date.parse(row.expires_at) <= Date.now()) {
+    throw new HttpError(410, 'invite_expired', 'This invite link has expired. Ask your team for a new one.');
+  }
+  if (row.max_uses != null && row.uses >= row.max_uses) {
+    throw new HttpError(409, 'invite_used_up', 'This invite link has already been used as many times as allowed.');
+  }
+  return row;
+}
+
+/**
+ * Checks an invite link before sign-up. Returns { teamId, members, maxSize, expiresAt }.
+ */
+export async function checkInvite(repo, token) {
+  const row = await resolveInvite(repo, token);
+  const team = await getTeam(repo, row.team_id);
+  if (team.members.length >= team.maxSize) {
+    throw new HttpError(409, 'team_full', `This team is full (${team.maxSize} members max).`);
+  }
+  return {
+    teamId: team.id,
+    members: team.members.length,
+    maxSize: team.maxSize,
+    expiresAt: new Date(row.expires_at).toISOString(),
+  };
+}
+
+// Moves the use count by `delta`, retrying when someone else changed it first
+async function adjustUses(repo, id, delta) {
+  for (let attempt = 0; attempt < CLAIM_ATTEMPTS; attempt++) {
+    const row = await repo.invites.findInvite(id);
+    if (!row) return false;
+    if (delta > 0 && row.max_uses != null && row.uses >= row.max_uses) return false;
+    if (await repo.invites.updateUses(id, row.uses + delta, row.uses)) return true;
+  }
+  return false;
+}
+
+/**
+ * Joins the team an invite link is for, using up one of its uses. Someone alone in a
+ * team of their own leaves it on the way, as with the team finder (see switchTeam).
+ */
+export async function joinWithInvite(repo, token, email) {
+  // Opening your own team's link again is a no-op, even once it is used up
+  const signed = inspectToken(token, 'invite');
+  const existing = await getMembership(repo, email);
+  if (signed && existing && existing.team_id === signed.payload.team) return getTeam(repo, existing.team_id);
+
+  const row = await resolveInvite(repo, token);
+
+  if (!(await adjustUses(repo, row.id, 1))) {
+    throw new HttpError(409, 'invite_used_up', 'This invite link has already been used as many times as allowed.');
+  }
+  try {
+    return await switchTeam(repo, email, row.team_id);
+  } catch (err) {
+    await adjustUses(repo, row.id, -1);
+    throw err;
+  }
+}
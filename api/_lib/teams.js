@@ -0,0 +1,264 @@
+// api/_lib/teams.js
+// FamHack team storage shared by the /api/famhack/teams routes.
+// Creating a team and joining one send the team.created and team.member_joined webhooks.
+
+import { randomInt } from 'node:crypto';
+import { ConflictError } from './repository/index.js';
+import { famhackConfig } from './famhack-config.js';
+import { emitEvent } from './webhooks.js';
+import { HttpError } from './http.js';
+
+const TEAM_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const TEAM_ID_LENGTH = 10;
+const MAX_ID_ATTEMPTS = 3;
+
+function generateTeamId() {
+  let id = '';
+  for (let i = 0; i < TEAM_ID_LENGTH; i++) {
+    id += TEAM_ID_ALPHABET[randomInt(TEAM_ID_ALPHABET.length)];
+  }
+  return id;
+}
+
+/**
+ * Upper-cases a team ID from a URL or body; returns '' when it can't be one of ours.
+ */
+export function normalizeTeamId(value) {
+  if (typeof value !== 'string') return '';
+  const id = value.trim().toUpperCase();
+  return /^[A-Z0-9]{6,16}$/.test(id) ? id : '';
+}
+
+/**
+ * Returns the caller's membership row ({ team_id, email, is_leader, joined_at }) or null.
+ */
+export async function getMembership(repo, email) {
+  return repo.teams.findMembership(email);
+}
+
+/**
+ * Returns { id, createdAt, members } or null when the team doesn't exist.
+ * Members are ordered leader first, then by join time.
+ */
+export async function getTeam(repo, teamId) {
+  const team = await repo.teams.findTeam(teamId);
+  if (!team) return null;
+
+  const rows = await repo.teams.listMembers(teamId);
+  const members = rows
+    .map((m) => ({ email: m.email, isLeader: m.is_leader, joinedAt: m.joined_at }))
+    .sort((a, b) => Number(b.isLeader) - Number(a.isLeader));
+
+  return { id: team.id, createdAt: team.created_at, maxSize: famhackConfig().maxTeamSize, members };
+}
+
+/**
+ * Creates a team led by `email`. IDs come from the server, and a colliding ID is redrawn.
+ */
+export async function createTeam(repo, email) {
+  const existing = await getMembership(repo, email);
+  if (existing) {
+    throw new HttpError(409, 'already_in_team', 'You are already in a team.');
+  }
+
+  for (let attempt = 0; attempt < MAX_ID_ATTEMPTS; attempt++) {
+    const id = generateTeamId();
+    try {
+      await repo.teams.insertTeam({ id, created_by: email });
+    } catch (err) {
+      if (err instanceof ConflictError) continue;
+      throw err;
+    }
+
+    try {
+      await repo.teams.insertMember({ team_id: id, email, is_leader: true });
+    } catch (err) {
+      await repo.teams.deleteTeam(id);
+      if (err instanceof ConflictError) {
+        throw new HttpError(409, 'already_in_team', 'You are already in a team.');
+      }
+      throw err;
+    }
+
+    await emitEvent(repo, 'team.created', { teamId: id, email });
+    return getTeam(repo, id);
+  }
+
+  throw new Error('Could not allocate a unique team ID.');
+}
+
+/**
+ * Adds `email` to a team as a regular member. Joining your own team again is a no-op.
+ */
+export async function joinTeam(repo, teamId, email) {
+  const team = await getTeam(repo, teamId);
+  if (!team) throw new HttpError(404, 'team_not_found', 'That team does not exist.');
+
+  const existing = await getMembership(repo, email);
+  if (existing && existing.team_id === teamId) return team;
+  if (existing) throw new HttpError(409, 'already_in_team', 'You are already in another team.');
+
+  // The size check happens inside the insert, so two people can't both take the last place
+  let added;
+  try {
+    added = await repo.teams.insertMember({ team_id: teamId, email, is_leader: false }, team.maxSize);
+  } catch (err) {
+    if (err instanceof ConflictError) {
+      throw new HttpError(409, 'already_in_team', 'You are already in another team.');
+    }
+    throw err;
+  }
+  if (!added) throw new HttpError(409, 'team_full', `This team is full (${team.maxSize} members max).`);
+
+  const joined = await getTeam(repo, teamId);
+  await emitEvent(repo, 'team.member_joined', { teamId, email, members: joined.members.length });
+  return joined;
+}
+
+/**
+ * Moves someone into a team they were accepted into through the team finder.
+ * Participants start out alone in a team of their own, which is dissolved on the way;
+ * anyone already in a team with others has to leave it first.
+ */
+export async function switchTeam(repo, email, teamId) {
+  const target = await getTeam(repo, teamId);
+  if (!target) throw new HttpError(404, 'team_not_found', 'That team does not exist.');
+
+  const membership = await getMembership(repo, email);
+  if (membership && membership.team_id === teamId) return target;
+  // Checked up front as well so a full team doesn't cost the caller their solo team;
+  // joinTeam() repeats it atomically
+  if (target.members.length >= target.maxSize) {
+    throw new HttpError(409, 'team_full', `This team is full (${target.maxSize} members max).`);
+  }
+
+  if (membership) {
+    const current = await getTeam(repo, membership.team_id);
+    if (current && current.members.length > 1) {
+      throw new HttpError(409, 'already_in_team', 'Leave your current team before joining another.');
+    }
+    // Dissolving the solo team would take its project with it
+    if (await repo.submissions.find(membership.team_id)) {
+      throw new HttpError(409, 'has_submission', 'Your current team has a project submission. Dissolve it first.');
+    }
+    await repo.teams.deleteTeam(membership.team_id);
+  }
+
+  return joinTeam(repo, teamId, email);
+}
+
+/**
+ * Returns the caller's membership, requiring them to lead their team.
+ */
+export async function requireLeader(repo, email) {
+  const membership = await getMembership(repo, email);
+  if (!membership) throw new HttpError(404, 'team_not_found', 'You are not in a team.');
+  if (!membership.is_leader) {
+    throw new HttpError(403, 'not_leader', 'Only the team leader can do that.');
+  }
+  return membership;
+}
+
+/**
+ * Returns the target's membership, requiring them to be in the given team.
+ */
+async function requireTeammate(repo, teamId, email) {
+  const membership = await getMembership(repo, email);
+  if (!membership || membership.team_id !== teamId) {
+    throw new HttpError(404, 'member_not_found', 'That person is not in your team.');
+  }
+  return membership;
+}
+
+/**
+ * Leader removes another member from their team.
+ */
+export async function removeMember(repo, leaderEmail, memberEmail) {
+  const leader = await requireLeader(repo, leaderEmail);
+  if (memberEmail === leaderEmail) {
+    throw new HttpError(400, 'cannot_remove_self', 'Leaders dissolve the team or transfer leadership instead.');
+  }
+  await requireTeammate(repo, leader.team_id, memberEmail);
+
+  await repo.teams.removeMember(leader.team_id, memberEmail);
+  return getTeam(repo, leader.team_id);
+}
+
+/**
+ * Leader hands leadership to another member of the same team.
+ */
+export async function transferLeadership(repo, leaderEmail, memberEmail) {
+  const leader = await requireLeader(repo, leaderEmail);
+  if (memberEmail === leaderEmail) {
+    throw new HttpError(400, 'already_leader', 'You already lead this team.');
+  }
+  await requireTeammate(repo, leader.team_id, memberEmail);
+
+  // Demote first: a team may only have one leader at a time
+  await repo.teams.updateMember(leader.team_id, leaderEmail, { is_leader: false });
+
+  try {
+    await repo.teams.updateMember(leader.team_id, memberEmail, { is_leader: true });
+  } catch (err) {
+    await repo.teams.updateMember(leader.team_id, leaderEmail, { is_leader: true });
+    throw err;
+  }
+
+  return getTeam(repo, leader.team_id);
+}
+
+/**
+ * Leader deletes their team; members are removed with it.
+ */
+export async function dissolveTeam(repo, leaderEmail) {
+  const leader = await requireLeader(repo, leaderEmail);
+
+  await repo.teams.deleteTeam(leader.team_id);
+  return leader.team_id;
+}
+
+/**
+ * Member leaves their team. A leader can only leave once they are the last member,
+ * which dissolves the team; otherwise they must transfer leadership first.
+ */
+export async function leaveTeam(repo, email) {
+  const membership = await getMembership(repo, email);
+  if (!membership) throw new HttpError(404, 'team_not_found', 'You are not in a team.');
+
+  if (membership.is_leader) {
+    const team = await getTeam(repo, membership.team_id);
+    if (team && team.members.length > 1) {
+      throw new HttpError(409, 'leader_must_transfer', 'Transfer leadership before leaving your team.');
+    }
+    return dissolveTeam(repo, email);
+  }
+
+  await repo.teams.removeMember(membership.team_id, email);
+  return membership.team_id;
+}
+
+/**
+ * Takes someone out of their team for account deletion. A leader's team passes to the
+ * longest-standing other member, or is dissolved when nobody else is left.
+ * Returns what happened: 'none', 'left', 'leadership_transferred' or 'dissolved'.
+ */
+export async function removeFromTeamForDeletion(repo, email) {
+  const membership = await getMembership(repo, email);
+  if (!membership) return 'none';
+
+  if (membership.is_leader) {
+    const team = await getTeam(repo, membership.team_id);
+    const successor = team && team.members
+      .filter((m) => m.email !== email)
+      .sort((a, b) => String(a.joinedAt).localeCompare(String(b.joinedAt)))[0];
+
+    if (!successor) {
+      await dissolveTeam(repo, email);
+      return 'dissolved';
+    }
+    await transferLeadership(repo, email, successor.email);
+  }
+
+  await repo.teams.removeMember(membership.team_id, email);
+  return membership.is_leader ? 'leadership_transferred' : 'left';
+}
@@ -0,0 +1,18 @@
+// api/_lib/tokens.js
+// Random single-use tokens. Only the hash is stored; the raw token only ever leaves in an email.
+
+import { randomBytes, createHash } from 'node:crypto';
+
+/**
+ * Returns a URL-safe random token.
+ */
+export function generateToken(bytes = 32) {
+  return randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Returns the hex SHA-256 of a token, as stored in the database.
+ */
+export function hashToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
@@ -0,0 +1,50 @@
+// api/_lib/validate.js
+// Field checks shared by the modules that validate request bodies.
+// Each failure is a 400 HttpError naming the field.
+
+import { HttpError } from './http.js';
+
+const TAGS_MAX = 12;
+const TAG_MAX = 32;
+
+/**
+ * Returns the checks for one kind of body, all failing with the error `code`:
+ *   invalid(field, message) – the HttpError to throw
+ *   text(value, field, max) – trimmed text, '' when missing
+ *   tags(value, field, noun) – an array or comma-separated string of tags, lower-cased and
+ *     de-duplicated; `noun` names them in the message when there are too many
+ */
+export function validators(code) {
+  function invalid(field, message) {
+    return new HttpError(400, code, message, field);
+  }
+
+  function text(value, field, max) {
+    if (value == null) return '';
+    if (typeof value !== 'string') throw invalid(field, `${field} must be text.`);
+    const trimmed = value.trim();
+    if (trimmed.length > max) throw invalid(field, `${field} can be at most ${max} characters.`);
+    return trimmed;
+  }
+
+  function tags(value, field, noun = field) {
+    const list = typeof value === 'string' ? value.split(',') : value;
+    if (list == null) return [];
+    if (!Array.isArray(list)) throw invalid(field, `${field} must be a list.`);
+
+    const unique = [...new Set(list.map((tag) => text(tag, field, TAG_MAX).toLowerCase()).filter(Boolean))];
+    if (unique.length > TAGS_MAX) throw invalid(field, `Use at most ${TAGS_MAX} ${noun}.`);
+    return unique;
+  }
+
+  return { invalid, text, tags };
+}
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Lower-cases a row ID from a request; '' when it isn't a UUID (or isn't a string at all).
+ */
+export function normalizeId(value) {
+  return typeof value === 'string' && UUID.test(value) ? value.toLowerCase() : '';
+}
@@ -0,0 +1,49 @@
+// api/_lib/waitlist-count.js
+// Waitlist totals shared by /api/waitlist/count and /api/waitlist/stream.
+
+// Per-instance cache so visitors and open streams share one query per TTL.
+// Kept per repository, so handlers given different repositories never share counts.
+const CACHE_TTL_MS = 10 * 1000;
+const caches = new WeakMap(); // repo -> { cached: { counts, fetchedAt }, inflight }
+
+function cacheFor(repo) {
+  let cache = caches.get(repo);
+  if (!cache) {
+    cache = { cached: null, inflight: null };
+    caches.set(repo, cache);
+  }
+  return cache;
+}
+
+/**
+ * Returns { counts, fetchedAt, stale } from a short-lived cache.
+ * When the database can't be reached, the last known counts come back with stale: true;
+ * with nothing cached yet the error is rethrown.
+ */
+export async function getWaitlistCounts(repo, { ttlMs = CACHE_TTL_MS } = {}) {
+  const cache = cacheFor(repo);
+  if (cache.cached && Date.now() - cache.cached.fetchedAt < ttlMs) {
+    return { ...cache.cached, stale: false };
+  }
+
+  // Concurrent misses wait on the same query instead of each running their own
+  if (!cache.inflight) {
+    cache.inflight = repo.waitlist.counts()
+      .then((counts) => {
+        cache.cached = { counts, fetchedAt: Date.now() };
+        return cache.cached;
+      })
+      .finally(() => {
+        cache.inflight = null;
+      });
+  }
+
+  try {
+    const fresh = await cache.inflight;
+    return { ...fresh, stale: false };
+  } catch (err) {
+    if (!cache.cached) throw err;
+    console.error('[waitlist-count] serving stale counts:', err.message);
+    return { ...cache.cached, stale: true };
+  }
+}
@@ -0,0 +1,202 @@
+// api/_lib/webhooks.js
+// Outgoing webhooks, so tools like a Discord bot or a CRM hear about signups without polling.
+// WEBHOOK_ENDPOINTS lists where events go, as JSON:
+//   [{ "url": "https://bot.example/accio", "secret": "…", "events": ["waitlist.joined", "team.*"] }]
+// (no "events" = every event). Each event becomes one row per endpoint in webhook_deliveries,
+// the delivery log. The first attempt starts straight away without holding up the request
+// that caused the event; failures, and attempts cut short when the function was frozen, stay
+// pending and are retried with backoff. Retries that are due go out whenever a later event is
+// sent, and at least daily from the cron job in vercel.json (/api/admin/webhooks?retryDue=1).
+// Admins can run the retries or replay any row from the same route.
+//
+// Each request is a POST of { id, type, createdAt, data } with these headers:
+//   X-Accio-Event      the event type
+//   X-Accio-Delivery   the delivery row ID; the same on retries and replays
+//   X-Accio-Timestamp  unix seconds when this attempt was sent
+//   X-Accio-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the endpoint's secret>
+// scripts/webhook-receiver.mjs shows how to check them.
+
+import { createHmac, randomUUID } from 'node:crypto';
+
+export const WEBHOOK_EVENTS = ['waitlist.joined', 'famhack.registered', 'team.created', 'team.member_joined'];
+
+const DELIVERY_TIMEOUT_MS = 5000;
+const MAX_ATTEMPTS = 6;
+// 1, 4, 16, 64 and 256 minutes between attempts
+const RETRY_BASE_SECONDS = 60;
+const RETRY_FACTOR = 4;
+// How long a claimed row is left alone before another run may try it
+const CLAIM_SECONDS = 60;
+const RETRY_BATCH = 25;
+// Retries that go along with each new event, so a busy day doesn't leave them to the cron
+const EMIT_RETRY_BATCH = 5;
+
+function parseEndpoints(value) {
+  if (!value) return [];
+  try {
+    return JSON.parse(value)
+      .filter((e) => e && /^https?:\/\//.test(e.url) && typeof e.secret === 'string' && e.secret)
+      .map((e) => ({
+        url: e.url.trim(),
+        secret: e.secret,
+        events: Array.isArray(e.events) ? e.events.map((name) => String(name).trim()).filter(Boolean) : [],
+      }));
+  } catch (err) {
+    console.error('[webhooks] WEBHOOK_ENDPOINTS is not valid JSON:', err.message);
+    return [];
+  }
+}
+
+/**
+ * The configured endpoints: [{ url, secret, events }].
+ */
+export function webhookEndpoints() {
+  return parseEndpoints(process.env.WEBHOOK_ENDPOINTS);
+}
+
+// "team.*" matches every team event; no list matches everything
+function subscribes(endpoint, type) {
+  if (!endpoint.events.length) return true;
+  return endpoint.events.some((name) => name === type
+    || (name.endsWith('.*') && type.startsWith(name.slice(0, -1))));
+}
+
+/**
+ * The X-Accio-Signature value for a request body sent at `timestamp` (unix seconds).
+ */
+export function signWebhook(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function nextAttemptAt(attempts) {
+  const seconds = RETRY_BASE_SECONDS * RETRY_FACTOR ** (attempts - 1);
+  return new Date(Date.now() + seconds * 1000).toISOString();
+}
+
+async function post(endpoint, row) {
+  const body = JSON.stringify(row.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Accio-Webhooks/1',
+        'X-Accio-Event': row.event,
+        'X-Accio-Delivery': row.id,
+        'X-Accio-Timestamp': String(timestamp),
+        'X-Accio-Signature': signWebhook(endpoint.secret, timestamp, body),
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    const ok = response.status >= 200 && response.status < 300;
+    return { ok, status: response.status, error: ok ? null : `Endpoint responded ${response.status}.` };
+  } catch (err) {
+    return { ok: false, status: null, error: err.name === 'TimeoutError' ? 'Timed out.' : err.message };
+  }
+}
+
+// One attempt at a row. Returns the updated row, or null when another run claimed it first.
+async function attemptDelivery(repo, row) {
+  const attempts = row.attempts + 1;
+  const claimed = await repo.webhooks.updateDelivery(row.id, {
+    attempts,
+    next_attempt_at: new Date(Date.now() + CLAIM_SECONDS * 1000).toISOString(),
+  }, row.attempts);
+  if (!claimed) return null;
+
+  const endpoint = webhookEndpoints().find((e) => e.url === row.endpoint);
+  const result = endpoint
+    ? await post(endpoint, row)
+    : { ok: false, status: null, error: 'This endpoint is no longer in WEBHOOK_ENDPOINTS.' };
+
+  let patch;
+  if (result.ok) {
+    patch = { status: 'delivered', delivered_at: new Date().toISOString(), next_attempt_at: null };
+  } else if (!endpoint || attempts >= MAX_ATTEMPTS) {
+    patch = { status: 'failed', next_attempt_at: null };
+  } else {
+    patch = { status: 'pending', next_attempt_at: nextAttemptAt(attempts) };
+  }
+  Object.assign(patch, { last_status: result.status, last_error: result.error });
+
+  await repo.webhooks.updateDelivery(row.id, patch);
+  return { ...row, attempts, ...patch };
+}
+
+/**
+ * Retries pending deliveries whose next attempt is due. Returns { retried, delivered }.
+ */
+export async function retryDueDeliveries(repo, limit = RETRY_BATCH) {
+  const due = await repo.webhooks.listDue(new Date().toISOString(), limit);
+  const results = (await Promise.all(due.map((row) => attemptDelivery(repo, row)))).filter(Boolean);
+  return { retried: results.length, delivered: results.filter((r) => r.status === 'delivered').length };
+}
+
+/**
+ * Records `type` for every endpoint that wants it and starts sending it, followed by a few
+ * earlier deliveries that are due a retry. Only the insert is waited for; the rest carries on
+ * in the background, and rows it doesn't finish stay pending for the next retry.
+ * `data.email` is who the event is about. Never throws: a webhook problem must not fail the
+ * signup that caused it.
+ */
+export async function emitEvent(repo, type, data) {
+  const endpoints = webhookEndpoints().filter((e) => subscribes(e, type));
+  if (!endpoints.length) return;
+
+  try {
+    const payload = { id: randomUUID(), type, createdAt: new Date().toISOString(), data };
+    const rows = await repo.webhooks.insertDeliveries(endpoints.map((endpoint) => ({
+      id: randomUUID(),
+      event_id: payload.id,
+      event: type,
+      endpoint: endpoint.url,
+      payload,
+      subject_email: data.email || null,
+      next_attempt_at: payload.createdAt,
+    })));
+
+    Promise.all(rows.map((row) => attemptDelivery(repo, row)))
+      .then(() => retryDueDeliveries(repo, EMIT_RETRY_BATCH))
+      .catch((err) => {
+        console.error(`[webhooks] ${type}:`, err.message);
+      });
+  } catch (err) {
+    console.error(`[webhooks] ${type}:`, err.message);
+  }
+}
+
+/**
+ * Sends a logged delivery again now, whatever its status, with a fresh set of retries.
+ * Returns the updated row, or null when there is no such delivery.
+ */
+export async function replayDelivery(repo, id) {
+  const row = await repo.webhooks.findDelivery(id);
+  if (!row) return null;
+
+  const reset = { status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString() };
+  await repo.webhooks.updateDelivery(id, reset);
+  return (await attemptDelivery(repo, { ...row, ...reset })) || { ...row, ...reset };
+}
+
+/**
+ * A delivery log row as the admin API returns it.
+ */
+export function formatDelivery(row) {
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    event: row.event,
+    endpoint: row.endpoint,
+    status: row.status,
+    attempts: row.attempts,
+    lastStatus: row.last_status,
+    lastError: row.last_error,
+    nextAttemptAt: row.next_attempt_at,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at,
+    payload: row.payload,
+  };
+}
@@ -0,0 +1,38 @@
+// api/admin/announcements.js
+// Admin-only posting to the FamHack announcements feed (Bearer ADMIN_API_TOKEN).
+//   POST { message, level: 'info' | 'urgent' } – posts an announcement
+//   POST { id, remove: true }                   – takes one down
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { parseBody, handleMethod, sendError } from '../_lib/http.js';
+import { requireAdmin } from '../_lib/auth.js';
+import { normalizeId } from '../_lib/validate.js';
+import { postAnnouncement } from '../_lib/schedule.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['POST'])) return;
+    if (!requireAdmin(req, res)) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    try {
+      const body = parseBody(req);
+      if (body.remove === true) {
+        const id = normalizeId(body.id);
+        if (!id || !(await repo.schedule.removeAnnouncement(id))) {
+          return res.status(404).json({ error: 'Announcement not found.', code: 'announcement_not_found' });
+        }
+        return res.status(200).json({ ok: true, removed: id });
+      }
+
+      const announcement = await postAnnouncement(repo, body);
+      return res.status(201).json({ ok: true, announcement });
+    } catch (err) {
+      return sendError(res, err, '[admin/announcements]');
+    }
+  };
+}
+
+export default createHandler();
@@ -0,0 +1,90 @@
+// api/admin/attribution.js
+// Admin-only signup attribution report (Bearer ADMIN_API_TOKEN).
+//   GET ?from=YYYY-MM-DD&to=YYYY-MM-DD  – totals by source, by source + campaign and by day (UTC)
+//   GET ?format=csv&from=…&to=…         – the day × source × campaign rows as a download
+// The range is inclusive and defaults to the last 30 days.
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { handleMethod } from '../_lib/http.js';
+import { requireAdmin } from '../_lib/auth.js';
+import { toCsv } from '../_lib/csv.js';
+import { summarizeBy } from '../_lib/attribution.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+const CSV_COLUMNS = [
+  { key: 'day', label: 'day' },
+  { key: 'source', label: 'source' },
+  { key: 'campaign', label: 'campaign' },
+  { key: 'signups', label: 'signups' },
+  { key: 'confirmed', label: 'confirmed' },
+];
+
+// Midnight UTC of a YYYY-MM-DD string, or null.
+function parseDay(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return Number.isFinite(time) ? time : null;
+}
+
+function formatDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function parseRange(query) {
+  const today = parseDay(formatDay(Date.now()));
+  const to = parseDay(query.to) ?? today;
+  const from = parseDay(query.from) ?? to - (DEFAULT_RANGE_DAYS - 1) * DAY_MS;
+
+  if (from > to) return { error: '`from` must not be after `to`.' };
+  if ((to - from) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    return { error: `The range can span at most ${MAX_RANGE_DAYS} days.` };
+  }
+  return { from, to };
+}
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET'])) return;
+    if (!requireAdmin(req, res)) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    const range = parseRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error, code: 'invalid_range' });
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      const rows = await repo.waitlist.attribution(new Date(range.from), new Date(range.to + DAY_MS));
+      const from = formatDay(range.from);
+      const to = formatDay(range.to);
+
+      if (req.query.format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="attribution-${from}-to-${to}.csv"`);
+        return res.status(200).send(toCsv(rows, CSV_COLUMNS));
+      }
+
+      const byDay = summarizeBy(rows, ['day']).sort((a, b) => a.day.localeCompare(b.day));
+      return res.status(200).json({
+        from,
+        to,
+        total: rows.reduce((sum, row) => sum + row.signups, 0),
+        bySource: summarizeBy(rows, ['source']),
+        byCampaign: summarizeBy(rows, ['source', 'campaign']),
+        byDay,
+      });
+    } catch (err) {
+      console.error('[admin/attribution]', err.message);
+      return res.status(500).json({ error: 'Failed to load attribution.', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
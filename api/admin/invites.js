@@ -0,0 +1,51 @@
+// api/admin/invites.js
+// Admin-only beta invitations from the waitlist (Bearer ADMIN_API_TOKEN).
+//   POST { count, q?, source?, dryRun? } – invites the next `count` confirmed, waiting signups
+//        in queue order, optionally only emails containing `q` or with utm_source `source`.
+//        Each is emailed a one-time access code. With dryRun, only lists who would be invited.
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { parseBody, handleMethod, siteUrl } from '../_lib/http.js';
+import { requireAdmin } from '../_lib/auth.js';
+import { getSigningSecret } from '../_lib/signing.js';
+import { MAX_INVITES_PER_RUN, inviteNext, nextInvitees } from '../_lib/beta-invites.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['POST'])) return;
+    if (!requireAdmin(req, res)) return;
+
+    const body = parseBody(req);
+    const count = Number(body.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_INVITES_PER_RUN) {
+      return res.status(400).json({
+        error: `count must be a whole number from 1 to ${MAX_INVITES_PER_RUN}.`,
+        code: 'invalid_request',
+      });
+    }
+    const filters = {
+      count,
+      q: typeof body.q === 'string' ? body.q.trim().slice(0, 100) : '',
+      source: typeof body.source === 'string' ? body.source.trim().slice(0, 100) : '',
+    };
+
+    const repo = deps.repo || getRepository();
+    if (!repo || !getSigningSecret()) return sendNotConfigured(res);
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      if (body.dryRun === true) {
+        return res.status(200).json({ ok: true, dryRun: true, invitees: await nextInvitees(repo, filters) });
+      }
+
+      const result = await inviteNext(repo, siteUrl(req), filters);
+      return res.status(200).json({ ok: true, ...result });
+    } catch (err) {
+      console.error('[admin/invites]', err.message);
+      return res.status(500).json({ error: 'Failed to send invites.', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
@@ -0,0 +1,76 @@
+// api/admin/judges.js
+// Admin-only management of FamHack judges (Bearer ADMIN_API_TOKEN).
+//   GET  – every judge with their declared conflicts and how much they have assigned / scored
+//   POST { email, name, active, conflicts: [teamId, …] } – adds or updates a judge.
+//        Set active: false to retire a judge; their scores then drop out of the results.
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { parseBody, handleMethod } from '../_lib/http.js';
+import { requireAdmin } from '../_lib/auth.js';
+import { normalizeEmail, isValidEmail } from '../_lib/email.js';
+import { normalizeTeamId } from '../_lib/teams.js';
+
+const NAME_MAX = 100;
+
+async function listJudges(repo) {
+  const [judges, conflicts, assignments, scores] = await Promise.all([
+    repo.judging.listJudges(),
+    repo.judging.listConflicts(),
+    repo.judging.listAssignments(),
+    repo.judging.listScores(),
+  ]);
+  const countFor = (rows, email) => rows.filter((r) => r.judge_email === email).length;
+
+  return judges.map((j) => ({
+    email: j.email,
+    name: j.name,
+    active: j.active,
+    conflicts: conflicts.filter((c) => c.judge_email === j.email).map((c) => c.team_id),
+    assigned: countFor(assignments, j.email),
+    scored: countFor(scores, j.email),
+  }));
+}
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET', 'POST'])) return;
+    if (!requireAdmin(req, res)) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      if (req.method === 'GET') {
+        return res.status(200).json({ judges: await listJudges(repo) });
+      }
+
+      const body = parseBody(req);
+      const email = normalizeEmail(body.email);
+      if (!isValidEmail(email)) {
+        return res.status(400).json({ error: 'Please enter a valid email address.', code: 'invalid_email' });
+      }
+
+      const conflicts = Array.isArray(body.conflicts) ? body.conflicts.map(normalizeTeamId) : [];
+      if (conflicts.includes('')) {
+        return res.status(400).json({ error: 'Conflicts must be team IDs.', code: 'invalid_team_id' });
+      }
+
+      const existing = await repo.judging.findJudge(email);
+      await repo.judging.upsertJudge({
+        email,
+        name: typeof body.name === 'string' ? body.name.trim().slice(0, NAME_MAX) : (existing ? existing.name : ''),
+        active: typeof body.active === 'boolean' ? body.active : (existing ? existing.active : true),
+      });
+      if (Array.isArray(body.conflicts)) await repo.judging.setConflicts(email, [...new Set(conflicts)]);
+
+      return res.status(existing ? 200 : 201).json({ ok: true, judges: await listJudges(repo) });
+    } catch (err) {
+      console.error('[admin/judges]', err.message);
+      return res.status(500).json({ error: 'Failed to update judges.', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
@@ -0,0 +1,35 @@
+// api/admin/judging/assign.js
+// Admin-only: tops up judge assignments so each submission gets
+// FAMHACK_JUDGES_PER_SUBMISSION judges (or `perSubmission` from the body), skipping
+// conflicts of interest. Safe to run again as submissions or judges are added.
+
+import { getRepository, sendNotConfigured } from '../../_lib/repository/index.js';
+import { parseBody, handleMethod } from '../../_lib/http.js';
+import { requireAdmin } from '../../_lib/auth.js';
+import { famhackConfig } from '../../_lib/famhack-config.js';
+import { assignJudges } from '../../_lib/judging.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['POST'])) return;
+    if (!requireAdmin(req, res)) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    const requested = parseBody(req).perSubmission;
+    const perSubmission = Number.isInteger(requested) && requested > 0
+      ? requested
+      : famhackConfig().judgesPerSubmission;
+
+    try {
+      const result = await assignJudges(repo, perSubmission);
+      return res.status(200).json({ ok: true, perSubmission, ...result });
+    } catch (err) {
+      console.error('[admin/judging/assign]', err.message);
+      return res.status(500).json({ error: 'Failed to assign judges.', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
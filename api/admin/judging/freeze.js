@@ -0,0 +1,33 @@
+// api/admin/judging/freeze.js
+// Admin-only: POST { frozen: true } locks every score and stores the results as final;
+// { frozen: false } reopens scoring.
+
+import { getRepository, sendNotConfigured } from '../../_lib/repository/index.js';
+import { parseBody, handleMethod } from '../../_lib/http.js';
+import { requireAdmin } from '../../_lib/auth.js';
+import { setFrozen } from '../../_lib/judging.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['POST'])) return;
+    if (!requireAdmin(req, res)) return;
+
+    const { frozen } = parseBody(req);
+    if (typeof frozen !== 'boolean') {
+      return res.status(400).json({ error: '`frozen` must be true or false.', code: 'invalid_request' });
+    }
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    try {
+      const frozenAt = await setFrozen(repo, frozen);
+      return res.status(200).json({ ok: true, frozen, frozenAt });
+    } catch (err) {
+      console.error('[admin/judging/freeze]', err.message);
+      return res.status(500).json({ error: 'Failed to update scoring.', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
@@ -0,0 +1,65 @@
+// api/admin/judging/results.js
+// Admin-only leaderboard (Bearer ADMIN_API_TOKEN).
+//   GET ?track=Name              – rankings per track (all tracks without `track`)
+//   GET ?format=csv&track=Name   – the same rankings as a download, one row per submission
+// Rankings use judge-normalised scores; see api/_lib/judging.js.
+
+import { getRepository, sendNotConfigured } from '../../_lib/repository/index.js';
+import { handleMethod } from '../../_lib/http.js';
+import { requireAdmin } from '../../_lib/auth.js';
+import { toCsv } from '../../_lib/csv.js';
+import { computeResults } from '../../_lib/judging.js';
+
+function csvColumns(rubric) {
+  return [
+    { key: 'track', label: 'track' },
+    { key: 'rank', label: 'rank' },
+    { key: 'teamId', label: 'team_id' },
+    { key: 'title', label: 'title' },
+    { key: 'judges', label: 'judges' },
+    { key: 'normalizedScore', label: 'normalized_score' },
+    { key: 'rawScore', label: 'raw_score' },
+    ...rubric.criteria.map((c) => ({ key: `criterion_${c.id}`, label: c.id })),
+  ];
+}
+
+function slug(value) {
+  return value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'track';
+}
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET'])) return;
+    if (!requireAdmin(req, res)) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    const track = typeof req.query.track === 'string' ? req.query.track.trim() : '';
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      const results = await computeResults(repo);
+      const tracks = track ? results.tracks.filter((t) => t.track === track) : results.tracks;
+
+      if (req.query.format === 'csv') {
+        const rows = tracks.flatMap((t) => t.entries.map((e) => ({
+          ...e,
+          ...Object.fromEntries(Object.entries(e.criteria).map(([id, v]) => [`criterion_${id}`, v])),
+        })));
+        const name = track ? `results-${slug(track)}` : 'results';
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${name}.csv"`);
+        return res.status(200).send(toCsv(rows, csvColumns(results.rubric)));
+      }
+
+      return res.status(200).json({ ...results, tracks });
+    } catch (err) {
+      console.error('[admin/judging/results]', err.message);
+      return res.status(500).json({ error: 'Failed to load results.', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
@@ -0,0 +1,51 @@
+// api/admin/schedule.js
+// Admin-only editing of the FamHack schedule (Bearer ADMIN_API_TOKEN).
+//   GET  – the schedule, as served publicly by /api/famhack/schedule
+//   POST { id?, title, description, startsAt, endsAt, location, track } – adds a session,
+//        or replaces the one with `id`. Times are ISO timestamps, or local times such as
+//        "2026-10-25T09:30" in the event timezone (FAMHACK_TIMEZONE).
+//   POST { id, remove: true } – deletes a session.
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { parseBody, handleMethod, sendError } from '../_lib/http.js';
+import { requireAdmin } from '../_lib/auth.js';
+import { normalizeId } from '../_lib/validate.js';
+import { getSchedule, saveSession } from '../_lib/schedule.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET', 'POST'])) return;
+    if (!requireAdmin(req, res)) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      if (req.method === 'GET') {
+        return res.status(200).json(await getSchedule(repo));
+      }
+
+      const body = parseBody(req);
+      const id = normalizeId(body.id);
+      if (body.id != null && !id) {
+        return res.status(400).json({ error: 'Unknown session ID.', code: 'invalid_request' });
+      }
+
+      if (body.remove === true) {
+        if (!id || !(await repo.schedule.removeSession(id))) {
+          return res.status(404).json({ error: 'Session not found.', code: 'session_not_found' });
+        }
+        return res.status(200).json({ ok: true, removed: id });
+      }
+
+      const session = await saveSession(repo, id, body);
+      return res.status(id ? 200 : 201).json({ ok: true, session });
+    } catch (err) {
+      return sendError(res, err, '[admin/schedule]');
+    }
+  };
+}
+
+export default createHandler();
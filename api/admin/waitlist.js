@@ -0,0 +1,101 @@
+// api/admin/waitlist.js
+// Admin-only listing of waitlist signups (Bearer ADMIN_API_TOKEN).
+//   GET ?page=1&pageSize=50&q=text&status=pending|confirmed&access=waiting|invited|activated
+//       – paginated JSON
+//   GET ?format=csv|json&q=…&status=…&access=…                – full export as a download
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { handleMethod } from '../_lib/http.js';
+import { requireAdmin } from '../_lib/auth.js';
+import { toCsv } from '../_lib/csv.js';
+
+const COLUMNS = [
+  { key: 'email', label: 'email' },
+  { key: 'created_at', label: 'created_at' },
+  { key: 'confirmation_status', label: 'confirmation_status' },
+  { key: 'confirmed_at', label: 'confirmed_at' },
+  { key: 'referral_code', label: 'referral_code' },
+  { key: 'referred_by', label: 'referred_by' },
+  { key: 'beta_status', label: 'beta_status' },
+  { key: 'invited_at', label: 'invited_at' },
+  { key: 'activated_at', label: 'activated_at' },
+  { key: 'utm_source', label: 'utm_source' },
+  { key: 'utm_medium', label: 'utm_medium' },
+  { key: 'utm_campaign', label: 'utm_campaign' },
+  { key: 'referrer', label: 'referrer' },
+  { key: 'landing_path', label: 'landing_path' },
+  { key: 'locale', label: 'locale' },
+  { key: 'first_seen_at', label: 'first_seen_at' },
+];
+const SELECT = COLUMNS.map((c) => c.key);
+const MAX_PAGE_SIZE = 200;
+const EXPORT_BATCH = 1000;
+
+function clampInt(value, fallback, min, max) {
+  const n = Number.parseInt(value, 10);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+async function exportAll(repo, filters) {
+  const rows = [];
+  for (let offset = 0; ; offset += EXPORT_BATCH) {
+    const batch = await repo.waitlist.search({ ...filters, offset, limit: EXPORT_BATCH, columns: SELECT });
+    rows.push(...batch.rows);
+    if (batch.rows.length < EXPORT_BATCH) return rows;
+  }
+}
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET'])) return;
+    if (!requireAdmin(req, res)) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    const filters = {
+      q: typeof req.query.q === 'string' ? req.query.q.trim().toLowerCase().slice(0, 100) : '',
+      status: ['pending', 'confirmed'].includes(req.query.status) ? req.query.status : '',
+      betaStatus: ['waiting', 'invited', 'activated'].includes(req.query.access) ? req.query.access : '',
+    };
+    const format = req.query.format;
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      if (format === 'csv' || format === 'json') {
+        const rows = await exportAll(repo, filters);
+        const stamp = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Disposition', `attachment; filename="waitlist-${stamp}.${format}"`);
+
+        if (format === 'csv') {
+          res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+          return res.status(200).send(toCsv(rows, COLUMNS));
+        }
+        return res.status(200).json({ exportedAt: new Date().toISOString(), total: rows.length, items: rows });
+      }
+
+      const page = clampInt(req.query.page, 1, 1, Number.MAX_SAFE_INTEGER);
+      const pageSize = clampInt(req.query.pageSize, 50, 1, MAX_PAGE_SIZE);
+      const from = (page - 1) * pageSize;
+
+      const { rows, total } = await repo.waitlist.search({
+        ...filters, offset: from, limit: pageSize, columns: SELECT,
+      });
+
+      return res.status(200).json({
+        items: rows,
+        page,
+        pageSize,
+        total,
+        totalPages: Math.max(1, Math.ceil(total / pageSize)),
+      });
+    } catch (err) {
+      console.error('[admin/waitlist]', err.message);
+      return res.status(500).json({ error: 'Failed to list waitlist.', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
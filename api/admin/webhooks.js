@@ -0,0 +1,72 @@
+// api/admin/webhooks.js
+// Admin-only view of the outgoing webhook delivery log (Bearer ADMIN_API_TOKEN).
+//   GET  ?status=pending|delivered|failed&event= – the configured endpoints (without their
+//        secrets) and the latest deliveries, newest first
+//   POST { id } – replays one delivery now, whatever its status
+//   POST { retryDue: true } – retries every pending delivery whose next attempt is due
+//   GET  ?retryDue=1 – the same, for the cron job in vercel.json; it may also use CRON_SECRET
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { parseBody, handleMethod } from '../_lib/http.js';
+import { isCronRequest, requireAdmin } from '../_lib/auth.js';
+import { normalizeId } from '../_lib/validate.js';
+import {
+  WEBHOOK_EVENTS, formatDelivery, replayDelivery, retryDueDeliveries, webhookEndpoints,
+} from '../_lib/webhooks.js';
+
+const STATUSES = ['pending', 'delivered', 'failed'];
+const LOG_LIMIT = 100;
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET', 'POST'])) return;
+    const query = req.query || {};
+    const scheduled = req.method === 'GET' && query.retryDue === '1';
+    // The cron secret only runs the retries; reading the log still takes the admin token
+    if (!(scheduled && isCronRequest(req)) && !requireAdmin(req, res)) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      if (scheduled) {
+        return res.status(200).json({ ok: true, ...(await retryDueDeliveries(repo)) });
+      }
+
+      if (req.method === 'GET') {
+        const rows = await repo.webhooks.listDeliveries({
+          status: STATUSES.includes(query.status) ? query.status : null,
+          event: WEBHOOK_EVENTS.includes(query.event) ? query.event : null,
+          limit: LOG_LIMIT,
+        });
+        return res.status(200).json({
+          events: WEBHOOK_EVENTS,
+          endpoints: webhookEndpoints().map(({ url, events }) => ({ url, events })),
+          deliveries: rows.map(formatDelivery),
+        });
+      }
+
+      const body = parseBody(req);
+      if (body.retryDue === true) {
+        return res.status(200).json({ ok: true, ...(await retryDueDeliveries(repo)) });
+      }
+
+      const id = normalizeId(body.id);
+      if (!id) {
+        return res.status(400).json({ error: 'Unknown delivery ID.', code: 'invalid_request' });
+      }
+      const delivery = await replayDelivery(repo, id);
+      if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found.', code: 'delivery_not_found' });
+      }
+      return res.status(200).json({ ok: true, delivery: formatDelivery(delivery) });
+    } catch (err) {
+      console.error('[admin/webhooks]', err.message);
+      return res.status(500).json({ error: 'Failed to load webhook deliveries.', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
@@ -0,0 +1,28 @@
+// api/famhack/announcements.js
+// Public announcements feed, newest first. ?since=<ISO timestamp> returns only newer ones,
+// so clients can poll cheaply. Organisers post through /api/admin/announcements.
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { handleMethod } from '../_lib/http.js';
+import { listAnnouncements } from '../_lib/schedule.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET'])) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    try {
+      const since = typeof req.query.since === 'string' ? req.query.since : '';
+      const announcements = await listAnnouncements(repo, since);
+      res.setHeader('Cache-Control', 'public, s-maxage=10, stale-while-revalidate=10');
+      return res.status(200).json({ announcements, serverTime: new Date().toISOString() });
+    } catch (err) {
+      console.error('[famhack/announcements]', err.message);
+      return res.status(500).json({ error: 'Failed to load announcements.', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
@@ -0,0 +1,41 @@
+// api/famhack/checkin.js
+// Organiser check-in (admin token). Used by landing/checkin.html.
+// GET  – live counts: { checkedIn, ticketsIssued, withoutTeam, teams: [{ teamId, members, checkedIn }] }.
+// POST – { ticket } from a scanned QR code, or { code } typed by hand. The ticket's signature is
+//        checked; a ticket already used answers status 'duplicate' with the first check-in time.
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { parseBody, handleMethod, sendError } from '../_lib/http.js';
+import { requireAdmin } from '../_lib/auth.js';
+import { checkIn, checkinSummary } from '../_lib/checkin.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET', 'POST'])) return;
+    if (!requireAdmin(req, res)) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      if (req.method === 'POST') {
+        const body = parseBody(req);
+        const ticket = typeof body.ticket === 'string' ? body.ticket.trim() : '';
+        if (!ticket && !body.code) {
+          return res.status(400).json({ error: 'Scan a ticket or enter its code.', code: 'invalid_ticket' });
+        }
+
+        const result = await checkIn(repo, { ticket, code: body.code });
+        return res.status(200).json({ ok: true, ...result, summary: await checkinSummary(repo) });
+      }
+
+      return res.status(200).json(await checkinSummary(repo));
+    } catch (err) {
+      return sendError(res, err, '[famhack/checkin]');
+    }
+  };
+}
+
+export default createHandler();
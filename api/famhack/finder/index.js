@@ -0,0 +1,31 @@
+// api/famhack/finder/index.js
+// The team-finder board as seen by the caller: { profile, team, listing, board, requests }.
+// board.people are listed participants still free to join a team; board.teams are listed
+// teams with open slots. requests.incoming wait on the caller, requests.outgoing on others.
+
+import { getRepository, sendNotConfigured } from '../../_lib/repository/index.js';
+import { handleMethod, sendError } from '../../_lib/http.js';
+import { requireIdentity } from '../../_lib/auth.js';
+import { getFinder } from '../../_lib/team-finder.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET'])) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    const identity = await requireIdentity(req, res, repo);
+    if (!identity) return;
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      return res.status(200).json(await getFinder(repo, identity.email));
+    } catch (err) {
+      return sendError(res, err, '[famhack/finder]');
+    }
+  };
+}
+
+export default createHandler();
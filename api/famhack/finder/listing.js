@@ -0,0 +1,28 @@
+// api/famhack/finder/listing.js
+// Leader-only: puts the caller's team on the board with what it needs: { needs, note, listed }.
+
+import { getRepository, sendNotConfigured } from '../../_lib/repository/index.js';
+import { parseBody, handleMethod, sendError } from '../../_lib/http.js';
+import { requireIdentity } from '../../_lib/auth.js';
+import { getFinder, saveListing } from '../../_lib/team-finder.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['POST'])) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    const identity = await requireIdentity(req, res, repo);
+    if (!identity) return;
+
+    try {
+      await saveListing(repo, identity.email, parseBody(req));
+      return res.status(200).json({ ok: true, ...(await getFinder(repo, identity.email)) });
+    } catch (err) {
+      return sendError(res, err, '[famhack/finder/listing]');
+    }
+  };
+}
+
+export default createHandler();
@@ -0,0 +1,29 @@
+// api/famhack/finder/profile.js
+// Creates or updates the caller's board profile: { name, skills, interests, bio, listed }.
+// Skills and interests are lists or comma-separated text; `listed: false` hides the profile.
+
+import { getRepository, sendNotConfigured } from '../../_lib/repository/index.js';
+import { parseBody, handleMethod, sendError } from '../../_lib/http.js';
+import { requireIdentity } from '../../_lib/auth.js';
+import { getFinder, saveProfile } from '../../_lib/team-finder.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['POST'])) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    const identity = await requireIdentity(req, res, repo);
+    if (!identity) return;
+
+    try {
+      await saveProfile(repo, identity.email, parseBody(req));
+      return res.status(200).json({ ok: true, ...(await getFinder(repo, identity.email)) });
+    } catch (err) {
+      return sendError(res, err, '[famhack/finder/profile]');
+    }
+  };
+}
+
+export default createHandler();
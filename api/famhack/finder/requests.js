@@ -0,0 +1,41 @@
+// api/famhack/finder/requests.js
+// Opens a request between a participant and a team:
+//   { teamId, message }    – the caller asks to join a team on the board
+//   { profileId, message } – the caller, a team leader, invites someone from the board
+
+import { getRepository, sendNotConfigured } from '../../_lib/repository/index.js';
+import { parseBody, handleMethod, sendError } from '../../_lib/http.js';
+import { requireIdentity } from '../../_lib/auth.js';
+import { normalizeTeamId } from '../../_lib/teams.js';
+import { normalizeId } from '../../_lib/validate.js';
+import { inviteToTeam, requestToJoin } from '../../_lib/team-finder.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['POST'])) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    const identity = await requireIdentity(req, res, repo);
+    if (!identity) return;
+
+    const body = parseBody(req);
+    const teamId = normalizeTeamId(body.teamId);
+    const profileId = normalizeId(body.profileId);
+    if (!teamId && !profileId) {
+      return res.status(400).json({ error: 'Pick a team to join or a person to invite.', code: 'invalid_request' });
+    }
+
+    try {
+      const row = teamId
+        ? await requestToJoin(repo, identity.email, teamId, body.message)
+        : await inviteToTeam(repo, identity.email, profileId, body.message);
+      return res.status(201).json({ ok: true, request: { id: row.id, kind: row.kind, teamId: row.team_id } });
+    } catch (err) {
+      return sendError(res, err, '[famhack/finder/requests]');
+    }
+  };
+}
+
+export default createHandler();
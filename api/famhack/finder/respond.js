@@ -0,0 +1,38 @@
+// api/famhack/finder/respond.js
+// Answers a pending request or invite: { requestId, action: 'accept' | 'decline' | 'cancel' }.
+// Accepting moves the participant into the team; the response then includes the team.
+
+import { getRepository, sendNotConfigured } from '../../_lib/repository/index.js';
+import { parseBody, handleMethod, sendError } from '../../_lib/http.js';
+import { requireIdentity } from '../../_lib/auth.js';
+import { normalizeId } from '../../_lib/validate.js';
+import { respondToRequest } from '../../_lib/team-finder.js';
+
+const ACTIONS = ['accept', 'decline', 'cancel'];
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['POST'])) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    const identity = await requireIdentity(req, res, repo);
+    if (!identity) return;
+
+    const body = parseBody(req);
+    const requestId = normalizeId(body.requestId);
+    if (!requestId || !ACTIONS.includes(body.action)) {
+      return res.status(400).json({ error: 'A request ID and an action are required.', code: 'invalid_request' });
+    }
+
+    try {
+      const { status, team } = await respondToRequest(repo, identity.email, requestId, body.action);
+      return res.status(200).json({ ok: true, status, ...(team ? { team } : {}) });
+    } catch (err) {
+      return sendError(res, err, '[famhack/finder/respond]');
+    }
+  };
+}
+
+export default createHandler();
@@ -0,0 +1,13 @@
+// api/famhack/logout.js
+// POST – signs the browser out by clearing the session cookie.
+
+import { handleMethod } from '../_lib/http.js';
+import { endSession } from '../_lib/session.js';
+
+export default function handler(req, res) {
+  if (handleMethod(req, res, ['POST'])) return;
+
+  endSession(res);
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).json({ ok: true });
+}
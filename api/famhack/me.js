@@ -0,0 +1,38 @@
+// api/famhack/me.js
+// GET – who is signed in: { email, expiresAt, team: { id, isLeader } | null }.
+// The dashboard trusts this rather than anything kept in the browser. Answers 401 when
+// there is no session, and renews one that is getting old.
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { handleMethod, sendError } from '../_lib/http.js';
+import { isRevoked, readSession, renewSession } from '../_lib/session.js';
+import { getMembership } from '../_lib/teams.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET'])) return;
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    try {
+      const session = readSession(req);
+      if (!session || (await isRevoked(repo, session))) {
+        return res.status(401).json({ error: 'Please verify your email first.', code: 'unauthenticated' });
+      }
+
+      const membership = await getMembership(repo, session.email);
+      return res.status(200).json({
+        email: session.email,
+        expiresAt: renewSession(res, session),
+        team: membership ? { id: membership.team_id, isLeader: membership.is_leader } : null,
+      });
+    } catch (err) {
+      return sendError(res, err, '[famhack/me]');
+    }
+  };
+}
+
+export default createHandler();
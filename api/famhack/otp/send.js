@@ -0,0 +1,99 @@
+// api/famhack/otp/send.js
+// Emails a one-time code to an eligible address. Only an HMAC of the code is stored;
+// it expires after FAMHACK_OTP_TTL seconds and can't be re-sent within otpResendDelay.
+// Sends are also rate limited per IP and per email, and disposable domains are refused.
+
+import { randomInt } from 'node:crypto';
+import { getRepository } from '../../_lib/repository/index.js';
+import { normalizeEmail, isValidEmail } from '../../_lib/email.js';
+import { parseBody, handleMethod } from '../../_lib/http.js';
+import { getSigningSecret, hmacHex } from '../../_lib/signing.js';
+import { famhackConfig } from '../../_lib/famhack-config.js';
+import { checkEligibility, describeInstitutions } from '../../_lib/eligibility.js';
+import { sendMail } from '../../_lib/mailer.js';
+import { famhackOtp } from '../../_lib/mail-templates.js';
+import { isDisposableEmail } from '../../_lib/disposable-domains.js';
+import { enforceRateLimits } from '../../_lib/rate-limit.js';
+
+const RATE_LIMITS = {
+  perIp: { limit: 10, windowSeconds: 15 * 60 },
+  perEmail: { limit: 5, windowSeconds: 60 * 60 },
+};
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['POST'])) return;
+
+    const config = famhackConfig();
+    const email = normalizeEmail(parseBody(req).email);
+
+    if (isValidEmail(email) && isDisposableEmail(email)) {
+      return res.status(400).json({ error: 'Disposable email addresses are not allowed.', code: 'disposable_email' });
+    }
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'Please enter a valid email address', code: 'invalid_email' });
+    }
+
+    const eligibility = checkEligibility(email);
+    if (!eligibility.eligible && eligibility.reason === 'blocked') {
+      return res.status(403).json({ error: 'This email address cannot register for FamHack', code: 'email_blocked' });
+    }
+    if (!eligibility.eligible) {
+      return res.status(400).json({
+        error: `FamHack is open to: ${describeInstitutions()}`,
+        code: 'ineligible_email',
+      });
+    }
+
+    const repo = deps.repo || getRepository();
+    if (!repo || !getSigningSecret()) {
+      return res.status(503).json({ error: 'Registration is not configured.', code: 'not_configured' });
+    }
+
+    if (await enforceRateLimits(req, res, 'otp-send', { email, ...RATE_LIMITS })) return;
+
+    try {
+      const existing = await repo.otps.find(email);
+      if (existing) {
+        const waited = (Date.now() - Date.parse(existing.last_sent_at)) / 1000;
+        const retryAfter = Math.ceil(config.otpResendDelay - waited);
+        if (retryAfter > 0) {
+          res.setHeader('Retry-After', String(retryAfter));
+          return res.status(429).json({
+            error: `Please wait ${retryAfter}s before requesting another code`,
+            code: 'resend_too_soon',
+            retryAfter,
+          });
+        }
+      }
+
+      const code = String(randomInt(0, 10 ** config.otpLength)).padStart(config.otpLength, '0');
+      const now = Date.now();
+
+      await repo.otps.upsert({
+        email,
+        code_hash: hmacHex(`${email}:${code}`),
+        expires_at: new Date(now + config.otpTtlSeconds * 1000).toISOString(),
+        attempts: 0,
+        last_sent_at: new Date(now).toISOString(),
+      });
+
+      await sendMail({
+        to: email,
+        ...famhackOtp({ code, ttlMinutes: Math.round(config.otpTtlSeconds / 60) }),
+      });
+
+      return res.status(200).json({
+        ok: true,
+        message: 'OTP sent successfully',
+        resendDelay: config.otpResendDelay,
+      });
+    } catch (err) {
+      console.error('[famhack/otp/send]', err.message);
+      return res.status(500).json({ error: 'Failed to send OTP', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
@@ -0,0 +1,87 @@
+// api/famhack/otp/verify.js
+// Checks a one-time code. Wrong guesses count against otpMaxAttempts; a correct code is
+// consumed and the browser is signed in with a session cookie (see _lib/session.js).
+// The reply says which team the person is already in, if any, so a returning
+// participant is signed back in rather than given a new team.
+// Someone verified while not yet in a team is announced as the famhack.registered webhook.
+// Guessing across many emails is slowed by a per-IP rate limit.
+
+import { getRepository } from '../../_lib/repository/index.js';
+import { normalizeEmail } from '../../_lib/email.js';
+import { parseBody, handleMethod } from '../../_lib/http.js';
+import { getSigningSecret, hmacHex, safeEqual } from '../../_lib/signing.js';
+import { startSession } from '../../_lib/session.js';
+import { famhackConfig } from '../../_lib/famhack-config.js';
+import { enforceRateLimits } from '../../_lib/rate-limit.js';
+import { getMembership } from '../../_lib/teams.js';
+import { emitEvent } from '../../_lib/webhooks.js';
+
+const RATE_LIMITS = {
+  perIp: { limit: 30, windowSeconds: 15 * 60 },
+};
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['POST'])) return;
+
+    const config = famhackConfig();
+    const body = parseBody(req);
+    const email = normalizeEmail(body.email);
+    const code = typeof body.code === 'string' ? body.code.trim() : '';
+
+    if (!email || !new RegExp(`^\\d{${config.otpLength}}$`).test(code)) {
+      return res.status(400).json({ error: 'Please enter the complete OTP', code: 'invalid_otp' });
+    }
+
+    const repo = deps.repo || getRepository();
+    if (!repo || !getSigningSecret()) {
+      return res.status(503).json({ error: 'Registration is not configured.', code: 'not_configured' });
+    }
+
+    if (await enforceRateLimits(req, res, 'otp-verify', { email, ...RATE_LIMITS })) return;
+
+    try {
+      const otp = await repo.otps.find(email);
+      if (!otp) {
+        return res.status(400).json({ error: 'No code was sent to this email. Request a new one.', code: 'otp_not_found' });
+      }
+
+      if (Date.parse(otp.expires_at) < Date.now()) {
+        await repo.otps.remove(email);
+        return res.status(400).json({ error: 'This code has expired. Request a new one.', code: 'otp_expired' });
+      }
+
+      // Every guess is counted before it is checked, so parallel guesses can't exceed the limit
+      const attempts = await repo.otps.recordAttempt(email, config.otpMaxAttempts);
+      if (attempts === null) {
+        return res.status(429).json({ error: 'Too many attempts. Request a new code.', code: 'too_many_attempts' });
+      }
+
+      if (!safeEqual(otp.code_hash, hmacHex(`${email}:${code}`))) {
+        return res.status(400).json({
+          error: 'Invalid OTP',
+          code: 'invalid_otp',
+          attemptsRemaining: Math.max(0, config.otpMaxAttempts - attempts),
+        });
+      }
+
+      // Consume the code so it can't be used twice
+      await repo.otps.remove(email);
+
+      const expiresAt = startSession(res, email);
+      const membership = await getMembership(repo, email);
+      if (!membership) await emitEvent(repo, 'famhack.registered', { email });
+      return res.status(200).json({
+        ok: true,
+        email,
+        expiresAt,
+        team: membership ? { id: membership.team_id, isLeader: membership.is_leader } : null,
+      });
+    } catch (err) {
+      console.error('[famhack/otp/verify]', err.message);
+      return res.status(500).json({ error: 'Failed to verify OTP', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
@@ -0,0 +1,27 @@
+// api/famhack/schedule.js
+// Public event schedule: { timezone, serverTime, sessions, now, next }.
+// Times are ISO instants; show them in `timezone` so they read as the venue's clock.
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { handleMethod } from '../_lib/http.js';
+import { getSchedule } from '../_lib/schedule.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET'])) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    try {
+      const schedule = await getSchedule(repo);
+      res.setHeader('Cache-Control', 'public, s-maxage=30, stale-while-revalidate=30');
+      return res.status(200).json(schedule);
+    } catch (err) {
+      console.error('[famhack/schedule]', err.message);
+      return res.status(500).json({ error: 'Failed to load the schedule.', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
@@ -0,0 +1,40 @@
+// api/famhack/submissions/index.js
+// The caller's team project submission. Any member can edit it until FAMHACK_SUBMISSION_DEADLINE.
+// GET  – { submission, history, deadline, locked, tracks }; submission is null before the first save.
+// POST – { title, description, repoUrl, demoUrl, techTags, track, version } creates or updates it.
+//        `version` is the one the edit started from; a stale version answers 409 submission_conflict.
+
+import { getRepository, sendNotConfigured } from '../../_lib/repository/index.js';
+import { parseBody, handleMethod, sendError } from '../../_lib/http.js';
+import { requireIdentity } from '../../_lib/auth.js';
+import { getSubmission, saveSubmission, submissionWindow } from '../../_lib/submissions.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET', 'POST'])) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    const identity = await requireIdentity(req, res, repo);
+    if (!identity) return;
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      if (req.method === 'POST') {
+        const body = parseBody(req);
+        const version = Number.isInteger(body.version) ? body.version : null;
+        const { submission, created } = await saveSubmission(repo, identity.email, body, version);
+        return res.status(created ? 201 : 200).json({ ok: true, submission, ...submissionWindow() });
+      }
+
+      const { submission, history } = await getSubmission(repo, identity.email);
+      return res.status(200).json({ submission, history, ...submissionWindow() });
+    } catch (err) {
+      return sendError(res, err, '[famhack/submissions]');
+    }
+  };
+}
+
+export default createHandler();
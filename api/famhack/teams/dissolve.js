@@ -0,0 +1,28 @@
+// api/famhack/teams/dissolve.js
+// Leader-only: deletes the caller's team and all its memberships.
+
+import { getRepository, sendNotConfigured } from '../../_lib/repository/index.js';
+import { handleMethod, sendError } from '../../_lib/http.js';
+import { requireIdentity } from '../../_lib/auth.js';
+import { dissolveTeam } from '../../_lib/teams.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['POST'])) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    const identity = await requireIdentity(req, res, repo);
+    if (!identity) return;
+
+    try {
+      const teamId = await dissolveTeam(repo, identity.email);
+      return res.status(200).json({ ok: true, teamId });
+    } catch (err) {
+      return sendError(res, err, '[famhack/teams/dissolve]');
+    }
+  };
+}
+
+export default createHandler();
@@ -0,0 +1,52 @@
+// api/famhack/teams/index.js
+// GET  ?id=TEAMID – the team and its roster (members only); without id, the caller's own team.
+// POST            – creates a new team led by the caller.
+
+import { getRepository, sendNotConfigured } from '../../_lib/repository/index.js';
+import { handleMethod, sendError } from '../../_lib/http.js';
+import { requireIdentity } from '../../_lib/auth.js';
+import {
+  getMembership, getTeam, createTeam, normalizeTeamId,
+} from '../../_lib/teams.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET', 'POST'])) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    const identity = await requireIdentity(req, res, repo);
+    if (!identity) return;
+
+    try {
+      if (req.method === 'POST') {
+        const team = await createTeam(repo, identity.email);
+        return res.status(201).json({ ok: true, team });
+      }
+
+      const membership = await getMembership(repo, identity.email);
+      const teamId = req.query.id ? normalizeTeamId(req.query.id) : membership && membership.team_id;
+
+      if (!teamId) {
+        return res.status(404).json({ error: 'You are not in a team yet.', code: 'team_not_found' });
+      }
+      // Rosters contain emails, so only members get to see them
+      if (!membership || membership.team_id !== teamId) {
+        return res.status(403).json({ error: 'You are not a member of this team.', code: 'not_a_member' });
+      }
+
+      const team = await getTeam(repo, teamId);
+      if (!team) {
+        return res.status(404).json({ error: 'That team does not exist.', code: 'team_not_found' });
+      }
+
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(200).json({ team });
+    } catch (err) {
+      return sendError(res, err, '[famhack/teams]');
+    }
+  };
+}
+
+export default createHandler();
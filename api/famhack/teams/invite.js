@@ -0,0 +1,43 @@
+// api/famhack/teams/invite.js
+// The caller's team invite link.
+// GET                       – the live link ({ invite } or { invite: null }), for any member
+// POST { maxUses?, ttlHours? } – leader makes a new link; the old one stops working
+// POST { revoke: true }     – leader turns the link off
+
+import { getRepository, sendNotConfigured } from '../../_lib/repository/index.js';
+import { parseBody, handleMethod, sendError } from '../../_lib/http.js';
+import { requireIdentity } from '../../_lib/auth.js';
+import { getInvite, createInvite, revokeInvites } from '../../_lib/team-invites.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET', 'POST'])) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    const identity = await requireIdentity(req, res, repo);
+    if (!identity) return;
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      if (req.method === 'GET') {
+        return res.status(200).json({ invite: await getInvite(repo, identity.email) });
+      }
+
+      const body = parseBody(req);
+      if (body.revoke === true) {
+        await revokeInvites(repo, identity.email);
+        return res.status(200).json({ ok: true, invite: null });
+      }
+
+      const invite = await createInvite(repo, identity.email, { maxUses: body.maxUses, ttlHours: body.ttlHours });
+      return res.status(201).json({ ok: true, invite });
+    } catch (err) {
+      return sendError(res, err, '[famhack/teams/invite]');
+    }
+  };
+}
+
+export default createHandler();
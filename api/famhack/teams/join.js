@@ -0,0 +1,34 @@
+// api/famhack/teams/join.js
+// Adds the caller to a team as a regular member, through the team's invite link.
+// POST { invite } – the signed token from the link (see _lib/team-invites.js)
+
+import { getRepository, sendNotConfigured } from '../../_lib/repository/index.js';
+import { parseBody, handleMethod, sendError } from '../../_lib/http.js';
+import { requireIdentity } from '../../_lib/auth.js';
+import { joinWithInvite } from '../../_lib/team-invites.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['POST'])) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    const identity = await requireIdentity(req, res, repo);
+    if (!identity) return;
+
+    const { invite } = parseBody(req);
+    if (typeof invite !== 'string' || !invite) {
+      return res.status(400).json({ error: 'An invite link is required to join a team.', code: 'invalid_invite' });
+    }
+
+    try {
+      const team = await joinWithInvite(repo, invite, identity.email);
+      return res.status(200).json({ ok: true, team });
+    } catch (err) {
+      return sendError(res, err, '[famhack/teams/join]');
+    }
+  };
+}
+
+export default createHandler();
@@ -0,0 +1,28 @@
+// api/famhack/teams/leave.js
+// Removes the caller from their team (a leader must transfer leadership first unless alone).
+
+import { getRepository, sendNotConfigured } from '../../_lib/repository/index.js';
+import { handleMethod, sendError } from '../../_lib/http.js';
+import { requireIdentity } from '../../_lib/auth.js';
+import { leaveTeam } from '../../_lib/teams.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['POST'])) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    const identity = await requireIdentity(req, res, repo);
+    if (!identity) return;
+
+    try {
+      const teamId = await leaveTeam(repo, identity.email);
+      return res.status(200).json({ ok: true, teamId });
+    } catch (err) {
+      return sendError(res, err, '[famhack/teams/leave]');
+    }
+  };
+}
+
+export default createHandler();
@@ -0,0 +1,31 @@
+// api/famhack/teams/preview.js
+// GET ?invite=TOKEN – checks an invite link before sign-up: which team it is for and
+// how full that team is, or why the link can't be used (expired, revoked, used up, full).
+
+import { getRepository, sendNotConfigured } from '../../_lib/repository/index.js';
+import { handleMethod, sendError } from '../../_lib/http.js';
+import { checkInvite } from '../../_lib/team-invites.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET'])) return;
+
+    const { invite } = req.query;
+    if (typeof invite !== 'string' || !invite) {
+      return res.status(400).json({ error: 'An invite link is required.', code: 'invalid_invite' });
+    }
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      return res.status(200).json(await checkInvite(repo, invite));
+    } catch (err) {
+      return sendError(res, err, '[famhack/teams/preview]');
+    }
+  };
+}
+
+export default createHandler();
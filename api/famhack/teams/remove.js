@@ -0,0 +1,34 @@
+// api/famhack/teams/remove.js
+// Leader-only: removes another member from the caller's team.
+
+import { getRepository, sendNotConfigured } from '../../_lib/repository/index.js';
+import { parseBody, handleMethod, sendError } from '../../_lib/http.js';
+import { requireIdentity } from '../../_lib/auth.js';
+import { normalizeEmail } from '../../_lib/email.js';
+import { removeMember } from '../../_lib/teams.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['POST'])) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    const identity = await requireIdentity(req, res, repo);
+    if (!identity) return;
+
+    const memberEmail = normalizeEmail(parseBody(req).email);
+    if (!memberEmail) {
+      return res.status(400).json({ error: 'Which member? An email is required.', code: 'invalid_email' });
+    }
+
+    try {
+      const team = await removeMember(repo, identity.email, memberEmail);
+      return res.status(200).json({ ok: true, team });
+    } catch (err) {
+      return sendError(res, err, '[famhack/teams/remove]');
+    }
+  };
+}
+
+export default createHandler();
@@ -0,0 +1,32 @@
+// api/famhack/ticket.js
+// The caller's event-day ticket: a signed token for the QR code and the short code to
+// type instead. The dashboard keeps the last one it fetched, so it still shows offline.
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { handleMethod } from '../_lib/http.js';
+import { requireIdentity } from '../_lib/auth.js';
+import { issueTicket } from '../_lib/checkin.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET'])) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    const identity = await requireIdentity(req, res, repo);
+    if (!identity) return;
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      const ticket = await issueTicket(repo, identity.email);
+      return res.status(200).json({ ok: true, ...ticket });
+    } catch (err) {
+      console.error('[famhack/ticket]', err.message);
+      return res.status(500).json({ error: 'Failed to issue your ticket.', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
@@ -0,0 +1,59 @@
+// api/judging/login.js
+// Emails a judge the link that signs them in to judging.html. The link carries a signed
+// judge token, valid for FAMHACK_JUDGE_SESSION_TTL seconds.
+// The response is the same for any address, so it cannot be used to find out who judges.
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { normalizeEmail, isValidEmail } from '../_lib/email.js';
+import { parseBody, handleMethod, siteUrl } from '../_lib/http.js';
+import { getSigningSecret } from '../_lib/signing.js';
+import { sendMail } from '../_lib/mailer.js';
+import { judgeSignIn } from '../_lib/mail-templates.js';
+import { enforceRateLimits } from '../_lib/rate-limit.js';
+import { famhackConfig } from '../_lib/famhack-config.js';
+import { judgeToken } from '../_lib/judging.js';
+
+const RATE_LIMITS = {
+  perIp: { limit: 10, windowSeconds: 15 * 60 },
+  perEmail: { limit: 3, windowSeconds: 60 * 60 },
+};
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['POST'])) return;
+
+    const email = normalizeEmail(parseBody(req).email);
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'Please enter a valid email address.', code: 'invalid_email' });
+    }
+
+    const repo = deps.repo || getRepository();
+    if (!repo || !getSigningSecret()) return sendNotConfigured(res);
+
+    if (await enforceRateLimits(req, res, 'judge-login', { email, ...RATE_LIMITS })) return;
+
+    try {
+      const judge = await repo.judging.findJudge(email);
+      if (judge && judge.active) {
+        const token = encodeURIComponent(judgeToken(email));
+        await sendMail({
+          to: email,
+          ...judgeSignIn({
+            signInUrl: `${siteUrl(req)}/judging.html?token=${token}`,
+            ttlHours: Math.round(famhackConfig().judgeSessionTtlSeconds / 3600),
+          }),
+        });
+      }
+
+      return res.status(200).json({
+        ok: true,
+        message: 'If that address belongs to a judge, a sign-in link is on its way.',
+      });
+    } catch (err) {
+      console.error('[judging/login]', err.message);
+      return res.status(500).json({ error: 'Failed to send link.', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
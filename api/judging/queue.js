@@ -0,0 +1,39 @@
+// api/judging/queue.js
+// The signed-in judge's assigned submissions, the rubric to score them with,
+// and whether scores are frozen.
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { handleMethod, sendError } from '../_lib/http.js';
+import { requireJudge } from '../_lib/auth.js';
+import {
+  judgingRubric, judgeQueue, isFrozen, requireActiveJudge,
+} from '../_lib/judging.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET'])) return;
+
+    const identity = requireJudge(req, res);
+    if (!identity) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    try {
+      const judge = await requireActiveJudge(repo, identity.email);
+      const [queue, frozen] = await Promise.all([judgeQueue(repo, judge.email), isFrozen(repo)]);
+
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(200).json({
+        judge: { email: judge.email, name: judge.name },
+        rubric: judgingRubric(),
+        frozen,
+        queue,
+      });
+    } catch (err) {
+      return sendError(res, err, '[judging/queue]');
+    }
+  };
+}
+
+export default createHandler();
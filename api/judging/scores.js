@@ -0,0 +1,38 @@
+// api/judging/scores.js
+// A judge scores one of their assigned submissions:
+//   POST { teamId, scores: { <criterion id>: n, … }, comment }
+// Scoring again replaces the earlier score, until the organisers freeze scores.
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { parseBody, handleMethod, sendError } from '../_lib/http.js';
+import { requireJudge } from '../_lib/auth.js';
+import { normalizeTeamId } from '../_lib/teams.js';
+import { requireActiveJudge, saveScore } from '../_lib/judging.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['POST'])) return;
+
+    const identity = requireJudge(req, res);
+    if (!identity) return;
+
+    const body = parseBody(req);
+    const teamId = normalizeTeamId(body.teamId);
+    if (!teamId) {
+      return res.status(400).json({ error: 'A valid team ID is required.', code: 'invalid_team_id' });
+    }
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    try {
+      await requireActiveJudge(repo, identity.email);
+      const score = await saveScore(repo, identity.email, teamId, body);
+      return res.status(200).json({ ok: true, teamId, score });
+    } catch (err) {
+      return sendError(res, err, '[judging/scores]');
+    }
+  };
+}
+
+export default createHandler();
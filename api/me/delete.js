@@ -0,0 +1,32 @@
+// api/me/delete.js
+// Erases everything we store about the address a data-rights link was issued to:
+// the waitlist entry, any pending FamHack verification and team membership.
+// A team leader's team passes to the longest-standing member, or is dissolved if they were alone.
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { parseBody, handleMethod } from '../_lib/http.js';
+import { emailFromToken, deletePersonalData } from '../_lib/data-rights.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['POST'])) return;
+
+    const email = emailFromToken(parseBody(req).token);
+    if (!email) {
+      return res.status(401).json({ error: 'This link is invalid or has expired.', code: 'invalid_token' });
+    }
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    try {
+      const removed = await deletePersonalData(repo, email);
+      return res.status(200).json({ ok: true, removed });
+    } catch (err) {
+      console.error('[me/delete]', err.message);
+      return res.status(500).json({ error: 'Failed to delete data.', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
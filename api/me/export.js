@@ -0,0 +1,34 @@
+// api/me/export.js
+// Downloads everything we store about the address a data-rights link was issued to, as JSON.
+// Read-only, so it is safe as a plain GET link in the email.
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { handleMethod } from '../_lib/http.js';
+import { emailFromToken, exportPersonalData } from '../_lib/data-rights.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET'])) return;
+
+    const email = emailFromToken(req.query.token);
+    if (!email) {
+      return res.status(401).json({ error: 'This link is invalid or has expired.', code: 'invalid_token' });
+    }
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    try {
+      const data = await exportPersonalData(repo, email);
+
+      res.setHeader('Cache-Control', 'no-store');
+      res.setHeader('Content-Disposition', 'attachment; filename="accio-data.json"');
+      return res.status(200).json(data);
+    } catch (err) {
+      console.error('[me/export]', err.message);
+      return res.status(500).json({ error: 'Failed to export data.', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
@@ -0,0 +1,59 @@
+// api/me/request-link.js
+// Emails a signed link for managing everything we store about an address:
+// leave the waitlist, download a copy, or delete it all (waitlist, FamHack, team).
+// The response is the same whether or not we hold data, so it cannot be used to probe the list.
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { normalizeEmail, isValidEmail } from '../_lib/email.js';
+import { parseBody, handleMethod, siteUrl } from '../_lib/http.js';
+import { getSigningSecret } from '../_lib/signing.js';
+import { sendMail } from '../_lib/mailer.js';
+import { dataRightsLinks } from '../_lib/mail-templates.js';
+import { enforceRateLimits } from '../_lib/rate-limit.js';
+import { DATA_RIGHTS_TTL_SECONDS, dataRightsToken, hasPersonalData } from '../_lib/data-rights.js';
+
+const RATE_LIMITS = {
+  perIp: { limit: 5, windowSeconds: 15 * 60 },
+  perEmail: { limit: 3, windowSeconds: 60 * 60 },
+};
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['POST'])) return;
+
+    const email = normalizeEmail(parseBody(req).email);
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'Please enter a valid email address.', code: 'invalid_email' });
+    }
+
+    const repo = deps.repo || getRepository();
+    if (!repo || !getSigningSecret()) return sendNotConfigured(res);
+
+    if (await enforceRateLimits(req, res, 'me-request-link', { email, ...RATE_LIMITS })) return;
+
+    try {
+      if (await hasPersonalData(repo, email)) {
+        const origin = siteUrl(req);
+        const token = encodeURIComponent(dataRightsToken(email));
+        await sendMail({
+          to: email,
+          ...dataRightsLinks({
+            manageUrl: `${origin}/privacy.html?token=${token}`,
+            exportUrl: `${origin}/api/me/export?token=${token}`,
+            ttlHours: DATA_RIGHTS_TTL_SECONDS / 3600,
+          }),
+        });
+      }
+
+      return res.status(200).json({
+        ok: true,
+        message: 'If we hold data for that address, a link to manage it is on its way.',
+      });
+    } catch (err) {
+      console.error('[me/request-link]', err.message);
+      return res.status(500).json({ error: 'Failed to send link.', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
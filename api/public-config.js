@@ -1,25 +1,22 @@
 // api/public-config.js
-// Returns the Supabase public credentials so the frontend can initialise the JS client.
-// Only exposes the anon key (safe to expose), never the service key.
+// Returns the public, non-secret settings the frontend needs: the FamHack registration rules.
+// The browser no longer talks to Supabase, so no Supabase credentials are handed out.
+
+import { publicEligibility } from './_lib/eligibility.js';
+import { famhackConfig } from './_lib/famhack-config.js';
 
 export default function handler(req, res) {
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
-  const supabaseUrl = process.env.SUPABASE_URL || '';
-  const supabaseAnonKey = process.env.SUPABASE_ANON_KEY || '';
-
-  if (!supabaseUrl || !supabaseAnonKey) {
-    return res.status(503).json({
-      error: 'Supabase not configured on server.',
-      supabaseConfigured: false,
-    });
-  }
-
+  const config = famhackConfig();
   return res.status(200).json({
-    supabaseUrl,
-    supabaseAnonKey,
-    supabaseConfigured: true,
+    famhack: {
+      eligibility: publicEligibility(),
+      otpLength: config.otpLength,
+      otpResendDelay: config.otpResendDelay,
+      maxTeamSize: config.maxTeamSize,
+    },
   });
 }
@@ -0,0 +1,52 @@
+// api/waitlist/confirm.js
+// Target of the link in the confirmation email. Marks the signup 'confirmed' and
+// redirects back to the landing page, which reads ?waitlist=<result> to update the card.
+// A successful confirmation also carries ?code=<referral code>: only the owner of the inbox
+// gets here, so this is where their share link is handed over.
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { handleMethod } from '../_lib/http.js';
+import { hashToken } from '../_lib/tokens.js';
+
+// Confirmation links stop working a week after they were sent.
+const CONFIRM_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+function redirectWith(res, result, referralCode) {
+  const code = referralCode ? `&code=${encodeURIComponent(referralCode)}` : '';
+  return res.redirect(302, `/?waitlist=${result}${code}#waitlist`);
+}
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET'])) return;
+
+    const token = typeof req.query.token === 'string' ? req.query.token : '';
+    if (!token) return redirectWith(res, 'invalid_token');
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    try {
+      const tokenHash = hashToken(token);
+      const entry = await repo.waitlist.findPendingByTokenHash(tokenHash);
+      if (!entry) return redirectWith(res, 'invalid_token');
+
+      const sentAt = entry.confirm_sent_at ? Date.parse(entry.confirm_sent_at) : 0;
+      if (Date.now() - sentAt > CONFIRM_TOKEN_TTL_MS) return redirectWith(res, 'expired_token');
+
+      // Clearing the hash in the same update makes the token single-use.
+      await repo.waitlist.update(entry.email, {
+        confirmation_status: 'confirmed',
+        confirmed_at: new Date().toISOString(),
+        confirm_token_hash: null,
+      }, { status: 'pending' });
+
+      return redirectWith(res, 'confirmed', entry.referral_code);
+    } catch (err) {
+      console.error('[waitlist/confirm]', err.message);
+      return redirectWith(res, 'error');
+    }
+  };
+}
+
+export default createHandler();
@@ -1,32 +1,48 @@
 // api/waitlist/count.js
-// Returns the total number of entries in the waitlist table.
+// Returns the number of entries in the waitlist table, split by confirmation state.
+// Counts are cached for a few seconds and carry an ETag, so repeat polls can get a 304.
+// If the database is down, the last known counts are served with stale: true.
 
-import { createClient } from '@supabase/supabase-js';
+import { getRepository } from '../_lib/repository/index.js';
+import { getWaitlistCounts } from '../_lib/waitlist-count.js';
 
-export default async function handler(req, res) {
-    if (req.method === 'OPTIONS') {
-        return res.status(200).end();
-    }
+function etagFor(counts) {
+    return `"${counts.count}-${counts.confirmed}-${counts.pending}"`;
+}
+
+export function createHandler(deps = {}) {
+    return async function handler(req, res) {
+        if (req.method === 'OPTIONS') {
+            return res.status(200).end();
+        }
 
-    const supabaseUrl = process.env.SUPABASE_URL;
-    const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+        const repo = deps.repo || getRepository();
 
-    if (!supabaseUrl || !supabaseServiceKey) {
-        return res.status(503).json({ error: 'Supabase not configured.', count: 0 });
-    }
+        if (!repo) {
+            return res.status(503).json({ error: 'Database not configured.', count: 0 });
+        }
 
-    try {
-        const supabase = createClient(supabaseUrl, supabaseServiceKey);
-        // Note: Counting the new 'waitlist' table
-        const { count, error } = await supabase
-            .from('waitlist')
-            .select('*', { count: 'exact', head: true });
+        try {
+            const { counts, fetchedAt, stale } = await getWaitlistCounts(repo);
+            const etag = etagFor(counts);
 
-        if (error) throw error;
+            res.setHeader('ETag', etag);
+            res.setHeader('Last-Modified', new Date(fetchedAt).toUTCString());
+            res.setHeader('Cache-Control', stale
+                ? 'no-cache'
+                : 'public, max-age=5, s-maxage=10, stale-while-revalidate=30');
 
-        return res.status(200).json({ count: count ?? 0 });
-    } catch (err) {
-        console.error('[waitlist/count]', err.message);
-        return res.status(500).json({ error: 'Failed to fetch count.', count: 0 });
-    }
+            if (!stale && req.headers['if-none-match'] === etag) {
+                return res.status(304).end();
+            }
+
+            return res.status(200).json({ ...counts, stale });
+        } catch (err) {
+            console.error('[waitlist/count]', err.message);
+            res.setHeader('Cache-Control', 'no-store');
+            return res.status(503).json({ error: 'Failed to fetch count.', count: null, stale: true });
+        }
+    };
 }
+
+export default createHandler();
@@ -0,0 +1,161 @@
+// api/waitlist/join.js
+// Adds an email to the waitlist server-side, so the browser never writes to the table directly.
+// New signups are stored as 'pending' and sent a confirmation link (double opt-in).
+// A duplicate signup is treated as success: joining twice is not an error for the user.
+// Every signup gets a referral code; an optional `ref` records who sent them. The code is not
+// in the response (anyone can submit any address): the confirmation link hands it over.
+// An optional `attribution` object (first-touch UTM, referrer, landing path, locale) is stored on new rows.
+// Abuse protection: a honeypot field, a disposable-domain blocklist and per-IP/per-email rate limits.
+// New signups are announced as the waitlist.joined webhook.
+
+import { getRepository, sendNotConfigured, ConflictError } from '../_lib/repository/index.js';
+import { normalizeEmail, isValidEmail } from '../_lib/email.js';
+import { parseBody, handleMethod, siteUrl } from '../_lib/http.js';
+import { generateToken, hashToken } from '../_lib/tokens.js';
+import { sendMail } from '../_lib/mailer.js';
+import { waitlistConfirmation } from '../_lib/mail-templates.js';
+import { generateReferralCode, normalizeReferralCode } from '../_lib/referrals.js';
+import { isDisposableEmail } from '../_lib/disposable-domains.js';
+import { enforceRateLimits } from '../_lib/rate-limit.js';
+import { unsubscribeLinks } from '../_lib/data-rights.js';
+import { attributionColumns } from '../_lib/attribution.js';
+import { emitEvent } from '../_lib/webhooks.js';
+
+// Re-sending the confirmation for a pending signup is throttled to one email per minute.
+const CONFIRM_RESEND_INTERVAL_MS = 60 * 1000;
+const MAX_CODE_ATTEMPTS = 3;
+
+const RATE_LIMITS = {
+  perIp: { limit: 10, windowSeconds: 10 * 60 },
+  perEmail: { limit: 5, windowSeconds: 60 * 60 },
+};
+
+async function sendConfirmation(req, email, token) {
+  const origin = siteUrl(req);
+  const confirmUrl = `${origin}/api/waitlist/confirm?token=${encodeURIComponent(token)}`;
+  const unsubscribe = unsubscribeLinks(origin, email);
+  try {
+    await sendMail({
+      to: email,
+      ...waitlistConfirmation({ confirmUrl, unsubscribeUrl: unsubscribe && unsubscribe.unsubscribeUrl }),
+      ...(unsubscribe ? { headers: unsubscribe.headers } : {}),
+    });
+    return true;
+  } catch (err) {
+    console.error('[waitlist/join] confirmation email failed:', err.message);
+    return false;
+  }
+}
+
+// Only keep a referral if the code belongs to someone on the list.
+async function resolveReferrer(repo, value) {
+  const code = normalizeReferralCode(value);
+  if (!code) return null;
+
+  const referrer = await repo.waitlist.findByReferralCode(code);
+  return referrer ? referrer.referral_code : null;
+}
+
+// Inserts the signup, drawing a fresh referral code if one happens to be taken already.
+// Returns the code, or null when the email is already on the list.
+async function insertSignup(repo, row) {
+  for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+    const referralCode = generateReferralCode();
+    try {
+      await repo.waitlist.insert({ ...row, referral_code: referralCode });
+      return referralCode;
+    } catch (err) {
+      if (!(err instanceof ConflictError)) throw err;
+      if (err.field === 'email') return null;
+    }
+  }
+  throw new Error('Could not allocate a unique referral code.');
+}
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['POST'])) return;
+
+    const body = parseBody(req);
+    const email = normalizeEmail(body.email);
+
+    // Hidden from people, so only bots fill it in
+    if (body.website) {
+      return res.status(400).json({ error: 'Submission rejected.', code: 'bot_detected' });
+    }
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'Please enter a valid email address.', code: 'invalid_email' });
+    }
+
+    if (isDisposableEmail(email)) {
+      return res.status(400).json({ error: 'Disposable email addresses are not allowed.', code: 'disposable_email' });
+    }
+
+    if (await enforceRateLimits(req, res, 'waitlist-join', { email, ...RATE_LIMITS })) return;
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    try {
+      const token = generateToken();
+      const now = new Date().toISOString();
+      const referredBy = await resolveReferrer(repo, body.ref);
+      const attribution = attributionColumns(body.attribution);
+
+      const referralCode = await insertSignup(repo, {
+        email,
+        referred_by: referredBy,
+        ...attribution,
+        confirmation_status: 'pending',
+        confirm_token_hash: hashToken(token),
+        confirm_sent_at: now,
+      });
+
+      if (referralCode) {
+        const emailSent = await sendConfirmation(req, email, token);
+        await emitEvent(repo, 'waitlist.joined', {
+          email,
+          referralCode,
+          referredBy,
+          source: attribution.utm_source || null,
+          createdAt: now,
+        });
+        return res.status(201).json({
+          ok: true, status: 'joined', confirmation: 'pending', email, emailSent,
+        });
+      }
+
+      // Already on the list: report where they stand, and re-send the link if they never confirmed.
+      const existing = await repo.waitlist.findByEmail(email);
+      if (!existing) throw new Error('Duplicate signup vanished before lookup.');
+
+      if (existing.confirmation_status === 'confirmed') {
+        return res.status(200).json({
+          ok: true, status: 'already_joined', confirmation: 'confirmed', email,
+        });
+      }
+
+      const lastSent = existing.confirm_sent_at ? Date.parse(existing.confirm_sent_at) : 0;
+      let emailSent = false;
+
+      if (Date.now() - lastSent >= CONFIRM_RESEND_INTERVAL_MS) {
+        await repo.waitlist.update(
+          email,
+          { confirm_token_hash: hashToken(token), confirm_sent_at: now },
+          { status: 'pending' },
+        );
+        emailSent = await sendConfirmation(req, email, token);
+      }
+
+      return res.status(200).json({
+        ok: true, status: 'already_joined', confirmation: 'pending', email, emailSent,
+      });
+    } catch (err) {
+      console.error('[waitlist/join]', err.message);
+      return res.status(500).json({ error: 'Failed to join waitlist.', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
@@ -0,0 +1,42 @@
+// api/waitlist/position.js
+// Returns a signup's place in line, looked up by their referral code
+// (the code is what the browser keeps, so no email is needed to query it).
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { handleMethod } from '../_lib/http.js';
+import { normalizeReferralCode, getQueuePosition } from '../_lib/referrals.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET'])) return;
+
+    const code = normalizeReferralCode(req.query.code);
+    if (!code) {
+      return res.status(400).json({ error: 'A valid referral code is required.', code: 'invalid_code' });
+    }
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    try {
+      const entry = await repo.waitlist.findByReferralCode(code);
+      if (!entry) {
+        return res.status(404).json({ error: 'No signup with that referral code.', code: 'not_found' });
+      }
+
+      const queue = await getQueuePosition(repo, entry);
+
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(200).json({
+        referralCode: entry.referral_code,
+        confirmation: entry.confirmation_status,
+        ...queue,
+      });
+    } catch (err) {
+      console.error('[waitlist/position]', err.message);
+      return res.status(500).json({ error: 'Failed to fetch position.', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
@@ -0,0 +1,49 @@
+// api/waitlist/redeem.js
+// POST { code } – activates the beta access code emailed to an invited signup.
+// A code works once; guessing is slowed by a per-IP rate limit.
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { parseBody, handleMethod } from '../_lib/http.js';
+import { getSigningSecret } from '../_lib/signing.js';
+import { enforceRateLimits } from '../_lib/rate-limit.js';
+import { normalizeAccessCode, redeemAccessCode } from '../_lib/beta-invites.js';
+
+const RATE_LIMITS = {
+  perIp: { limit: 10, windowSeconds: 15 * 60 },
+};
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['POST'])) return;
+
+    const code = normalizeAccessCode(parseBody(req).code);
+    if (!code) {
+      return res.status(400).json({ error: 'Please enter the access code from your invite email.', code: 'invalid_code' });
+    }
+
+    const repo = deps.repo || getRepository();
+    if (!repo || !getSigningSecret()) return sendNotConfigured(res);
+
+    if (await enforceRateLimits(req, res, 'waitlist-redeem', RATE_LIMITS)) return;
+
+    try {
+      const entry = await redeemAccessCode(repo, code);
+      if (!entry) {
+        return res.status(404).json({ error: 'This access code is not valid or has already been used.', code: 'invalid_code' });
+      }
+
+      return res.status(200).json({
+        ok: true,
+        email: entry.email,
+        referralCode: entry.referral_code,
+        confirmation: entry.confirmation_status,
+        access: entry.beta_status,
+      });
+    } catch (err) {
+      console.error('[waitlist/redeem]', err.message);
+      return res.status(500).json({ error: 'Failed to redeem the code.', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
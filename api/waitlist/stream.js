@@ -0,0 +1,71 @@
+// api/waitlist/stream.js
+// Server-sent events feed of the waitlist count. Sends the current count on connect,
+// then a `count` event whenever it changes. The connection is closed after
+// STREAM_DURATION_MS so it fits inside the function time limit; EventSource
+// reconnects on its own after the `retry` delay.
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { getWaitlistCounts } from '../_lib/waitlist-count.js';
+
+const CHECK_INTERVAL_MS = 5 * 1000;
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const STREAM_DURATION_MS = 25 * 1000;
+const RECONNECT_DELAY_MS = 3 * 1000;
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    if (res.flushHeaders) res.flushHeaders();
+
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    let lastCount = null;
+    let closed = false;
+
+    async function pushIfChanged() {
+      try {
+        const { counts, stale } = await getWaitlistCounts(repo);
+        if (closed || counts.count === lastCount) return;
+        lastCount = counts.count;
+        res.write(`event: count\ndata: ${JSON.stringify({ ...counts, stale })}\n\n`);
+      } catch (err) {
+        console.error('[waitlist/stream]', err.message);
+      }
+    }
+
+    await pushIfChanged();
+
+    await new Promise((resolve) => {
+      const checkTimer = setInterval(pushIfChanged, CHECK_INTERVAL_MS);
+      // Comment lines keep proxies from timing out an idle connection
+      const heartbeatTimer = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+      function finish() {
+        if (closed) return;
+        closed = true;
+        clearInterval(checkTimer);
+        clearInterval(heartbeatTimer);
+        clearTimeout(endTimer);
+        resolve();
+      }
+
+      const endTimer = setTimeout(finish, STREAM_DURATION_MS);
+      req.on('close', finish);
+    });
+
+    res.end();
+  };
+}
+
+export default createHandler();
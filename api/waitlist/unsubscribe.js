@@ -0,0 +1,39 @@
+// api/waitlist/unsubscribe.js
+// Removes an address from the waitlist. Accepts a data-rights token or the long-lived
+// unsubscribe token from waitlist emails, either in the JSON body or as ?token=
+// (the latter is how mail clients send RFC 8058 one-click unsubscribe POSTs).
+// A GET, e.g. someone opening the List-Unsubscribe URL, is sent to the confirmation page.
+
+import { getRepository, sendNotConfigured } from '../_lib/repository/index.js';
+import { parseBody, handleMethod } from '../_lib/http.js';
+import { emailFromToken, unsubscribeFromWaitlist } from '../_lib/data-rights.js';
+
+export function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (handleMethod(req, res, ['GET', 'POST'])) return;
+
+    const queryToken = typeof req.query.token === 'string' ? req.query.token : '';
+
+    if (req.method === 'GET') {
+      return res.redirect(302, `/privacy.html?action=unsubscribe&token=${encodeURIComponent(queryToken)}`);
+    }
+
+    const email = emailFromToken(parseBody(req).token || queryToken, { allowUnsubscribe: true });
+    if (!email) {
+      return res.status(401).json({ error: 'This link is invalid or has expired.', code: 'invalid_token' });
+    }
+
+    const repo = deps.repo || getRepository();
+    if (!repo) return sendNotConfigured(res);
+
+    try {
+      const removed = await unsubscribeFromWaitlist(repo, email);
+      return res.status(200).json({ ok: true, status: removed ? 'unsubscribed' : 'not_on_list' });
+    } catch (err) {
+      console.error('[waitlist/unsubscribe]', err.message);
+      return res.status(500).json({ error: 'Failed to unsubscribe.', code: 'server_error' });
+    }
+  };
+}
+
+export default createHandler();
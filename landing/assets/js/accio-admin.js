@@ -0,0 +1,761 @@
+/**
+ * Accio Waitlist Admin
+ * Lists, searches and exports signups through /api/admin/waitlist, and shows
+ * where they came from through /api/admin/attribution, sends beta invites through
+ * /api/admin/invites, runs FamHack judging
+ * (judges, assignment, freezing and results) through /api/admin/judges and /api/admin/judging,
+ * edits the event schedule and announcements through /api/admin/schedule and
+ * /api/admin/announcements, and shows and replays webhook deliveries through /api/admin/webhooks.
+ * The admin token is kept in sessionStorage only, so it is gone when the tab closes.
+ */
+
+(function () {
+  /* ── DOM refs ──────────────────────────────────────────────── */
+  let tokenFormEl;
+  let tokenInputEl;
+  let lockBtn;
+  let filterFormEl;
+  let searchInputEl;
+  let statusSelectEl;
+  let accessSelectEl;
+  let rowsEl;
+  let prevBtn;
+  let nextBtn;
+  let pageInfoEl;
+  let statusEl;
+  let attributionFormEl;
+  let attributionFromEl;
+  let attributionToEl;
+  let sourceRowsEl;
+  let campaignRowsEl;
+  let dayRowsEl;
+  let inviteFormEl;
+  let inviteSendBtn;
+  let inviteRowsEl;
+  let judgeFormEl;
+  let judgeRowsEl;
+  let assignBtn;
+  let freezeBtn;
+  let freezeInfoEl;
+  let resultsFormEl;
+  let resultsTrackEl;
+  let resultRowsEl;
+  let sessionFormEl;
+  let sessionRowsEl;
+  let scheduleInfoEl;
+  let announcementFormEl;
+  let announcementRowsEl;
+  let webhookFormEl;
+  let webhookStatusEl;
+  let webhookEventEl;
+  let webhookRetryBtn;
+  let webhookInfoEl;
+  let webhookRowsEl;
+
+  /* ── State ─────────────────────────────────────────────────── */
+  const TOKEN_KEY = 'accio_admin_token';
+  const PAGE_SIZE = 50;
+  let page = 1;
+  let totalPages = 1;
+  let frozen = false;
+  let schedule = null;
+
+  const dateFormat = new Intl.DateTimeFormat('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+
+  /* ── Helpers ────────────────────────────────────────────────── */
+  function setStatus(text) {
+    if (statusEl) statusEl.textContent = text;
+  }
+
+  function getToken() {
+    return sessionStorage.getItem(TOKEN_KEY) || '';
+  }
+
+  function formatDate(value) {
+    return value ? dateFormat.format(new Date(value)) : '—';
+  }
+
+  function currentFilters() {
+    const params = new URLSearchParams();
+    const q = searchInputEl ? searchInputEl.value.trim() : '';
+    const status = statusSelectEl ? statusSelectEl.value : '';
+    const access = accessSelectEl ? accessSelectEl.value : '';
+    if (q) params.set('q', q);
+    if (status) params.set('status', status);
+    if (access) params.set('access', access);
+    return params;
+  }
+
+  async function adminFetch(params, path = '/api/admin/waitlist') {
+    const res = await fetch(`${path}?${params}`, {
+      headers: { Authorization: `Bearer ${getToken()}` },
+    });
+    if (res.status === 401) {
+      sessionStorage.removeItem(TOKEN_KEY);
+      throw new Error('Invalid admin token.');
+    }
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || `Request failed (${res.status}).`);
+    }
+    return res;
+  }
+
+  async function adminPost(path, payload) {
+    const res = await fetch(path, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${getToken()}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (res.status === 401) {
+      sessionStorage.removeItem(TOKEN_KEY);
+      throw new Error('Invalid admin token.');
+    }
+    if (!res.ok) throw new Error(data.error || `Request failed (${res.status}).`);
+    return data;
+  }
+
+  /* ── Rendering ──────────────────────────────────────────────── */
+  function cell(text) {
+    const td = document.createElement('td');
+    td.textContent = text;
+    return td;
+  }
+
+  function badgeCell(value) {
+    const td = document.createElement('td');
+    const badge = document.createElement('span');
+    badge.className = `admin-badge ${value}`;
+    badge.textContent = value;
+    td.appendChild(badge);
+    return td;
+  }
+
+  function renderRows(items) {
+    rowsEl.innerHTML = '';
+    items.forEach((item) => {
+      const tr = document.createElement('tr');
+      tr.appendChild(cell(item.email));
+      tr.appendChild(cell(formatDate(item.created_at)));
+      tr.appendChild(badgeCell(item.confirmation_status));
+      tr.appendChild(cell(formatDate(item.confirmed_at)));
+      tr.appendChild(cell(item.referral_code || '—'));
+      tr.appendChild(cell(item.referred_by || '—'));
+      tr.appendChild(badgeCell(item.beta_status || 'waiting'));
+      rowsEl.appendChild(tr);
+    });
+  }
+
+  // rows: [[email, result]]
+  function renderInvites(rows) {
+    inviteRowsEl.innerHTML = '';
+    rows.forEach(([email, result]) => {
+      const tr = document.createElement('tr');
+      tr.appendChild(cell(email));
+      tr.appendChild(cell(result));
+      inviteRowsEl.appendChild(tr);
+    });
+  }
+
+  function renderTotals(tbody, items, labelsOf) {
+    tbody.innerHTML = '';
+    items.forEach((item) => {
+      const tr = document.createElement('tr');
+      labelsOf(item).forEach((label) => tr.appendChild(cell(label)));
+      tr.appendChild(cell(String(item.signups)));
+      tr.appendChild(cell(String(item.confirmed)));
+      tbody.appendChild(tr);
+    });
+  }
+
+  function attributionParams() {
+    const params = new URLSearchParams();
+    if (attributionFromEl.value) params.set('from', attributionFromEl.value);
+    if (attributionToEl.value) params.set('to', attributionToEl.value);
+    return params;
+  }
+
+  function renderJudges(judges) {
+    judgeRowsEl.innerHTML = '';
+    judges.forEach((judge) => {
+      const tr = document.createElement('tr');
+      [
+        judge.email,
+        judge.name || '—',
+        judge.active ? 'active' : 'inactive',
+        judge.conflicts.join(', ') || '—',
+        String(judge.assigned),
+        String(judge.scored),
+      ].forEach((label) => tr.appendChild(cell(label)));
+      judgeRowsEl.appendChild(tr);
+    });
+  }
+
+  function renderFreeze(frozenAt) {
+    frozen = !!frozenAt;
+    freezeBtn.textContent = frozen ? 'Unfreeze scores' : 'Freeze scores';
+    freezeInfoEl.textContent = frozen ? `Frozen ${formatDate(frozenAt)}` : 'Judges can still change scores.';
+  }
+
+  function renderResults(data) {
+    const selected = resultsTrackEl.value;
+    resultsTrackEl.length = 1;
+    data.tracks.forEach(({ track }) => resultsTrackEl.add(new Option(track, track, false, track === selected)));
+
+    resultRowsEl.innerHTML = '';
+    data.tracks
+      .filter(({ track }) => !selected || track === selected)
+      .forEach(({ track, entries }) => entries.forEach((entry) => {
+        const tr = document.createElement('tr');
+        [
+          track,
+          entry.rank === null ? '—' : String(entry.rank),
+          entry.title,
+          entry.teamId,
+          String(entry.judges),
+          entry.normalizedScore === null ? '—' : String(entry.normalizedScore),
+          entry.rawScore === null ? '—' : String(entry.rawScore),
+        ].forEach((label) => tr.appendChild(cell(label)));
+        resultRowsEl.appendChild(tr);
+      }));
+    renderFreeze(data.frozenAt);
+  }
+
+  // Times are shown, and entered, on the event's clock rather than the browser's
+  function eventTime(value, options) {
+    return new Date(value).toLocaleString('en-GB', { timeZone: schedule.timezone, ...options });
+  }
+
+  function toLocalInput(value) {
+    // sv-SE formats as "2026-10-25 09:30", which is what datetime-local wants bar the T
+    return new Date(value).toLocaleString('sv-SE', {
+      timeZone: schedule.timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    }).replace(' ', 'T');
+  }
+
+  function actionCell(actions) {
+    const td = document.createElement('td');
+    Object.entries(actions).forEach(([label, onClick]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'admin-btn';
+      btn.textContent = label;
+      btn.addEventListener('click', onClick);
+      td.appendChild(btn);
+    });
+    return td;
+  }
+
+  function renderSchedule(data) {
+    schedule = data;
+    scheduleInfoEl.textContent = `Times are in ${data.timezone}.`;
+
+    sessionRowsEl.innerHTML = '';
+    data.sessions.forEach((session) => {
+      const tr = document.createElement('tr');
+      [
+        eventTime(session.startsAt, { dateStyle: 'medium', timeStyle: 'short' }),
+        eventTime(session.endsAt, { timeStyle: 'short', timeZoneName: 'short' }),
+        session.title,
+        session.location || '—',
+        session.track || '—',
+      ].forEach((label) => tr.appendChild(cell(label)));
+
+      tr.appendChild(actionCell({
+        Edit: () => editSession(session),
+        Remove: () => removeItem('/api/admin/schedule', session.id, loadSchedule),
+      }));
+      sessionRowsEl.appendChild(tr);
+    });
+  }
+
+  function renderAnnouncements(announcements) {
+    announcementRowsEl.innerHTML = '';
+    announcements.forEach((announcement) => {
+      const tr = document.createElement('tr');
+      [formatDate(announcement.createdAt), announcement.level, announcement.message]
+        .forEach((label) => tr.appendChild(cell(label)));
+      tr.appendChild(actionCell({
+        Remove: () => removeItem('/api/admin/announcements', announcement.id, loadAnnouncements),
+      }));
+      announcementRowsEl.appendChild(tr);
+    });
+  }
+
+  function renderWebhooks(data) {
+    // The event list comes from the server, so keep whatever is picked while filling it
+    if (webhookEventEl.options.length === 1) {
+      data.events.forEach((event) => webhookEventEl.add(new Option(event, event)));
+    }
+    webhookInfoEl.textContent = data.endpoints.length
+      ? `Sending to ${data.endpoints.map((e) => `${e.url} (${e.events.join(', ') || 'all events'})`).join('; ')}.`
+      : 'No endpoints configured (WEBHOOK_ENDPOINTS).';
+
+    webhookRowsEl.innerHTML = '';
+    data.deliveries.forEach((delivery) => {
+      const tr = document.createElement('tr');
+      tr.appendChild(cell(formatDate(delivery.createdAt)));
+      tr.appendChild(cell(delivery.event));
+      tr.appendChild(cell(delivery.endpoint));
+      tr.appendChild(badgeCell(delivery.status));
+      tr.appendChild(cell(String(delivery.attempts)));
+      tr.appendChild(cell(delivery.lastError || (delivery.lastStatus ? String(delivery.lastStatus) : '—')));
+      tr.appendChild(actionCell({ Replay: () => replayWebhook(delivery.id) }));
+      webhookRowsEl.appendChild(tr);
+    });
+  }
+
+  function renderPager(total) {
+    if (pageInfoEl) pageInfoEl.textContent = `Page ${page} of ${totalPages} · ${total} signups`;
+    if (prevBtn) prevBtn.disabled = page <= 1;
+    if (nextBtn) nextBtn.disabled = page >= totalPages;
+  }
+
+  /* ── Actions ────────────────────────────────────────────────── */
+  async function loadPage() {
+    if (!getToken()) {
+      setStatus('Enter the admin token to load signups.');
+      return;
+    }
+
+    const params = currentFilters();
+    params.set('page', String(page));
+    params.set('pageSize', String(PAGE_SIZE));
+
+    setStatus('Loading...');
+    try {
+      const res = await adminFetch(params);
+      const data = await res.json();
+      totalPages = data.totalPages;
+      renderRows(data.items);
+      renderPager(data.total);
+      setStatus(data.items.length ? '' : 'No signups match.');
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  async function loadAttribution() {
+    if (!getToken()) return;
+
+    try {
+      const res = await adminFetch(attributionParams(), '/api/admin/attribution');
+      const data = await res.json();
+      attributionFromEl.value = data.from;
+      attributionToEl.value = data.to;
+      renderTotals(sourceRowsEl, data.bySource, (item) => [item.source]);
+      renderTotals(campaignRowsEl, data.byCampaign, (item) => [item.source, item.campaign]);
+      renderTotals(dayRowsEl, data.byDay, (item) => [item.day]);
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  async function loadJudges() {
+    if (!getToken()) return;
+
+    try {
+      const res = await adminFetch(new URLSearchParams(), '/api/admin/judges');
+      renderJudges((await res.json()).judges);
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  async function loadResults() {
+    if (!getToken()) return;
+
+    try {
+      const res = await adminFetch(new URLSearchParams(), '/api/admin/judging/results');
+      renderResults(await res.json());
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  async function saveJudge(e) {
+    e.preventDefault();
+    const form = e.currentTarget;
+
+    setStatus('Saving judge...');
+    try {
+      const data = await adminPost('/api/admin/judges', {
+        email: form.querySelector('#adminJudgeEmail').value.trim(),
+        name: form.querySelector('#adminJudgeName').value.trim(),
+        active: form.querySelector('#adminJudgeActive').value === 'true',
+        conflicts: form.querySelector('#adminJudgeConflicts').value.split(',').map((id) => id.trim()).filter(Boolean),
+      });
+      renderJudges(data.judges);
+      form.reset();
+      setStatus('Judge saved.');
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  async function assignJudges() {
+    setStatus('Assigning judges...');
+    try {
+      const data = await adminPost('/api/admin/judging/assign', {});
+      const short = data.understaffed.length
+        ? ` ${data.understaffed.length} submissions still have fewer than ${data.perSubmission} judges.`
+        : '';
+      setStatus(`Made ${data.assigned} new assignments.${short}`);
+      loadJudges();
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  function inviteFilters() {
+    return {
+      count: Number(inviteFormEl.querySelector('#adminInviteCount').value),
+      q: inviteFormEl.querySelector('#adminInviteQuery').value.trim() || undefined,
+      source: inviteFormEl.querySelector('#adminInviteSource').value.trim() || undefined,
+    };
+  }
+
+  async function previewInvites(e) {
+    e.preventDefault();
+    setStatus('Finding who is next...');
+    try {
+      const data = await adminPost('/api/admin/invites', { ...inviteFilters(), dryRun: true });
+      renderInvites(data.invitees.map((row) => [row.email, `#${row.position} in line`]));
+      setStatus(data.invitees.length
+        ? `${data.invitees.length} signups would be invited.`
+        : 'Nobody is waiting for an invite with these filters.');
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  async function sendInvites() {
+    const filters = inviteFilters();
+    if (!window.confirm(`Email beta access codes to the next ${filters.count} waiting signups?`)) return;
+
+    inviteSendBtn.disabled = true;
+    setStatus('Sending invites...');
+    try {
+      const data = await adminPost('/api/admin/invites', filters);
+      renderInvites([
+        ...data.invited.map((email) => [email, 'Invited']),
+        ...data.failed.map((email) => [email, 'Email failed – still waiting']),
+        ...data.skipped.map((email) => [email, 'Already invited']),
+      ]);
+      const failed = data.failed.length ? ` ${data.failed.length} emails could not be sent.` : '';
+      setStatus(`Invited ${data.invited.length} signups.${failed}`);
+      loadPage();
+    } catch (err) {
+      setStatus(err.message);
+    }
+    inviteSendBtn.disabled = false;
+  }
+
+  async function toggleFreeze() {
+    const confirmText = frozen
+      ? 'Unfreeze scores? Judges will be able to change them again.'
+      : 'Freeze scores? Judges will no longer be able to change them.';
+    if (!window.confirm(confirmText)) return;
+
+    try {
+      const data = await adminPost('/api/admin/judging/freeze', { frozen: !frozen });
+      renderFreeze(data.frozenAt);
+      setStatus(data.frozen ? 'Scores frozen.' : 'Scores unfrozen.');
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  async function loadSchedule() {
+    if (!getToken()) return;
+
+    try {
+      const res = await adminFetch(new URLSearchParams(), '/api/admin/schedule');
+      renderSchedule(await res.json());
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  async function loadAnnouncements() {
+    try {
+      const res = await fetch('/api/famhack/announcements');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Could not load announcements.');
+      renderAnnouncements(data.announcements);
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  async function loadWebhooks() {
+    if (!getToken()) return;
+
+    const params = new URLSearchParams();
+    if (webhookStatusEl.value) params.set('status', webhookStatusEl.value);
+    if (webhookEventEl.value) params.set('event', webhookEventEl.value);
+    try {
+      const res = await adminFetch(params, '/api/admin/webhooks');
+      renderWebhooks(await res.json());
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  async function replayWebhook(id) {
+    setStatus('Replaying delivery...');
+    try {
+      const { delivery } = await adminPost('/api/admin/webhooks', { id });
+      setStatus(delivery.status === 'delivered'
+        ? 'Delivered.'
+        : `Not delivered: ${delivery.lastError || 'will retry later'}.`);
+      loadWebhooks();
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  async function retryWebhooks() {
+    setStatus('Retrying due deliveries...');
+    try {
+      const data = await adminPost('/api/admin/webhooks', { retryDue: true });
+      setStatus(`Retried ${data.retried} deliveries; ${data.delivered} went through.`);
+      loadWebhooks();
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  function editSession(session) {
+    sessionFormEl.querySelector('#adminSessionId').value = session.id;
+    sessionFormEl.querySelector('#adminSessionTitle').value = session.title;
+    sessionFormEl.querySelector('#adminSessionStarts').value = toLocalInput(session.startsAt);
+    sessionFormEl.querySelector('#adminSessionEnds').value = toLocalInput(session.endsAt);
+    sessionFormEl.querySelector('#adminSessionLocation').value = session.location;
+    sessionFormEl.querySelector('#adminSessionTrack').value = session.track || '';
+    sessionFormEl.querySelector('#adminSessionDescription').value = session.description;
+    sessionFormEl.querySelector('#adminSessionTitle').focus();
+  }
+
+  async function saveSession(e) {
+    e.preventDefault();
+    const form = e.currentTarget;
+    const id = form.querySelector('#adminSessionId').value;
+
+    setStatus('Saving session...');
+    try {
+      // datetime-local values carry no offset; the server reads them in the event timezone
+      await adminPost('/api/admin/schedule', {
+        ...(id ? { id } : {}),
+        title: form.querySelector('#adminSessionTitle').value.trim(),
+        startsAt: form.querySelector('#adminSessionStarts').value,
+        endsAt: form.querySelector('#adminSessionEnds').value,
+        location: form.querySelector('#adminSessionLocation').value.trim(),
+        track: form.querySelector('#adminSessionTrack').value.trim(),
+        description: form.querySelector('#adminSessionDescription').value.trim(),
+      });
+      form.reset();
+      form.querySelector('#adminSessionId').value = '';
+      setStatus('Session saved.');
+      loadSchedule();
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  async function postAnnouncement(e) {
+    e.preventDefault();
+    const form = e.currentTarget;
+
+    setStatus('Posting announcement...');
+    try {
+      await adminPost('/api/admin/announcements', {
+        message: form.querySelector('#adminAnnouncementMessage').value.trim(),
+        level: form.querySelector('#adminAnnouncementLevel').value,
+      });
+      form.reset();
+      setStatus('Announcement posted.');
+      loadAnnouncements();
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  async function removeItem(path, id, reload) {
+    if (!window.confirm('Remove this for everyone?')) return;
+
+    try {
+      await adminPost(path, { id, remove: true });
+      setStatus('Removed.');
+      reload();
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  function resultsParams() {
+    const params = new URLSearchParams();
+    if (resultsTrackEl.value) params.set('track', resultsTrackEl.value);
+    return params;
+  }
+
+  async function exportAs(format, params = currentFilters(), path) {
+    params.set('format', format);
+
+    setStatus(`Preparing ${format.toUpperCase()} export...`);
+    try {
+      const res = await adminFetch(params, path);
+      const blob = await res.blob();
+      const match = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = match ? match[1] : `waitlist.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(link.href);
+      setStatus('Export downloaded.');
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  /* ── Init ───────────────────────────────────────────────────── */
+  function init() {
+    tokenFormEl = document.getElementById('adminTokenForm');
+    tokenInputEl = document.getElementById('adminTokenInput');
+    lockBtn = document.getElementById('adminLockBtn');
+    filterFormEl = document.getElementById('adminFilterForm');
+    searchInputEl = document.getElementById('adminSearchInput');
+    statusSelectEl = document.getElementById('adminStatusSelect');
+    accessSelectEl = document.getElementById('adminAccessSelect');
+    rowsEl = document.getElementById('adminRows');
+    prevBtn = document.getElementById('adminPrevBtn');
+    nextBtn = document.getElementById('adminNextBtn');
+    pageInfoEl = document.getElementById('adminPageInfo');
+    statusEl = document.getElementById('adminStatus');
+    attributionFormEl = document.getElementById('adminAttributionForm');
+    attributionFromEl = document.getElementById('adminAttributionFrom');
+    attributionToEl = document.getElementById('adminAttributionTo');
+    sourceRowsEl = document.getElementById('adminSourceRows');
+    campaignRowsEl = document.getElementById('adminCampaignRows');
+    dayRowsEl = document.getElementById('adminDayRows');
+    inviteFormEl = document.getElementById('adminInviteForm');
+    inviteSendBtn = document.getElementById('adminInviteSendBtn');
+    inviteRowsEl = document.getElementById('adminInviteRows');
+    judgeFormEl = document.getElementById('adminJudgeForm');
+    judgeRowsEl = document.getElementById('adminJudgeRows');
+    assignBtn = document.getElementById('adminAssignBtn');
+    freezeBtn = document.getElementById('adminFreezeBtn');
+    freezeInfoEl = document.getElementById('adminFreezeInfo');
+    resultsFormEl = document.getElementById('adminResultsForm');
+    resultsTrackEl = document.getElementById('adminResultsTrack');
+    resultRowsEl = document.getElementById('adminResultRows');
+    sessionFormEl = document.getElementById('adminSessionForm');
+    sessionRowsEl = document.getElementById('adminSessionRows');
+    scheduleInfoEl = document.getElementById('adminScheduleInfo');
+    announcementFormEl = document.getElementById('adminAnnouncementForm');
+    announcementRowsEl = document.getElementById('adminAnnouncementRows');
+    webhookFormEl = document.getElementById('adminWebhookForm');
+    webhookStatusEl = document.getElementById('adminWebhookStatus');
+    webhookEventEl = document.getElementById('adminWebhookEvent');
+    webhookRetryBtn = document.getElementById('adminWebhookRetryBtn');
+    webhookInfoEl = document.getElementById('adminWebhookInfo');
+    webhookRowsEl = document.getElementById('adminWebhookRows');
+
+    if (!rowsEl) return;
+
+    tokenFormEl.addEventListener('submit', (e) => {
+      e.preventDefault();
+      sessionStorage.setItem(TOKEN_KEY, tokenInputEl.value.trim());
+      tokenInputEl.value = '';
+      page = 1;
+      loadPage();
+      loadAttribution();
+      loadJudges();
+      loadResults();
+      loadSchedule();
+      loadWebhooks();
+    });
+
+    lockBtn.addEventListener('click', () => {
+      sessionStorage.removeItem(TOKEN_KEY);
+      [
+        rowsEl, sourceRowsEl, campaignRowsEl, dayRowsEl, inviteRowsEl,
+        judgeRowsEl, resultRowsEl, sessionRowsEl, webhookRowsEl,
+      ].forEach((el) => { el.innerHTML = ''; });
+      renderPager(0);
+      setStatus('Locked.');
+    });
+
+    filterFormEl.addEventListener('submit', (e) => {
+      e.preventDefault();
+      page = 1;
+      loadPage();
+    });
+
+    filterFormEl.querySelectorAll('[data-export]').forEach((btn) => {
+      btn.addEventListener('click', () => exportAs(btn.dataset.export));
+    });
+
+    prevBtn.addEventListener('click', () => { page -= 1; loadPage(); });
+    nextBtn.addEventListener('click', () => { page += 1; loadPage(); });
+
+    attributionFormEl.addEventListener('submit', (e) => {
+      e.preventDefault();
+      loadAttribution();
+    });
+
+    attributionFormEl.querySelector('[data-export]').addEventListener('click', () => {
+      exportAs('csv', attributionParams(), '/api/admin/attribution');
+    });
+
+    inviteFormEl.addEventListener('submit', previewInvites);
+    inviteSendBtn.addEventListener('click', sendInvites);
+
+    judgeFormEl.addEventListener('submit', saveJudge);
+    assignBtn.addEventListener('click', assignJudges);
+    freezeBtn.addEventListener('click', toggleFreeze);
+
+    resultsFormEl.addEventListener('submit', (e) => {
+      e.preventDefault();
+      loadResults();
+    });
+
+    resultsFormEl.querySelector('[data-export]').addEventListener('click', () => {
+      exportAs('csv', resultsParams(), '/api/admin/judging/results');
+    });
+
+    sessionFormEl.addEventListener('submit', saveSession);
+    sessionFormEl.addEventListener('reset', () => {
+      sessionFormEl.querySelector('#adminSessionId').value = '';
+    });
+    announcementFormEl.addEventListener('submit', postAnnouncement);
+
+    webhookFormEl.addEventListener('submit', (e) => {
+      e.preventDefault();
+      loadWebhooks();
+    });
+    webhookRetryBtn.addEventListener('click', retryWebhooks);
+
+    loadPage();
+    loadAttribution();
+    loadJudges();
+    loadResults();
+    loadSchedule();
+    loadAnnouncements();
+    loadWebhooks();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,268 @@
+/**
+ * FamHack check-in
+ * Organisers scan participants' QR tickets with the camera or type the code printed under
+ * them. Frames are read with BarcodeDetector where the browser has it, and otherwise with
+ * jsQR (jsqr 1.4.0 from jsDelivr, loaded before this file). Each ticket is checked through
+ * /api/famhack/checkin, which also flags tickets already used. Counts per team refresh
+ * on their own. Uses the admin token, kept in sessionStorage like on admin.html.
+ */
+
+(function () {
+  /* ── DOM refs ──────────────────────────────────────────────── */
+  let tokenFormEl;
+  let tokenInputEl;
+  let lockBtn;
+  let cameraBtn;
+  let videoEl;
+  let codeFormEl;
+  let codeInputEl;
+  let resultEl;
+  let countsEl;
+  let teamRowsEl;
+  let statusEl;
+
+  /* ── State ─────────────────────────────────────────────────── */
+  const TOKEN_KEY = 'accio_admin_token';
+  const REFRESH_INTERVAL_MS = 10 * 1000;
+  const SCAN_INTERVAL_MS = 300;
+  // The same QR code stays in view for a while; ignore it for this long after a scan
+  const RESCAN_DELAY_MS = 4 * 1000;
+
+  let stream = null;
+  let detector = null;
+  let frameCanvas = null; // for jsQR, which reads pixels rather than the video element
+  let scanTimer = null;
+  let lastScan = { value: '', at: 0 };
+  let busy = false;
+
+  const timeFormat = new Intl.DateTimeFormat('en-GB', { timeStyle: 'short' });
+
+  /* ── Helpers ────────────────────────────────────────────────── */
+  function setStatus(text) {
+    if (statusEl) statusEl.textContent = text;
+  }
+
+  function getToken() {
+    return sessionStorage.getItem(TOKEN_KEY) || '';
+  }
+
+  async function adminRequest(method, payload) {
+    const res = await fetch('/api/famhack/checkin', {
+      method,
+      headers: {
+        Authorization: `Bearer ${getToken()}`,
+        ...(payload ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: payload ? JSON.stringify(payload) : undefined,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (res.status === 401) {
+      sessionStorage.removeItem(TOKEN_KEY);
+      throw new Error('Invalid admin token.');
+    }
+    return { ok: res.ok, data };
+  }
+
+  function cell(text) {
+    const td = document.createElement('td');
+    td.textContent = text;
+    return td;
+  }
+
+  /* ── Rendering ──────────────────────────────────────────────── */
+  function showResult(kind, text) {
+    resultEl.className = `checkin-result ${kind}`;
+    resultEl.textContent = text;
+    resultEl.style.display = '';
+  }
+
+  function renderSummary(summary) {
+    countsEl.textContent = `${summary.checkedIn} checked in · ${summary.ticketsIssued} tickets issued`
+      + (summary.withoutTeam ? ` · ${summary.withoutTeam} without a team` : '');
+
+    teamRowsEl.innerHTML = '';
+    summary.teams.forEach((team) => {
+      const tr = document.createElement('tr');
+      tr.appendChild(cell(team.teamId));
+      tr.appendChild(cell(String(team.checkedIn)));
+      tr.appendChild(cell(String(team.members)));
+      teamRowsEl.appendChild(tr);
+    });
+  }
+
+  /* ── Actions ────────────────────────────────────────────────── */
+  async function refresh() {
+    if (!getToken()) {
+      setStatus('Enter the admin token to start checking people in.');
+      return;
+    }
+
+    try {
+      const { ok, data } = await adminRequest('GET');
+      if (!ok) throw new Error(data.error || 'Could not load check-in counts.');
+      renderSummary(data);
+      setStatus('');
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }
+
+  async function checkIn(payload) {
+    if (busy) return;
+    busy = true;
+
+    try {
+      const { ok, data } = await adminRequest('POST', payload);
+      if (!ok) {
+        showResult('error', data.error || 'Could not check this ticket.');
+        return;
+      }
+
+      const who = `${data.email}${data.teamId ? ` (team ${data.teamId})` : ' (no team)'}`;
+      if (data.status === 'duplicate') {
+        showResult('duplicate', `Already checked in at ${timeFormat.format(new Date(data.checkedInAt))}: ${who}. Scanned ${data.scans} times.`);
+      } else {
+        showResult('ok', `Checked in: ${who}`);
+      }
+      renderSummary(data.summary);
+    } catch (err) {
+      showResult('error', err.message);
+    } finally {
+      busy = false;
+    }
+  }
+
+  // Some browsers have BarcodeDetector without QR support (e.g. Chrome on desktop Linux)
+  async function detectorReadsQr() {
+    if (!('BarcodeDetector' in window)) return false;
+    try {
+      return (await window.BarcodeDetector.getSupportedFormats()).includes('qr_code');
+    } catch (err) {
+      return false;
+    }
+  }
+
+  // The QR code in the current video frame, or null
+  async function readFrame() {
+    if (detector) {
+      const [found] = await detector.detect(videoEl);
+      return found ? found.rawValue : null;
+    }
+
+    const { videoWidth: width, videoHeight: height } = videoEl;
+    if (!width || !height) return null;
+    frameCanvas = frameCanvas || document.createElement('canvas');
+    if (frameCanvas.width !== width || frameCanvas.height !== height) {
+      frameCanvas.width = width;
+      frameCanvas.height = height;
+    }
+    const context = frameCanvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(videoEl, 0, 0, width, height);
+    const found = window.jsQR(context.getImageData(0, 0, width, height).data, width, height, {
+      inversionAttempts: 'dontInvert',
+    });
+    return found ? found.data : null;
+  }
+
+  async function scanFrame() {
+    if (!stream || busy || videoEl.readyState < 2) return;
+
+    try {
+      const value = await readFrame();
+      if (!value) return;
+
+      const now = Date.now();
+      if (value === lastScan.value && now - lastScan.at < RESCAN_DELAY_MS) return;
+      lastScan = { value, at: now };
+      checkIn({ ticket: value });
+    } catch (err) {
+      // A frame that can't be read is not worth reporting; the next one usually can
+    }
+  }
+
+  function stopCamera() {
+    clearInterval(scanTimer);
+    if (stream) stream.getTracks().forEach((track) => track.stop());
+    stream = null;
+    videoEl.style.display = 'none';
+    cameraBtn.textContent = 'Start camera';
+  }
+
+  async function toggleCamera() {
+    if (stream) {
+      stopCamera();
+      return;
+    }
+
+    const hasDetector = detector !== null || await detectorReadsQr();
+    if (!hasDetector && typeof window.jsQR !== 'function') {
+      setStatus('This browser cannot read QR codes. Type the ticket code instead.');
+      return;
+    }
+
+    try {
+      if (hasDetector && !detector) detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+      stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      videoEl.srcObject = stream;
+      videoEl.style.display = '';
+      await videoEl.play();
+      cameraBtn.textContent = 'Stop camera';
+      scanTimer = setInterval(scanFrame, SCAN_INTERVAL_MS);
+    } catch (err) {
+      stopCamera();
+      setStatus('Could not start the camera. Type the ticket code instead.');
+    }
+  }
+
+  /* ── Init ───────────────────────────────────────────────────── */
+  function init() {
+    tokenFormEl = document.getElementById('checkinTokenForm');
+    tokenInputEl = document.getElementById('checkinTokenInput');
+    lockBtn = document.getElementById('checkinLockBtn');
+    cameraBtn = document.getElementById('checkinCameraBtn');
+    videoEl = document.getElementById('checkinVideo');
+    codeFormEl = document.getElementById('checkinCodeForm');
+    codeInputEl = document.getElementById('checkinCodeInput');
+    resultEl = document.getElementById('checkinResult');
+    countsEl = document.getElementById('checkinCounts');
+    teamRowsEl = document.getElementById('checkinTeamRows');
+    statusEl = document.getElementById('checkinStatus');
+
+    if (!codeFormEl) return;
+
+    tokenFormEl.addEventListener('submit', (e) => {
+      e.preventDefault();
+      sessionStorage.setItem(TOKEN_KEY, tokenInputEl.value.trim());
+      tokenInputEl.value = '';
+      refresh();
+    });
+
+    lockBtn.addEventListener('click', () => {
+      sessionStorage.removeItem(TOKEN_KEY);
+      stopCamera();
+      teamRowsEl.innerHTML = '';
+      countsEl.textContent = '';
+      resultEl.style.display = 'none';
+      setStatus('Locked.');
+    });
+
+    cameraBtn.addEventListener('click', toggleCamera);
+
+    codeFormEl.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const code = codeInputEl.value.trim();
+      if (!code) return;
+      codeInputEl.value = '';
+      checkIn({ code });
+    });
+
+    refresh();
+    setInterval(refresh, REFRESH_INTERVAL_MS);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,254 @@
+/**
+ * FamHack judging
+ * Judges open the signed link we email them; the token is kept in sessionStorage and sent
+ * as a Bearer token. The page lists the judge's assigned submissions with a scoring form
+ * built from the rubric. Without a link, it asks for an email address and requests one.
+ */
+
+(function () {
+  /* ── DOM refs ──────────────────────────────────────────────── */
+  let signInEl;
+  let signInFormEl;
+  let emailInputEl;
+  let queueEl;
+  let introEl;
+  let cardsEl;
+  let signOutBtn;
+  let statusEl;
+
+  /* ── State ─────────────────────────────────────────────────── */
+  const TOKEN_KEY = 'accio_judge_token';
+
+  let token = '';
+  let rubric = null;
+  let frozen = false;
+
+  // User-facing text for the error codes returned by the /api/judging routes
+  const ERROR_MESSAGES = {
+    invalid_email: 'Please enter a valid email address.',
+    unauthenticated: 'Your judging link is invalid or has expired. Request a new one below.',
+    not_a_judge: 'This address is not registered as a FamHack judge.',
+    invalid_scores: 'Please score every criterion.',
+    scores_frozen: 'Scores are frozen and can no longer change.',
+    conflict_of_interest: 'You have a conflict of interest with this team.',
+    not_assigned: 'That submission is no longer in your queue.',
+    rate_limited: 'Too many requests. Please try again later.',
+    not_configured: 'System initializing. Ready soon.',
+  };
+
+  /* ── Helpers ────────────────────────────────────────────────── */
+  function setStatus(text) {
+    if (statusEl) statusEl.textContent = text;
+  }
+
+  function errorMessage(data, fallback) {
+    return ERROR_MESSAGES[data && data.code] || (data && data.error) || fallback;
+  }
+
+  async function request(method, url, payload) {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (payload) headers['Content-Type'] = 'application/json';
+
+    const res = await fetch(url, { method, headers, body: payload ? JSON.stringify(payload) : undefined });
+    const data = await res.json().catch(() => ({}));
+    return { ok: res.ok, status: res.status, data };
+  }
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  function showSignIn() {
+    queueEl.style.display = 'none';
+    signInEl.style.display = '';
+  }
+
+  function signOut() {
+    token = '';
+    sessionStorage.removeItem(TOKEN_KEY);
+    cardsEl.textContent = '';
+    setStatus('');
+    showSignIn();
+  }
+
+  // 401/403 mean the link expired or the judge was deactivated: start over
+  function onRejected(status, data, fallback) {
+    if (status === 401 || (status === 403 && data && data.code === 'not_a_judge')) {
+      signOut();
+    }
+    setStatus(errorMessage(data, fallback));
+  }
+
+  /* ── Rendering ──────────────────────────────────────────────── */
+  function scoreSelect(criterion, value) {
+    const select = el('select');
+    select.name = criterion.id;
+    select.required = true;
+    select.appendChild(el('option', '', '–')).value = '';
+    for (let n = rubric.scale.min; n <= rubric.scale.max; n++) {
+      const option = el('option', '', String(n));
+      option.value = String(n);
+      if (value === n) option.selected = true;
+      select.appendChild(option);
+    }
+    return select;
+  }
+
+  function renderCard(item) {
+    const card = el('form', `judging-card${item.score ? ' scored' : ''}`);
+    card.appendChild(el('h2', '', item.title || 'Untitled project'));
+
+    const meta = [item.track, (item.techTags || []).join(', ')].filter(Boolean).join(' · ');
+    if (meta) card.appendChild(el('p', 'judging-meta', meta));
+    if (item.description) card.appendChild(el('p', 'judging-text', item.description));
+
+    const links = el('div', 'judging-actions');
+    [['Repository', item.repoUrl], ['Demo', item.demoUrl]].forEach(([label, href]) => {
+      if (!href) return;
+      const link = el('a', 'judging-btn', label);
+      link.href = href;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      links.appendChild(link);
+    });
+    if (links.childNodes.length) card.appendChild(links);
+
+    const criteria = el('div', 'judging-criteria');
+    rubric.criteria.forEach((c) => {
+      const label = el('label', '', `${c.label} (×${c.weight})`);
+      label.appendChild(scoreSelect(c, item.score && item.score.scores[c.id]));
+      criteria.appendChild(label);
+    });
+    card.appendChild(criteria);
+
+    const comment = el('textarea');
+    comment.name = 'comment';
+    comment.maxLength = 2000;
+    comment.placeholder = 'Comments for the organisers (optional)';
+    comment.value = (item.score && item.score.comment) || '';
+    card.appendChild(comment);
+
+    const actions = el('div', 'judging-actions');
+    const saveBtn = el('button', 'judging-btn primary', item.score ? 'Update score' : 'Save score');
+    saveBtn.type = 'submit';
+    actions.appendChild(saveBtn);
+    if (item.score) actions.appendChild(el('span', 'judging-meta', `Your total: ${item.score.total}`));
+    card.appendChild(actions);
+
+    if (frozen) card.querySelectorAll('select, textarea, button').forEach((input) => { input.disabled = true; });
+    card.addEventListener('submit', (e) => saveScore(e, item.teamId));
+    return card;
+  }
+
+  function renderQueue(data) {
+    rubric = data.rubric;
+    frozen = data.frozen;
+
+    const scored = data.queue.filter((item) => item.score).length;
+    const name = data.judge.name || data.judge.email;
+    introEl.textContent = data.queue.length
+      ? `Signed in as ${name}. You have scored ${scored} of ${data.queue.length} submissions.`
+      : `Signed in as ${name}. No submissions have been assigned to you yet.`;
+    if (frozen) introEl.textContent += ' Scores are frozen, so they can no longer change.';
+
+    cardsEl.textContent = '';
+    data.queue.forEach((item) => cardsEl.appendChild(renderCard(item)));
+
+    signInEl.style.display = 'none';
+    queueEl.style.display = '';
+  }
+
+  /* ── Actions ────────────────────────────────────────────────── */
+  async function loadQueue() {
+    setStatus('Loading your queue...');
+    try {
+      const { ok, status, data } = await request('GET', '/api/judging/queue');
+      if (!ok) {
+        onRejected(status, data, 'Could not load your queue. Please try again later.');
+        return;
+      }
+      renderQueue(data);
+      setStatus('');
+    } catch (err) {
+      setStatus('Could not load your queue. Please try again later.');
+    }
+  }
+
+  async function saveScore(e, teamId) {
+    e.preventDefault();
+    const form = e.currentTarget;
+    const scores = {};
+    rubric.criteria.forEach((c) => { scores[c.id] = Number(form.elements[c.id].value); });
+
+    setStatus('Saving...');
+    try {
+      const { ok, status, data } = await request('POST', '/api/judging/scores', {
+        teamId,
+        scores,
+        comment: form.elements.comment.value,
+      });
+      if (!ok) {
+        onRejected(status, data, 'Could not save the score. Please try again.');
+        return;
+      }
+      await loadQueue();
+      setStatus('Score saved.');
+    } catch (err) {
+      setStatus('Could not save the score. Please try again.');
+    }
+  }
+
+  async function requestLink(e) {
+    e.preventDefault();
+    const email = emailInputEl.value.trim().toLowerCase();
+
+    setStatus('Sending...');
+    try {
+      const { ok, data } = await request('POST', '/api/judging/login', { email });
+      setStatus(ok ? data.message : errorMessage(data, 'Could not send the link. Please try again later.'));
+    } catch (err) {
+      setStatus('Could not send the link. Please try again later.');
+    }
+  }
+
+  /* ── Init ───────────────────────────────────────────────────── */
+  function init() {
+    signInEl = document.getElementById('judgingSignIn');
+    signInFormEl = document.getElementById('judgingSignInForm');
+    emailInputEl = document.getElementById('judgingEmailInput');
+    queueEl = document.getElementById('judgingQueue');
+    introEl = document.getElementById('judgingIntro');
+    cardsEl = document.getElementById('judgingCards');
+    signOutBtn = document.getElementById('judgingSignOutBtn');
+    statusEl = document.getElementById('judgingStatus');
+
+    if (!queueEl) return;
+
+    const linkToken = new URLSearchParams(window.location.search).get('token');
+    if (linkToken) {
+      sessionStorage.setItem(TOKEN_KEY, linkToken);
+      // Keep the token out of the address bar (and out of screenshots and shared history)
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+    token = sessionStorage.getItem(TOKEN_KEY) || '';
+
+    signInFormEl.addEventListener('submit', requestLink);
+    signOutBtn.addEventListener('click', signOut);
+
+    if (!token) {
+      showSignIn();
+      return;
+    }
+    loadQueue();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
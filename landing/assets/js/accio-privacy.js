@@ -0,0 +1,182 @@
+/**
+ * Accio data rights
+ * Lets someone leave the waitlist, download or delete their data through the signed link
+ * we email them. Without a link, the page asks for an email address and requests one.
+ * ?action=unsubscribe marks an unsubscribe-only link from a waitlist email.
+ */
+
+(function () {
+  /* ── DOM refs ──────────────────────────────────────────────── */
+  let requestEl;
+  let requestFormEl;
+  let emailInputEl;
+  let manageEl;
+  let introEl;
+  let unsubscribeBtn;
+  let exportLinkEl;
+  let deleteBtn;
+  let statusEl;
+
+  /* ── State ─────────────────────────────────────────────────── */
+  // Keys written by accio-waitlist.js and famhack.js in this browser
+  const WAITLIST_KEYS = [
+    'accio_waitlist_joined_email',
+    'accio_waitlist_confirmation',
+    'accio_waitlist_access',
+    'accio_waitlist_queued_join',
+    'accio_waitlist_referral_code',
+    'accio_attribution',
+  ];
+  const FAMHACK_KEYS = ['famhack_registration', 'famhack_ticket'];
+
+  let token = '';
+
+  // User-facing text for the error codes returned by the /api/me routes
+  const ERROR_MESSAGES = {
+    invalid_email: 'Please enter a valid email address.',
+    invalid_token: 'This link is invalid or has expired. Request a new one below.',
+    rate_limited: 'Too many requests. Please try again later.',
+    not_configured: 'System initializing. Ready soon.',
+  };
+
+  /* ── Helpers ────────────────────────────────────────────────── */
+  function setStatus(text) {
+    if (statusEl) statusEl.textContent = text;
+  }
+
+  function errorMessage(data, fallback) {
+    return ERROR_MESSAGES[data && data.code] || fallback;
+  }
+
+  function forgetLocally(keys) {
+    keys.forEach((key) => localStorage.removeItem(key));
+  }
+
+  async function postJSON(url, payload) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    const data = await res.json().catch(() => ({}));
+    return { ok: res.ok && data.ok, data };
+  }
+
+  function showRequestForm() {
+    manageEl.style.display = 'none';
+    requestEl.style.display = '';
+  }
+
+  function disableActions() {
+    unsubscribeBtn.disabled = true;
+    deleteBtn.disabled = true;
+  }
+
+  function onTokenRejected(data, fallback) {
+    setStatus(errorMessage(data, fallback));
+    if (data && data.code === 'invalid_token') showRequestForm();
+  }
+
+  /* ── Actions ────────────────────────────────────────────────── */
+  async function requestLink(e) {
+    e.preventDefault();
+    const email = emailInputEl.value.trim().toLowerCase();
+
+    setStatus('Sending...');
+    try {
+      const { ok, data } = await postJSON('/api/me/request-link', { email });
+      setStatus(ok ? data.message : errorMessage(data, 'Could not send the link. Please try again later.'));
+    } catch (err) {
+      setStatus('Could not send the link. Please try again later.');
+    }
+  }
+
+  async function unsubscribe() {
+    setStatus('Removing you from the waitlist...');
+    try {
+      const { ok, data } = await postJSON('/api/waitlist/unsubscribe', { token });
+      if (!ok) {
+        onTokenRejected(data, 'Could not unsubscribe. Please try again later.');
+        return;
+      }
+      forgetLocally(WAITLIST_KEYS);
+      unsubscribeBtn.disabled = true;
+      setStatus(data.status === 'unsubscribed'
+        ? "You've left the waitlist. We won't email you about it again."
+        : "This address isn't on the waitlist.");
+    } catch (err) {
+      setStatus('Could not unsubscribe. Please try again later.');
+    }
+  }
+
+  async function deleteEverything() {
+    if (!window.confirm('Delete everything we hold for this email? This cannot be undone.')) return;
+
+    setStatus('Deleting your data...');
+    try {
+      const { ok, data } = await postJSON('/api/me/delete', { token });
+      if (!ok) {
+        onTokenRejected(data, 'Could not delete your data. Please try again later.');
+        return;
+      }
+      forgetLocally([...WAITLIST_KEYS, ...FAMHACK_KEYS]);
+      // Also sign this browser out of FamHack; the cookie is HttpOnly, so only the server can
+      fetch('/api/famhack/logout', { method: 'POST' }).catch(() => {});
+      disableActions();
+
+      const teamNotes = {
+        leadership_transferred: ' Your team now has a new leader.',
+        dissolved: ' Your team has been dissolved.',
+      };
+      setStatus(`Your data has been deleted.${teamNotes[data.removed && data.removed.team] || ''}`);
+    } catch (err) {
+      setStatus('Could not delete your data. Please try again later.');
+    }
+  }
+
+  /* ── Init ───────────────────────────────────────────────────── */
+  function init() {
+    requestEl = document.getElementById('privacyRequest');
+    requestFormEl = document.getElementById('privacyRequestForm');
+    emailInputEl = document.getElementById('privacyEmailInput');
+    manageEl = document.getElementById('privacyManage');
+    introEl = document.getElementById('privacyIntro');
+    unsubscribeBtn = document.getElementById('privacyUnsubscribeBtn');
+    exportLinkEl = document.getElementById('privacyExportLink');
+    deleteBtn = document.getElementById('privacyDeleteBtn');
+    statusEl = document.getElementById('privacyStatus');
+
+    if (!manageEl) return;
+
+    const params = new URLSearchParams(window.location.search);
+    token = params.get('token') || '';
+
+    // Keep the token out of the address bar (and out of screenshots and shared history)
+    window.history.replaceState(null, '', window.location.pathname);
+
+    requestFormEl.addEventListener('submit', requestLink);
+    unsubscribeBtn.addEventListener('click', unsubscribe);
+    deleteBtn.addEventListener('click', deleteEverything);
+
+    if (!token) {
+      showRequestForm();
+      return;
+    }
+
+    manageEl.style.display = '';
+    exportLinkEl.href = `/api/me/export?token=${encodeURIComponent(token)}`;
+
+    // Unsubscribe links from waitlist emails can only do that one thing
+    if (params.get('action') === 'unsubscribe') {
+      introEl.textContent = 'Leave the Accio waitlist? You will stop receiving waitlist emails.';
+      manageEl.querySelectorAll('[data-needs-full-link]').forEach((el) => { el.style.display = 'none'; });
+      requestEl.style.display = '';
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -1,6 +1,13 @@
 /**
- * Accio Waitlist – Simplified Direct-to-DB Flow
- * (No email verification to bypass rate limits)
+ * Accio Waitlist – Server-side Join Flow with Double Opt-in
+ * Signups go through POST /api/waitlist/join; the browser never talks to Supabase.
+ * New signups stay 'pending' until the emailed link (/api/waitlist/confirm) is clicked.
+ * Each signup gets a referral link (/?ref=CODE); the card shows their place in line.
+ * Invited signups get a one-time beta access code by email; /?access=CODE redeems it.
+ * The counter is pushed over SSE (/api/waitlist/stream), falling back to polling.
+ * Requests go through net.js; a signup made without a connection is kept in localStorage
+ * and sent once the browser is back online.
+ * Text comes from the i18n.js catalog and is re-rendered when the language changes.
  */
 
 (function () {
@@ -9,27 +16,107 @@
   let waitlistStatusEl;
   let emailFormEl;
   let emailInputEl;
+  let honeypotEl;
   let joinBtn;
   let confirmedCardEl;
   let confirmedEmailEl;
+  let confirmationStateEl;
+  let referralEl;
+  let positionEl;
+  let referralLinkEl;
+  let copyLinkBtn;
   let resetBtn;
+  let manageDataBtn;
 
   /* ── State ─────────────────────────────────────────────────── */
-  let supabase = null;
+  const i18n = window.AccioI18n;
+  const net = window.AccioNet;
   let pollTimer = null;
+  let countStream = null;
+  let streamFailed = false;
+  let displayedCount = null;
+  let countAnimation = null;
+  let lastStatus = null;
+  let lastPosition = null;
+  let lastConfirmation = null;
+  let lastAccess = null;
+  let joinInFlight = false;
+  let queueTimer = null;
+  const MAX_STREAM_FAILURES = 3;
+  const COUNT_ANIMATION_MS = 600;
+  const QUEUE_RETRY_MS = 30 * 1000;
   const STORAGE_KEY = 'accio_waitlist_joined_email';
+  const CONFIRMATION_KEY = 'accio_waitlist_confirmation';
+  const ACCESS_KEY = 'accio_waitlist_access';
+  const QUEUED_JOIN_KEY = 'accio_waitlist_queued_join';
+  const REFERRAL_CODE_KEY = 'accio_waitlist_referral_code';
+  const REFERRED_BY_KEY = 'accio_waitlist_referred_by';
+  const ATTRIBUTION_KEY = 'accio_attribution';
+  const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
 
-  const numberFormat = new Intl.NumberFormat('en-US');
+  // Message keys for the ?waitlist=<result> param set by /api/waitlist/confirm
+  const CONFIRM_RESULT_MESSAGES = {
+    confirmed: 'waitlist.confirm.confirmed',
+    expired_token: 'waitlist.confirm.expired',
+    invalid_token: 'waitlist.confirm.invalid',
+    error: 'waitlist.confirm.error',
+  };
 
   /* ── Helpers ────────────────────────────────────────────────── */
-  function setStatus(text) {
-    if (waitlistStatusEl) waitlistStatusEl.textContent = text;
+  // Remembers the message so it can be re-translated on a language switch
+  function setStatus(key, params) {
+    lastStatus = [key, params];
+    if (waitlistStatusEl) waitlistStatusEl.textContent = i18n.t(key, params);
   }
 
-  function setCount(n) {
+  function formatWait(seconds) {
+    const s = Math.max(1, Math.ceil(Number(seconds) || 0));
+    if (s < 90) return i18n.t('common.seconds', { count: s });
+    return i18n.t('common.minutes', { count: Math.ceil(s / 60) });
+  }
+
+  // Status messages for the error codes returned by /api/waitlist/join and /redeem
+  const ERROR_MESSAGES = {
+    invalid_email: () => ['waitlist.status.invalidEmail'],
+    invalid_code: () => ['waitlist.access.invalid'],
+    disposable_email: () => ['waitlist.error.disposable'],
+    bot_detected: () => ['waitlist.error.bot'],
+    rate_limited: (data) => ['common.rateLimited', { wait: formatWait(data.retryAfter) }],
+    not_configured: () => ['common.notConfigured'],
+    offline: () => ['common.offline'],
+  };
+
+  // Returns [key, params] for setStatus
+  function errorStatus(data, fallback = 'waitlist.error.generic') {
+    const message = ERROR_MESSAGES[data && data.code];
+    return message ? message(data) : [fallback];
+  }
+
+  // Tween the counter from whatever it shows now to the new value.
+  // A stale count (server couldn't reach the database) is shown dimmed.
+  function setCount(n, stale) {
     if (!waitlistCountEl) return;
-    const safe = Number.isFinite(n) ? Math.max(0, n) : 0;
-    waitlistCountEl.textContent = numberFormat.format(safe);
+    waitlistCountEl.classList.toggle('is-stale', !!stale);
+    waitlistCountEl.title = stale ? i18n.t('waitlist.countStale') : '';
+
+    const target = Number.isFinite(n) ? Math.max(0, n) : 0;
+    const from = displayedCount;
+    displayedCount = target;
+
+    if (countAnimation) window.cancelAnimationFrame(countAnimation);
+    if (from === null || from === target) {
+      waitlistCountEl.textContent = i18n.formatNumber(target);
+      return;
+    }
+
+    const start = performance.now();
+    const step = (now) => {
+      const t = Math.min(1, (now - start) / COUNT_ANIMATION_MS);
+      const eased = 1 - Math.pow(1 - t, 3); // ease-out cubic
+      waitlistCountEl.textContent = i18n.formatNumber(Math.round(from + (target - from) * eased));
+      countAnimation = t < 1 ? window.requestAnimationFrame(step) : null;
+    };
+    countAnimation = window.requestAnimationFrame(step);
   }
 
   function showEmailForm() {
@@ -37,27 +124,131 @@
     if (confirmedCardEl) confirmedCardEl.style.display = 'none';
   }
 
-  function showConfirmedCard(email) {
+  function showConfirmedCard(email, confirmation, access) {
     if (emailFormEl) emailFormEl.style.display = 'none';
     if (confirmedCardEl) confirmedCardEl.style.display = 'flex';
     if (confirmedEmailEl) confirmedEmailEl.textContent = email || '';
+    setConfirmationState(confirmation, access);
+  }
+
+  // Beta access, once there is any, says more than the email confirmation
+  function setConfirmationState(confirmation, access = lastAccess) {
+    lastConfirmation = confirmation;
+    lastAccess = access;
+    if (!confirmationStateEl) return;
+    const state = access === 'invited' || access === 'activated' ? access : confirmation;
+    const keys = {
+      activated: 'waitlist.stateActivated',
+      invited: 'waitlist.stateInvited',
+      confirmed: 'waitlist.stateConfirmed',
+    };
+    confirmationStateEl.textContent = i18n.t(keys[state] || 'waitlist.statePending');
+    confirmationStateEl.classList.toggle('is-activated', state === 'activated');
+    confirmationStateEl.classList.toggle('is-invited', state === 'invited');
+    confirmationStateEl.classList.toggle('is-confirmed', state === 'confirmed');
+    confirmationStateEl.classList.toggle('is-pending', !keys[state]);
+  }
+
+  /* ── Referral & position ────────────────────────────────────── */
+  function referralLink(code) {
+    return `${window.location.origin}/?ref=${encodeURIComponent(code)}`;
+  }
+
+  function showReferral(code) {
+    if (!referralEl) return;
+    if (!code) {
+      referralEl.style.display = 'none';
+      return;
+    }
+    referralEl.style.display = 'flex';
+    if (referralLinkEl) referralLinkEl.value = referralLink(code);
+  }
+
+  function renderPosition(data) {
+    lastPosition = data;
+    if (!positionEl) return;
+    const line = i18n.t('waitlist.position', { position: data.position, total: data.total });
+    const progress = data.referrals > 0
+      ? i18n.t('waitlist.positionReferrals', { count: data.referrals, movedUp: data.movedUp })
+      : i18n.t('waitlist.positionShare');
+    positionEl.textContent = `${line} ${progress}`;
+  }
+
+  async function refreshPosition() {
+    const code = localStorage.getItem(REFERRAL_CODE_KEY);
+    if (!code) return;
+    const { ok, data } = await net.fetchJSON(`/api/waitlist/position?code=${encodeURIComponent(code)}`);
+    // Position is a nice-to-have; leave the card as is
+    if (!ok) return;
+
+    renderPosition(data);
+    // Beta access isn't public, so it only comes from redeeming an invite
+    if (data.confirmation) {
+      localStorage.setItem(CONFIRMATION_KEY, data.confirmation);
+      setConfirmationState(data.confirmation);
+    }
+  }
+
+  // Remember who referred this visitor until they actually join
+  function captureReferrer() {
+    const ref = new URLSearchParams(window.location.search).get('ref');
+    if (ref && !localStorage.getItem(STORAGE_KEY)) {
+      localStorage.setItem(REFERRED_BY_KEY, ref.trim().toUpperCase());
+    }
+  }
+
+  /* ── Attribution ────────────────────────────────────────────── */
+  // First touch wins: only the visit that first brought someone here is recorded.
+  function captureAttribution() {
+    if (localStorage.getItem(ATTRIBUTION_KEY)) return;
+
+    const params = new URLSearchParams(window.location.search);
+    const attribution = {
+      landingPath: window.location.pathname,
+      locale: navigator.language || '',
+      firstSeenAt: new Date().toISOString(),
+    };
+    UTM_PARAMS.forEach((name) => {
+      const value = params.get(name);
+      if (value) attribution[name] = value.slice(0, 100);
+    });
+
+    // Only other sites count as a referrer, and without their query string
+    try {
+      const referrer = document.referrer ? new URL(document.referrer) : null;
+      if (referrer && referrer.origin !== window.location.origin) {
+        attribution.referrer = `${referrer.origin}${referrer.pathname}`;
+      }
+    } catch (_) { /* unparsable referrer */ }
+
+    localStorage.setItem(ATTRIBUTION_KEY, JSON.stringify(attribution));
+  }
+
+  function storedAttribution() {
+    try {
+      return JSON.parse(localStorage.getItem(ATTRIBUTION_KEY)) || undefined;
+    } catch (_) {
+      return undefined;
+    }
   }
 
-  function setButtonLoading(btn, isLoading, label) {
+  function setButtonLoading(btn, isLoading, labelKey, loadingKey = 'waitlist.joining') {
     if (!btn) return;
     btn.disabled = isLoading;
-    btn.textContent = isLoading ? 'Joining...' : label;
+    btn.textContent = i18n.t(isLoading ? loadingKey : labelKey);
   }
 
-  /* ── Count polling ──────────────────────────────────────────── */
+  /* ── Live count (SSE, with polling fallback) ───────────────── */
   async function refreshCount() {
-    try {
-      const res = await fetch('/api/waitlist/count');
-      const data = await res.json();
-      setCount(Number(data.count ?? 0));
-    } catch (_) {
-      /* keep stale value on failure */
+    const { ok, data } = await net.fetchJSON('/api/waitlist/count');
+    // Out of reach: keep the last number, dimmed
+    if (!ok) {
+      if (displayedCount !== null) setCount(displayedCount, true);
+      return;
     }
+    // No number at all (nothing cached server-side yet): keep what we show
+    if (data.count === null || data.count === undefined) return;
+    setCount(Number(data.count), data.stale);
   }
 
   function startPolling() {
@@ -67,90 +258,289 @@
     }
   }
 
-  /* ── Direct Join Logic ──────────────────────────────────────── */
-  async function joinWaitlist() {
+  function stopPolling() {
+    if (pollTimer) {
+      window.clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  }
+
+  function stopStream() {
+    if (countStream) {
+      countStream.close();
+      countStream = null;
+    }
+  }
+
+  // Prefer the server push stream; fall back to polling when it can't connect
+  function startLiveCount() {
+    // Without a connection there is nothing to fetch; onConnectionChange starts it again
+    if (countStream || !net.isOnline()) return;
+    if (streamFailed || !('EventSource' in window)) {
+      startPolling();
+      return;
+    }
+
+    let failures = 0;
+    countStream = new EventSource('/api/waitlist/stream');
+
+    countStream.addEventListener('open', () => {
+      failures = 0;
+      stopPolling();
+    });
+
+    countStream.addEventListener('count', (e) => {
+      try {
+        const data = JSON.parse(e.data);
+        setCount(Number(data.count ?? 0), data.stale);
+      } catch (_) {
+        /* ignore malformed events */
+      }
+    });
+
+    // EventSource retries by itself (the server closes the stream every ~25s);
+    // only give up when it keeps failing without ever opening.
+    countStream.addEventListener('error', () => {
+      failures += 1;
+      if (countStream.readyState === EventSource.CLOSED || failures >= MAX_STREAM_FAILURES) {
+        streamFailed = true;
+        stopStream();
+        startPolling();
+      }
+    });
+  }
+
+  // Nothing to update while nobody is looking
+  function onVisibilityChange() {
+    if (document.hidden) {
+      stopPolling();
+      stopStream();
+    } else {
+      startLiveCount();
+    }
+  }
+
+  /* ── Join Logic ─────────────────────────────────────────────── */
+  function joinWaitlist() {
     const email = emailInputEl ? emailInputEl.value.trim().toLowerCase() : '';
 
     if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-      setStatus('Please enter a valid email address.');
+      setStatus('waitlist.status.invalidEmail');
       return;
     }
 
-    setButtonLoading(joinBtn, true, 'Join Waitlist');
-    setStatus('Joining waitlist...');
+    const signup = {
+      email,
+      ref: localStorage.getItem(REFERRED_BY_KEY) || undefined,
+      attribution: storedAttribution(),
+      website: honeypotEl ? honeypotEl.value : '',
+    };
+    if (net.isOnline()) {
+      sendSignup(signup, 'waitlist.status.joining');
+    } else {
+      queueSignup(signup);
+    }
+  }
 
-    // Direct insert into public 'waitlist' table
-    // We use the supabase client initialized with the anon key
-    const { error } = await supabase
-      .from('waitlist')
-      .insert({ email: email });
+  // Joining again is harmless (the server answers 'already_joined'), so a signup that got
+  // no response is queued and re-sent rather than dropped.
+  async function sendSignup(signup, statusKey) {
+    if (joinInFlight) return;
+    joinInFlight = true;
+    window.clearTimeout(queueTimer);
+    setButtonLoading(joinBtn, true, 'waitlist.join');
+    setStatus(statusKey, { email: signup.email });
 
-    setButtonLoading(joinBtn, false, 'Join Waitlist');
+    const { ok, status, data } = await net.fetchJSON('/api/waitlist/join', { method: 'POST', body: signup });
 
-    if (error) {
-      // If it's a unique constraint error (user already joined), we show success anyway
-      if (error.code === '23505') {
-        onJoinedSuccess(email, "You're already on the list!");
-      } else {
-        console.error('[accio] join error:', error.message);
-        setStatus('Failed to join. Please try again later.');
-      }
+    joinInFlight = false;
+    setButtonLoading(joinBtn, false, 'waitlist.join');
+
+    if (status === 0) {
+      queueSignup(signup);
+      return;
+    }
+    localStorage.removeItem(QUEUED_JOIN_KEY);
+    if (ok && data.ok) {
+      // The referral code arrives with the confirmation link, not here
+      onJoinedSuccess(data.email || signup.email, data.confirmation, null, joinMessage(data), null);
     } else {
-      onJoinedSuccess(email, "You're in! Welcome to the waitlist.");
+      setStatus(...errorStatus(data));
     }
   }
 
-  function onJoinedSuccess(email, message) {
+  /* ── Offline queue ──────────────────────────────────────────── */
+  function queuedSignup() {
+    try {
+      return JSON.parse(localStorage.getItem(QUEUED_JOIN_KEY));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Offline, the 'online' event sends it; online but unreachable, a timer tries again.
+  function queueSignup(signup) {
+    localStorage.setItem(QUEUED_JOIN_KEY, JSON.stringify(signup));
+    showQueuedStatus(signup);
+    window.clearTimeout(queueTimer);
+    queueTimer = net.isOnline() ? window.setTimeout(sendQueuedSignup, QUEUE_RETRY_MS) : null;
+  }
+
+  function showQueuedStatus(signup) {
+    setStatus(net.isOnline() ? 'waitlist.status.queuedRetry' : 'waitlist.status.queued', { email: signup.email });
+  }
+
+  function sendQueuedSignup() {
+    const signup = queuedSignup();
+    if (signup && net.isOnline()) sendSignup(signup, 'waitlist.status.sendingQueued');
+  }
+
+  function onConnectionChange(e) {
+    const signup = queuedSignup();
+    if (e.detail.online) {
+      streamFailed = false;
+      if (!document.hidden) startLiveCount();
+      if (signup) sendQueuedSignup();
+      return;
+    }
+
+    stopStream();
+    stopPolling();
+    if (displayedCount !== null) setCount(displayedCount, true);
+    if (signup && !joinInFlight) queueSignup(signup);
+  }
+
+  // Message key for a successful join
+  function joinMessage(data) {
+    if (data.confirmation === 'confirmed') return 'waitlist.status.alreadyConfirmed';
+    if (data.status === 'already_joined') {
+      return data.emailSent ? 'waitlist.status.alreadyResent' : 'waitlist.status.alreadyPending';
+    }
+    return 'waitlist.status.almostThere';
+  }
+
+  // access: the beta status when known (from redeeming an invite), otherwise null
+  function onJoinedSuccess(email, confirmation, referralCode, messageKey, access) {
     localStorage.setItem(STORAGE_KEY, email);
-    showConfirmedCard(email);
-    setStatus(message);
+    localStorage.setItem(CONFIRMATION_KEY, confirmation || 'pending');
+    localStorage.removeItem(REFERRED_BY_KEY);
+    if (access) localStorage.setItem(ACCESS_KEY, access);
+    else localStorage.removeItem(ACCESS_KEY);
+    if (referralCode) localStorage.setItem(REFERRAL_CODE_KEY, referralCode);
+    showConfirmedCard(email, confirmation, access);
+    showReferral(localStorage.getItem(REFERRAL_CODE_KEY));
+    setStatus(messageKey);
     refreshCount();
+    refreshPosition();
+  }
+
+  // Only forgets the address in this browser; leaving the list goes through requestDataLink.
+  function forgetJoinedEmail() {
+    localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(CONFIRMATION_KEY);
+    localStorage.removeItem(ACCESS_KEY);
+    localStorage.removeItem(REFERRAL_CODE_KEY);
+    localStorage.removeItem(QUEUED_JOIN_KEY);
+    window.clearTimeout(queueTimer);
+    lastAccess = null;
+    showReferral(null);
+    lastPosition = null;
+    if (positionEl) positionEl.textContent = '';
+    showEmailForm();
+    if (emailInputEl) emailInputEl.value = '';
+  }
+
+  /* ── Data rights ────────────────────────────────────────────── */
+  // Emails a signed link to /privacy.html, where the owner can leave, export or delete.
+  async function requestDataLink() {
+    const email = localStorage.getItem(STORAGE_KEY);
+    if (!email) return;
+
+    setButtonLoading(manageDataBtn, true, 'waitlist.myData', 'waitlist.sending');
+    const { ok, data } = await net.fetchJSON('/api/me/request-link', { method: 'POST', body: { email } });
+    if (ok) {
+      setStatus('waitlist.status.dataLinkSent', { email });
+    } else {
+      setStatus(...errorStatus(data, 'waitlist.status.dataLinkFailed'));
+    }
+    setButtonLoading(manageDataBtn, false, 'waitlist.myData');
+  }
+
+  /* ── Confirmation redirect ──────────────────────────────────── */
+  // Reads a query param once, dropping it so a refresh doesn't act on it again
+  function takeParam(name) {
+    const params = new URLSearchParams(window.location.search);
+    const value = params.get(name);
+    if (!value) return null;
+
+    params.delete(name);
+    const query = params.toString();
+    window.history.replaceState(null, '',
+      `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    return value;
+  }
+
+  function takeConfirmationResult() {
+    const result = takeParam('waitlist');
+    if (!result) return null;
+    return CONFIRM_RESULT_MESSAGES[result] ? result : 'error';
+  }
+
+  /* ── Beta access ────────────────────────────────────────────── */
+  // The invite email links to /?access=CODE; redeeming it signs this browser in as that signup.
+  async function redeemAccessCode(code) {
+    setStatus('waitlist.access.redeeming');
+    const { ok, data } = await net.fetchJSON('/api/waitlist/redeem', { method: 'POST', body: { code } });
+    if (ok && data.ok) {
+      onJoinedSuccess(data.email, data.confirmation, data.referralCode, 'waitlist.access.activated', data.access);
+    } else {
+      setStatus(...errorStatus(data, 'waitlist.access.failed'));
+    }
+  }
+
+  /* ── Language switch ────────────────────────────────────────── */
+  // Static labels are handled by i18n.js; re-render everything this script wrote.
+  function onLocaleChange() {
+    if (joinBtn && !joinBtn.disabled) joinBtn.textContent = i18n.t('waitlist.join');
+    if (manageDataBtn && !manageDataBtn.disabled) manageDataBtn.textContent = i18n.t('waitlist.myData');
+    if (displayedCount !== null && waitlistCountEl) {
+      waitlistCountEl.textContent = i18n.formatNumber(displayedCount);
+      if (waitlistCountEl.classList.contains('is-stale')) waitlistCountEl.title = i18n.t('waitlist.countStale');
+    }
+    if (lastConfirmation) setConfirmationState(lastConfirmation, lastAccess);
+    if (lastPosition) renderPosition(lastPosition);
+    if (lastStatus) setStatus(...lastStatus);
   }
 
   /* ── Init ───────────────────────────────────────────────────── */
-  async function init() {
+  function init() {
     waitlistCountEl = document.getElementById('waitlistCount');
     waitlistStatusEl = document.getElementById('waitlistStatus');
     emailFormEl = document.getElementById('waitlistEmailForm');
     emailInputEl = document.getElementById('waitlistEmailInput');
+    honeypotEl = document.getElementById('waitlistWebsite');
     joinBtn = document.getElementById('waitlistSendBtn'); // Re-using ID for simplicity
     confirmedCardEl = document.getElementById('waitlistConfirmedCard');
     confirmedEmailEl = document.getElementById('waitlistConfirmedEmail');
+    confirmationStateEl = document.getElementById('waitlistConfirmationState');
+    referralEl = document.getElementById('waitlistReferral');
+    positionEl = document.getElementById('waitlistPosition');
+    referralLinkEl = document.getElementById('waitlistReferralLink');
+    copyLinkBtn = document.getElementById('waitlistCopyLinkBtn');
     resetBtn = document.getElementById('waitlistSwitchEmailBtn'); // Re-using ID
+    manageDataBtn = document.getElementById('waitlistManageDataBtn');
 
     if (!waitlistCountEl && !emailFormEl) return;
 
-    setStatus('Loading counter...');
-    startPolling();
-
-    // ── Fetch public config ──
-    let config;
-    try {
-      const res = await fetch('/api/public-config');
-      config = await res.json();
-    } catch (_) {
-      setStatus('Could not reach the server.');
-      showEmailForm();
-      return;
-    }
-
-    if (!config.supabaseConfigured) {
-      setStatus('System initializing. Ready soon.');
-      showEmailForm();
-      return;
-    }
-
-    // ── Init Supabase ──
-    if (!window.supabase || !window.supabase.createClient) {
-      setStatus('Error loading libraries. Please refresh.');
-      showEmailForm();
-      return;
-    }
-
-    supabase = window.supabase.createClient(config.supabaseUrl, config.supabaseAnonKey);
+    setStatus('waitlist.status.loading');
+    startLiveCount();
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    document.addEventListener('accio:localechange', onLocaleChange);
+    document.addEventListener('accio:connectionchange', onConnectionChange);
 
-    // ── Set UI label to "Join Waitlist" ──
-    if (joinBtn) joinBtn.textContent = 'Join Waitlist';
+    // ── Set UI labels in the current language ──
+    if (joinBtn) joinBtn.textContent = i18n.t('waitlist.join');
+    if (manageDataBtn) manageDataBtn.textContent = i18n.t('waitlist.myData');
 
     // ── Wire events ──
     if (joinBtn) {
@@ -163,24 +553,76 @@
       });
     }
 
+    if (copyLinkBtn && referralLinkEl) {
+      copyLinkBtn.addEventListener('click', async () => {
+        const success = await window.copyToClipboard(referralLinkEl.value);
+        if (success) {
+          copyLinkBtn.textContent = i18n.t('common.copied');
+          setTimeout(() => { copyLinkBtn.textContent = i18n.t('waitlist.copyLink'); }, 2000);
+        }
+      });
+    }
+
     if (resetBtn) {
       resetBtn.addEventListener('click', () => {
-        localStorage.removeItem(STORAGE_KEY);
-        showEmailForm();
-        if (emailInputEl) emailInputEl.value = '';
-        setStatus('Enter your email to join the waitlist.');
+        forgetJoinedEmail();
+        setStatus('waitlist.status.enterEmail');
       });
     }
 
+    if (manageDataBtn) {
+      manageDataBtn.addEventListener('click', requestDataLink);
+    }
+
+    captureReferrer();
+    captureAttribution();
+
+    // ── Arriving from the confirmation link ──
+    const confirmResult = takeConfirmationResult();
+    const confirmedCode = takeParam('code');
+    if (confirmResult === 'confirmed') {
+      localStorage.setItem(CONFIRMATION_KEY, 'confirmed');
+      if (confirmedCode) localStorage.setItem(REFERRAL_CODE_KEY, confirmedCode.trim().toUpperCase());
+    }
+
     // ── Check if already joined (LocalStorage) ──
     const cachedEmail = localStorage.getItem(STORAGE_KEY);
+    const cachedConfirmation = localStorage.getItem(CONFIRMATION_KEY) || 'pending';
+    const cachedAccess = localStorage.getItem(ACCESS_KEY);
     if (cachedEmail) {
-      showConfirmedCard(cachedEmail);
-      setStatus("You're on the waitlist! We'll be in touch.");
+      showConfirmedCard(cachedEmail, cachedConfirmation, cachedAccess);
+      showReferral(localStorage.getItem(REFERRAL_CODE_KEY));
+      refreshPosition();
+      setStatus(returningMessage(cachedConfirmation, cachedAccess));
     } else {
       showEmailForm();
-      setStatus('Enter your email to join the waitlist.');
+      setStatus('waitlist.status.enterEmail');
     }
+
+    if (confirmResult) setStatus(CONFIRM_RESULT_MESSAGES[confirmResult]);
+
+    // ── A signup made offline on an earlier visit ──
+    const queued = queuedSignup();
+    if (queued) {
+      showEmailForm();
+      if (emailInputEl) emailInputEl.value = queued.email;
+      if (net.isOnline()) {
+        sendQueuedSignup();
+      } else {
+        showQueuedStatus(queued);
+      }
+    }
+
+    // ── Arriving from a beta invite ──
+    const accessCode = takeParam('access');
+    if (accessCode) redeemAccessCode(accessCode);
+  }
+
+  // Message key for someone who joined on an earlier visit
+  function returningMessage(confirmation, access) {
+    if (access === 'activated') return 'waitlist.access.activated';
+    if (access === 'invited') return 'waitlist.status.invited';
+    return confirmation === 'confirmed' ? 'waitlist.status.onList' : 'waitlist.status.checkInbox';
   }
 
   if (document.readyState === 'loading') {
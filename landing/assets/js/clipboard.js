@@ -0,0 +1,32 @@
+/**
+ * Clipboard helper shared by the Accio and FamHack scripts.
+ * Uses the async Clipboard API and falls back to a hidden textarea + execCommand
+ * for older browsers and non-secure contexts.
+ */
+
+(function () {
+  async function copyToClipboard(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch (err) {
+      // Fallback for older browsers
+      const textArea = document.createElement('textarea');
+      textArea.value = text;
+      textArea.style.position = 'fixed';
+      textArea.style.left = '-999999px';
+      document.body.appendChild(textArea);
+      textArea.select();
+      try {
+        document.execCommand('copy');
+        document.body.removeChild(textArea);
+        return true;
+      } catch (err) {
+        document.body.removeChild(textArea);
+        return false;
+      }
+    }
+  }
+
+  window.copyToClipboard = copyToClipboard;
+})();
@@ -1,11 +1,26 @@
 /**
  * FamHack - Hackathon Registration System
  * Handles email validation, OTP verification, and team management
+ *
+ * The FamHack pages (landing/famhack/: index.html, join.html, dashboard.html) load, in order:
+ *   assets/js/i18n.js        window.AccioI18n – UI text
+ *   assets/js/net.js         window.AccioNet – every request
+ *   assets/js/clipboard.js   window.copyToClipboard – invite links
+ *   qrcode-generator 2.0.4   window.qrcode – the ticket QR code, from jsDelivr
+ *   assets/js/famhack.js
+ * The QR library is only needed on dashboard.html and is optional there: without it the
+ * ticket shows its typed code alone. The other three are required; init() stops with a
+ * console error naming any that are missing.
  */
 
 const FamHack = {
   config: {
-    emailDomain: '@ed.ac.uk',
+    // Replaced by the server's rules from /api/public-config on init
+    eligibility: {
+      institutions: [{ name: 'University of Edinburgh', domains: ['ed.ac.uk', '*.ed.ac.uk'] }],
+      allowedEmailHashes: [],
+      blockedEmailHashes: [],
+    },
     otpLength: 6,
     otpResendDelay: 30, // seconds
   },
@@ -15,108 +30,263 @@ const FamHack = {
     currentEmail: null,
     teamId: null,
     isTeamLeader: false,
+    session: null, // { email, teamId, isTeamLeader, expiresAt } from /api/famhack/me
+    offline: false, // /api/famhack/me couldn't be reached, so the session is unknown
+    inviteToken: null, // from a join.html?invite= link, once the server has checked it
+    invite: null, // the team's live invite link from /api/famhack/teams/invite
+    submission: null, // last GET /api/famhack/submissions response
+    ticket: null, // { ticket, code, email, expiresAt }, also kept in localStorage for offline use
+    finder: null, // last GET /api/famhack/finder response
+    schedule: null, // last GET /api/famhack/schedule response
+    clockSkew: 0, // server clock minus ours, in ms, so "now" matches the venue's
+    announcements: [], // newest first
   },
 
   /**
    * Initialize the application
    */
-  init() {
+  async init() {
+    const missing = [['AccioI18n', 'i18n.js'], ['AccioNet', 'net.js'], ['copyToClipboard', 'clipboard.js']]
+      .filter(([name]) => !window[name])
+      .map(([, file]) => file);
+    if (missing.length) {
+      console.error(`[famhack] Load ${missing.join(', ')} before famhack.js; see the top of famhack.js.`);
+      return;
+    }
+
+    // Identity comes from the server session; registrations kept in localStorage by
+    // earlier versions are not trusted, so drop them
+    localStorage.removeItem('famhack_registration');
+    await this.loadSession();
+    if (this.requireSession()) return;
+
+    this.loadPublicConfig();
     this.initOTPInputs();
     this.initForms();
     this.initDashboard();
+    this.initSubmission();
+    this.initTicket();
+    this.initFinder();
+    this.initSchedule();
     this.initNavigation();
     this.checkURLParams();
+
+    // Re-render the roster, submission status, ticket, invite link, team finder and schedule in the newly picked language
+    document.addEventListener('accio:localechange', () => {
+      this.loadTeamMembers();
+      this.renderSubmissionStatus();
+      this.renderTicket();
+      this.renderInvite();
+      this.renderFinder();
+      this.renderSchedule();
+      this.renderAnnouncements();
+    });
+  },
+
+  /**
+   * Translate a message key from the i18n catalog
+   */
+  t(key, params) {
+    return window.AccioI18n.t(key, params);
   },
 
   /**
-   * Validate email against @ed.ac.uk domain
+   * Fetch eligibility rules and limits from the server (once)
    */
-  validateEmail(email) {
+  loadPublicConfig() {
+    if (!this.publicConfigPromise) {
+      // Email validation waits on this, so don't hang on a slow network
+      this.publicConfigPromise = window.AccioNet.fetchJSON('/api/public-config', { timeout: 5000 })
+        .then(({ ok, data }) => {
+          // Otherwise keep the built-in defaults
+          if (!ok) return;
+          const famhack = data.famhack || {};
+          if (famhack.eligibility) this.config.eligibility = famhack.eligibility;
+          if (famhack.otpResendDelay) this.config.otpResendDelay = famhack.otpResendDelay;
+          if (famhack.maxTeamSize) this.config.maxTeamSize = famhack.maxTeamSize;
+        });
+    }
+    return this.publicConfigPromise;
+  },
+
+  /**
+   * Does a domain match a rule: exact ("ed.ac.uk") or any subdomain ("*.ed.ac.uk")
+   */
+  domainMatches(domain, pattern) {
+    if (pattern.startsWith('*.')) {
+      return domain.endsWith(pattern.slice(1)) && domain.length > pattern.length - 1;
+    }
+    return domain === pattern;
+  },
+
+  /**
+   * SHA-256 hex of a string (the allow/block lists are published hashed)
+   */
+  async sha256(text) {
+    if (!window.crypto || !window.crypto.subtle) return null;
+    const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+  },
+
+  /**
+   * Validate email against the eligibility rules (the server enforces the same rules)
+   */
+  async validateEmail(email) {
     if (!email || typeof email !== 'string') return false;
     const trimmed = email.trim().toLowerCase();
-    return trimmed.endsWith(this.config.emailDomain) && trimmed.length > this.config.emailDomain.length;
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmed)) return false;
+
+    await this.loadPublicConfig();
+    const rules = this.config.eligibility;
+
+    if (rules.allowedEmailHashes.length || rules.blockedEmailHashes.length) {
+      const hash = await this.sha256(trimmed);
+      if (hash && rules.blockedEmailHashes.includes(hash)) return false;
+      if (hash && rules.allowedEmailHashes.includes(hash)) return true;
+    }
+
+    const domain = trimmed.slice(trimmed.lastIndexOf('@') + 1);
+    return rules.institutions.some(inst => inst.domains.some(d => this.domainMatches(domain, d)));
   },
 
   /**
-   * Mock send OTP (simulates API call)
+   * Message listing the institutions whose students can register
    */
-  async sendOTP(email) {
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        console.log(`OTP sent to ${email}`);
-        resolve({ success: true, message: 'OTP sent successfully' });
-      }, 1500);
-    });
+  eligibilityMessage() {
+    const list = this.config.eligibility.institutions
+      .map(inst => `${inst.name} (${inst.domains.map(d => `@${d}`).join(', ')})`)
+      .join('; ');
+    return this.t('famhack.eligibility', { list });
   },
 
   /**
-   * Mock verify OTP (accepts any 6-digit code)
+   * Call an API route with the session cookie attached (GETs are retried by net.js);
+   * resolves to { ok, status, data } and never throws
    */
-  async verifyOTP(otp) {
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        const isValid = otp && otp.length === this.config.otpLength && /^\d+$/.test(otp);
-        if (isValid) {
-          // Generate team ID if not joining a team
-          if (!this.state.teamId) {
-            this.state.teamId = this.generateTeamId();
-            this.state.isTeamLeader = true;
-          }
-          // Store registration in localStorage
-          this.saveRegistration();
-          resolve({ success: true, teamId: this.state.teamId });
-        } else {
-          resolve({ success: false, message: 'Invalid OTP' });
-        }
-      }, 1000);
-    });
+  async apiRequest(method, url, payload) {
+    const result = await window.AccioNet.fetchJSON(url, { method, body: payload });
+    if (result.status === 0) {
+      return { ...result, data: { ...result.data, error: this.t('common.offline') } };
+    }
+    // The session ran out while the page was open
+    if (result.status === 401 && this.state.session) this.endSession();
+    return result;
   },
 
   /**
-   * Generate a random team ID
+   * Turn an API error response into the message shown to the user
    */
-  generateTeamId() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let result = '';
-    for (let i = 0; i < 8; i++) {
-      result += chars.charAt(Math.floor(Math.random() * chars.length));
+  errorMessage(data, fallback) {
+    const wait = (seconds) => {
+      const s = Math.max(1, Math.ceil(Number(seconds) || 0));
+      return s < 90
+        ? this.t('common.seconds', { count: s })
+        : this.t('common.minutes', { count: Math.ceil(s / 60) });
+    };
+
+    switch (data && data.code) {
+      case 'rate_limited':
+        return this.t('common.rateLimited', { wait: wait(data.retryAfter) });
+      case 'resend_too_soon':
+        return this.t('famhack.error.resendTooSoon', { wait: wait(data.retryAfter) });
+      case 'disposable_email':
+        return this.t('famhack.error.disposable');
+      case 'ineligible_email':
+        return this.eligibilityMessage();
+      case 'email_blocked':
+        return this.t('famhack.error.blocked');
+      case 'invalid_otp':
+        return data.attemptsRemaining !== undefined
+          ? this.t('famhack.error.invalidOtpAttempts', { count: data.attemptsRemaining })
+          : this.t('famhack.error.invalidOtp');
+      case 'otp_expired':
+        return this.t('famhack.error.otpExpired');
+      case 'too_many_attempts':
+        return this.t('famhack.error.tooManyAttempts');
+      case 'invalid_invite':
+        return this.t('famhack.invite.invalid');
+      case 'invite_expired':
+        return this.t('famhack.invite.expired');
+      case 'invite_revoked':
+        return this.t('famhack.invite.revoked');
+      case 'invite_used_up':
+        return this.t('famhack.invite.usedUp');
+      case 'team_full':
+        return this.t('famhack.invite.teamFull');
+      case 'not_configured':
+        return this.t('common.notConfigured');
+      default:
+        return (data && data.error) || fallback;
     }
-    return result;
   },
 
   /**
-   * Generate invite link for team
+   * POST JSON to an API route
+   */
+  async postJSON(url, payload) {
+    return this.apiRequest('POST', url, payload);
+  },
+
+  /**
+   * Ask the server to email a one-time code
+   */
+  async sendOTP(email) {
+    const { ok, data } = await this.postJSON('/api/famhack/otp/send', { email });
+    if (!ok) {
+      return { success: false, code: data.code, message: this.errorMessage(data, this.t('famhack.error.sendFailed')) };
+    }
+    if (data.resendDelay) this.config.otpResendDelay = data.resendDelay;
+    return { success: true, message: this.t('famhack.otpSent') };
+  },
+
+  /**
+   * Verify the code with the server
+   */
+  async verifyOTP(otp) {
+    const { ok, data } = await this.postJSON('/api/famhack/otp/verify', {
+      email: this.state.currentEmail,
+      code: otp,
+    });
+
+    if (!ok) {
+      return { success: false, code: data.code, message: this.errorMessage(data, this.t('famhack.error.invalidOtp')) };
+    }
+
+    // A returning participant without an invite just signs back in to their team
+    if (data.team && !this.state.inviteToken) {
+      await this.loadSession();
+      return { success: true, teamId: data.team.id };
+    }
+
+    // Join the invited team (leaving a team of one on the way), or start a new one
+    const teamResult = this.state.inviteToken
+      ? await this.postJSON('/api/famhack/teams/join', { invite: this.state.inviteToken })
+      : await this.postJSON('/api/famhack/teams', {});
+
+    if (!teamResult.ok) {
+      return { success: false, message: this.errorMessage(teamResult.data, this.t('famhack.error.teamSetup')) };
+    }
+
+    // A new team starts with an invite link for the leader to share
+    if (!this.state.inviteToken) await this.postJSON('/api/famhack/teams/invite', {});
+
+    await this.loadSession();
+    return { success: true, teamId: teamResult.data.team.id };
+  },
+
+  /**
+   * The team's invite link, built from the signed token the server handed out
    */
   generateInviteLink() {
-    const teamId = this.state.teamId || this.getStoredTeamId();
-    if (!teamId) return null;
-    return `${window.location.origin}/join.html?t=${teamId}`;
+    if (!this.state.invite) return null;
+    return `${window.location.origin}/famhack/join.html?invite=${encodeURIComponent(this.state.invite.token)}`;
   },
 
   /**
-   * Copy text to clipboard
+   * Copy text to clipboard (see clipboard.js for the fallback)
    */
   async copyToClipboard(text) {
-    try {
-      await navigator.clipboard.writeText(text);
-      return true;
-    } catch (err) {
-      // Fallback for older browsers
-      const textArea = document.createElement('textarea');
-      textArea.value = text;
-      textArea.style.position = 'fixed';
-      textArea.style.left = '-999999px';
-      document.body.appendChild(textArea);
-      textArea.select();
-      try {
-        document.execCommand('copy');
-        document.body.removeChild(textArea);
-        return true;
-      } catch (err) {
-        document.body.removeChild(textArea);
-        return false;
-      }
-    }
+    return window.copyToClipboard(text);
   },
 
   /**
@@ -269,9 +439,9 @@ const FamHack = {
     const email = emailInput.value.trim().toLowerCase();
 
     // Validate email
-    if (!this.validateEmail(email)) {
+    if (!(await this.validateEmail(email))) {
       if (errorEl) {
-        errorEl.textContent = `Please enter a valid ${this.config.emailDomain} email address`;
+        errorEl.textContent = this.eligibilityMessage();
       }
       return;
     }
@@ -283,8 +453,7 @@ const FamHack = {
     if (sendBtn) {
       sendBtn.disabled = true;
       sendBtn.classList.add('btn-loading');
-      sendBtn.dataset.originalText = sendBtn.textContent;
-      sendBtn.textContent = 'Sending...';
+      sendBtn.textContent = this.t('famhack.sending');
     }
 
     // Store email and send OTP
@@ -295,7 +464,7 @@ const FamHack = {
     if (sendBtn) {
       sendBtn.disabled = false;
       sendBtn.classList.remove('btn-loading');
-      sendBtn.textContent = sendBtn.dataset.originalText || 'Send OTP';
+      sendBtn.textContent = this.t('famhack.sendOtp');
     }
 
     if (result.success) {
@@ -307,7 +476,7 @@ const FamHack = {
       // Start resend countdown
       this.startResendCountdown();
     } else {
-      if (errorEl) errorEl.textContent = result.message || 'Failed to send OTP';
+      if (errorEl) errorEl.textContent = result.message || this.t('famhack.error.sendFailed');
     }
   },
 
@@ -320,7 +489,7 @@ const FamHack = {
     const verifyBtn = document.getElementById('verify-otp-btn');
 
     if (otp.length !== this.config.otpLength) {
-      if (errorEl) errorEl.textContent = 'Please enter the complete OTP';
+      if (errorEl) errorEl.textContent = this.t('famhack.otpIncomplete');
       return;
     }
 
@@ -331,7 +500,7 @@ const FamHack = {
     if (verifyBtn) {
       verifyBtn.disabled = true;
       verifyBtn.classList.add('btn-loading');
-      verifyBtn.textContent = 'Verifying...';
+      verifyBtn.textContent = this.t('famhack.verifying');
     }
 
     const result = await this.verifyOTP(otp);
@@ -344,9 +513,9 @@ const FamHack = {
       if (verifyBtn) {
         verifyBtn.disabled = false;
         verifyBtn.classList.remove('btn-loading');
-        verifyBtn.textContent = 'Verify';
+        verifyBtn.textContent = this.t('famhack.verify');
       }
-      if (errorEl) errorEl.textContent = result.message || 'Invalid OTP';
+      if (errorEl) errorEl.textContent = result.message || this.t('famhack.error.invalidOtp');
       this.clearOTPInputs();
     }
   },
@@ -359,7 +528,9 @@ const FamHack = {
     if (resendBtn && resendBtn.disabled) return;
 
     this.clearOTPInputs();
-    await this.sendOTP(this.state.currentEmail);
+    const result = await this.sendOTP(this.state.currentEmail);
+    const errorEl = document.getElementById('otp-error');
+    if (errorEl) errorEl.textContent = result.success ? '' : result.message;
     this.startResendCountdown();
   },
 
@@ -372,16 +543,16 @@ const FamHack = {
 
     let seconds = this.config.otpResendDelay;
     resendBtn.disabled = true;
-    resendBtn.textContent = `Resend in ${seconds}s`;
+    resendBtn.textContent = this.t('famhack.resendIn', { seconds });
 
     const interval = setInterval(() => {
       seconds--;
       if (seconds <= 0) {
         clearInterval(interval);
         resendBtn.disabled = false;
-        resendBtn.textContent = 'Resend OTP';
+        resendBtn.textContent = this.t('famhack.resendOtp');
       } else {
-        resendBtn.textContent = `Resend in ${seconds}s`;
+        resendBtn.textContent = this.t('famhack.resendIn', { seconds });
       }
     }, 1000);
   },
@@ -394,154 +565,860 @@ const FamHack = {
     const inviteInput = document.getElementById('invite-link-input');
 
     if (copyBtn && inviteInput) {
-      // Generate and display invite link
-      const inviteLink = this.generateInviteLink();
-      if (inviteLink) {
-        inviteInput.value = inviteLink;
-      }
+      this.loadInvite();
+
+      // Leaders can make a new link (optionally limited to #invite-max-uses people) or turn it off
+      const regenerateBtn = document.getElementById('regenerate-invite-btn');
+      if (regenerateBtn) regenerateBtn.addEventListener('click', () => this.handleInviteAction('regenerate'));
+      const revokeBtn = document.getElementById('revoke-invite-btn');
+      if (revokeBtn) revokeBtn.addEventListener('click', () => this.handleInviteAction('revoke'));
 
       // Copy button handler
       copyBtn.addEventListener('click', async () => {
+        if (!inviteInput.value) return;
         const success = await this.copyToClipboard(inviteInput.value);
         if (success) {
-          copyBtn.textContent = 'Copied!';
+          copyBtn.textContent = this.t('common.copied');
           copyBtn.classList.add('copied');
           setTimeout(() => {
-            copyBtn.textContent = 'Copy';
+            copyBtn.textContent = this.t('famhack.copy');
             copyBtn.classList.remove('copied');
           }, 2000);
         }
       });
     }
 
+    const logoutBtn = document.getElementById('logout-btn');
+    if (logoutBtn) logoutBtn.addEventListener('click', () => this.logout());
+
+    // Leader / member actions on the roster
+    const membersList = document.getElementById('members-list');
+    if (membersList) {
+      membersList.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-team-action]');
+        if (btn) this.handleTeamAction(btn.dataset.teamAction, btn.dataset.email);
+      });
+    }
+
     // Load team members
     this.loadTeamMembers();
   },
 
   /**
-   * Check URL parameters for team join flow
+   * Check the invite link on the join page before showing which team it is for.
+   * A link that can't be used blocks sign-up with the reason, rather than quietly
+   * registering the visitor in a team of their own.
    */
-  checkURLParams() {
-    const urlParams = new URLSearchParams(window.location.search);
-    const teamId = urlParams.get('t');
+  async checkURLParams() {
+    if (!window.location.pathname.includes('join.html')) return;
 
-    if (teamId && window.location.pathname.includes('join.html')) {
-      this.state.teamId = teamId;
-      this.state.isTeamLeader = false;
+    const token = new URLSearchParams(window.location.search).get('invite');
+    const teamIdDisplay = document.getElementById('join-team-id');
+    const errorEl = document.getElementById('join-error') || document.getElementById('email-error');
+    const sendBtn = document.getElementById('send-otp-btn');
 
-      // Update UI to show team ID
-      const teamIdDisplay = document.getElementById('join-team-id');
-      if (teamIdDisplay) {
-        teamIdDisplay.textContent = teamId;
-      }
+    const { ok, data } = token
+      ? await this.apiRequest('GET', `/api/famhack/teams/preview?invite=${encodeURIComponent(token)}`)
+      : { ok: false, data: { code: 'invalid_invite' } };
+
+    if (!ok) {
+      if (errorEl) errorEl.textContent = this.errorMessage(data, this.t('famhack.invite.invalid'));
+      if (sendBtn) sendBtn.disabled = true;
+      return;
+    }
+
+    this.state.inviteToken = token;
+    this.state.teamId = data.teamId;
+    this.state.isTeamLeader = false;
+    if (teamIdDisplay) {
+      teamIdDisplay.textContent = this.t('famhack.invite.team', { team: data.teamId, count: data.members, max: data.maxSize });
     }
   },
 
   /**
-   * Save registration to localStorage
+   * Ask the server who is signed in. The session cookie is HttpOnly, so this is the only
+   * way the page learns the identity, and nothing kept in the browser can change it.
    */
-  saveRegistration() {
-    const registration = {
-      email: this.state.currentEmail,
-      teamId: this.state.teamId,
-      isTeamLeader: this.state.isTeamLeader,
-      timestamp: Date.now(),
-    };
-    localStorage.setItem('famhack_registration', JSON.stringify(registration));
+  async loadSession() {
+    const { ok, status, data } = await this.apiRequest('GET', '/api/famhack/me');
+    this.state.offline = status === 0;
+    this.state.session = ok ? {
+      email: data.email,
+      teamId: data.team ? data.team.id : null,
+      isTeamLeader: !!(data.team && data.team.isLeader),
+      expiresAt: data.expiresAt,
+    } : null;
+    if (this.state.session) {
+      this.state.teamId = this.state.session.teamId;
+      this.state.isTeamLeader = this.state.session.isTeamLeader;
+    }
+    return this.state.session;
+  },
 
-    // Also save to team members list
-    this.addTeamMember(registration);
+  /**
+   * The signed-in participant, or null
+   */
+  getSession() {
+    return this.state.session;
   },
 
   /**
-   * Get stored team ID
+   * Send visitors without a session from the dashboard to sign-up.
+   * Returns true when leaving the page.
    */
-  getStoredTeamId() {
-    const stored = localStorage.getItem('famhack_registration');
-    if (stored) {
-      const data = JSON.parse(stored);
-      return data.teamId;
+  requireSession() {
+    if (this.state.session || this.state.offline || !window.location.pathname.includes('dashboard.html')) {
+      return false;
     }
-    return null;
+    window.location.href = 'index.html';
+    return true;
   },
 
   /**
-   * Get stored registration
+   * Forget the session on this page (signed out, or it expired) and go back to sign-up
    */
-  getStoredRegistration() {
-    const stored = localStorage.getItem('famhack_registration');
-    return stored ? JSON.parse(stored) : null;
+  endSession() {
+    this.state.session = null;
+    localStorage.removeItem('famhack_ticket');
+    if (window.location.pathname.includes('dashboard.html')) window.location.href = 'index.html';
   },
 
   /**
-   * Add team member to storage
+   * Sign out on the server, which clears the session cookie
    */
-  addTeamMember(member) {
-    const teamId = member.teamId;
-    const teamKey = `famhack_team_${teamId}`;
-    const existing = localStorage.getItem(teamKey);
-    const members = existing ? JSON.parse(existing) : [];
+  async logout() {
+    await this.apiRequest('POST', '/api/famhack/logout', {});
+    this.endSession();
+  },
 
-    // Check if member already exists
-    if (!members.find(m => m.email === member.email)) {
-      members.push({
-        email: member.email,
-        isLeader: member.isTeamLeader,
-        joinedAt: member.timestamp,
-      });
-      localStorage.setItem(teamKey, JSON.stringify(members));
+  /**
+   * Escape text for use inside an HTML template
+   */
+  escapeHTML(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
+  /**
+   * Keep the session in sync with the server's view of the team
+   */
+  updateSessionTeam(teamId, isTeamLeader) {
+    const session = this.getSession();
+    if (!session) return;
+    session.teamId = teamId;
+    session.isTeamLeader = isTeamLeader;
+    this.state.teamId = teamId;
+    this.state.isTeamLeader = isTeamLeader;
+    this.loadInvite();
+  },
+
+  /**
+   * Fetch the team's live invite link and show it with its limits
+   */
+  async loadInvite() {
+    if (!document.getElementById('invite-link-input') || !this.getSession()) return;
+
+    const { ok, data } = await this.apiRequest('GET', '/api/famhack/teams/invite');
+    this.state.invite = ok ? data.invite : null;
+    this.renderInvite();
+  },
+
+  /**
+   * Leader makes a new invite link or turns the current one off
+   */
+  async handleInviteAction(action) {
+    if (action === 'revoke' && !window.confirm(this.t('famhack.invite.confirmRevoke'))) return;
+
+    const maxUsesInput = document.getElementById('invite-max-uses');
+    const maxUses = maxUsesInput && maxUsesInput.value ? Number(maxUsesInput.value) : undefined;
+    const { ok, data } = await this.postJSON('/api/famhack/teams/invite',
+      action === 'revoke' ? { revoke: true } : { maxUses });
+
+    const noteEl = document.getElementById('invite-note');
+    if (!ok) {
+      if (noteEl) noteEl.textContent = this.errorMessage(data, this.t('famhack.error.generic'));
+      return;
+    }
+    this.state.invite = data.invite;
+    this.renderInvite();
+  },
+
+  /**
+   * Show the invite link, when it stops working, and the leader-only controls
+   */
+  renderInvite() {
+    const inviteInput = document.getElementById('invite-link-input');
+    if (!inviteInput) return;
+
+    const invite = this.state.invite;
+    inviteInput.value = this.generateInviteLink() || '';
+
+    const isLeader = !!(this.getSession() || {}).isTeamLeader;
+    ['regenerate-invite-btn', 'revoke-invite-btn', 'invite-max-uses'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.hidden = !isLeader || (id === 'revoke-invite-btn' && !invite);
+    });
+
+    const noteEl = document.getElementById('invite-note');
+    if (!noteEl) return;
+    if (!invite) {
+      noteEl.textContent = this.t(isLeader ? 'famhack.invite.noneLeader' : 'famhack.invite.none');
+      return;
     }
+    const date = new Date(invite.expiresAt).toLocaleString(window.AccioI18n.locale(), { dateStyle: 'medium', timeStyle: 'short' });
+    noteEl.textContent = invite.maxUses
+      ? this.t('famhack.invite.expiresUses', { date, count: invite.maxUses - invite.uses })
+      : this.t('famhack.invite.expires', { date });
   },
 
   /**
-   * Load team members for dashboard
+   * Load team members for dashboard from the server, so every member sees the same roster
    */
-  loadTeamMembers() {
+  async loadTeamMembers(errorMessage) {
     const membersList = document.getElementById('members-list');
     if (!membersList) return;
 
-    const teamId = this.getStoredTeamId();
-    if (!teamId) return;
+    const session = this.getSession();
+    if (!session) return;
 
-    const teamKey = `famhack_team_${teamId}`;
-    const stored = localStorage.getItem(teamKey);
-    const members = stored ? JSON.parse(stored) : [];
+    const { ok, data } = await this.apiRequest('GET', '/api/famhack/teams');
 
     // Clear existing
-    membersList.innerHTML = '';
+    membersList.innerHTML = errorMessage
+      ? `<p class="error-message">${this.escapeHTML(errorMessage)}</p>`
+      : '';
+
+    if (!ok && data.code === 'team_not_found') {
+      // Removed by the leader, or the team was dissolved
+      this.updateSessionTeam(null, false);
+      membersList.insertAdjacentHTML('beforeend', `
+        <p class="no-members">${this.escapeHTML(this.t('famhack.team.none'))}</p>
+        <div class="team-actions">
+          <button type="button" class="team-action-btn" data-team-action="create">${this.escapeHTML(this.t('famhack.team.start'))}</button>
+        </div>
+      `);
+      return;
+    }
 
-    if (members.length === 0) {
-      membersList.innerHTML = '<p class="no-members">No team members yet. Share your invite link!</p>';
+    if (!ok) {
+      membersList.insertAdjacentHTML('beforeend',
+        `<p class="no-members">${this.escapeHTML(data.error || this.t('famhack.team.loadFailed'))}</p>`);
       return;
     }
 
-    members.forEach(member => {
+    const { team } = data;
+    const me = team.members.find(m => m.email === session.email);
+    const isLeader = !!(me && me.isLeader);
+    this.updateSessionTeam(team.id, isLeader);
+
+    membersList.insertAdjacentHTML('beforeend',
+      `<p class="members-capacity">${this.escapeHTML(this.t('famhack.team.capacity', { count: team.members.length, max: team.maxSize }))}</p>`);
+
+    const label = (key) => this.escapeHTML(this.t(key));
+
+    team.members.forEach(member => {
+      const email = this.escapeHTML(member.email);
+      const canManage = isLeader && member.email !== session.email;
       const card = document.createElement('div');
       card.className = 'member-card';
       card.innerHTML = `
         <div class="member-info">
-          <p class="member-email">${member.email}</p>
-          <p class="member-role">${member.isLeader ? 'Team Leader' : 'Team Member'}</p>
+          <p class="member-email">${email}</p>
+          <p class="member-role">${label(member.isLeader ? 'famhack.team.leaderRole' : 'famhack.team.memberRole')}</p>
         </div>
+        ${canManage ? `
+        <div class="member-actions">
+          <button type="button" class="team-action-btn" data-team-action="transfer" data-email="${email}">${label('famhack.team.makeLeader')}</button>
+          <button type="button" class="team-action-btn danger" data-team-action="remove" data-email="${email}">${label('famhack.team.remove')}</button>
+        </div>` : ''}
         <span class="member-status ${member.isLeader ? 'leader' : 'member'}">
-          ${member.isLeader ? 'Leader' : 'Member'}
+          ${label(member.isLeader ? 'famhack.team.leaderBadge' : 'famhack.team.memberBadge')}
         </span>
       `;
       membersList.appendChild(card);
     });
+
+    membersList.insertAdjacentHTML('beforeend', `
+      <div class="team-actions">
+        ${isLeader
+          ? `<button type="button" class="team-action-btn danger" data-team-action="dissolve">${label('famhack.team.dissolve')}</button>`
+          : `<button type="button" class="team-action-btn danger" data-team-action="leave">${label('famhack.team.leave')}</button>`}
+      </div>
+    `);
+  },
+
+  /**
+   * Run a roster action on the server, then re-render the roster
+   */
+  async handleTeamAction(action, email) {
+    const confirmations = {
+      remove: 'famhack.team.confirmRemove',
+      transfer: 'famhack.team.confirmTransfer',
+      dissolve: 'famhack.team.confirmDissolve',
+      leave: 'famhack.team.confirmLeave',
+    };
+    if (confirmations[action] && !window.confirm(this.t(confirmations[action], { email }))) return;
+
+    const url = action === 'create' ? '/api/famhack/teams' : `/api/famhack/teams/${action}`;
+    const { ok, data } = await this.postJSON(url, email ? { email } : {});
+
+    await this.loadTeamMembers(ok ? null : (data.error || this.t('famhack.error.generic')));
+    // Leading, leaving or dissolving a team changes what the team finder offers
+    this.loadFinder();
+  },
+
+  /**
+   * Wire up the project submission form on the dashboard. Expects #submission-form with
+   * fields named title, description, repoUrl, demoUrl, techTags (comma-separated) and track
+   * (an input, or a select filled from the server's tracks), plus #submission-status
+   * and #submission-history.
+   */
+  initSubmission() {
+    const form = document.getElementById('submission-form');
+    if (!form) return;
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveSubmission();
+    });
+
+    this.loadSubmission();
+  },
+
+  /**
+   * Fetch the team's submission and fill the form with it
+   */
+  async loadSubmission() {
+    const form = document.getElementById('submission-form');
+    if (!form || !this.getSession()) return;
+
+    const { ok, data } = await this.apiRequest('GET', '/api/famhack/submissions');
+    if (!ok) {
+      this.state.submission = null;
+      this.setSubmissionMessage(data.code === 'team_not_found'
+        ? this.t('famhack.team.none')
+        : this.errorMessage(data, this.t('famhack.submission.loadFailed')));
+      form.querySelectorAll('input, textarea, select, button').forEach(el => { el.disabled = true; });
+      return;
+    }
+
+    this.state.submission = data;
+    this.fillTrackOptions(form.elements.track, data.tracks);
+
+    const submission = data.submission || {};
+    ['title', 'description', 'repoUrl', 'demoUrl', 'track'].forEach(name => {
+      if (form.elements[name]) form.elements[name].value = submission[name] || '';
+    });
+    if (form.elements.techTags) form.elements.techTags.value = (submission.techTags || []).join(', ');
+
+    form.querySelectorAll('input, textarea, select, button').forEach(el => { el.disabled = data.locked; });
+    this.setSubmissionMessage('');
+    this.renderSubmissionStatus();
+  },
+
+  /**
+   * Offer the configured tracks when the track field is a select
+   */
+  fillTrackOptions(select, tracks) {
+    if (!select || select.tagName !== 'SELECT' || !tracks || !tracks.length) return;
+    const current = select.value;
+    select.innerHTML = ['', ...tracks]
+      .map(track => `<option value="${this.escapeHTML(track)}">${this.escapeHTML(track || '—')}</option>`)
+      .join('');
+    select.value = current;
+  },
+
+  /**
+   * Save the form; the version we loaded lets the server spot a teammate's newer edit
+   */
+  async saveSubmission() {
+    const form = document.getElementById('submission-form');
+    const current = this.state.submission && this.state.submission.submission;
+    const value = (name) => (form.elements[name] ? form.elements[name].value : '');
+
+    this.setSubmissionMessage(this.t('famhack.submission.saving'));
+    const { ok, data } = await this.postJSON('/api/famhack/submissions', {
+      title: value('title'),
+      description: value('description'),
+      repoUrl: value('repoUrl'),
+      demoUrl: value('demoUrl'),
+      techTags: value('techTags'),
+      track: value('track'),
+      version: current ? current.version : undefined,
+    });
+
+    if (!ok) {
+      const messages = {
+        submission_conflict: 'famhack.submission.conflict',
+        submission_locked: 'famhack.submission.locked',
+      };
+      this.setSubmissionMessage(messages[data.code]
+        ? this.t(messages[data.code])
+        : this.errorMessage(data, this.t('famhack.error.generic')));
+      if (data.field && form.elements[data.field]) form.elements[data.field].focus();
+      return;
+    }
+
+    // Pick up the new version and history; the form already shows what was saved
+    const { ok: reloaded, data: fresh } = await this.apiRequest('GET', '/api/famhack/submissions');
+    this.state.submission = reloaded ? fresh : { ...this.state.submission, submission: data.submission };
+    this.setSubmissionMessage(this.t('famhack.submission.saved'));
+    this.renderSubmissionStatus();
+  },
+
+  /**
+   * Show a note under the submission form
+   */
+  setSubmissionMessage(text) {
+    const el = document.querySelector('#submission-form .submission-message');
+    if (el) el.textContent = text;
+  },
+
+  /**
+   * Show the deadline / locked state and the edit history
+   */
+  renderSubmissionStatus() {
+    const data = this.state.submission;
+    const statusEl = document.getElementById('submission-status');
+    const historyEl = document.getElementById('submission-history');
+    if (!data) return;
+
+    const locale = window.AccioI18n.locale();
+    const when = (iso) => new Date(iso).toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' });
+
+    if (statusEl) {
+      let status = this.t('famhack.submission.noDeadline');
+      if (data.locked) status = this.t('famhack.submission.locked');
+      else if (data.deadline) status = this.t('famhack.submission.deadline', { date: when(data.deadline) });
+      statusEl.textContent = status;
+      statusEl.classList.toggle('locked', !!data.locked);
+    }
+
+    if (historyEl) {
+      if (!data.history || !data.history.length) {
+        historyEl.innerHTML = `<p class="no-history">${this.escapeHTML(this.t('famhack.submission.noHistory'))}</p>`;
+        return;
+      }
+      historyEl.innerHTML = data.history.map(rev => {
+        const fields = rev.changed.map(field => this.t(`famhack.submission.field.${field}`)).join(', ');
+        return `
+        <div class="submission-revision">
+          <p class="revision-meta">${this.escapeHTML(this.t('famhack.submission.revision', {
+            version: rev.version,
+            editor: rev.editedBy || this.t('famhack.submission.formerMember'),
+            date: when(rev.editedAt),
+          }))}</p>
+          ${fields ? `<p class="revision-changes">${this.escapeHTML(this.t('famhack.submission.changed', { fields }))}</p>` : ''}
+        </div>`;
+      }).join('');
+    }
+  },
+
+  /**
+   * Show the event-day ticket on the dashboard. Expects #ticket-qr, #ticket-code and
+   * #ticket-note; the QR code is drawn by qrcode-generator (window.qrcode)
+   * when the page loads it, otherwise only the code is shown.
+   */
+  initTicket() {
+    if (!document.getElementById('ticket-qr')) return;
+
+    // Draw the saved ticket straight away, so it is there even without a connection
+    // (when the session can't be checked, the ticket saved on this device is shown)
+    const stored = JSON.parse(localStorage.getItem('famhack_ticket') || 'null');
+    const session = this.getSession();
+    this.state.ticket = stored && (session ? stored.email === session.email : this.state.offline) ? stored : null;
+    this.renderTicket();
+    this.loadTicket();
+  },
+
+  /**
+   * Fetch a fresh ticket and keep it for offline use
+   */
+  async loadTicket() {
+    if (!this.getSession()) return;
+
+    const { ok, status, data } = await this.apiRequest('GET', '/api/famhack/ticket');
+    if (ok) {
+      this.state.ticket = { ticket: data.ticket, code: data.code, email: data.email, expiresAt: data.expiresAt };
+      localStorage.setItem('famhack_ticket', JSON.stringify(this.state.ticket));
+      this.renderTicket();
+      return;
+    }
+
+    const note = document.getElementById('ticket-note');
+    if (note) {
+      note.textContent = this.state.ticket && status === 0
+        ? this.t('famhack.ticket.offline')
+        : this.errorMessage(data, this.t('famhack.ticket.loadFailed'));
+    }
+  },
+
+  /**
+   * Draw the ticket QR code and its typed-code fallback
+   */
+  renderTicket() {
+    const ticket = this.state.ticket;
+    const qrEl = document.getElementById('ticket-qr');
+    const codeEl = document.getElementById('ticket-code');
+    const noteEl = document.getElementById('ticket-note');
+    if (!qrEl || !ticket) return;
+
+    if (typeof window.qrcode === 'function') {
+      const qr = window.qrcode(0, 'M');
+      qr.addData(ticket.ticket);
+      qr.make();
+      qrEl.innerHTML = qr.createSvgTag({ cellSize: 5, margin: 4, scalable: true });
+    } else {
+      qrEl.textContent = this.t('famhack.ticket.noQr');
+    }
+
+    if (codeEl) codeEl.textContent = this.t('famhack.ticket.code', { code: ticket.code });
+    if (noteEl) {
+      const date = new Date(ticket.expiresAt).toLocaleDateString(window.AccioI18n.locale(), { dateStyle: 'medium' });
+      noteEl.textContent = this.t('famhack.ticket.expires', { date });
+    }
+  },
+
+  /**
+   * Wire up the team finder on the dashboard. Expects #finder-profile-form (fields name,
+   * skills, interests, bio and a `listed` checkbox), #finder-listing-form for leaders (needs,
+   * note, listed), #finder-people, #finder-teams and #finder-requests, and a .finder-message.
+   */
+  initFinder() {
+    const profileForm = document.getElementById('finder-profile-form');
+    if (!profileForm) return;
+
+    const listingForm = document.getElementById('finder-listing-form');
+    const value = (form, name) => (form.elements[name] ? form.elements[name].value : '');
+    const listed = (form) => !form.elements.listed || form.elements.listed.checked;
+
+    profileForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveFinder('/api/famhack/finder/profile', {
+        name: value(profileForm, 'name'),
+        skills: value(profileForm, 'skills'),
+        interests: value(profileForm, 'interests'),
+        bio: value(profileForm, 'bio'),
+        listed: listed(profileForm),
+      }, profileForm);
+    });
+
+    if (listingForm) {
+      listingForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.saveFinder('/api/famhack/finder/listing', {
+          needs: value(listingForm, 'needs'),
+          note: value(listingForm, 'note'),
+          listed: listed(listingForm),
+        }, listingForm);
+      });
+    }
+
+    // Board and request buttons
+    ['finder-people', 'finder-teams', 'finder-requests'].forEach(id => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      el.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-finder-action]');
+        if (btn) this.handleFinderAction(btn.dataset.finderAction, btn.dataset);
+      });
+    });
+
+    this.loadFinder();
+  },
+
+  /**
+   * Fetch the board and fill the profile and listing forms
+   */
+  async loadFinder() {
+    if (!this.getSession()) return;
+
+    const { ok, data } = await this.apiRequest('GET', '/api/famhack/finder');
+    if (!ok) {
+      this.setFinderMessage(this.errorMessage(data, this.t('famhack.finder.loadFailed')));
+      return;
+    }
+    this.applyFinder(data);
+  },
+
+  /**
+   * Keep a fresh board response and show it
+   */
+  applyFinder(data) {
+    this.state.finder = data;
+
+    const fill = (form, values) => {
+      if (!form) return;
+      Object.entries(values).forEach(([name, val]) => {
+        const field = form.elements[name];
+        if (!field) return;
+        if (field.type === 'checkbox') field.checked = val;
+        else field.value = Array.isArray(val) ? val.join(', ') : (val || '');
+      });
+    };
+
+    const profile = data.profile || {};
+    fill(document.getElementById('finder-profile-form'), {
+      name: profile.name, skills: profile.skills, interests: profile.interests, bio: profile.bio,
+      listed: data.profile ? profile.listed : true,
+    });
+
+    const listingForm = document.getElementById('finder-listing-form');
+    if (listingForm) {
+      listingForm.hidden = !(data.team && data.team.isLeader);
+      const listing = data.listing || {};
+      fill(listingForm, { needs: listing.needs, note: listing.note, listed: data.listing ? listing.listed : true });
+    }
+
+    this.renderFinder();
+  },
+
+  /**
+   * Save the profile or the team listing
+   */
+  async saveFinder(url, payload, form) {
+    const { ok, data } = await this.postJSON(url, payload);
+    if (!ok) {
+      this.setFinderMessage(this.errorMessage(data, this.t('famhack.error.generic')));
+      if (data.field && form.elements[data.field]) form.elements[data.field].focus();
+      return;
+    }
+    this.applyFinder(data);
+    this.setFinderMessage(this.t('famhack.finder.saved'));
+  },
+
+  /**
+   * Ask to join, invite, or answer a request, then refresh everything that may have changed
+   */
+  async handleFinderAction(action, { teamId, profileId, requestId }) {
+    if (action === 'accept' && teamId && !window.confirm(this.t('famhack.finder.confirmAcceptInvite', { team: teamId }))) {
+      return;
+    }
+
+    const { ok, data } = action === 'request' || action === 'invite'
+      ? await this.postJSON('/api/famhack/finder/requests', action === 'request' ? { teamId } : { profileId })
+      : await this.postJSON('/api/famhack/finder/respond', { requestId, action });
+
+    await this.loadFinder();
+    if (!ok) {
+      this.setFinderMessage(this.errorMessage(data, this.t('famhack.error.generic')));
+      return;
+    }
+
+    const notes = { request: 'famhack.finder.requestSent', invite: 'famhack.finder.inviteSent' };
+    if (notes[action]) this.setFinderMessage(this.t(notes[action]));
+
+    // Someone joined a team: the roster, and for a new member the submission, change too
+    if (data.team) {
+      const me = data.team.members.find(m => m.email === (this.getSession() || {}).email);
+      if (me) {
+        this.updateSessionTeam(data.team.id, me.isLeader);
+        this.setFinderMessage(this.t('famhack.finder.joined', { team: data.team.id }));
+      }
+      this.loadTeamMembers();
+      this.loadSubmission();
+    }
+  },
+
+  /**
+   * Show a note next to the team finder
+   */
+  setFinderMessage(text) {
+    const el = document.querySelector('.finder-message');
+    if (el) el.textContent = text;
+  },
+
+  /**
+   * Draw the people and team boards and the open requests
+   */
+  renderFinder() {
+    const data = this.state.finder;
+    if (!data) return;
+
+    const esc = (value) => this.escapeHTML(value);
+    const label = (key, params) => esc(this.t(key, params));
+    const list = (key, items) => (items && items.length
+      ? `<p class="finder-tags">${label(key, { list: items.join(', ') })}</p>`
+      : '');
+    const button = (action, attrs, key) => `<button type="button" class="team-action-btn" data-finder-action="${action}" ${attrs}>${label(key)}</button>`;
+
+    const isLeader = !!(data.team && data.team.isLeader);
+    const canInvite = isLeader && data.team.openSlots > 0;
+    // Only people alone in their own team can move to another
+    const canRequest = !data.team || data.team.members === 1;
+
+    const peopleEl = document.getElementById('finder-people');
+    if (peopleEl) {
+      peopleEl.innerHTML = data.board.people.length
+        ? data.board.people.map(person => `
+        <div class="finder-card">
+          <p class="finder-name">${esc(person.name)}</p>
+          ${list('famhack.finder.skills', person.skills)}
+          ${list('famhack.finder.interests', person.interests)}
+          ${person.bio ? `<p class="finder-bio">${esc(person.bio)}</p>` : ''}
+          ${canInvite ? button('invite', `data-profile-id="${esc(person.id)}"`, 'famhack.finder.invite') : ''}
+        </div>`).join('')
+        : `<p class="no-members">${label('famhack.finder.noPeople')}</p>`;
+    }
+
+    const teamsEl = document.getElementById('finder-teams');
+    if (teamsEl) {
+      teamsEl.innerHTML = data.board.teams.length
+        ? data.board.teams.map(team => `
+        <div class="finder-card">
+          <p class="finder-name">${esc(team.teamId)} · ${label('famhack.finder.openSlots', { count: team.openSlots })}</p>
+          ${list('famhack.finder.needs', team.needs)}
+          ${team.note ? `<p class="finder-bio">${esc(team.note)}</p>` : ''}
+          ${canRequest ? button('request', `data-team-id="${esc(team.teamId)}"`, 'famhack.finder.askToJoin') : ''}
+        </div>`).join('')
+        : `<p class="no-members">${label('famhack.finder.noTeams')}</p>`;
+    }
+
+    const requestsEl = document.getElementById('finder-requests');
+    if (requestsEl) {
+      const who = (r) => r.name || r.email;
+      const incoming = data.requests.incoming.map(r => {
+        const invite = r.kind === 'invite';
+        const id = `data-request-id="${esc(r.id)}"${invite ? ` data-team-id="${esc(r.teamId)}"` : ''}`;
+        return `
+        <div class="finder-card">
+          <p class="finder-name">${label(invite ? 'famhack.finder.incomingInvite' : 'famhack.finder.incomingRequest', { team: r.teamId, who: who(r) })}</p>
+          ${r.message ? `<p class="finder-bio">${esc(r.message)}</p>` : ''}
+          ${button('accept', id, 'famhack.finder.accept')}
+          ${button('decline', `data-request-id="${esc(r.id)}"`, 'famhack.finder.decline')}
+        </div>`;
+      });
+      const outgoing = data.requests.outgoing.map(r => `
+        <div class="finder-card">
+          <p class="finder-name">${label(r.kind === 'invite' ? 'famhack.finder.outgoingInvite' : 'famhack.finder.outgoingRequest', { team: r.teamId, who: who(r) })}</p>
+          ${button('cancel', `data-request-id="${esc(r.id)}"`, 'famhack.finder.cancel')}
+        </div>`);
+      requestsEl.innerHTML = [...incoming, ...outgoing].join('')
+        || `<p class="no-members">${label('famhack.finder.noRequests')}</p>`;
+    }
+  },
+
+  /**
+   * Start the "happening now / up next" widget and the announcements feed on the
+   * dashboard. Expects #schedule-now, #schedule-next and #announcements. The schedule and
+   * feed are polled; what's on now is worked out locally in between, so the widget moves
+   * on at the end of a session without waiting for the next fetch.
+   */
+  initSchedule() {
+    if (!document.getElementById('schedule-now')) return;
+
+    this.loadSchedule();
+    this.loadAnnouncements();
+    setInterval(() => this.loadSchedule(), 60 * 1000);
+    setInterval(() => this.loadAnnouncements(), 30 * 1000);
+    setInterval(() => this.renderSchedule(), 15 * 1000);
+  },
+
+  /**
+   * Fetch the schedule; on failure keep showing the last one
+   */
+  async loadSchedule() {
+    const { ok, data } = await this.apiRequest('GET', '/api/famhack/schedule');
+    if (!ok) {
+      if (!this.state.schedule) {
+        document.getElementById('schedule-now').textContent = this.t('famhack.schedule.loadFailed');
+      }
+      return;
+    }
+
+    this.state.schedule = data;
+    this.state.clockSkew = Date.parse(data.serverTime) - Date.now();
+    this.renderSchedule();
+  },
+
+  /**
+   * Fetch announcements posted since the newest one shown
+   */
+  async loadAnnouncements() {
+    const newest = this.state.announcements[0];
+    const query = newest ? `?since=${encodeURIComponent(newest.createdAt)}` : '';
+    const { ok, data } = await this.apiRequest('GET', `/api/famhack/announcements${query}`);
+    if (!ok || !data.announcements.length) return;
+
+    this.state.announcements = [...data.announcements, ...this.state.announcements].slice(0, 20);
+    this.renderAnnouncements();
+  },
+
+  /**
+   * Format a session time on the event's clock, e.g. "Sat 10:30 BST", whatever the
+   * visitor's own timezone
+   */
+  formatEventTime(iso) {
+    return new Date(iso).toLocaleString(window.AccioI18n.locale(), {
+      timeZone: this.state.schedule.timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZoneName: 'short',
+    });
+  },
+
+  /**
+   * Draw what's on now and the next few sessions
+   */
+  renderSchedule() {
+    const data = this.state.schedule;
+    const nowEl = document.getElementById('schedule-now');
+    const nextEl = document.getElementById('schedule-next');
+    if (!data || !nowEl) return;
+
+    const now = Date.now() + this.state.clockSkew;
+    const esc = (value) => this.escapeHTML(value);
+    const card = (session) => `
+        <div class="schedule-card">
+          <p class="schedule-time">${esc(this.formatEventTime(session.startsAt))} – ${esc(this.formatEventTime(session.endsAt))}</p>
+          <p class="schedule-title">${esc(session.title)}</p>
+          ${session.location || session.track ? `<p class="schedule-where">${esc([session.location, session.track].filter(Boolean).join(' · '))}</p>` : ''}
+          ${session.description ? `<p class="schedule-description">${esc(session.description)}</p>` : ''}
+        </div>`;
+
+    const current = data.sessions.filter(s => Date.parse(s.startsAt) <= now && now < Date.parse(s.endsAt));
+    const upcoming = data.sessions.filter(s => Date.parse(s.startsAt) > now).slice(0, 3);
+
+    nowEl.innerHTML = current.map(card).join('')
+      || `<p class="no-members">${esc(this.t('famhack.schedule.nothingNow'))}</p>`;
+    if (nextEl) {
+      nextEl.innerHTML = upcoming.map(card).join('')
+        || `<p class="no-members">${esc(this.t('famhack.schedule.nothingNext'))}</p>`;
+    }
+  },
+
+  /**
+   * Draw the announcements feed, urgent ones highlighted
+   */
+  renderAnnouncements() {
+    const el = document.getElementById('announcements');
+    if (!el || !this.state.announcements.length) return;
+
+    const esc = (value) => this.escapeHTML(value);
+    el.innerHTML = this.state.announcements.map(a => `
+        <div class="announcement${a.level === 'urgent' ? ' urgent' : ''}">
+          <p class="announcement-time">${esc(new Date(a.createdAt).toLocaleTimeString(window.AccioI18n.locale(), { timeStyle: 'short' }))}</p>
+          <p class="announcement-message">${esc(a.message)}</p>
+        </div>`).join('');
   },
 
   /**
    * Check if user is registered
    */
   isRegistered() {
-    return !!this.getStoredRegistration();
+    return !!this.getSession();
   },
 
   /**
-   * Redirect to dashboard if already registered
+   * Redirect to dashboard if already signed in
    */
-  redirectIfRegistered() {
+  async redirectIfRegistered() {
+    if (!this.state.session) await this.loadSession();
     if (this.isRegistered() && !window.location.pathname.includes('dashboard.html')) {
       window.location.href = 'dashboard.html';
     }
@@ -0,0 +1,576 @@
+/**
+ * Accio i18n – message catalog for the Accio and FamHack UI
+ * Exposes window.AccioI18n. The locale comes from ?lang=, then a saved choice
+ * (localStorage), then navigator.languages, falling back to English.
+ *
+ * Messages may contain {placeholders}; numbers passed in are formatted for the locale.
+ * A message can also be an object of plural forms ({ one, other, ... }) picked by params.count.
+ * Static markup is translated through data-i18n, data-i18n-placeholder, data-i18n-title
+ * and data-i18n-aria-label attributes. Load this script before the scripts that use it.
+ */
+
+(function () {
+  /* ── Bundles ────────────────────────────────────────────────── */
+  const BUNDLES = {
+    en: {
+      'locale.name': 'English',
+
+      'nav.home': 'Home',
+      'nav.about': 'About',
+      'nav.waitlist': 'Waitlist',
+      'nav.language': 'Language',
+
+      'common.seconds': { one: '{count} second', other: '{count} seconds' },
+      'common.minutes': { one: '{count} minute', other: '{count} minutes' },
+      'common.copied': 'Copied!',
+      'common.offline': 'Could not reach the server. Check your connection.',
+      'common.notConfigured': 'System initializing. Ready soon.',
+      'common.rateLimited': 'Too many attempts, try again in {wait}.',
+
+      'waitlist.heading': 'Join the Waitlist',
+      'waitlist.countLabel': 'Live waitlist count',
+      'waitlist.countStale': 'Showing the last known count',
+      'waitlist.emailPlaceholder': 'you@example.com',
+      'waitlist.join': 'Join Waitlist',
+      'waitlist.joining': 'Joining...',
+      'waitlist.onListAs': "You're on the waitlist as",
+      'waitlist.switch': 'Switch',
+      'waitlist.myData': 'My data',
+      'waitlist.myDataTitle': 'Email me a link to leave the waitlist, download or delete my data',
+      'waitlist.sending': 'Sending...',
+      'waitlist.copyLink': 'Copy link',
+      'waitlist.referralLinkLabel': 'Your referral link',
+      'waitlist.stateConfirmed': 'Email confirmed',
+      'waitlist.statePending': 'Awaiting confirmation – check your inbox',
+      'waitlist.stateInvited': "You're invited – check your email for your access code",
+      'waitlist.stateActivated': 'Beta access active',
+      'waitlist.status.loading': 'Loading counter...',
+      'waitlist.status.enterEmail': 'Enter your email to join the waitlist.',
+      'waitlist.status.invalidEmail': 'Please enter a valid email address.',
+      'waitlist.status.joining': 'Joining waitlist...',
+      'waitlist.status.queued': "You're offline. We'll add {email} to the waitlist as soon as you're back online.",
+      'waitlist.status.queuedRetry': "Couldn't reach the server. We'll keep trying to add {email} to the waitlist.",
+      'waitlist.status.sendingQueued': 'Adding {email} to the waitlist...',
+      'waitlist.status.onList': "You're on the waitlist! We'll be in touch.",
+      'waitlist.status.checkInbox': 'Check your inbox to confirm your email.',
+      'waitlist.status.alreadyConfirmed': "You're already on the list!",
+      'waitlist.status.alreadyResent': "You're already on the list. We've re-sent your confirmation link.",
+      'waitlist.status.alreadyPending': "You're already on the list. Check your inbox to confirm your email.",
+      'waitlist.status.almostThere': 'Almost there! Check your inbox to confirm your email.',
+      'waitlist.status.dataLinkSent': "We've emailed {email} a link to leave the waitlist, download or delete your data.",
+      'waitlist.status.dataLinkFailed': 'Could not send the link. Please try again later.',
+      'waitlist.error.disposable': 'Please use a permanent email address, not a disposable one.',
+      'waitlist.error.bot': 'Your signup looked automated. Please refresh the page and try again.',
+      'waitlist.error.generic': 'Failed to join. Please try again later.',
+      'waitlist.confirm.confirmed': "Email confirmed. You're officially on the waitlist!",
+      'waitlist.confirm.expired': 'That confirmation link has expired. Join again to get a new one.',
+      'waitlist.confirm.invalid': 'That confirmation link is invalid or has already been used.',
+      'waitlist.confirm.error': 'Could not confirm your email. Please try again later.',
+      'waitlist.status.invited': "You're invited to the beta! Check your email for your access code.",
+      'waitlist.access.redeeming': 'Activating your access code...',
+      'waitlist.access.activated': 'Your beta access is active. Welcome aboard!',
+      'waitlist.access.invalid': 'That access code is not valid or has already been used.',
+      'waitlist.access.failed': 'Could not activate your access code. Please try again later.',
+      'waitlist.position': "You're #{position} of {total} in line.",
+      'waitlist.positionReferrals': {
+        one: '{count} friend joined through your link, moving you up {movedUp} places.',
+        other: '{count} friends joined through your link, moving you up {movedUp} places.',
+      },
+      'waitlist.positionShare': 'Share your link to move up.',
+
+      'famhack.eligibility': 'Please use your university email. Accepted: {list}',
+      'famhack.sendOtp': 'Send OTP',
+      'famhack.sending': 'Sending...',
+      'famhack.verify': 'Verify',
+      'famhack.verifying': 'Verifying...',
+      'famhack.resendOtp': 'Resend OTP',
+      'famhack.resendIn': 'Resend in {seconds}s',
+      'famhack.copy': 'Copy',
+      'famhack.page.registerHeading': 'Register for FamHack',
+      'famhack.page.registerText': "Sign up with your university email and we'll send you a one-time code.",
+      'famhack.page.emailLabel': 'University email',
+      'famhack.page.emailPlaceholder': 'you@ed.ac.uk',
+      'famhack.page.otpLabel': 'Code from your email',
+      'famhack.page.joinHeading': "You're invited to join",
+      'famhack.page.dashboardHeading': 'Your FamHack team',
+      'famhack.page.dashboardText': 'Invite your teammates and submit your project here.',
+      'famhack.page.inviteLabel': 'Invite link',
+      'famhack.page.membersHeading': 'Team members',
+      'famhack.page.logout': 'Sign out',
+      'famhack.otpSent': 'OTP sent successfully',
+      'famhack.otpIncomplete': 'Please enter the complete OTP',
+      'famhack.error.sendFailed': 'Failed to send OTP',
+      'famhack.error.invalidOtp': 'Invalid OTP',
+      'famhack.error.invalidOtpAttempts': {
+        one: 'Invalid OTP. {count} attempt left',
+        other: 'Invalid OTP. {count} attempts left',
+      },
+      'famhack.error.resendTooSoon': 'Please wait {wait} before requesting another code',
+      'famhack.error.disposable': 'Disposable email addresses are not allowed',
+      'famhack.error.blocked': 'This email address cannot register for FamHack',
+      'famhack.error.otpExpired': 'This code has expired. Request a new one',
+      'famhack.error.tooManyAttempts': 'Too many wrong codes. Request a new one',
+      'famhack.error.teamSetup': 'Could not set up your team',
+      'famhack.error.generic': 'Something went wrong. Please try again.',
+      'famhack.team.none': "You're not in a team right now.",
+      'famhack.team.start': 'Start a new team',
+      'famhack.team.loadFailed': 'Could not load your team.',
+      'famhack.team.capacity': '{count} / {max} members',
+      'famhack.team.leaderRole': 'Team Leader',
+      'famhack.team.memberRole': 'Team Member',
+      'famhack.team.leaderBadge': 'Leader',
+      'famhack.team.memberBadge': 'Member',
+      'famhack.team.makeLeader': 'Make leader',
+      'famhack.team.remove': 'Remove',
+      'famhack.team.dissolve': 'Dissolve team',
+      'famhack.team.leave': 'Leave team',
+      'famhack.team.confirmRemove': 'Remove {email} from your team?',
+      'famhack.team.confirmTransfer': 'Make {email} the team leader? You will become a regular member.',
+      'famhack.team.confirmDissolve': 'Dissolve your team? Every member will be removed.',
+      'famhack.team.confirmLeave': 'Leave your team?',
+      'famhack.submission.heading': 'Project submission',
+      'famhack.submission.tagsPlaceholder': 'e.g. Node, Vue',
+      'famhack.submission.historyHeading': 'Edit history',
+      'famhack.submission.save': 'Save submission',
+      'famhack.submission.saving': 'Saving...',
+      'famhack.submission.saved': 'Submission saved.',
+      'famhack.submission.loadFailed': 'Could not load your submission.',
+      'famhack.submission.conflict': 'A teammate changed the submission while you were editing. Reload to see their version.',
+      'famhack.submission.locked': 'Submissions are closed. Your last saved version is final.',
+      'famhack.submission.deadline': 'Submissions close {date}',
+      'famhack.submission.noDeadline': 'Submissions are open.',
+      'famhack.submission.noHistory': 'No edits yet.',
+      'famhack.submission.revision': 'Version {version} · {editor} · {date}',
+      'famhack.submission.changed': 'Changed: {fields}',
+      'famhack.submission.formerMember': 'a former member',
+      'famhack.submission.field.title': 'title',
+      'famhack.submission.field.description': 'description',
+      'famhack.submission.field.repoUrl': 'repository',
+      'famhack.submission.field.demoUrl': 'demo video',
+      'famhack.submission.field.techTags': 'tech tags',
+      'famhack.submission.field.track': 'track',
+      'famhack.ticket.heading': 'Your ticket',
+      'famhack.ticket.code': 'Ticket code: {code}',
+      'famhack.ticket.expires': 'Valid until {date}. Show this QR code at the door – it works offline.',
+      'famhack.ticket.offline': 'Showing your saved ticket. It still works offline.',
+      'famhack.ticket.loadFailed': 'Could not load your ticket.',
+      'famhack.ticket.noQr': 'Show this code at the door.',
+      'famhack.finder.heading': 'Team finder',
+      'famhack.finder.profileHeading': 'Your profile',
+      'famhack.finder.listingHeading': "Your team's listing",
+      'famhack.finder.field.name': 'Name',
+      'famhack.finder.field.skills': 'Skills',
+      'famhack.finder.field.interests': 'Interests',
+      'famhack.finder.field.bio': 'About you',
+      'famhack.finder.field.needs': 'Looking for',
+      'famhack.finder.field.note': 'Note',
+      'famhack.finder.field.listed': 'Show on the board',
+      'famhack.finder.tagsPlaceholder': 'Comma-separated',
+      'famhack.finder.saveProfile': 'Save profile',
+      'famhack.finder.saveListing': 'Save listing',
+      'famhack.finder.peopleHeading': 'People looking for a team',
+      'famhack.finder.teamsHeading': 'Teams looking for members',
+      'famhack.finder.requestsHeading': 'Requests and invites',
+      'famhack.finder.loadFailed': 'Could not load the team finder.',
+      'famhack.finder.saved': 'Saved.',
+      'famhack.finder.noPeople': 'Nobody is looking for a team right now.',
+      'famhack.finder.noTeams': 'No teams are looking for members right now.',
+      'famhack.finder.noRequests': 'No open requests.',
+      'famhack.finder.skills': 'Skills: {list}',
+      'famhack.finder.interests': 'Interests: {list}',
+      'famhack.finder.needs': 'Looking for: {list}',
+      'famhack.finder.openSlots': {
+        one: '{count} open slot',
+        other: '{count} open slots',
+      },
+      'famhack.finder.askToJoin': 'Ask to join',
+      'famhack.finder.invite': 'Invite',
+      'famhack.finder.accept': 'Accept',
+      'famhack.finder.decline': 'Decline',
+      'famhack.finder.cancel': 'Withdraw',
+      'famhack.finder.requestSent': 'Request sent.',
+      'famhack.finder.inviteSent': 'Invite sent.',
+      'famhack.finder.joined': "You've joined team {team}.",
+      'famhack.finder.incomingRequest': '{who} wants to join your team',
+      'famhack.finder.incomingInvite': 'Team {team} invited you to join',
+      'famhack.finder.outgoingRequest': 'You asked to join team {team}',
+      'famhack.finder.outgoingInvite': 'You invited {who}',
+      'famhack.finder.confirmAcceptInvite': 'Join team {team}? Your current solo team will be dissolved.',
+      'famhack.schedule.nowHeading': 'Happening now',
+      'famhack.schedule.nextHeading': 'Up next',
+      'famhack.schedule.announcementsHeading': 'Announcements',
+      'famhack.schedule.loadFailed': 'Could not load the schedule.',
+      'famhack.schedule.nothingNow': 'Nothing on right now.',
+      'famhack.schedule.nothingNext': 'Nothing else scheduled.',
+      'famhack.invite.regenerate': 'New link',
+      'famhack.invite.revoke': 'Turn off',
+      'famhack.invite.maxUses': 'Max. people (optional)',
+      'famhack.invite.team': 'Team {team} · {count} / {max} members',
+      'famhack.invite.invalid': 'This invite link is not valid. Ask your team for a new one.',
+      'famhack.invite.expired': 'This invite link has expired. Ask your team for a new one.',
+      'famhack.invite.revoked': 'This invite link has been turned off. Ask your team for a new one.',
+      'famhack.invite.usedUp': 'This invite link has been used as many times as allowed. Ask your team for a new one.',
+      'famhack.invite.teamFull': 'This team is already full.',
+      'famhack.invite.none': 'Your team has no invite link right now. Ask your team leader for one.',
+      'famhack.invite.noneLeader': 'Your team has no invite link right now. Create one to invite people.',
+      'famhack.invite.expires': 'Works until {date}.',
+      'famhack.invite.expiresUses': {
+        one: 'Works until {date}, for {count} more person.',
+        other: 'Works until {date}, for {count} more people.',
+      },
+      'famhack.invite.confirmRevoke': 'Turn off this invite link? Nobody will be able to join with it.',
+    },
+
+    fr: {
+      'locale.name': 'Français',
+
+      'nav.home': 'Accueil',
+      'nav.about': 'À propos',
+      'nav.waitlist': "Liste d'attente",
+      'nav.language': 'Langue',
+
+      'common.seconds': { one: '{count} seconde', other: '{count} secondes' },
+      'common.minutes': { one: '{count} minute', other: '{count} minutes' },
+      'common.copied': 'Copié !',
+      'common.offline': 'Impossible de joindre le serveur. Vérifiez votre connexion.',
+      'common.notConfigured': 'Initialisation en cours. Bientôt prêt.',
+      'common.rateLimited': 'Trop de tentatives, réessayez dans {wait}.',
+
+      'waitlist.heading': "Rejoindre la liste d'attente",
+      'waitlist.countLabel': "Inscrits en direct",
+      'waitlist.countStale': 'Dernier total connu',
+      'waitlist.emailPlaceholder': 'vous@exemple.com',
+      'waitlist.join': "M'inscrire",
+      'waitlist.joining': 'Inscription...',
+      'waitlist.onListAs': "Vous êtes sur la liste d'attente avec",
+      'waitlist.switch': 'Changer',
+      'waitlist.myData': 'Mes données',
+      'waitlist.myDataTitle': "Recevoir un lien pour quitter la liste, télécharger ou supprimer mes données",
+      'waitlist.sending': 'Envoi...',
+      'waitlist.copyLink': 'Copier le lien',
+      'waitlist.referralLinkLabel': 'Votre lien de parrainage',
+      'waitlist.stateConfirmed': 'E-mail confirmé',
+      'waitlist.statePending': 'En attente de confirmation – consultez votre boîte de réception',
+      'waitlist.stateInvited': "Vous êtes invité·e – votre code d'accès vous attend dans vos e-mails",
+      'waitlist.stateActivated': 'Accès bêta activé',
+      'waitlist.status.loading': 'Chargement du compteur...',
+      'waitlist.status.enterEmail': "Saisissez votre e-mail pour rejoindre la liste d'attente.",
+      'waitlist.status.invalidEmail': 'Veuillez saisir une adresse e-mail valide.',
+      'waitlist.status.joining': 'Inscription en cours...',
+      'waitlist.status.queued': "Vous êtes hors ligne. Nous ajouterons {email} à la liste d'attente dès que la connexion reviendra.",
+      'waitlist.status.queuedRetry': "Impossible de joindre le serveur. Nous réessaierons d'ajouter {email} à la liste d'attente.",
+      'waitlist.status.sendingQueued': "Ajout de {email} à la liste d'attente...",
+      'waitlist.status.onList': "Vous êtes sur la liste d'attente ! Nous vous tiendrons au courant.",
+      'waitlist.status.checkInbox': 'Consultez votre boîte de réception pour confirmer votre e-mail.',
+      'waitlist.status.alreadyConfirmed': 'Vous êtes déjà sur la liste !',
+      'waitlist.status.alreadyResent': 'Vous êtes déjà sur la liste. Nous vous avons renvoyé le lien de confirmation.',
+      'waitlist.status.alreadyPending': 'Vous êtes déjà sur la liste. Consultez votre boîte de réception pour confirmer votre e-mail.',
+      'waitlist.status.almostThere': 'Presque fini ! Consultez votre boîte de réception pour confirmer votre e-mail.',
+      'waitlist.status.dataLinkSent': 'Nous avons envoyé à {email} un lien pour quitter la liste, télécharger ou supprimer vos données.',
+      'waitlist.status.dataLinkFailed': "Impossible d'envoyer le lien. Réessayez plus tard.",
+      'waitlist.error.disposable': 'Utilisez une adresse e-mail permanente, pas une adresse jetable.',
+      'waitlist.error.bot': 'Votre inscription semble automatisée. Actualisez la page et réessayez.',
+      'waitlist.error.generic': "Échec de l'inscription. Réessayez plus tard.",
+      'waitlist.confirm.confirmed': "E-mail confirmé. Vous êtes officiellement sur la liste d'attente !",
+      'waitlist.confirm.expired': 'Ce lien de confirmation a expiré. Inscrivez-vous à nouveau pour en recevoir un autre.',
+      'waitlist.confirm.invalid': 'Ce lien de confirmation est invalide ou a déjà été utilisé.',
+      'waitlist.confirm.error': 'Impossible de confirmer votre e-mail. Réessayez plus tard.',
+      'waitlist.status.invited': "Vous êtes invité·e à la bêta ! Votre code d'accès vous attend dans vos e-mails.",
+      'waitlist.access.redeeming': "Activation de votre code d'accès...",
+      'waitlist.access.activated': 'Votre accès bêta est activé. Bienvenue à bord !',
+      'waitlist.access.invalid': "Ce code d'accès est invalide ou a déjà été utilisé.",
+      'waitlist.access.failed': "Impossible d'activer votre code d'accès. Réessayez plus tard.",
+      'waitlist.position': 'Vous êtes n° {position} sur {total} dans la file.',
+      'waitlist.positionReferrals': {
+        one: '{count} ami·e inscrit·e grâce à votre lien vous a fait gagner {movedUp} places.',
+        other: '{count} ami·e·s inscrit·e·s grâce à votre lien vous ont fait gagner {movedUp} places.',
+      },
+      'waitlist.positionShare': 'Partagez votre lien pour avancer.',
+
+      'famhack.eligibility': 'Utilisez votre e-mail universitaire. Acceptés : {list}',
+      'famhack.sendOtp': 'Envoyer le code',
+      'famhack.sending': 'Envoi...',
+      'famhack.verify': 'Vérifier',
+      'famhack.verifying': 'Vérification...',
+      'famhack.resendOtp': 'Renvoyer le code',
+      'famhack.resendIn': 'Renvoyer dans {seconds} s',
+      'famhack.copy': 'Copier',
+      'famhack.page.registerHeading': 'Inscription à FamHack',
+      'famhack.page.registerText': 'Inscrivez-vous avec votre e-mail universitaire : nous vous enverrons un code à usage unique.',
+      'famhack.page.emailLabel': 'E-mail universitaire',
+      'famhack.page.emailPlaceholder': 'vous@ed.ac.uk',
+      'famhack.page.otpLabel': 'Code reçu par e-mail',
+      'famhack.page.joinHeading': 'Vous êtes invité·e à rejoindre',
+      'famhack.page.dashboardHeading': 'Votre équipe FamHack',
+      'famhack.page.dashboardText': 'Invitez vos coéquipiers et soumettez votre projet ici.',
+      'famhack.page.inviteLabel': "Lien d'invitation",
+      'famhack.page.membersHeading': "Membres de l'équipe",
+      'famhack.page.logout': 'Se déconnecter',
+      'famhack.otpSent': 'Code envoyé',
+      'famhack.otpIncomplete': 'Veuillez saisir le code complet',
+      'famhack.error.sendFailed': "Échec de l'envoi du code",
+      'famhack.error.invalidOtp': 'Code invalide',
+      'famhack.error.invalidOtpAttempts': {
+        one: 'Code invalide. {count} tentative restante',
+        other: 'Code invalide. {count} tentatives restantes',
+      },
+      'famhack.error.resendTooSoon': "Patientez {wait} avant de demander un nouveau code",
+      'famhack.error.disposable': 'Les adresses e-mail jetables ne sont pas acceptées',
+      'famhack.error.blocked': "Cette adresse e-mail ne peut pas s'inscrire à FamHack",
+      'famhack.error.otpExpired': 'Ce code a expiré. Demandez-en un nouveau',
+      'famhack.error.tooManyAttempts': 'Trop de codes erronés. Demandez-en un nouveau',
+      'famhack.error.teamSetup': "Impossible de créer votre équipe",
+      'famhack.error.generic': "Une erreur s'est produite. Réessayez.",
+      'famhack.team.none': "Vous ne faites partie d'aucune équipe pour le moment.",
+      'famhack.team.start': 'Créer une équipe',
+      'famhack.team.loadFailed': 'Impossible de charger votre équipe.',
+      'famhack.team.capacity': '{count} / {max} membres',
+      'famhack.team.leaderRole': "Chef d'équipe",
+      'famhack.team.memberRole': "Membre de l'équipe",
+      'famhack.team.leaderBadge': 'Chef',
+      'famhack.team.memberBadge': 'Membre',
+      'famhack.team.makeLeader': 'Nommer chef',
+      'famhack.team.remove': 'Retirer',
+      'famhack.team.dissolve': "Dissoudre l'équipe",
+      'famhack.team.leave': "Quitter l'équipe",
+      'famhack.team.confirmRemove': 'Retirer {email} de votre équipe ?',
+      'famhack.team.confirmTransfer': 'Nommer {email} chef d\'équipe ? Vous deviendrez simple membre.',
+      'famhack.team.confirmDissolve': 'Dissoudre votre équipe ? Tous les membres seront retirés.',
+      'famhack.team.confirmLeave': 'Quitter votre équipe ?',
+      'famhack.submission.heading': 'Soumission du projet',
+      'famhack.submission.tagsPlaceholder': 'ex. Node, Vue',
+      'famhack.submission.historyHeading': 'Historique des modifications',
+      'famhack.submission.save': 'Enregistrer le projet',
+      'famhack.submission.saving': 'Enregistrement...',
+      'famhack.submission.saved': 'Projet enregistré.',
+      'famhack.submission.loadFailed': 'Impossible de charger votre projet.',
+      'famhack.submission.conflict': "Un coéquipier a modifié le projet pendant que vous l'éditiez. Rechargez pour voir sa version.",
+      'famhack.submission.locked': 'Les soumissions sont closes. Votre dernière version enregistrée est définitive.',
+      'famhack.submission.deadline': 'Clôture des soumissions : {date}',
+      'famhack.submission.noDeadline': 'Les soumissions sont ouvertes.',
+      'famhack.submission.noHistory': 'Aucune modification pour le moment.',
+      'famhack.submission.revision': 'Version {version} · {editor} · {date}',
+      'famhack.submission.changed': 'Modifié : {fields}',
+      'famhack.submission.formerMember': 'un ancien membre',
+      'famhack.submission.field.title': 'titre',
+      'famhack.submission.field.description': 'description',
+      'famhack.submission.field.repoUrl': 'dépôt',
+      'famhack.submission.field.demoUrl': 'vidéo de démo',
+      'famhack.submission.field.techTags': 'technologies',
+      'famhack.submission.field.track': 'thème',
+      'famhack.ticket.heading': 'Votre billet',
+      'famhack.ticket.code': 'Code du billet : {code}',
+      'famhack.ticket.expires': "Valable jusqu'au {date}. Présentez ce QR code à l'entrée – il fonctionne hors ligne.",
+      'famhack.ticket.offline': 'Billet enregistré affiché. Il fonctionne aussi hors ligne.',
+      'famhack.ticket.loadFailed': 'Impossible de charger votre billet.',
+      'famhack.ticket.noQr': "Présentez ce code à l'entrée.",
+      'famhack.finder.heading': "Trouver une équipe",
+      'famhack.finder.profileHeading': 'Votre profil',
+      'famhack.finder.listingHeading': "L'annonce de votre équipe",
+      'famhack.finder.field.name': 'Nom',
+      'famhack.finder.field.skills': 'Compétences',
+      'famhack.finder.field.interests': "Centres d'intérêt",
+      'famhack.finder.field.bio': 'À propos de vous',
+      'famhack.finder.field.needs': 'Recherche',
+      'famhack.finder.field.note': 'Note',
+      'famhack.finder.field.listed': 'Afficher sur le tableau',
+      'famhack.finder.tagsPlaceholder': 'Séparés par des virgules',
+      'famhack.finder.saveProfile': 'Enregistrer le profil',
+      'famhack.finder.saveListing': "Enregistrer l'annonce",
+      'famhack.finder.peopleHeading': "Personnes qui cherchent une équipe",
+      'famhack.finder.teamsHeading': 'Équipes qui recrutent',
+      'famhack.finder.requestsHeading': 'Demandes et invitations',
+      'famhack.finder.loadFailed': "Impossible de charger la recherche d'équipe.",
+      'famhack.finder.saved': 'Enregistré.',
+      'famhack.finder.noPeople': "Personne ne cherche d'équipe pour le moment.",
+      'famhack.finder.noTeams': 'Aucune équipe ne recrute pour le moment.',
+      'famhack.finder.noRequests': 'Aucune demande en cours.',
+      'famhack.finder.skills': 'Compétences : {list}',
+      'famhack.finder.interests': "Centres d'intérêt : {list}",
+      'famhack.finder.needs': 'Recherche : {list}',
+      'famhack.finder.openSlots': {
+        one: '{count} place libre',
+        other: '{count} places libres',
+      },
+      'famhack.finder.askToJoin': 'Demander à rejoindre',
+      'famhack.finder.invite': 'Inviter',
+      'famhack.finder.accept': 'Accepter',
+      'famhack.finder.decline': 'Refuser',
+      'famhack.finder.cancel': 'Retirer',
+      'famhack.finder.requestSent': 'Demande envoyée.',
+      'famhack.finder.inviteSent': 'Invitation envoyée.',
+      'famhack.finder.joined': "Vous avez rejoint l'équipe {team}.",
+      'famhack.finder.incomingRequest': '{who} souhaite rejoindre votre équipe',
+      'famhack.finder.incomingInvite': "L'équipe {team} vous invite à la rejoindre",
+      'famhack.finder.outgoingRequest': "Vous avez demandé à rejoindre l'équipe {team}",
+      'famhack.finder.outgoingInvite': 'Vous avez invité {who}',
+      'famhack.finder.confirmAcceptInvite': "Rejoindre l'équipe {team} ? Votre équipe actuelle (vous seul) sera dissoute.",
+      'famhack.schedule.nowHeading': 'En ce moment',
+      'famhack.schedule.nextHeading': 'À suivre',
+      'famhack.schedule.announcementsHeading': 'Annonces',
+      'famhack.schedule.loadFailed': 'Impossible de charger le programme.',
+      'famhack.schedule.nothingNow': 'Rien en ce moment.',
+      'famhack.schedule.nothingNext': "Rien d'autre au programme.",
+      'famhack.invite.regenerate': 'Nouveau lien',
+      'famhack.invite.revoke': 'Désactiver',
+      'famhack.invite.maxUses': 'Personnes max. (facultatif)',
+      'famhack.invite.team': 'Équipe {team} · {count} / {max} membres',
+      'famhack.invite.invalid': "Ce lien d'invitation n'est pas valide. Demandez-en un nouveau à votre équipe.",
+      'famhack.invite.expired': "Ce lien d'invitation a expiré. Demandez-en un nouveau à votre équipe.",
+      'famhack.invite.revoked': "Ce lien d'invitation a été désactivé. Demandez-en un nouveau à votre équipe.",
+      'famhack.invite.usedUp': "Ce lien d'invitation a atteint son nombre d'utilisations. Demandez-en un nouveau à votre équipe.",
+      'famhack.invite.teamFull': 'Cette équipe est déjà complète.',
+      'famhack.invite.none': "Votre équipe n'a pas de lien d'invitation pour le moment. Demandez-en un à votre chef d'équipe.",
+      'famhack.invite.noneLeader': "Votre équipe n'a pas de lien d'invitation pour le moment. Créez-en un pour inviter des personnes.",
+      'famhack.invite.expires': "Valable jusqu'au {date}.",
+      'famhack.invite.expiresUses': {
+        one: "Valable jusqu'au {date}, pour encore {count} personne.",
+        other: "Valable jusqu'au {date}, pour encore {count} personnes.",
+      },
+      'famhack.invite.confirmRevoke': "Désactiver ce lien d'invitation ? Personne ne pourra plus l'utiliser pour rejoindre l'équipe.",
+    },
+  };
+
+  /* ── State ─────────────────────────────────────────────────── */
+  const DEFAULT_LOCALE = 'en';
+  const STORAGE_KEY = 'accio_locale';
+  let currentLocale = DEFAULT_LOCALE;
+  let numberFormat;
+  let pluralRules;
+
+  /* ── Locale resolution ──────────────────────────────────────── */
+  // "fr-CA" -> "fr" when only the base language has a bundle
+  function supportedLocale(tag) {
+    if (!tag) return null;
+    const lower = String(tag).toLowerCase();
+    if (BUNDLES[lower]) return lower;
+    const base = lower.split('-')[0];
+    return BUNDLES[base] ? base : null;
+  }
+
+  function detectLocale() {
+    const fromQuery = supportedLocale(new URLSearchParams(window.location.search).get('lang'));
+    if (fromQuery) {
+      localStorage.setItem(STORAGE_KEY, fromQuery);
+      return fromQuery;
+    }
+
+    const saved = supportedLocale(localStorage.getItem(STORAGE_KEY));
+    if (saved) return saved;
+
+    const preferred = navigator.languages && navigator.languages.length
+      ? navigator.languages
+      : [navigator.language];
+    for (const tag of preferred) {
+      const match = supportedLocale(tag);
+      if (match) return match;
+    }
+    return DEFAULT_LOCALE;
+  }
+
+  function useLocale(locale) {
+    currentLocale = locale;
+    numberFormat = new Intl.NumberFormat(locale);
+    pluralRules = new Intl.PluralRules(locale);
+    document.documentElement.lang = locale;
+  }
+
+  /* ── Formatting ─────────────────────────────────────────────── */
+  function formatNumber(n) {
+    return numberFormat.format(n);
+  }
+
+  function interpolate(message, params) {
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!(name in params)) return match;
+      const value = params[name];
+      return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+  }
+
+  /**
+   * Translate a key. Unknown keys fall back to English, then to the key itself.
+   */
+  function t(key, params = {}) {
+    let message = BUNDLES[currentLocale][key];
+    if (message === undefined) message = BUNDLES[DEFAULT_LOCALE][key];
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+      const category = pluralRules.select(Number(params.count) || 0);
+      message = message[category] || message.other;
+    }
+    return interpolate(message, params);
+  }
+
+  /**
+   * Translate every element marked with data-i18n* attributes under root
+   */
+  function apply(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach((el) => {
+      el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach((el) => {
+      el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach((el) => {
+      el.title = t(el.dataset.i18nTitle);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach((el) => {
+      el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+    });
+  }
+
+  /**
+   * Switch language (manual override), remember it, and let the page re-render.
+   * Listeners get an `accio:localechange` event on document.
+   */
+  function setLocale(tag) {
+    const locale = supportedLocale(tag);
+    if (!locale || locale === currentLocale) return;
+
+    localStorage.setItem(STORAGE_KEY, locale);
+    useLocale(locale);
+    apply();
+    document.dispatchEvent(new CustomEvent('accio:localechange', { detail: { locale } }));
+  }
+
+  /* ── Language picker ────────────────────────────────────────── */
+  // Any <select data-locale-picker> is filled with the available locales.
+  function initPickers() {
+    document.querySelectorAll('select[data-locale-picker]').forEach((select) => {
+      select.innerHTML = '';
+      Object.keys(BUNDLES).forEach((locale) => {
+        const option = document.createElement('option');
+        option.value = locale;
+        option.textContent = BUNDLES[locale]['locale.name'];
+        select.appendChild(option);
+      });
+      select.value = currentLocale;
+      select.addEventListener('change', () => setLocale(select.value));
+    });
+  }
+
+  /* ── Init ───────────────────────────────────────────────────── */
+  useLocale(detectLocale());
+
+  function init() {
+    apply();
+    initPickers();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.AccioI18n = {
+    t,
+    apply,
+    setLocale,
+    formatNumber,
+    locale: () => currentLocale,
+    locales: () => Object.keys(BUNDLES),
+  };
+})();
@@ -0,0 +1,88 @@
+/**
+ * Network helper shared by the Accio and FamHack scripts.
+ * Exposes window.AccioNet. fetchJSON() gives every request a timeout and retries idempotent
+ * ones (GET, HEAD) with exponential backoff when the server can't be reached or is briefly down;
+ * it resolves to { ok, status, data } and never throws. When no response arrived (offline,
+ * timed out or blocked) status is 0 and data is { code: 'offline' }.
+ * Going offline or back online is announced as an 'accio:connectionchange' event on document,
+ * with { online } as its detail. Load this script before the scripts that use it.
+ */
+
+(function () {
+  const DEFAULT_TIMEOUT_MS = 10000;
+  const DEFAULT_RETRIES = 2;
+  const BASE_DELAY_MS = 500;
+  const MAX_DELAY_MS = 8000;
+  const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+  // Worth another try: no response, a timeout, or a gateway that couldn't reach the function
+  const RETRY_STATUSES = [0, 408, 502, 503, 504];
+
+  function noResponse() {
+    return { ok: false, status: 0, data: { code: 'offline' } };
+  }
+
+  function isOnline() {
+    return navigator.onLine !== false;
+  }
+
+  function sleep(ms) {
+    return new Promise((resolve) => window.setTimeout(resolve, ms));
+  }
+
+  // Doubles each attempt, with jitter so many tabs coming back at once don't retry in step
+  function backoffDelay(attempt) {
+    const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+    return delay / 2 + Math.random() * (delay / 2);
+  }
+
+  async function attempt(url, init, timeout) {
+    const controller = new AbortController();
+    const timer = window.setTimeout(() => controller.abort(), timeout);
+    try {
+      const res = await fetch(url, { ...init, signal: controller.signal });
+      const data = await res.json().catch(() => ({}));
+      return { ok: res.ok, status: res.status, data };
+    } catch (_) {
+      return noResponse();
+    } finally {
+      window.clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Request a JSON API route. Options: method (GET), body (sent as JSON), headers,
+   * credentials, timeout (ms per attempt) and retries (only used for GET and HEAD).
+   */
+  async function fetchJSON(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const headers = { ...options.headers };
+    if (options.body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const init = {
+      method,
+      headers,
+      credentials: options.credentials || 'same-origin',
+      body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+    };
+    const timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+    const retries = IDEMPOTENT_METHODS.includes(method) ? (options.retries ?? DEFAULT_RETRIES) : 0;
+
+    for (let i = 0; ; i++) {
+      // No point waiting out a timeout when the browser knows it has no connection
+      if (!isOnline()) return noResponse();
+
+      const result = await attempt(url, init, timeout);
+      if (result.ok || i >= retries || !RETRY_STATUSES.includes(result.status)) return result;
+      await sleep(backoffDelay(i));
+    }
+  }
+
+  function announce() {
+    document.dispatchEvent(new CustomEvent('accio:connectionchange', { detail: { online: isOnline() } }));
+  }
+
+  window.addEventListener('online', announce);
+  window.addEventListener('offline', announce);
+
+  window.AccioNet = { fetchJSON, isOnline };
+})();
@@ -0,0 +1,80 @@
+// scripts/webhook-receiver.mjs
+// A local endpoint for trying out the outgoing webhooks (see api/_lib/webhooks.js).
+// Checks each request's signature and timestamp, then prints the event.
+//
+//   WEBHOOK_SECRET=dev-secret node scripts/webhook-receiver.mjs
+//
+// and point the app at it, e.g. in .env.local:
+//   WEBHOOK_ENDPOINTS=[{"url":"http://localhost:8787/webhooks","secret":"dev-secret"}]
+//
+// PORT picks the port (default 8787). With FAIL_FIRST=n it answers 503 to the first n
+// requests for each delivery, to watch the retries and the admin replay at work.
+
+import { createServer } from 'node:http';
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+const PORT = Number(process.env.PORT) || 8787;
+const SECRET = process.env.WEBHOOK_SECRET;
+const FAIL_FIRST = Number(process.env.FAIL_FIRST) || 0;
+// Requests signed longer ago than this are refused, so a captured one can't be replayed later
+const TOLERANCE_SECONDS = 5 * 60;
+
+if (!SECRET) {
+  console.error('Set WEBHOOK_SECRET to the secret configured for this endpoint.');
+  process.exit(1);
+}
+
+const attemptsSeen = new Map();
+
+function signatureValid(timestamp, body, signature) {
+  const expected = `sha256=${createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex')}`;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature || ''));
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function reply(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'text/plain' });
+  res.end(`${message}\n`);
+}
+
+createServer((req, res) => {
+  if (req.method !== 'POST') return reply(res, 405, 'POST only.');
+
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const timestamp = Number(req.headers['x-accio-timestamp']);
+    const delivery = req.headers['x-accio-delivery'];
+
+    if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+      console.warn(`✗ ${delivery}: timestamp missing or too old`);
+      return reply(res, 400, 'Stale timestamp.');
+    }
+    if (!signatureValid(timestamp, body, req.headers['x-accio-signature'])) {
+      console.warn(`✗ ${delivery}: bad signature`);
+      return reply(res, 401, 'Bad signature.');
+    }
+
+    const seen = (attemptsSeen.get(delivery) || 0) + 1;
+    attemptsSeen.set(delivery, seen);
+    if (seen <= FAIL_FIRST) {
+      console.log(`… ${delivery}: failing attempt ${seen} of ${FAIL_FIRST} on purpose`);
+      return reply(res, 503, 'Failing on purpose.');
+    }
+
+    let event;
+    try {
+      event = JSON.parse(body);
+    } catch (_) {
+      console.warn(`✗ ${delivery}: body is not JSON`);
+      return reply(res, 400, 'Body is not JSON.');
+    }
+    console.log(`✓ ${event.type} (delivery ${delivery}, attempt ${seen})`);
+    console.log(JSON.stringify(event.data, null, 2));
+    return reply(res, 200, 'OK');
+  });
+}).listen(PORT, () => {
+  console.log(`Listening for webhooks on http://localhost:${PORT}`);
+});
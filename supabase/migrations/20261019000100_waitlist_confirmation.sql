@@ -0,0 +1,18 @@
+-- Double opt-in for the Accio waitlist.
+-- A signup starts as 'pending' and holds the SHA-256 hash of a single-use confirmation token;
+-- /api/waitlist/confirm flips it to 'confirmed' and clears the hash.
+-- Rows that existed before this migration never confirmed, so they start as 'pending' too.
+
+alter table public.waitlist
+  add column if not exists confirmation_status text not null default 'pending'
+    check (confirmation_status in ('pending', 'confirmed')),
+  add column if not exists confirm_token_hash text,
+  add column if not exists confirm_sent_at timestamptz,
+  add column if not exists confirmed_at timestamptz;
+
+create unique index if not exists waitlist_confirm_token_hash_key
+  on public.waitlist (confirm_token_hash)
+  where confirm_token_hash is not null;
+
+create index if not exists waitlist_confirmation_status_idx
+  on public.waitlist (confirmation_status);
@@ -0,0 +1,29 @@
+-- Referral codes for the Accio waitlist.
+-- Every signup gets a short shareable code; referred_by holds the code of whoever referred them.
+
+alter table public.waitlist
+  add column if not exists referral_code text,
+  add column if not exists referred_by text;
+
+-- Same alphabet and length as api/_lib/referrals.js: nothing that reads as another character
+create or replace function public.waitlist_referral_code()
+returns text
+language sql
+volatile
+as $$
+  select string_agg(substr('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 1 + floor(random() * 32)::int, 1), '')
+  from generate_series(1, 8);
+$$;
+
+update public.waitlist
+  set referral_code = public.waitlist_referral_code()
+  where referral_code is null;
+
+alter table public.waitlist
+  alter column referral_code set not null;
+
+create unique index if not exists waitlist_referral_code_key
+  on public.waitlist (referral_code);
+
+create index if not exists waitlist_referred_by_idx
+  on public.waitlist (referred_by);
@@ -0,0 +1,14 @@
+-- One-time passcodes for FamHack registration.
+-- One row per email; a new code replaces the old one. Only an HMAC of the code is stored.
+
+create table if not exists public.famhack_otps (
+  email text primary key,
+  code_hash text not null,
+  expires_at timestamptz not null,
+  attempts integer not null default 0,
+  last_sent_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+-- Only the service key (API routes) may touch this table.
+alter table public.famhack_otps enable row level security;
@@ -0,0 +1,26 @@
+-- FamHack teams, previously kept only in each browser's localStorage.
+-- A person belongs to at most one team; each team has exactly one leader.
+
+create table if not exists public.famhack_teams (
+  id text primary key,
+  created_by text not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.famhack_team_members (
+  team_id text not null references public.famhack_teams (id) on delete cascade,
+  email text not null,
+  is_leader boolean not null default false,
+  joined_at timestamptz not null default now(),
+  primary key (team_id, email)
+);
+
+create unique index if not exists famhack_team_members_email_key
+  on public.famhack_team_members (email);
+
+create unique index if not exists famhack_team_members_one_leader
+  on public.famhack_team_members (team_id)
+  where is_leader;
+
+alter table public.famhack_teams enable row level security;
+alter table public.famhack_team_members enable row level security;
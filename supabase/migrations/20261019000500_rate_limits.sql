@@ -0,0 +1,32 @@
+-- Fixed-window rate limit counters for RATE_LIMIT_STORE=supabase.
+-- rate_limit_hit() increments a key atomically and starts a new window once the old one has passed.
+
+create table if not exists public.rate_limits (
+  key text primary key,
+  count integer not null,
+  reset_at timestamptz not null
+);
+
+alter table public.rate_limits enable row level security;
+
+create or replace function public.rate_limit_hit(p_key text, p_window_seconds integer)
+returns table (count integer, reset_at timestamptz)
+language sql
+as $$
+  insert into public.rate_limits as r (key, count, reset_at)
+  values (p_key, 1, now() + make_interval(secs => p_window_seconds))
+  on conflict (key) do update set
+    count = case when r.reset_at <= now() then 1 else r.count + 1 end,
+    reset_at = case when r.reset_at <= now()
+      then now() + make_interval(secs => p_window_seconds)
+      else r.reset_at end
+  returning r.count, r.reset_at;
+$$;
+
+-- Expired windows are dead weight; clear them out periodically (e.g. from pg_cron).
+create or replace function public.rate_limits_prune()
+returns void
+language sql
+as $$
+  delete from public.rate_limits where reset_at < now() - interval '1 day';
+$$;
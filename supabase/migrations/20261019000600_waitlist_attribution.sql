@@ -0,0 +1,39 @@
+-- First-touch attribution for waitlist signups: where the visitor first arrived from.
+-- Captured by the landing page on the first visit and sent along with the signup.
+
+alter table public.waitlist
+  add column if not exists utm_source text,
+  add column if not exists utm_medium text,
+  add column if not exists utm_campaign text,
+  add column if not exists utm_term text,
+  add column if not exists utm_content text,
+  add column if not exists referrer text,
+  add column if not exists landing_path text,
+  add column if not exists locale text,
+  add column if not exists first_seen_at timestamptz;
+
+create index if not exists waitlist_created_at_idx
+  on public.waitlist (created_at);
+
+-- Signups per UTC day, source and campaign between p_from (inclusive) and p_to (exclusive).
+-- Without a utm_source the referring host is the source, and without either it is '(direct)'.
+create or replace function public.waitlist_attribution(p_from timestamptz, p_to timestamptz)
+returns table (day date, source text, campaign text, signups integer, confirmed integer)
+language sql
+stable
+as $$
+  select
+    (w.created_at at time zone 'utc')::date as day,
+    coalesce(
+      nullif(lower(w.utm_source), ''),
+      substring(lower(w.referrer) from '^https?://(?:www\.)?([^/:]+)'),
+      '(direct)'
+    ) as source,
+    coalesce(nullif(lower(w.utm_campaign), ''), '(none)') as campaign,
+    count(*)::integer as signups,
+    (count(*) filter (where w.confirmation_status = 'confirmed'))::integer as confirmed
+  from public.waitlist w
+  where w.created_at >= p_from and w.created_at < p_to
+  group by 1, 2, 3
+  order by 1, 2, 3;
+$$;
@@ -0,0 +1,29 @@
+-- FamHack project submissions: one per team, editable by any member until the deadline.
+-- Every save bumps `version` and appends the full submission to the revision history.
+
+create table if not exists public.famhack_submissions (
+  team_id text primary key references public.famhack_teams (id) on delete cascade,
+  title text not null,
+  description text not null default '',
+  repo_url text,
+  demo_url text,
+  tech_tags text[] not null default '{}',
+  track text,
+  version integer not null default 1,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  updated_by text
+);
+
+create table if not exists public.famhack_submission_revisions (
+  team_id text not null references public.famhack_teams (id) on delete cascade,
+  version integer not null,
+  edited_by text,
+  edited_at timestamptz not null default now(),
+  changed_fields text[] not null default '{}',
+  snapshot jsonb not null,
+  primary key (team_id, version)
+);
+
+alter table public.famhack_submissions enable row level security;
+alter table public.famhack_submission_revisions enable row level security;
@@ -0,0 +1,50 @@
+-- FamHack judging: judges, who they must not judge, their assignments and scores.
+-- Judges are deactivated rather than deleted, so their scores stay on record.
+
+create table if not exists public.famhack_judges (
+  email text primary key,
+  name text not null default '',
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+-- Teams a judge must not score (declared conflicts of interest)
+create table if not exists public.famhack_judge_conflicts (
+  judge_email text not null references public.famhack_judges (email) on delete cascade,
+  team_id text not null references public.famhack_teams (id) on delete cascade,
+  primary key (judge_email, team_id)
+);
+
+create table if not exists public.famhack_judge_assignments (
+  judge_email text not null references public.famhack_judges (email) on delete cascade,
+  team_id text not null references public.famhack_teams (id) on delete cascade,
+  assigned_at timestamptz not null default now(),
+  primary key (judge_email, team_id)
+);
+
+-- `scores` maps rubric criterion IDs to values; `total` is their weighted mean
+create table if not exists public.famhack_scores (
+  judge_email text not null references public.famhack_judges (email) on delete cascade,
+  team_id text not null references public.famhack_teams (id) on delete cascade,
+  scores jsonb not null,
+  total numeric not null,
+  comment text not null default '',
+  updated_at timestamptz not null default now(),
+  primary key (judge_email, team_id)
+);
+
+-- Single row: once frozen_at is set, scores can no longer change, and results holds the
+-- leaderboard as it stood at that moment
+create table if not exists public.famhack_judging_state (
+  id smallint primary key default 1 check (id = 1),
+  frozen_at timestamptz,
+  results jsonb
+);
+
+insert into public.famhack_judging_state (id) values (1) on conflict (id) do nothing;
+
+alter table public.famhack_judges enable row level security;
+alter table public.famhack_judge_conflicts enable row level security;
+alter table public.famhack_judge_assignments enable row level security;
+alter table public.famhack_scores enable row level security;
+alter table public.famhack_judging_state enable row level security;
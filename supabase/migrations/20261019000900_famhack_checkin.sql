@@ -0,0 +1,31 @@
+-- FamHack event-day check-in. A ticket row records the short code printed under a
+-- participant's QR ticket, so organisers can type it when a QR code won't scan.
+-- A check-in row exists once someone has been let in; repeat scans are counted.
+
+create table if not exists public.famhack_tickets (
+  email text primary key,
+  code text not null unique,
+  issued_at timestamptz not null default now()
+);
+
+create table if not exists public.famhack_checkins (
+  email text primary key,
+  checked_in_at timestamptz not null default now(),
+  scans integer not null default 1,
+  last_scan_at timestamptz not null default now()
+);
+
+alter table public.famhack_tickets enable row level security;
+alter table public.famhack_checkins enable row level security;
+
+-- Counts a repeat scan in a single statement, so two scanners reading the same ticket at
+-- once both count. Returns the new number of scans, or null when nobody is checked in.
+create or replace function public.famhack_checkin_scan(p_email text)
+returns integer
+language sql
+as $$
+  update public.famhack_checkins
+  set scans = scans + 1, last_scan_at = now()
+  where email = p_email
+  returning scans;
+$$;
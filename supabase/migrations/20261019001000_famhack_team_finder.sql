@@ -0,0 +1,47 @@
+-- FamHack team finder: an opt-in board of participants looking for a team, teams
+-- looking for members, and the join requests and invites between them.
+-- Board entries are identified by `id` so the board never has to show email addresses.
+
+create table if not exists public.famhack_finder_profiles (
+  email text primary key,
+  id uuid not null unique,
+  name text not null,
+  skills text[] not null default '{}',
+  interests text[] not null default '{}',
+  bio text not null default '',
+  listed boolean not null default true,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.famhack_team_listings (
+  team_id text primary key references public.famhack_teams (id) on delete cascade,
+  needs text[] not null default '{}',
+  note text not null default '',
+  listed boolean not null default true,
+  updated_at timestamptz not null default now()
+);
+
+-- kind 'request': `email` asked to join the team; the team leader answers.
+-- kind 'invite':  the team leader invited `email`; they answer.
+create table if not exists public.famhack_join_requests (
+  id uuid primary key,
+  team_id text not null references public.famhack_teams (id) on delete cascade,
+  email text not null,
+  kind text not null check (kind in ('request', 'invite')),
+  status text not null default 'pending' check (status in ('pending', 'accepted', 'declined', 'cancelled')),
+  message text not null default '',
+  created_by text not null,
+  created_at timestamptz not null default now(),
+  responded_at timestamptz
+);
+
+-- At most one open request or invite between a person and a team
+create unique index if not exists famhack_join_requests_pending
+  on public.famhack_join_requests (team_id, email)
+  where status = 'pending';
+
+create index if not exists famhack_join_requests_email on public.famhack_join_requests (email);
+
+alter table public.famhack_finder_profiles enable row level security;
+alter table public.famhack_team_listings enable row level security;
+alter table public.famhack_join_requests enable row level security;
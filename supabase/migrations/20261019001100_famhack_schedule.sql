@@ -0,0 +1,29 @@
+-- FamHack event schedule and the announcements organisers post on the day.
+-- Times are stored as instants (timestamptz); the API reads and shows them in the
+-- event's timezone (FAMHACK_TIMEZONE, Europe/London by default).
+
+create table if not exists public.famhack_sessions (
+  id uuid primary key,
+  title text not null,
+  description text not null default '',
+  starts_at timestamptz not null,
+  ends_at timestamptz not null,
+  location text not null default '',
+  track text,
+  updated_at timestamptz not null default now(),
+  check (ends_at > starts_at)
+);
+
+create index if not exists famhack_sessions_starts_at on public.famhack_sessions (starts_at);
+
+create table if not exists public.famhack_announcements (
+  id uuid primary key,
+  message text not null,
+  level text not null default 'info' check (level in ('info', 'urgent')),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists famhack_announcements_created_at on public.famhack_announcements (created_at desc);
+
+alter table public.famhack_sessions enable row level security;
+alter table public.famhack_announcements enable row level security;
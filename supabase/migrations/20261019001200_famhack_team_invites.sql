@@ -0,0 +1,18 @@
+-- FamHack team invite links. A link carries a signed token naming one of these rows, so
+-- a link can be revoked, expire, or run out of uses, and the team ID alone no longer
+-- lets anyone join.
+
+create table if not exists public.famhack_team_invites (
+  id uuid primary key,
+  team_id text not null references public.famhack_teams (id) on delete cascade,
+  created_by text not null,
+  max_uses integer check (max_uses is null or max_uses > 0),
+  uses integer not null default 0,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists famhack_team_invites_team on public.famhack_team_invites (team_id);
+
+alter table public.famhack_team_invites enable row level security;
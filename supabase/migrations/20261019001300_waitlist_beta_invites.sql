@@ -0,0 +1,18 @@
+-- Staged beta access for the Accio waitlist.
+-- Every signup starts 'waiting'. An admin invites the next people in line, which stores the
+-- HMAC of a one-time access code and emails the code; redeeming it through
+-- /api/waitlist/redeem marks the entry 'activated' and clears the hash.
+
+alter table public.waitlist
+  add column if not exists beta_status text not null default 'waiting'
+    check (beta_status in ('waiting', 'invited', 'activated')),
+  add column if not exists access_code_hash text,
+  add column if not exists invited_at timestamptz,
+  add column if not exists activated_at timestamptz;
+
+create unique index if not exists waitlist_access_code_hash_key
+  on public.waitlist (access_code_hash)
+  where access_code_hash is not null;
+
+create index if not exists waitlist_beta_status_idx
+  on public.waitlist (beta_status);
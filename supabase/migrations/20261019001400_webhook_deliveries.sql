@@ -0,0 +1,26 @@
+-- Outgoing webhook delivery log: one row per event per endpoint (WEBHOOK_ENDPOINTS).
+-- Pending rows are retried with backoff until they are delivered or run out of attempts,
+-- and an admin can replay any row. `subject_email` is who the event is about, so their
+-- rows go when they delete their data.
+
+create table if not exists public.webhook_deliveries (
+  id uuid primary key,
+  event_id uuid not null,
+  event text not null,
+  endpoint text not null,
+  payload jsonb not null,
+  subject_email text,
+  status text not null default 'pending' check (status in ('pending', 'delivered', 'failed')),
+  attempts integer not null default 0,
+  last_status integer,
+  last_error text,
+  next_attempt_at timestamptz,
+  delivered_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_due on public.webhook_deliveries (status, next_attempt_at);
+create index if not exists webhook_deliveries_created on public.webhook_deliveries (created_at desc);
+create index if not exists webhook_deliveries_subject on public.webhook_deliveries (subject_email);
+
+alter table public.webhook_deliveries enable row level security;
@@ -0,0 +1,24 @@
+-- The browser no longer writes to the waitlist: signups go through /api/waitlist/join,
+-- which uses the service role. Drop whatever insert policies the table was created with
+-- and take the table privileges away from the public roles, so nobody can add a row
+-- (say, one already 'confirmed' or 'activated') straight through PostgREST.
+
+do $$
+declare
+  policy record;
+begin
+  for policy in
+    select policyname
+    from pg_policies
+    where schemaname = 'public'
+      and tablename = 'waitlist'
+      and cmd in ('INSERT', 'UPDATE', 'DELETE', 'ALL')
+  loop
+    execute format('drop policy if exists %I on public.waitlist', policy.policyname);
+  end loop;
+end
+$$;
+
+alter table public.waitlist enable row level security;
+
+revoke insert, update, delete on public.waitlist from anon, authenticated;
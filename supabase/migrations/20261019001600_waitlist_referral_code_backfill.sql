@@ -0,0 +1,34 @@
+-- Databases that ran the first referrals migration got hex codes (md5), which can contain
+-- 0 and 1 and so are refused by normalizeReferralCode(). Give those signups a code from the
+-- proper alphabet, and move anyone they referred over to it. Does nothing once every code
+-- is valid.
+
+create or replace function public.waitlist_referral_code()
+returns text
+language sql
+volatile
+as $$
+  select string_agg(substr('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 1 + floor(random() * 32)::int, 1), '')
+  from generate_series(1, 8);
+$$;
+
+do $$
+declare
+  signup record;
+  fresh text;
+begin
+  for signup in
+    select email, referral_code
+    from public.waitlist
+    where referral_code !~ '^[ABCDEFGHJKLMNPQRSTUVWXYZ23456789]{8}$'
+  loop
+    loop
+      fresh := public.waitlist_referral_code();
+      exit when not exists (select 1 from public.waitlist where referral_code = fresh);
+    end loop;
+
+    update public.waitlist set referred_by = fresh where referred_by = signup.referral_code;
+    update public.waitlist set referral_code = fresh where email = signup.email;
+  end loop;
+end
+$$;
@@ -0,0 +1,21 @@
+-- Team size limit enforced in the database. Counting the members and then inserting let two
+-- people join the last free place at once; famhack_join_team() locks the team row first, so
+-- concurrent joins of the same team take turns. The limit (FAMHACK_MAX_TEAM_SIZE) comes from
+-- the caller. Returns false, inserting nothing, when the team is already full.
+
+create or replace function public.famhack_join_team(p_team_id text, p_email text, p_max_size integer)
+returns boolean
+language plpgsql
+as $$
+begin
+  perform 1 from public.famhack_teams where id = p_team_id for update;
+
+  if (select count(*) from public.famhack_team_members where team_id = p_team_id) >= p_max_size then
+    return false;
+  end if;
+
+  insert into public.famhack_team_members (team_id, email, is_leader)
+  values (p_team_id, p_email, false);
+  return true;
+end;
+$$;
@@ -0,0 +1,14 @@
+-- Counts an OTP guess in a single statement. Reading the counter and writing it back let
+-- concurrent guesses overwrite each other's count and get past FAMHACK_OTP_MAX_ATTEMPTS.
+-- famhack_otp_attempt() returns the new count, or null when the code is gone or has no
+-- guesses left.
+
+create or replace function public.famhack_otp_attempt(p_email text, p_max_attempts integer)
+returns integer
+language sql
+as $$
+  update public.famhack_otps
+  set attempts = attempts + 1
+  where email = p_email and attempts < p_max_attempts
+  returning attempts;
+$$;
@@ -0,0 +1,11 @@
+-- FamHack sessions are signed cookies, so deleting someone's data can't reach the copies in
+-- their browsers. Deletion records when it happened here instead, keyed by an HMAC of the
+-- address rather than the address itself, and sessions issued before revoked_at are refused.
+
+create table if not exists public.famhack_session_revocations (
+  email_hash text primary key,
+  revoked_at timestamptz not null default now()
+);
+
+-- Only the service key (API routes) may touch this table.
+alter table public.famhack_session_revocations enable row level security;
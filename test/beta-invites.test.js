@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, sentMail } from './helpers.js';
+import { createMemoryRepository } from '../api/_lib/repository/index.js';
+import { inviteNext } from '../api/_lib/beta-invites.js';
+import { createHandler as createInvites } from '../api/admin/invites.js';
+import { createHandler as createRedeem } from '../api/waitlist/redeem.js';
+
+const ORIGIN = 'https://accio.test';
+
+async function waitlistOf(emails) {
+  const repo = createMemoryRepository();
+  for (const [index, email] of emails.entries()) {
+    await repo.waitlist.insert({
+      email,
+      referral_code: `CODE${index}AAA`,
+      confirmation_status: 'confirmed',
+      created_at: new Date(Date.UTC(2026, 0, 1, 0, index)).toISOString(),
+    });
+  }
+  return repo;
+}
+
+function accessCodeIn(message) {
+  return /\?access=([A-Z0-9-]+)/.exec(message.text)[1];
+}
+
+test('the next signups in line are invited and their code works once', async () => {
+  const repo = await waitlistOf(['first@example.com', 'second@example.com', 'third@example.com']);
+  const redeem = createRedeem({ repo });
+
+  const result = await inviteNext(repo, ORIGIN, { count: 2 });
+  assert.deepEqual(result, { invited: ['first@example.com', 'second@example.com'], failed: [], skipped: [] });
+  assert.equal((await repo.waitlist.findByEmail('third@example.com')).beta_status, 'waiting');
+
+  const code = accessCodeIn(sentMail('first@example.com').at(-1));
+  const redeemed = await call(redeem, { method: 'POST', body: { code } });
+  assert.equal(redeemed.statusCode, 200);
+  assert.equal(redeemed.body.access, 'activated');
+
+  const again = await call(redeem, { method: 'POST', body: { code } });
+  assert.equal(again.statusCode, 404);
+});
+
+test('a signup is only marked invited once their email is sent', async () => {
+  const repo = await waitlistOf(['unlucky@example.com']);
+  const transport = process.env.MAIL_TRANSPORT;
+  process.env.MAIL_TRANSPORT = 'broken';
+  try {
+    const result = await inviteNext(repo, ORIGIN, { count: 1 });
+    assert.deepEqual(result.failed, ['unlucky@example.com']);
+  } finally {
+    process.env.MAIL_TRANSPORT = transport;
+  }
+
+  const row = await repo.waitlist.findByEmail('unlucky@example.com');
+  assert.equal(row.beta_status, 'waiting');
+  assert.equal(row.access_code_hash, undefined);
+});
+
+test('an admin run is capped so it finishes within the time limit', async () => {
+  process.env.ADMIN_API_TOKEN = 'admin-token';
+  const invites = createInvites({ repo: await waitlistOf([]) });
+
+  const res = await call(invites, {
+    method: 'POST',
+    headers: { authorization: 'Bearer admin-token' },
+    body: { count: 500 },
+  });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'invalid_request');
+});
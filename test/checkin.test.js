@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call } from './helpers.js';
+import { createMemoryRepository } from '../api/_lib/repository/index.js';
+import { issueTicket } from '../api/_lib/checkin.js';
+import { createHandler as createCheckin } from '../api/famhack/checkin.js';
+
+const ADMIN = { authorization: 'Bearer admin-token' };
+const EMAIL = 'harry@ed.ac.uk';
+
+async function setup() {
+  process.env.ADMIN_API_TOKEN = 'admin-token';
+  const repo = createMemoryRepository();
+  const issued = await issueTicket(repo, EMAIL);
+  return { repo, issued, checkin: createCheckin({ repo }) };
+}
+
+function scan(checkin, body, headers = ADMIN) {
+  return call(checkin, { method: 'POST', headers, body });
+}
+
+test('a ticket checks its holder in once, and later scans are counted as duplicates', async () => {
+  const { issued, checkin } = await setup();
+
+  const first = await scan(checkin, { ticket: issued.ticket });
+  assert.equal(first.statusCode, 200);
+  assert.equal(first.body.status, 'checked_in');
+  assert.equal(first.body.email, EMAIL);
+  assert.equal(first.body.summary.checkedIn, 1);
+
+  const second = await scan(checkin, { ticket: issued.ticket });
+  const third = await scan(checkin, { code: issued.code.toLowerCase().replace('-', ' ') });
+  assert.equal(second.body.status, 'duplicate');
+  assert.equal(second.body.checkedInAt, first.body.checkedInAt);
+  assert.deepEqual([second.body.scans, third.body.scans], [2, 3]);
+});
+
+test('a signed ticket whose row has been removed is refused', async () => {
+  const { repo, issued, checkin } = await setup();
+  await repo.checkins.remove(EMAIL);
+
+  const res = await scan(checkin, { ticket: issued.ticket });
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.body.code, 'ticket_not_found');
+});
+
+test('an unknown typed code is not found and a malformed one is invalid', async () => {
+  const { checkin } = await setup();
+
+  const unknown = await scan(checkin, { code: 'AAAA-BBBB' });
+  assert.equal(unknown.statusCode, 404);
+  const malformed = await scan(checkin, { code: '0000' });
+  assert.equal(malformed.statusCode, 400);
+  assert.equal(malformed.body.code, 'invalid_ticket');
+});
+
+test('only organisers can check people in', async () => {
+  const { issued, checkin } = await setup();
+
+  const res = await scan(checkin, { ticket: issued.ticket }, { authorization: 'Bearer wrong' });
+  assert.equal(res.statusCode, 401);
+});
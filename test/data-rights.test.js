@@ -0,0 +1,197 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, signedIn } from './helpers.js';
+import { createMemoryRepository } from '../api/_lib/repository/index.js';
+import { createTeam, getTeam, joinTeam, leaveTeam } from '../api/_lib/teams.js';
+import { saveSubmission } from '../api/_lib/submissions.js';
+import { issueTicket } from '../api/_lib/checkin.js';
+import { inviteToTeam, saveListing, saveProfile } from '../api/_lib/team-finder.js';
+import { createInvite } from '../api/_lib/team-invites.js';
+import { dataRightsToken, hasPersonalData } from '../api/_lib/data-rights.js';
+import { createHandler as createExport } from '../api/me/export.js';
+import { createHandler as createDelete } from '../api/me/delete.js';
+import { createHandler as createMe } from '../api/famhack/me.js';
+import { createHandler as createTeams } from '../api/famhack/teams/index.js';
+
+const EMAIL = 'ron@ed.ac.uk';
+const TEAMMATE = 'ginny@ed.ac.uk';
+
+async function setup() {
+  const repo = createMemoryRepository({
+    waitlist: [{
+      email: EMAIL,
+      created_at: '2026-09-01T10:00:00.000Z',
+      confirmation_status: 'confirmed',
+      confirm_token_hash: 'secret-hash',
+      referral_code: 'ABCDEFGH',
+    }],
+  });
+  const team = await createTeam(repo, EMAIL);
+  await joinTeam(repo, team.id, TEAMMATE);
+  return {
+    repo,
+    team,
+    token: dataRightsToken(EMAIL),
+    exportData: createExport({ repo }),
+    deleteData: createDelete({ repo }),
+  };
+}
+
+test('an export holds the waitlist entry and team, without secrets or teammates\' addresses', async () => {
+  const { team, token, exportData } = await setup();
+
+  const res = await call(exportData, { query: { token } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['cache-control'], 'no-store');
+  assert.equal(res.body.waitlist.referral_code, 'ABCDEFGH');
+  assert.equal('confirm_token_hash' in res.body.waitlist, false);
+  assert.equal(res.body.famhack.team.teamId, team.id);
+  assert.equal(res.body.famhack.team.isLeader, true);
+  assert.equal(res.body.famhack.team.memberCount, 2);
+  assert.equal(JSON.stringify(res.body).includes(TEAMMATE), false);
+});
+
+test('deleting hands the team on and leaves nothing behind', async () => {
+  const { repo, team, token, deleteData } = await setup();
+
+  const res = await call(deleteData, { method: 'POST', body: { token } });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.removed, { waitlist: true, team: 'leadership_transferred' });
+
+  const after = await getTeam(repo, team.id);
+  assert.deepEqual(after.members.map((m) => [m.email, m.isLeader]), [[TEAMMATE, true]]);
+  assert.equal(await hasPersonalData(repo, EMAIL), false);
+});
+
+test('deleting signs the person out of every session they had', async () => {
+  const { repo, token, deleteData } = await setup();
+  const me = createMe({ repo });
+  const teams = createTeams({ repo });
+  const session = signedIn(EMAIL);
+  assert.equal((await call(me, { headers: session })).statusCode, 200);
+
+  await call(deleteData, { method: 'POST', body: { token } });
+  assert.equal((await call(me, { headers: session })).statusCode, 401);
+  assert.equal((await call(teams, { method: 'POST', headers: session })).statusCode, 401);
+
+  // Signing in again afterwards works as normal
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const fresh = await call(me, { headers: signedIn(EMAIL) });
+  assert.equal(fresh.statusCode, 200);
+  assert.equal(fresh.body.team, null);
+});
+
+test('submission edits are exported and unattributed on deletion, even after leaving the team', async () => {
+  const { repo, team, exportData, deleteData } = await setup();
+  await saveSubmission(repo, TEAMMATE, { title: 'Weasley Wizard Wheezes' });
+  await leaveTeam(repo, TEAMMATE);
+  const token = dataRightsToken(TEAMMATE);
+
+  assert.equal(await hasPersonalData(repo, TEAMMATE), true);
+  const exported = await call(exportData, { query: { token } });
+  assert.deepEqual(
+    exported.body.famhack.submissionRevisions.map((r) => [r.team_id, r.version, r.snapshot.title]),
+    [[team.id, 1, 'Weasley Wizard Wheezes']],
+  );
+
+  await call(deleteData, { method: 'POST', body: { token } });
+  const [revision] = await repo.submissions.listRevisions(team.id);
+  assert.equal(revision.edited_by, null);
+  assert.equal(await hasPersonalData(repo, TEAMMATE), false);
+});
+
+test('a judge\'s conflicts, assignments and scores are exported', async () => {
+  const { repo, team, exportData } = await setup();
+  const judge = 'mcgonagall@judge.test';
+  await repo.judging.upsertJudge({ email: judge, name: 'Minerva' });
+  await repo.judging.setConflicts(judge, ['TEAMA']);
+  await repo.judging.insertAssignments([{ judge_email: judge, team_id: team.id }]);
+  await repo.judging.upsertScore({ judge_email: judge, team_id: team.id, scores: { impact: 4 }, total: 4 });
+
+  assert.equal(await hasPersonalData(repo, judge), true);
+  const res = await call(exportData, { query: { token: dataRightsToken(judge) } });
+  const { judging } = res.body.famhack;
+  assert.equal(judging.name, 'Minerva');
+  assert.deepEqual(judging.conflicts, ['TEAMA']);
+  assert.deepEqual(judging.assignments.map((a) => a.team_id), [team.id]);
+  assert.deepEqual(judging.scores.map((s) => [s.team_id, s.total]), [[team.id, 4]]);
+});
+
+test('an event ticket is exported and withdrawn on deletion', async () => {
+  const { repo, deleteData, exportData } = await setup();
+  const token = dataRightsToken(TEAMMATE);
+  await leaveTeam(repo, TEAMMATE);
+  const { code } = await issueTicket(repo, TEAMMATE);
+
+  assert.equal(await hasPersonalData(repo, TEAMMATE), true);
+  const exported = await call(exportData, { query: { token } });
+  assert.equal(exported.body.famhack.ticket.code, code);
+
+  await call(deleteData, { method: 'POST', body: { token } });
+  assert.equal(await repo.checkins.findTicketByCode(code), null);
+  assert.equal(await hasPersonalData(repo, TEAMMATE), false);
+});
+
+test('team-finder profiles and invites are exported without the other side\'s address', async () => {
+  const { repo, team, exportData, deleteData } = await setup();
+  const luna = 'luna@ed.ac.uk';
+  await saveListing(repo, EMAIL, { needs: 'design' });
+  await saveProfile(repo, luna, { name: 'Luna', skills: 'design' });
+  const profile = await repo.finder.findProfile(luna);
+  await inviteToTeam(repo, EMAIL, profile.id, 'Join us?');
+  await saveProfile(repo, luna, { name: 'Luna', listed: false });
+
+  assert.equal(await hasPersonalData(repo, luna), true);
+  const lunaExport = await call(exportData, { query: { token: dataRightsToken(luna) } });
+  assert.equal(lunaExport.body.famhack.finderProfile.name, 'Luna');
+  assert.deepEqual(
+    lunaExport.body.famhack.finderRequests.map((r) => [r.kind, r.teamId, r.sentByYou, r.message]),
+    [['invite', team.id, false, 'Join us?']],
+  );
+  assert.equal(JSON.stringify(lunaExport.body).includes(EMAIL), false);
+
+  const ronExport = await call(exportData, { query: { token: dataRightsToken(EMAIL) } });
+  assert.equal(ronExport.body.famhack.finderRequests[0].sentByYou, true);
+  assert.equal(JSON.stringify(ronExport.body).includes(luna), false);
+
+  await call(deleteData, { method: 'POST', body: { token: dataRightsToken(luna) } });
+  assert.equal(await hasPersonalData(repo, luna), false);
+});
+
+test('the invite links someone made are exported and removed on deletion', async () => {
+  const { repo, team, token, exportData, deleteData } = await setup();
+  await createInvite(repo, EMAIL, { maxUses: 3 });
+
+  const exported = await call(exportData, { query: { token } });
+  assert.deepEqual(exported.body.famhack.teamInvites.map((i) => [i.team_id, i.max_uses]), [[team.id, 3]]);
+
+  await call(deleteData, { method: 'POST', body: { token } });
+  assert.deepEqual(await repo.invites.listInvites(team.id), []);
+});
+
+test('logged webhook deliveries about someone are exported without the endpoint, then removed', async () => {
+  const { repo, token, exportData, deleteData } = await setup();
+  await repo.webhooks.insertDeliveries([{
+    id: '00000000-0000-4000-8000-000000000001',
+    event_id: '00000000-0000-4000-8000-000000000002',
+    event: 'waitlist.joined',
+    endpoint: 'https://hooks.example/secret-path',
+    payload: { type: 'waitlist.joined', data: { email: EMAIL } },
+    subject_email: EMAIL,
+  }]);
+
+  const exported = await call(exportData, { query: { token } });
+  assert.deepEqual(exported.body.webhookDeliveries.map((d) => [d.event, d.status]), [['waitlist.joined', 'pending']]);
+  assert.equal(JSON.stringify(exported.body).includes('secret-path'), false);
+
+  await call(deleteData, { method: 'POST', body: { token } });
+  assert.deepEqual(repo.tables.webhook_deliveries, []);
+});
+
+test('a link that is not a data-rights token is refused', async () => {
+  const { exportData, deleteData } = await setup();
+
+  const exported = await call(exportData, { query: { token: 'not-a-token' } });
+  const deleted = await call(deleteData, { method: 'POST', body: { token: 'not-a-token' } });
+  assert.deepEqual([exported.statusCode, deleted.statusCode], [401, 401]);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, signedIn } from './helpers.js';
+import { createMemoryRepository } from '../api/_lib/repository/index.js';
+import { createTeam, getTeam, joinTeam } from '../api/_lib/teams.js';
+import { createHandler as createFinder } from '../api/famhack/finder/index.js';
+import { createHandler as createProfile } from '../api/famhack/finder/profile.js';
+import { createHandler as createListing } from '../api/famhack/finder/listing.js';
+import { createHandler as createRequests } from '../api/famhack/finder/requests.js';
+import { createHandler as createRespond } from '../api/famhack/finder/respond.js';
+
+const LEADER = 'fred@ed.ac.uk';
+const SEEKER = 'luna@ed.ac.uk';
+
+async function setup() {
+  const repo = createMemoryRepository();
+  const team = await createTeam(repo, LEADER);
+  return {
+    repo,
+    team,
+    finder: createFinder({ repo }),
+    profile: createProfile({ repo }),
+    listing: createListing({ repo }),
+    requests: createRequests({ repo }),
+    respond: createRespond({ repo }),
+  };
+}
+
+function post(handler, email, body) {
+  return call(handler, { method: 'POST', headers: signedIn(email), body });
+}
+
+test('someone on the board asks to join a listed team, and accepting moves them in', async () => {
+  const routes = await setup();
+  await post(routes.listing, LEADER, { needs: 'Design', note: 'We need a designer.' });
+  const saved = await post(routes.profile, SEEKER, { name: 'Luna', skills: ['Design', 'design', ' Figma '] });
+  assert.equal(saved.statusCode, 200);
+  assert.deepEqual(saved.body.profile.skills, ['design', 'figma']);
+  assert.deepEqual(saved.body.board.teams.map((t) => t.teamId), [routes.team.id]);
+
+  const board = await call(routes.finder, { headers: signedIn(LEADER) });
+  assert.deepEqual(board.body.board.people.map((p) => p.name), ['Luna']);
+
+  const asked = await post(routes.requests, SEEKER, { teamId: routes.team.id.toLowerCase(), message: 'Hi!' });
+  assert.equal(asked.statusCode, 201);
+  const again = await post(routes.requests, SEEKER, { teamId: routes.team.id });
+  assert.equal(again.body.code, 'request_exists');
+
+  const notYours = await post(routes.respond, SEEKER, { requestId: asked.body.request.id, action: 'accept' });
+  assert.equal(notYours.statusCode, 403);
+  const accepted = await post(routes.respond, LEADER, { requestId: asked.body.request.id, action: 'accept' });
+  assert.equal(accepted.statusCode, 200);
+  assert.equal(accepted.body.status, 'accepted');
+
+  const team = await getTeam(routes.repo, routes.team.id);
+  assert.deepEqual(team.members.map((m) => m.email), [LEADER, SEEKER]);
+});
+
+test('IDs and fields sent as arrays or objects are refused with a 400', async () => {
+  const routes = await setup();
+
+  const bodies = [
+    [routes.requests, { teamId: [routes.team.id] }],
+    [routes.requests, { profileId: { id: '00000000-0000-4000-8000-000000000000' } }],
+    [routes.respond, { requestId: ['00000000-0000-4000-8000-000000000000'], action: 'accept' }],
+    [routes.profile, { name: ['Luna'] }],
+    [routes.profile, { name: 'Luna', skills: [['design']] }],
+  ];
+  for (const [handler, body] of bodies) {
+    const res = await post(handler, SEEKER, body);
+    assert.equal(res.statusCode, 400, JSON.stringify(body));
+  }
+});
+
+test('only team leaders can list their team or invite people', async () => {
+  const routes = await setup();
+  const saved = await post(routes.profile, SEEKER, { name: 'Luna' });
+  const member = 'george@ed.ac.uk';
+  await joinTeam(routes.repo, routes.team.id, member);
+
+  const listed = await post(routes.listing, member, { needs: 'Backend' });
+  const memberInvite = await post(routes.requests, member, { profileId: saved.body.profile.id });
+  assert.deepEqual([listed.statusCode, memberInvite.statusCode], [403, 403]);
+
+  const invited = await post(routes.requests, LEADER, { profileId: saved.body.profile.id });
+  assert.equal(invited.statusCode, 201);
+  const board = await call(routes.finder, { headers: signedIn(SEEKER) });
+  assert.deepEqual(board.body.requests.incoming.map((r) => [r.kind, r.teamId]), [['invite', routes.team.id]]);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call } from './helpers.js';
+import { createMemoryRepository } from '../api/_lib/repository/index.js';
+import { createTeam } from '../api/_lib/teams.js';
+import { assignJudges, computeResults, normalizeByJudge } from '../api/_lib/judging.js';
+import { createHandler as createFreeze } from '../api/admin/judging/freeze.js';
+
+const ADMIN = { authorization: 'Bearer admin-token' };
+
+function score(judge, team, total) {
+  return { judge_email: judge, team_id: team, total, scores: {} };
+}
+
+async function setup({ judges = [], teams = [] } = {}) {
+  const repo = createMemoryRepository();
+  for (const email of judges) await repo.judging.upsertJudge({ email });
+  for (const teamId of teams) {
+    await repo.submissions.insert({ team_id: teamId, title: `Project ${teamId}`, version: 1 });
+  }
+  return repo;
+}
+
+test('a judge who gives everyone the same total moves nobody', () => {
+  const normalized = normalizeByJudge([score('flat@judge.test', 'A', 7), score('flat@judge.test', 'B', 7)]);
+  assert.deepEqual(normalized.map((s) => s.z), [0, 0]);
+});
+
+test('a harsh and a generous judge who agree on the order agree after normalising', () => {
+  const normalized = normalizeByJudge([
+    score('harsh@judge.test', 'A', 2), score('harsh@judge.test', 'B', 4),
+    score('kind@judge.test', 'A', 8), score('kind@judge.test', 'B', 10),
+  ]);
+  const z = (judge, team) => normalized.find((s) => s.judge_email === judge && s.team_id === team).z;
+  assert.equal(z('harsh@judge.test', 'A'), z('kind@judge.test', 'A'));
+  assert.equal(z('harsh@judge.test', 'B'), z('kind@judge.test', 'B'));
+  assert.equal(z('kind@judge.test', 'B'), 1);
+});
+
+test('judges are not assigned to conflicting teams or their own', async () => {
+  const repo = await setup({ judges: ['ann@judge.test', 'bob@judge.test'], teams: ['TEAMA'] });
+  const own = await createTeam(repo, 'bob@judge.test');
+  await repo.submissions.insert({ team_id: own.id, title: "Bob's project", version: 1 });
+  await repo.judging.setConflicts('ann@judge.test', ['TEAMA']);
+
+  const result = await assignJudges(repo, 1);
+  const assignments = await repo.judging.listAssignments();
+  assert.deepEqual(
+    assignments.map((a) => [a.judge_email, a.team_id]).sort(),
+    [['ann@judge.test', own.id], ['bob@judge.test', 'TEAMA']],
+  );
+  assert.deepEqual(result.understaffed, []);
+});
+
+test('teams without enough eligible judges are reported as understaffed', async () => {
+  const repo = await setup({ judges: ['ann@judge.test', 'bob@judge.test'], teams: ['TEAMA', 'TEAMB'] });
+  await repo.judging.setConflicts('bob@judge.test', ['TEAMB']);
+
+  const result = await assignJudges(repo, 2);
+  assert.equal(result.assigned, 3);
+  assert.deepEqual(result.understaffed, ['TEAMB']);
+});
+
+test('frozen results stay as they were at the freeze', async () => {
+  process.env.ADMIN_API_TOKEN = 'admin-token';
+  const repo = await setup({ judges: ['ann@judge.test', 'bob@judge.test'], teams: ['TEAMA', 'TEAMB'] });
+  await repo.judging.upsertScore(score('ann@judge.test', 'TEAMA', 9));
+  await repo.judging.upsertScore(score('ann@judge.test', 'TEAMB', 3));
+  await repo.judging.upsertScore(score('bob@judge.test', 'TEAMB', 8));
+  const leader = async () => (await computeResults(repo)).tracks[0].entries[0].teamId;
+  const freeze = createFreeze({ repo });
+
+  const frozen = await call(freeze, { method: 'POST', headers: ADMIN, body: { frozen: true } });
+  assert.equal(frozen.statusCode, 200);
+  assert.equal(await leader(), 'TEAMA');
+
+  // Ann stepping down after the freeze would otherwise put TEAMB first
+  await repo.judging.upsertJudge({ email: 'ann@judge.test', active: false });
+  const results = await computeResults(repo);
+  assert.equal(results.frozen, true);
+  assert.equal(await leader(), 'TEAMA');
+
+  await call(freeze, { method: 'POST', headers: ADMIN, body: { frozen: false } });
+  assert.equal(await leader(), 'TEAMB');
+});
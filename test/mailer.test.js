@@ -0,0 +1,26 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+import { sendMail } from '../api/_lib/mailer.js';
+
+const saved = { MAIL_TRANSPORT: process.env.MAIL_TRANSPORT, VERCEL_ENV: process.env.VERCEL_ENV };
+
+afterEach(() => {
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+});
+
+test('production never falls back to logging mail', async () => {
+  delete process.env.MAIL_TRANSPORT;
+  process.env.VERCEL_ENV = 'production';
+
+  await assert.rejects(sendMail({ to: 'ada@example.com', subject: 'Code', text: '123456' }), /MAIL_TRANSPORT/);
+});
+
+test('an unknown transport is an error', async () => {
+  process.env.MAIL_TRANSPORT = 'carrier-pigeon';
+
+  await assert.rejects(sendMail({ to: 'ada@example.com', subject: 'Hi', text: 'Hi' }), /Unknown MAIL_TRANSPORT/);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, sentMail } from './helpers.js';
+import { createMemoryRepository } from '../api/_lib/repository/index.js';
+import { readSession } from '../api/_lib/session.js';
+import { createTeam } from '../api/_lib/teams.js';
+import { createHandler as createSend } from '../api/famhack/otp/send.js';
+import { createHandler as createVerify } from '../api/famhack/otp/verify.js';
+
+const EMAIL = 'student@ed.ac.uk';
+
+async function setup() {
+  const repo = createMemoryRepository();
+  const send = createSend({ repo });
+  const verify = createVerify({ repo });
+
+  const sent = await call(send, { method: 'POST', body: { email: EMAIL } });
+  assert.equal(sent.statusCode, 200);
+  const mail = sentMail(EMAIL).at(-1);
+  const code = /\b(\d{6})\b/.exec(mail.text)[1];
+  return { repo, verify, code };
+}
+
+function wrongCode(code) {
+  return code === '000000' ? '111111' : '000000';
+}
+
+test('the emailed code signs the participant in, once', async () => {
+  const { repo, verify, code } = await setup();
+
+  const res = await call(verify, { method: 'POST', body: { email: EMAIL, code } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.ok, true);
+  assert.equal(res.body.team, null);
+
+  const cookie = res.headers['set-cookie'].split(';')[0];
+  assert.equal(readSession({ headers: { cookie } }).email, EMAIL);
+  assert.equal(repo.tables.famhack_otps.length, 0);
+
+  const again = await call(verify, { method: 'POST', body: { email: EMAIL, code } });
+  assert.equal(again.statusCode, 400);
+  assert.equal(again.body.code, 'otp_not_found');
+});
+
+test('a returning participant is told which team they are in', async () => {
+  const { repo, verify, code } = await setup();
+  const team = await createTeam(repo, EMAIL);
+
+  const res = await call(verify, { method: 'POST', body: { email: EMAIL, code } });
+  assert.deepEqual(res.body.team, { id: team.id, isLeader: true });
+});
+
+test('wrong guesses count down and then lock the code', async () => {
+  const { verify, code } = await setup();
+  const guess = () => call(verify, { method: 'POST', body: { email: EMAIL, code: wrongCode(code) } });
+
+  const remaining = [];
+  for (let i = 0; i < 5; i++) {
+    const res = await guess();
+    assert.equal(res.body.code, 'invalid_otp');
+    remaining.push(res.body.attemptsRemaining);
+  }
+  assert.deepEqual(remaining, [4, 3, 2, 1, 0]);
+
+  const locked = await call(verify, { method: 'POST', body: { email: EMAIL, code } });
+  assert.equal(locked.statusCode, 429);
+  assert.equal(locked.body.code, 'too_many_attempts');
+});
+
+test('guesses sent at the same time are all counted', async () => {
+  const { repo, verify, code } = await setup();
+
+  const results = await Promise.all(Array.from({ length: 8 }, () => (
+    call(verify, { method: 'POST', body: { email: EMAIL, code: wrongCode(code) } })
+  )));
+  assert.equal(results.filter((res) => res.body.code === 'invalid_otp').length, 5);
+  assert.equal(results.filter((res) => res.body.code === 'too_many_attempts').length, 3);
+  assert.equal(repo.tables.famhack_otps[0].attempts, 5);
+});
+
+test('an expired code is refused and removed', async () => {
+  const { repo, verify, code } = await setup();
+  repo.tables.famhack_otps[0].expires_at = new Date(Date.now() - 1000).toISOString();
+
+  const res = await call(verify, { method: 'POST', body: { email: EMAIL, code } });
+  assert.equal(res.body.code, 'otp_expired');
+  assert.equal(repo.tables.famhack_otps.length, 0);
+});
+
+test('codes only go to eligible addresses', async () => {
+  const repo = createMemoryRepository();
+  const res = await call(createSend({ repo }), { method: 'POST', body: { email: 'someone@example.com' } });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'ineligible_email');
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryRepository } from '../api/_lib/repository/index.js';
+import { getSchedule, normalizeSession, saveSession, zonedTimeToInstant } from '../api/_lib/schedule.js';
+
+const LONDON = 'Europe/London';
+const iso = (local) => new Date(zonedTimeToInstant(local, LONDON)).toISOString();
+
+test('local times are read in the event timezone, either side of a clock change', () => {
+  assert.equal(iso('2026-10-24T09:30'), '2026-10-24T08:30:00.000Z');
+  assert.equal(iso('2026-10-26T09:30'), '2026-10-26T09:30:00.000Z');
+});
+
+test('a time that happens twice when the clocks go back is the earlier one', () => {
+  assert.equal(iso('2026-10-25T01:30'), '2026-10-25T00:30:00.000Z');
+  assert.equal(iso('2026-10-25T02:00'), '2026-10-25T02:00:00.000Z');
+});
+
+test('a time skipped when the clocks go forward is moved past the gap', () => {
+  assert.equal(iso('2026-03-29T01:30'), '2026-03-29T01:30:00.000Z');
+  assert.equal(iso('2026-03-29T02:30'), '2026-03-29T01:30:00.000Z');
+});
+
+test('sessions need a title and must end after they start', () => {
+  const body = { title: 'Hacking ends', startsAt: '2026-10-25T01:30', endsAt: '2026-10-25T01:45' };
+  const row = normalizeSession(body, LONDON);
+  assert.deepEqual([row.starts_at, row.ends_at], ['2026-10-25T00:30:00.000Z', '2026-10-25T00:45:00.000Z']);
+  assert.throws(() => normalizeSession({ ...body, title: ' ' }, LONDON), { code: 'invalid_session' });
+  assert.throws(() => normalizeSession({ ...body, endsAt: body.startsAt }, LONDON), { field: 'endsAt' });
+  assert.throws(() => normalizeSession({ ...body, startsAt: ['2026-10-25T01:30'] }, LONDON), { field: 'startsAt' });
+});
+
+test('the schedule says what is on now and what starts next', async () => {
+  const repo = createMemoryRepository();
+  await saveSession(repo, null, { title: 'Opening', startsAt: '2026-10-24T09:00Z', endsAt: '2026-10-24T10:00Z' });
+  await saveSession(repo, null, { title: 'Lunch', startsAt: '2026-10-24T12:00Z', endsAt: '2026-10-24T13:00Z' });
+
+  const schedule = await getSchedule(repo, Date.parse('2026-10-24T09:30Z'));
+  assert.deepEqual(schedule.now.map((s) => s.title), ['Opening']);
+  assert.deepEqual(schedule.next.map((s) => s.title), ['Lunch']);
+});
@@ -0,0 +1,76 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, signedIn } from './helpers.js';
+import { createMemoryRepository } from '../api/_lib/repository/index.js';
+import { createTeam, joinTeam } from '../api/_lib/teams.js';
+import { createHandler as createSubmissions } from '../api/famhack/submissions/index.js';
+
+const LEADER = 'leader@ed.ac.uk';
+const MEMBER = 'member@ed.ac.uk';
+
+afterEach(() => {
+  delete process.env.FAMHACK_SUBMISSION_DEADLINE;
+});
+
+async function setup() {
+  const repo = createMemoryRepository();
+  const team = await createTeam(repo, LEADER);
+  await joinTeam(repo, team.id, MEMBER);
+  return { repo, submissions: createSubmissions({ repo }) };
+}
+
+function save(submissions, email, body) {
+  return call(submissions, { method: 'POST', headers: signedIn(email), body });
+}
+
+test('each save bumps the version and is kept in the history', async () => {
+  const { submissions } = await setup();
+
+  const first = await save(submissions, LEADER, { title: 'Owl Post', techTags: 'Node, node, Vue' });
+  assert.equal(first.statusCode, 201);
+  assert.equal(first.body.submission.version, 1);
+  assert.deepEqual(first.body.submission.techTags, ['node', 'vue']);
+
+  const second = await save(submissions, MEMBER, { title: 'Owl Post', description: 'Letters by owl.', version: 1 });
+  assert.equal(second.statusCode, 200);
+  assert.equal(second.body.submission.version, 2);
+  assert.equal(second.body.submission.updatedBy, MEMBER);
+
+  const res = await call(submissions, { headers: signedIn(LEADER) });
+  assert.deepEqual(res.body.history.map((h) => [h.version, h.editedBy]), [[2, MEMBER], [1, LEADER]]);
+  assert.deepEqual(res.body.history[0].changed, ['description', 'techTags']);
+});
+
+test('an edit started from an old version is refused', async () => {
+  const { submissions } = await setup();
+
+  await save(submissions, LEADER, { title: 'First' });
+  await save(submissions, MEMBER, { title: 'Second', version: 1 });
+
+  const stale = await save(submissions, LEADER, { title: 'Third', version: 1 });
+  assert.equal(stale.statusCode, 409);
+  assert.equal(stale.body.code, 'submission_conflict');
+});
+
+test('invalid fields are named in the error', async () => {
+  const { submissions } = await setup();
+
+  const res = await save(submissions, LEADER, { title: 'Owl Post', repoUrl: 'ftp://example.com' });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'invalid_submission');
+  assert.equal(res.body.field, 'repoUrl');
+});
+
+test('nothing can be saved once the deadline has passed', async () => {
+  const { submissions } = await setup();
+  await save(submissions, LEADER, { title: 'Owl Post' });
+
+  process.env.FAMHACK_SUBMISSION_DEADLINE = new Date(Date.now() - 1000).toISOString();
+  const res = await save(submissions, LEADER, { title: 'Late change', version: 1 });
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, 'submission_locked');
+
+  const read = await call(submissions, { headers: signedIn(LEADER) });
+  assert.equal(read.body.locked, true);
+  assert.equal(read.body.submission.title, 'Owl Post');
+});
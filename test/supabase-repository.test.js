@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSupabaseRepository, ConflictError } from '../api/_lib/repository/index.js';
+
+// A client whose inserts all fail with `error`, as PostgREST reports it
+function failingClient(error) {
+  const query = {
+    insert: () => query,
+    select: () => query,
+    single: async () => ({ data: null, error }),
+  };
+  return { from: () => query };
+}
+
+function uniqueViolation(constraint) {
+  return { code: '23505', message: `duplicate key value violates unique constraint "${constraint}"` };
+}
+
+async function insertError(error) {
+  const repo = createSupabaseRepository(failingClient(error));
+  return repo.waitlist.insert({ email: 'ada@example.com', referral_code: 'ABCDEFGH' }).then(() => null, (err) => err);
+}
+
+test('unique violations are reported against the column their constraint covers', async () => {
+  const err = await insertError(uniqueViolation('waitlist_referral_code_key'));
+  assert.ok(err instanceof ConflictError);
+  assert.equal(err.field, 'referral_code');
+});
+
+test('a waitlist constraint that is not listed counts as a duplicate email', async () => {
+  for (const constraint of ['waitlist_pkey', 'waitlist_email_key']) {
+    const err = await insertError(uniqueViolation(constraint));
+    assert.equal(err.field, 'email');
+  }
+});
+
+test('other database errors are passed through', async () => {
+  const error = { code: '42P01', message: 'relation "waitlist" does not exist' };
+  assert.equal(await insertError(error), error);
+});
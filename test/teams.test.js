@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, signedIn } from './helpers.js';
+import { createMemoryRepository } from '../api/_lib/repository/index.js';
+import { createTeam, joinTeam } from '../api/_lib/teams.js';
+import { createHandler as createTeams } from '../api/famhack/teams/index.js';
+import { createHandler as createInvite } from '../api/famhack/teams/invite.js';
+import { createHandler as createJoin } from '../api/famhack/teams/join.js';
+import { createHandler as createLeave } from '../api/famhack/teams/leave.js';
+
+const LEADER = 'leader@ed.ac.uk';
+
+function setup() {
+  const repo = createMemoryRepository();
+  return {
+    repo,
+    teams: createTeams({ repo }),
+    invite: createInvite({ repo }),
+    join: createJoin({ repo }),
+    leave: createLeave({ repo }),
+  };
+}
+
+async function inviteLink(routes, options = {}) {
+  const res = await call(routes.invite, { method: 'POST', headers: signedIn(LEADER), body: options });
+  assert.equal(res.statusCode, 201);
+  return res.body.invite.token;
+}
+
+test('team routes need a signed-in participant', async () => {
+  const { teams } = setup();
+
+  const res = await call(teams, { method: 'POST' });
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.code, 'unauthenticated');
+});
+
+test('the creator leads the new team and can only create one', async () => {
+  const { teams } = setup();
+
+  const created = await call(teams, { method: 'POST', headers: signedIn(LEADER) });
+  assert.equal(created.statusCode, 201);
+  assert.match(created.body.team.id, /^[A-Z0-9]{10}$/);
+  assert.deepEqual(created.body.team.members.map((m) => [m.email, m.isLeader]), [[LEADER, true]]);
+
+  const own = await call(teams, { headers: signedIn(LEADER) });
+  assert.equal(own.body.team.id, created.body.team.id);
+
+  const second = await call(teams, { method: 'POST', headers: signedIn(LEADER) });
+  assert.equal(second.statusCode, 409);
+  assert.equal(second.body.code, 'already_in_team');
+});
+
+test('rosters are only shown to members', async () => {
+  const routes = setup();
+  const created = await call(routes.teams, { method: 'POST', headers: signedIn(LEADER) });
+
+  const res = await call(routes.teams, { headers: signedIn('outsider@ed.ac.uk'), query: { id: created.body.team.id } });
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, 'not_a_member');
+});
+
+test('an invite link adds people as members until it is used up', async () => {
+  const routes = setup();
+  const created = await call(routes.teams, { method: 'POST', headers: signedIn(LEADER) });
+  const invite = await inviteLink(routes, { maxUses: 1 });
+
+  const joined = await call(routes.join, { method: 'POST', headers: signedIn('member@ed.ac.uk'), body: { invite } });
+  assert.equal(joined.statusCode, 200);
+  assert.equal(joined.body.team.id, created.body.team.id);
+  assert.equal(joined.body.team.members.length, 2);
+
+  const late = await call(routes.join, { method: 'POST', headers: signedIn('late@ed.ac.uk'), body: { invite } });
+  assert.equal(late.statusCode, 409);
+  assert.equal(late.body.code, 'invite_used_up');
+});
+
+test('someone alone in their own team moves over when invited', async () => {
+  const routes = setup();
+  const created = await call(routes.teams, { method: 'POST', headers: signedIn(LEADER) });
+  const solo = await call(routes.teams, { method: 'POST', headers: signedIn('solo@ed.ac.uk') });
+  const invite = await inviteLink(routes);
+
+  const joined = await call(routes.join, { method: 'POST', headers: signedIn('solo@ed.ac.uk'), body: { invite } });
+  assert.equal(joined.statusCode, 200);
+  assert.equal(joined.body.team.id, created.body.team.id);
+  assert.equal(routes.repo.tables.famhack_teams.some((t) => t.id === solo.body.team.id), false);
+});
+
+test('a full team turns people away, even when they join at the same time', async () => {
+  const { repo } = setup();
+  const team = await createTeam(repo, LEADER);
+
+  const results = await Promise.allSettled(
+    ['a', 'b', 'c', 'd', 'e'].map((name) => joinTeam(repo, team.id, `${name}@ed.ac.uk`)),
+  );
+  assert.equal(results.filter((r) => r.status === 'fulfilled').length, team.maxSize - 1);
+  assert.ok(results.filter((r) => r.status === 'rejected').every((r) => r.reason.code === 'team_full'));
+  assert.equal(repo.tables.famhack_team_members.length, team.maxSize);
+});
+
+test('members can leave; a leader with teammates cannot', async () => {
+  const routes = setup();
+  await call(routes.teams, { method: 'POST', headers: signedIn(LEADER) });
+  const invite = await inviteLink(routes);
+  await call(routes.join, { method: 'POST', headers: signedIn('member@ed.ac.uk'), body: { invite } });
+
+  const leader = await call(routes.leave, { method: 'POST', headers: signedIn(LEADER) });
+  assert.equal(leader.statusCode, 409);
+
+  const member = await call(routes.leave, { method: 'POST', headers: signedIn('member@ed.ac.uk') });
+  assert.equal(member.statusCode, 200);
+  assert.equal(routes.repo.tables.famhack_team_members.length, 1);
+});
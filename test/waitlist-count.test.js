@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call } from './helpers.js';
+import { createMemoryRepository } from '../api/_lib/repository/index.js';
+import { createHandler as createCount } from '../api/waitlist/count.js';
+
+test('counts carry an ETag, and a repeat poll with it gets a 304', async () => {
+  const repo = createMemoryRepository({
+    waitlist: [
+      { email: 'a@example.com', confirmation_status: 'confirmed' },
+      { email: 'b@example.com', confirmation_status: 'pending' },
+    ],
+  });
+  const count = createCount({ repo });
+
+  const first = await call(count);
+  assert.equal(first.statusCode, 200);
+  assert.deepEqual(first.body, { count: 2, confirmed: 1, pending: 1, stale: false });
+  assert.equal(first.headers.etag, '"2-1-1"');
+
+  const repeat = await call(count, { headers: { 'if-none-match': first.headers.etag } });
+  assert.equal(repeat.statusCode, 304);
+  assert.equal(repeat.body, undefined);
+});
+
+test('when the database fails, the last counts are served as stale', async () => {
+  const repo = createMemoryRepository({ waitlist: [{ email: 'a@example.com', confirmation_status: 'confirmed' }] });
+  const count = createCount({ repo });
+  const first = await call(count);
+
+  const originalCounts = repo.waitlist.counts;
+  repo.waitlist.counts = async () => { throw new Error('connection refused'); };
+  const realNow = Date.now;
+  Date.now = () => realNow() + 60 * 1000;
+  try {
+    const res = await call(count, { headers: { 'if-none-match': first.headers.etag } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.stale, true);
+    assert.equal(res.body.count, 1);
+    assert.equal(res.headers['cache-control'], 'no-cache');
+  } finally {
+    Date.now = realNow;
+    repo.waitlist.counts = originalCounts;
+  }
+});
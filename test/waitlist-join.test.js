@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { call, sentMail } from './helpers.js';
+import { createMemoryRepository } from '../api/_lib/repository/index.js';
+import { createHandler as createJoin } from '../api/waitlist/join.js';
+import { createHandler as createConfirm } from '../api/waitlist/confirm.js';
+
+function setup() {
+  const repo = createMemoryRepository();
+  return { repo, join: createJoin({ repo }), confirm: createConfirm({ repo }) };
+}
+
+test('a new signup is stored as pending and sent a confirmation link', async () => {
+  const { repo, join, confirm } = setup();
+
+  const res = await call(join, { method: 'POST', body: { email: ' Ada@Example.com ' } });
+  assert.equal(res.statusCode, 201);
+  assert.equal(res.body.status, 'joined');
+  assert.equal(res.body.email, 'ada@example.com');
+  assert.equal(res.body.referralCode, undefined);
+
+  const [row] = repo.tables.waitlist;
+  assert.equal(row.confirmation_status, 'pending');
+  assert.match(row.referral_code, /^[A-HJ-NP-Z2-9]{8}$/);
+
+  const [mail] = sentMail('ada@example.com');
+  const link = new URL(/https:\/\/accio\.test\/api\/waitlist\/confirm\?token=\S+/.exec(mail.text)[0]);
+  const confirmed = await call(confirm, { query: { token: link.searchParams.get('token') } });
+  assert.equal(confirmed.headers.location, `/?waitlist=confirmed&code=${row.referral_code}#waitlist`);
+  assert.equal(repo.tables.waitlist[0].confirmation_status, 'confirmed');
+});
+
+test('joining twice reports the existing signup instead of failing', async () => {
+  const { join } = setup();
+
+  await call(join, { method: 'POST', body: { email: 'twice@example.com' } });
+  const second = await call(join, { method: 'POST', body: { email: 'twice@example.com' } });
+  assert.equal(second.statusCode, 200);
+  assert.equal(second.body.status, 'already_joined');
+  // Whoever typed the address in doesn't learn its referral code
+  assert.equal(second.body.referralCode, undefined);
+  // The link was only just sent, so it isn't sent again
+  assert.equal(second.body.emailSent, false);
+});
+
+test('a valid referral code is recorded on the new signup', async () => {
+  const { repo, join } = setup();
+
+  await call(join, { method: 'POST', body: { email: 'referrer@example.com' } });
+  const referrerCode = repo.tables.waitlist[0].referral_code;
+  await call(join, { method: 'POST', body: { email: 'friend@example.com', ref: referrerCode } });
+  await call(join, { method: 'POST', body: { email: 'stranger@example.com', ref: 'NOTACODE' } });
+
+  const referredBy = (email) => repo.tables.waitlist.find((r) => r.email === email).referred_by;
+  assert.equal(referredBy('friend@example.com'), referrerCode);
+  assert.equal(referredBy('stranger@example.com'), null);
+});
+
+test('invalid, disposable and bot signups are refused', async () => {
+  const { repo, join } = setup();
+
+  const cases = [
+    [{ email: 'not-an-email' }, 'invalid_email'],
+    [{ email: 'someone@mailinator.com' }, 'disposable_email'],
+    [{ email: 'bot@example.com', website: 'https://spam.example' }, 'bot_detected'],
+  ];
+  for (const [body, code] of cases) {
+    const res = await call(join, { method: 'POST', body });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, code);
+  }
+  assert.equal(repo.tables.waitlist.length, 0);
+});
+
+test('only POST is accepted', async () => {
+  const { join } = setup();
+
+  const res = await call(join, { method: 'GET' });
+  assert.equal(res.statusCode, 405);
+  assert.equal(res.headers.allow, 'POST, OPTIONS');
+});
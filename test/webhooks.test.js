@@ -0,0 +1,144 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createHmac } from 'node:crypto';
+import { once } from 'node:events';
+import { call } from './helpers.js';
+import { createMemoryRepository } from '../api/_lib/repository/index.js';
+import { emitEvent, signWebhook } from '../api/_lib/webhooks.js';
+import { createHandler as createJoin } from '../api/waitlist/join.js';
+import { createHandler as createAdminWebhooks } from '../api/admin/webhooks.js';
+
+const SECRET = 'endpoint-secret';
+
+// A receiver that answers each path with the status queued for it (200 by default)
+let server;
+let baseUrl;
+const received = [];
+const statuses = new Map();
+
+before(async () => {
+  server = createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.writeHead(statuses.get(req.url) || 200).end();
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function useEndpoints(...endpoints) {
+  process.env.WEBHOOK_ENDPOINTS = JSON.stringify(endpoints.map((e) => ({ secret: SECRET, ...e, url: baseUrl + e.path })));
+}
+
+// Deliveries run in the background, so wait for the log to settle
+async function settled(repo) {
+  for (let i = 0; i < 100; i++) {
+    const rows = repo.tables.webhook_deliveries;
+    if (rows.every((row) => row.last_status != null || row.last_error != null)) return rows;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error('Deliveries did not finish.');
+}
+
+test('the signature is an HMAC-SHA256 of "<timestamp>.<body>" with the endpoint secret', () => {
+  const body = JSON.stringify({ type: 'team.created' });
+  const expected = createHmac('sha256', SECRET).update(`1700000000.${body}`).digest('hex');
+
+  assert.equal(signWebhook(SECRET, 1700000000, body), `sha256=${expected}`);
+  assert.notEqual(signWebhook(SECRET, 1700000001, body), `sha256=${expected}`);
+  assert.notEqual(signWebhook('other-secret', 1700000000, body), `sha256=${expected}`);
+});
+
+test('a signup is delivered to its endpoint, signed', async () => {
+  useEndpoints({ path: '/signed' });
+  received.length = 0;
+  const repo = createMemoryRepository();
+
+  const res = await call(createJoin({ repo }), { method: 'POST', body: { email: 'hook@example.com' } });
+  assert.equal(res.statusCode, 201);
+
+  const [row] = await settled(repo);
+  assert.equal(row.status, 'delivered');
+  assert.equal(row.subject_email, 'hook@example.com');
+
+  const [request] = received;
+  const event = JSON.parse(request.body);
+  assert.equal(event.type, 'waitlist.joined');
+  assert.equal(event.data.email, 'hook@example.com');
+  assert.equal(request.headers['x-accio-event'], 'waitlist.joined');
+  assert.equal(request.headers['x-accio-delivery'], row.id);
+  assert.equal(
+    request.headers['x-accio-signature'],
+    signWebhook(SECRET, request.headers['x-accio-timestamp'], request.body),
+  );
+});
+
+test('endpoints only get the events they subscribe to', async () => {
+  useEndpoints({ path: '/teams', events: ['team.*'] }, { path: '/all' });
+  const repo = createMemoryRepository();
+
+  await emitEvent(repo, 'team.created', { teamId: 'ABCDEFGHJK', email: 'lead@ed.ac.uk' });
+  await emitEvent(repo, 'famhack.registered', { email: 'lead@ed.ac.uk' });
+
+  const rows = await settled(repo);
+  const sent = rows.map((row) => `${row.event} ${row.endpoint.slice(baseUrl.length)}`).sort();
+  assert.deepEqual(sent, ['famhack.registered /all', 'team.created /all', 'team.created /teams']);
+});
+
+test('a failed delivery is retried by the scheduled job', async () => {
+  useEndpoints({ path: '/flaky' });
+  process.env.CRON_SECRET = 'cron-secret';
+  process.env.ADMIN_API_TOKEN = 'admin-token';
+  statuses.set('/flaky', 503);
+  const repo = createMemoryRepository();
+  const admin = createAdminWebhooks({ repo });
+
+  await emitEvent(repo, 'famhack.registered', { email: 'retry@ed.ac.uk' });
+  const [row] = await settled(repo);
+  assert.equal(row.status, 'pending');
+  assert.equal(row.attempts, 1);
+  assert.equal(row.last_status, 503);
+
+  const notDue = await call(admin, { headers: { authorization: 'Bearer cron-secret' }, query: { retryDue: '1' } });
+  assert.deepEqual(notDue.body, { ok: true, retried: 0, delivered: 0 });
+
+  statuses.delete('/flaky');
+  row.next_attempt_at = new Date(Date.now() - 1000).toISOString();
+  const res = await call(admin, { headers: { authorization: 'Bearer cron-secret' }, query: { retryDue: '1' } });
+  assert.deepEqual(res.body, { ok: true, retried: 1, delivered: 1 });
+  assert.equal(row.status, 'delivered');
+  assert.equal(row.attempts, 2);
+
+  // The cron secret runs the retries but doesn't open the log
+  const log = await call(admin, { headers: { authorization: 'Bearer cron-secret' } });
+  assert.equal(log.statusCode, 401);
+});
+
+test('deliveries that are due a retry go out with the next event', async () => {
+  useEndpoints({ path: '/later' });
+  statuses.set('/later', 503);
+  const repo = createMemoryRepository();
+
+  await emitEvent(repo, 'famhack.registered', { email: 'first@ed.ac.uk' });
+  const [first] = await settled(repo);
+  assert.equal(first.status, 'pending');
+
+  statuses.delete('/later');
+  first.next_attempt_at = new Date(Date.now() - 1000).toISOString();
+  await emitEvent(repo, 'famhack.registered', { email: 'second@ed.ac.uk' });
+
+  for (let i = 0; i < 100 && repo.tables.webhook_deliveries.some((row) => row.status !== 'delivered'); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.deepEqual(repo.tables.webhook_deliveries.map((row) => [row.subject_email, row.status, row.attempts]), [
+    ['first@ed.ac.uk', 'delivered', 2],
+    ['second@ed.ac.uk', 'delivered', 1],
+  ]);
+});